@@ -1,8 +1,23 @@
 // Tenant Authentication API
-const { query } = require('./utils/db');
-const { verifyPassword, generateToken, hashPassword, requireAuth } = require('./utils/auth');
-const { resolveTenant } = require('./utils/tenant');
+const crypto = require('crypto');
+const { query, transaction, getCompanyById } = require('./utils/db');
+const { verifyPassword, hashPassword, requireAuth, generateToken, generateTwoFactorChallenge, verifyTwoFactorChallenge, ACCESS_TOKEN_TTL_SECONDS } = require('./utils/auth');
+const { TRIAL_DAYS, resolveTenant, subdomainError, enforceTenantLimit } = require('./utils/tenant');
 const { success, error, handleOptions, parseBody } = require('./utils/response');
+const { createAuthToken, consumeAuthToken, sendUserVerification } = require('./utils/auth-tokens');
+const { getClientIp, checkRateLimit } = require('./utils/rate-limit');
+const { sendPasswordResetEmail } = require('./utils/email');
+const { checkImpersonation } = require('./utils/impersonation');
+const { getUserDcIds } = require('./utils/dc-scope');
+const { getRolePermissions, roleExists } = require('./utils/permissions');
+const { isTwoFactorRequired, isTwoFactorEnabled, getTwoFactor, getTwoFactorStatus, startEnrollment, confirmEnrollment, regenerateBackupCodes, verifyTwoFactorCode, disableTwoFactor } = require('./utils/two-factor');
+const { createSession, rotateSession, revokeSession, revokeSessionByRefreshToken, revokeUserSessions } = require('./utils/sessions');
+const { recordAudit } = require('./utils/audit');
+const { linkUsers, listMemberships, findLinkedMembership, syncIdentityPassword } = require('./utils/identities');
+const { getLoginProtectionPolicy, checkLoginIp, accountBlock, recordUnknownLogin, recordLoginFailure, recordLoginSuccess, unlockAccount } = require('./utils/login-protection');
+const { getSsoConfig, startAuthorization, consumeLoginRequest, exchangeCode, claimsError, mapRole } = require('./utils/oidc');
+
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for that email, a password reset link has been sent.';
 
 exports.handler = async (event, context) => {
     // Handle CORS preflight
@@ -19,11 +34,91 @@ exports.handler = async (event, context) => {
             return await handlePortalLogin(event);
         }
 
+        // POST /auth/signup - Start a trial: create a company and its first admin, then sign in
+        if (method === 'POST' && path === '/signup') {
+            return await handleSignup(event);
+        }
+
+        // GET /auth/signup/subdomain?subdomain= - Is this subdomain free to sign up with?
+        if (method === 'GET' && path === '/signup/subdomain') {
+            return await checkSignupSubdomain(event);
+        }
+
+        // GET /auth/tenant - The company this host (custom domain or subdomain) or ?tenant= points at
+        if (method === 'GET' && path === '/tenant') {
+            return await tenantInfo(event);
+        }
+
+        // GET /auth/sso - Whether the tenant signs in with its identity provider
+        if (method === 'GET' && path === '/sso') {
+            return await ssoStatus(event);
+        }
+
+        // GET /auth/sso/start - Authorization URL for the tenant's identity provider (OIDC + PKCE)
+        if (method === 'GET' && path === '/sso/start') {
+            return await startSso(event);
+        }
+
+        // POST /auth/sso/callback - Finish SSO sign-in with the code the provider redirected back with
+        if (method === 'POST' && path === '/sso/callback') {
+            return await finishSso(event);
+        }
+
         // POST /auth/login - Tenant user login (requires tenant context)
         if (method === 'POST' && (path === '/login' || path === '')) {
             return await handleLogin(event);
         }
 
+        // POST /auth/switch-company - Sign in to another company linked to the same identity
+        if (method === 'POST' && path === '/switch-company') {
+            return await switchCompany(event);
+        }
+
+        // POST /auth/link-company - Link the caller's account in another company (proved with its password)
+        if (method === 'POST' && path === '/link-company') {
+            return await linkCompany(event);
+        }
+
+        // POST /auth/2fa/verify - Second login step: exchange the challenge token and a code for a session
+        if (method === 'POST' && path === '/2fa/verify') {
+            return await verifyTwoFactorLogin(event);
+        }
+
+        // GET /auth/2fa - Two-factor status for the current user
+        if (method === 'GET' && path === '/2fa') {
+            return await getTwoFactorSettings(event);
+        }
+
+        // POST /auth/2fa/setup - New TOTP secret and provisioning URI (signed in, or with a setup challenge)
+        if (method === 'POST' && path === '/2fa/setup') {
+            return await setupTwoFactor(event);
+        }
+
+        // POST /auth/2fa/enable - Confirm the first code; returns backup codes
+        if (method === 'POST' && path === '/2fa/enable') {
+            return await enableTwoFactor(event);
+        }
+
+        // POST /auth/2fa/disable - Turn 2FA off (password + code; not when the company requires it)
+        if (method === 'POST' && path === '/2fa/disable') {
+            return await turnOffTwoFactor(event);
+        }
+
+        // POST /auth/2fa/backup-codes - Replace backup codes
+        if (method === 'POST' && path === '/2fa/backup-codes') {
+            return await newBackupCodes(event);
+        }
+
+        // POST /auth/refresh - Rotate the refresh token and issue a new access token
+        if (method === 'POST' && path === '/refresh') {
+            return await refreshSession(event);
+        }
+
+        // POST /auth/logout - End this session (or every session with { all: true })
+        if (method === 'POST' && path === '/logout') {
+            return await logout(event);
+        }
+
         // GET /auth/me - Get current user info
         if (method === 'GET' && path === '/me') {
             return await getCurrentUser(event);
@@ -34,6 +129,26 @@ exports.handler = async (event, context) => {
             return await changePassword(event);
         }
 
+        // POST /auth/forgot-password - Email a password reset link
+        if (method === 'POST' && path === '/forgot-password') {
+            return await forgotPassword(event);
+        }
+
+        // POST /auth/reset-password - Set a new password with a reset token
+        if (method === 'POST' && path === '/reset-password') {
+            return await resetPassword(event);
+        }
+
+        // POST /auth/verify-email - Confirm email address with a verification token
+        if (method === 'POST' && path === '/verify-email') {
+            return await verifyEmail(event);
+        }
+
+        // POST /auth/resend-verification - Send a fresh verification email to the current user
+        if (method === 'POST' && path === '/resend-verification') {
+            return await resendVerification(event);
+        }
+
         return error('Not found', 404);
     } catch (err) {
         console.error('Auth error:', err);
@@ -41,10 +156,12 @@ exports.handler = async (event, context) => {
     }
 };
 
-// Universal Portal Login - finds user by email across all companies
+// Universal Portal Login - finds the user's accounts by email or username across all companies
+const PORTAL_LOGIN_MAX_ACCOUNTS = 10;
+
 async function handlePortalLogin(event) {
     const body = parseBody(event);
-    const { email, password, username } = body;
+    const { email, password, username, subdomain } = body;
 
     // Accept either email or username
     const loginId = email || username;
@@ -53,96 +170,125 @@ async function handlePortalLogin(event) {
         return error('Email/username and password required', 400);
     }
 
-    // Find user by email or username across all companies
+    const ipBlock = await checkLoginIp(event);
+    if (ipBlock) {
+        return error(ipBlock.error, ipBlock.status, ipBlock.details);
+    }
+
+    // Every account the login id could mean, most recently used first
     const result = await query(
-        `SELECT u.*, c.id as company_id, c.name as company_name, c.subdomain, c.plan, c.status as company_status, c.plan_expires_at
+        `SELECT u.*, c.id as company_id, c.name as company_name, c.subdomain, c.plan, c.status as company_status, c.plan_expires_at,
+                c.settings as company_settings, c.sso_config, LOWER(u.email) = LOWER($1) as email_match
         FROM users u
         JOIN companies c ON u.company_id = c.id
         WHERE (LOWER(u.email) = LOWER($1) OR LOWER(u.username) = LOWER($1))
         AND u.status = 'active'
-        LIMIT 1`,
+        ORDER BY u.last_login DESC NULLS LAST
+        LIMIT ${PORTAL_LOGIN_MAX_ACCOUNTS}`,
         [loginId]
     );
 
-    const user = result.rows[0];
-
-    if (!user) {
+    if (result.rows.length === 0) {
+        await recordUnknownLogin(event, loginId);
         return error('Invalid email/username or password', 401);
     }
 
-    // Check company status
-    if (user.company_status !== 'active') {
-        return error('Your company account is not active. Please contact support.', 403);
+    // Locked or backing-off accounts aren't tried at all
+    const blocks = [];
+    const open = [];
+    const policies = new Map();
+    for (const row of result.rows) {
+        policies.set(row.id, getLoginProtectionPolicy(row.company_settings));
+        const block = accountBlock(row, policies.get(row.id));
+        if (block) blocks.push(block); else open.push(row);
     }
 
-    // Check trial expiry
-    if (user.plan === 'trial' && user.plan_expires_at) {
-        const expiry = new Date(user.plan_expires_at);
-        if (expiry < new Date()) {
-            return error('Trial period has expired. Please upgrade your plan.', 403);
+    const matched = [];
+    for (const row of open) {
+        if (await verifyPassword(password, row.password_hash)) {
+            matched.push(row);
         }
     }
 
-    // Verify password
-    const validPassword = await verifyPassword(password, user.password_hash);
+    if (matched.length === 0) {
+        // Usernames repeat across companies, so a username-only guess must not lock out everyone who shares it:
+        // failures count against email matches and accounts in the company the request names (if any).
+        // The per-IP limit covers the rest.
+        const company = subdomain ? String(subdomain).toLowerCase() : null;
+        for (const row of open.filter(row => row.email_match || row.subdomain === company)) {
+            const block = await recordLoginFailure(event, {
+                subjectType: 'user',
+                account: row,
+                companyId: row.company_id,
+                loginId,
+                policy: policies.get(row.id),
+                loginPath: `/app?tenant=${row.subdomain}`
+            });
+            if (block) blocks.push(block);
+        }
+        // Only say the account is locked when none of them could still sign in
+        const block = blocks.length === result.rows.length ? blocks[0] : null;
+        return block ? error(block.error, block.status, block.details) : error('Invalid email/username or password', 401);
+    }
 
-    if (!validPassword) {
-        return error('Invalid email/username or password', 401);
+    for (const row of matched) {
+        await recordLoginSuccess(event, { subjectType: 'user', account: row, companyId: row.company_id, loginId, policy: policies.get(row.id) });
     }
 
-    // Update last login
-    await query(
-        'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-        [user.id]
-    );
+    // The same email and password in several companies is one person: link them into one identity.
+    // Usernames aren't unique across companies, so they never link accounts on their own.
+    const sameEmail = matched.filter(row => row.email_match);
+    if (sameEmail.length > 1) {
+        const identityId = await linkUsers(sameEmail.map(row => row.id), loginId);
+        sameEmail.forEach(row => { row.identity_id = identityId; });
+    }
 
-    // Log the login
-    try {
-        await query(
-            `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, ip_address)
-            VALUES ($1, $2, 'portal_login', 'user', $3, $4)`,
-            [user.company_id, user.id, user.id, event.headers['x-forwarded-for'] || 'unknown']
-        );
-    } catch (e) {
-        // Audit log failure shouldn't block login
-        console.log('Audit log error:', e.message);
+    // Sign in to the most recently used company that is open; the rest are offered by the switcher
+    const user = matched.find(row => !companyAccessError(companyFromRow(row)) && !passwordLoginBlocked(companyFromRow(row), row)) || matched[0];
+    const company = companyFromRow(user);
+
+    const accessError = companyAccessError(company);
+    if (accessError) {
+        return error(accessError, 403);
     }
 
-    // Generate token
-    const token = generateToken(user, user.company_id);
+    if (passwordLoginBlocked(company, user)) {
+        return error(`${company.name} signs in with single sign-on. Use your company's sign-in page.`, 403, { sso: true, subdomain: company.subdomain });
+    }
 
-    // Get user's DC info if assigned
-    let dcInfo = null;
-    if (user.dc_id) {
-        const dcResult = await query(
-            'SELECT id, code, name, city, state FROM distribution_centers WHERE id = $1',
-            [user.dc_id]
-        );
-        dcInfo = dcResult.rows[0] || null;
+    return await passwordAccepted(user, company, event, 'portal_login');
+}
+
+function companyFromRow(row) {
+    return {
+        id: row.company_id,
+        name: row.company_name,
+        subdomain: row.subdomain,
+        plan: row.plan,
+        status: row.company_status,
+        plan_expires_at: row.plan_expires_at,
+        settings: row.company_settings,
+        sso_config: row.sso_config
+    };
+}
+
+// Enforced SSO leaves password sign-in to admins, so a broken identity provider can't lock everyone out
+function passwordLoginBlocked(company, user) {
+    const config = getSsoConfig(company);
+    return !!(config && config.enforce && user.role !== 'admin');
+}
+
+// Why users can't sign in to a company right now, or null if they can
+function companyAccessError(company) {
+    if (company.status !== 'active') {
+        return 'This company account is not active. Please contact support.';
     }
 
-    return success({
-        token,
-        user: {
-            id: user.id,
-            username: user.username,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            avatar: user.avatar,
-            dcId: user.dc_id,
-            driverId: user.driver_id,
-            lastLogin: user.last_login
-        },
-        company: {
-            id: user.company_id,
-            name: user.company_name,
-            subdomain: user.subdomain,
-            plan: user.plan
-        },
-        dc: dcInfo,
-        redirect: `/app.html?tenant=${user.subdomain}`
-    });
+    if (company.plan === 'trial' && company.plan_expires_at && new Date(company.plan_expires_at) < new Date()) {
+        return 'Trial period has expired. Please upgrade your plan.';
+    }
+
+    return null;
 }
 
 async function handleLogin(event) {
@@ -161,17 +307,14 @@ async function handleLogin(event) {
 
     const company = tenant.company;
 
-    // Check company status
-    if (company.status !== 'active') {
-        return error('This company account is not active. Please contact support.', 403);
+    const accessError = companyAccessError(company);
+    if (accessError) {
+        return error(accessError, 403);
     }
 
-    // Check plan expiry for trial
-    if (company.plan === 'trial' && company.plan_expires_at) {
-        const expiry = new Date(company.plan_expires_at);
-        if (expiry < new Date()) {
-            return error('Trial period has expired. Please upgrade your plan.', 403);
-        }
+    const ipBlock = await checkLoginIp(event);
+    if (ipBlock) {
+        return error(ipBlock.error, ipBlock.status, ipBlock.details);
     }
 
     // Find user in this company
@@ -184,16 +327,165 @@ async function handleLogin(event) {
     const user = result.rows[0];
 
     if (!user) {
+        await recordUnknownLogin(event, username);
         return error('Invalid username or password', 401);
     }
 
+    const policy = getLoginProtectionPolicy(company.settings);
+    const block = accountBlock(user, policy);
+    if (block) {
+        return error(block.error, block.status, block.details);
+    }
+
     // Verify password
     const validPassword = await verifyPassword(password, user.password_hash);
 
     if (!validPassword) {
+        const lock = await recordLoginFailure(event, {
+            subjectType: 'user',
+            account: user,
+            companyId: company.id,
+            loginId: username,
+            policy,
+            loginPath: `/app?tenant=${company.subdomain}`
+        });
+        if (lock && lock.status === 423) {
+            return error(lock.error, lock.status, lock.details);
+        }
         return error('Invalid username or password', 401);
     }
 
+    await recordLoginSuccess(event, { subjectType: 'user', account: user, companyId: company.id, loginId: username, policy });
+
+    if (passwordLoginBlocked(company, user)) {
+        return error('Your company signs in with single sign-on. Use "Sign in with SSO".', 403, { sso: true });
+    }
+
+    return await passwordAccepted(user, company, event, 'login');
+}
+
+// Password is right. Ask for the second factor if the user has 2FA on, or make them
+// enroll first if the company requires it for their role; otherwise sign them in.
+async function passwordAccepted(user, company, event, action) {
+    const enabled = await isTwoFactorEnabled('user', user.id);
+    if (!enabled && !isTwoFactorRequired(company.settings, user.role)) {
+        return await completeLogin(user, company, event, action);
+    }
+
+    return success({
+        twoFactorRequired: enabled,
+        twoFactorSetupRequired: !enabled,
+        challengeToken: generateTwoFactorChallenge({
+            subjectType: 'user',
+            subjectId: user.id,
+            companyId: company.id,
+            action,
+            setup: !enabled
+        })
+    });
+}
+
+// =====================================================
+// SELF-SERVICE SIGNUP
+// =====================================================
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function checkSignupSubdomain(event) {
+    const ip = getClientIp(event);
+    const limit = await checkRateLimit(`signup-subdomain:ip:${ip}`, 30, 60);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+
+    const subdomain = String((event.queryStringParameters || {}).subdomain || '').toLowerCase();
+    const problem = await subdomainError(subdomain);
+    return success({ subdomain, available: !problem, error: problem });
+}
+
+async function handleSignup(event) {
+    const body = parseBody(event);
+    const { company_name, subdomain, email, phone, name, username, password } = body;
+
+    const ip = getClientIp(event);
+    const ipLimit = await checkRateLimit(`signup:ip:${ip}`, 5, 60 * 60);
+    if (!ipLimit.allowed) {
+        return tooManyRequests(ipLimit);
+    }
+
+    if (!company_name || !subdomain || !email || !name || !username || !password) {
+        return error('Company name, subdomain, email, name, username, and password are required', 400);
+    }
+
+    if (!EMAIL_PATTERN.test(email)) {
+        return error('Enter a valid email address', 400);
+    }
+
+    if (password.length < 8) {
+        return error('Password must be at least 8 characters', 400);
+    }
+
+    const emailLimit = await checkRateLimit(`signup:email:${email.toLowerCase()}`, 3, 24 * 60 * 60);
+    if (!emailLimit.allowed) {
+        return tooManyRequests(emailLimit);
+    }
+
+    const subdomainProblem = await subdomainError(subdomain);
+    if (subdomainProblem) {
+        return error(subdomainProblem, 400);
+    }
+
+    const planExpires = new Date();
+    planExpires.setDate(planExpires.getDate() + TRIAL_DAYS);
+    const passwordHash = await hashPassword(password);
+
+    let created;
+    try {
+        created = await transaction(async (client) => {
+            const companyResult = await client.query(
+                `INSERT INTO companies (name, subdomain, email, phone, plan, plan_started_at, plan_expires_at)
+                VALUES ($1, $2, $3, $4, 'trial', CURRENT_TIMESTAMP, $5)
+                RETURNING *`,
+                [company_name, subdomain.toLowerCase(), email, phone || null, planExpires]
+            );
+            const company = companyResult.rows[0];
+
+            const userResult = await client.query(
+                `INSERT INTO users (company_id, username, email, password_hash, name, role, avatar)
+                VALUES ($1, $2, $3, $4, $5, 'admin', '👨‍💼')
+                RETURNING *`,
+                [company.id, username, email, passwordHash, name]
+            );
+
+            return { company, user: userResult.rows[0] };
+        });
+    } catch (err) {
+        // Another signup claimed the subdomain between the check and the insert
+        if (err.code === '23505') {
+            return error('Subdomain already taken', 400);
+        }
+        throw err;
+    }
+
+    const { company, user } = created;
+    const principal = { userId: user.id, username: user.username };
+    await recordAudit(event, principal, { companyId: company.id, action: 'signup', entityType: 'company', after: company });
+    await recordAudit(event, principal, { companyId: company.id, action: 'create', entityType: 'user', after: user });
+
+    let verificationSent = false;
+    try {
+        const sent = await sendUserVerification(user, ip);
+        verificationSent = !!sent?.success;
+    } catch (err) {
+        // The account works without it; they can resend from the app
+        console.error('Signup verification email failed:', err);
+    }
+
+    return await completeLogin(user, company, event, 'login', { signedUp: true, verificationSent });
+}
+
+// Start a session for a fully authenticated user
+async function completeLogin(user, company, event, action, extra = {}) {
     // Update last login
     await query(
         'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
@@ -201,14 +493,20 @@ async function handleLogin(event) {
     );
 
     // Log the login
-    await query(
-        `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, ip_address)
-        VALUES ($1, $2, 'login', 'user', $3, $4)`,
-        [company.id, user.id, user.id, event.headers['x-forwarded-for'] || 'unknown']
-    );
+    try {
+        await query(
+            `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, ip_address)
+            VALUES ($1, $2, $3, 'user', $2, $4)`,
+            [company.id, user.id, action, getClientIp(event)]
+        );
+    } catch (e) {
+        // Audit log failure shouldn't block login
+        console.log('Audit log error:', e.message);
+    }
 
-    // Generate token
-    const token = generateToken(user, company.id);
+    // Start a session (the access token carries the user's DC assignments)
+    const dcIds = await getUserDcIds({ query }, user.id);
+    const session = await createSession(user, company.id, dcIds, event);
 
     // Get user's DC info if assigned
     let dcInfo = null;
@@ -221,7 +519,9 @@ async function handleLogin(event) {
     }
 
     return success({
-        token,
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
         user: {
             id: user.id,
             username: user.username,
@@ -230,6 +530,8 @@ async function handleLogin(event) {
             role: user.role,
             avatar: user.avatar,
             dcId: user.dc_id,
+            dcIds,
+            permissions: await getRolePermissions(company.id, user.role),
             driverId: user.driver_id,
             lastLogin: user.last_login
         },
@@ -239,115 +541,948 @@ async function handleLogin(event) {
             subdomain: company.subdomain,
             plan: company.plan
         },
-        dc: dcInfo
+        dc: dcInfo,
+        companies: await listMemberships(user),
+        redirect: `/app.html?tenant=${company.subdomain}`,
+        ...extra
     });
 }
 
-async function getCurrentUser(event) {
-    const authResult = requireAuth(event);
+// =====================================================
+// MULTI-COMPANY IDENTITIES
+// =====================================================
+
+async function switchCompany(event) {
+    const authResult = await requireAuth(event);
     if (authResult.error) {
         return error(authResult.error, authResult.status);
     }
 
-    const { userId, companyId } = authResult.user;
+    // A support session covers one user in one company
+    if (authResult.user.impersonatedBy) {
+        return error('Companies cannot be switched while impersonating', 403);
+    }
 
-    // Get fresh user data
-    const userResult = await query(
-        `SELECT u.*, c.name as company_name, c.subdomain, c.plan
-        FROM users u
-        JOIN companies c ON u.company_id = c.id
-        WHERE u.id = $1 AND u.company_id = $2`,
-        [userId, companyId]
-    );
+    const { company_id } = parseBody(event);
+    if (!company_id) {
+        return error('company_id required', 400);
+    }
 
-    if (userResult.rows.length === 0) {
-        return error('User not found', 404);
+    const target = await findLinkedMembership(authResult.user.userId, company_id);
+    if (!target) {
+        return error('You do not have access to that company', 403);
     }
 
-    const user = userResult.rows[0];
+    const login = await loadLoginUser(target.id, company_id);
+    if (!login) {
+        return error('This company account is not active. Please contact support.', 403);
+    }
 
-    // Get DC info if assigned
-    let dcInfo = null;
-    if (user.dc_id) {
-        const dcResult = await query(
-            'SELECT id, code, name, city, state FROM distribution_centers WHERE id = $1',
-            [user.dc_id]
-        );
-        dcInfo = dcResult.rows[0] || null;
+    const accessError = companyAccessError(login.company);
+    if (accessError) {
+        return error(accessError, 403);
     }
 
-    return success({
-        user: {
-            id: user.id,
-            username: user.username,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            avatar: user.avatar,
-            dcId: user.dc_id,
-            driverId: user.driver_id,
-            lastLogin: user.last_login
-        },
-        company: {
-            id: user.company_id,
-            name: user.company_name,
-            subdomain: user.subdomain,
-            plan: user.plan
-        },
-        dc: dcInfo
-    });
+    // The other company's single sign-on and two-factor rules still apply
+    if (passwordLoginBlocked(login.company, login.user)) {
+        return error(`${login.company.name} signs in with single sign-on. Use your company's sign-in page.`, 403, { sso: true, subdomain: login.company.subdomain });
+    }
+
+    return await passwordAccepted(login.user, login.company, event, 'switch_company');
 }
 
-async function changePassword(event) {
-    const authResult = requireAuth(event);
+async function linkCompany(event) {
+    const authResult = await requireAuth(event);
     if (authResult.error) {
         return error(authResult.error, authResult.status);
     }
 
+    if (authResult.user.impersonatedBy) {
+        return error('Companies cannot be linked while impersonating', 403);
+    }
+
     const { userId, companyId } = authResult.user;
-    const { currentPassword, newPassword } = parseBody(event);
+    const { subdomain, username, password } = parseBody(event);
 
-    if (!currentPassword || !newPassword) {
-        return error('Current password and new password required', 400);
+    if (!subdomain || !username || !password) {
+        return error('Company ID, username and password required', 400);
     }
 
-    if (newPassword.length < 8) {
-        return error('New password must be at least 8 characters', 400);
+    const limit = await checkRateLimit(`link-company:user:${userId}`, 5, 15 * 60);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
     }
 
-    // Get user
-    const userResult = await query(
-        'SELECT * FROM users WHERE id = $1 AND company_id = $2',
-        [userId, companyId]
+    const candidates = await query(
+        `SELECT u.*, c.name as company_name, c.subdomain, c.plan, c.status as company_status, c.plan_expires_at,
+                c.settings as company_settings, c.sso_config
+        FROM users u
+        JOIN companies c ON u.company_id = c.id
+        WHERE c.subdomain = $1 AND c.status = 'active' AND u.status = 'active'
+        AND (LOWER(u.username) = LOWER($2) OR LOWER(u.email) = LOWER($2))`,
+        [String(subdomain).toLowerCase(), username]
     );
 
-    if (userResult.rows.length === 0) {
-        return error('User not found', 404);
+    let account = null;
+    for (const row of candidates.rows) {
+        if (await verifyPassword(password, row.password_hash)) {
+            account = row;
+            break;
+        }
     }
 
-    const user = userResult.rows[0];
+    if (!account) {
+        return error('Invalid company ID, username or password', 401);
+    }
 
-    // Verify current password
-    const validPassword = await verifyPassword(currentPassword, user.password_hash);
-    if (!validPassword) {
-        return error('Current password is incorrect', 401);
+    if (account.company_id === companyId) {
+        return error('You are already signed in to that company', 400);
     }
 
-    // Hash new password
-    const newHash = await hashPassword(newPassword);
+    // A password doesn't prove the account where the company requires single sign-on
+    const accountCompany = companyFromRow(account);
+    if (passwordLoginBlocked(accountCompany, account)) {
+        return error(`${accountCompany.name} signs in with single sign-on. Use your company's sign-in page.`, 403, { sso: true, subdomain: accountCompany.subdomain });
+    }
 
-    // Update password
-    await query(
-        'UPDATE users SET password_hash = $1 WHERE id = $2',
-        [newHash, userId]
-    );
+    const current = await query('SELECT * FROM users WHERE id = $1', [userId]);
+    const identityId = await linkUsers([userId, account.id], current.rows[0].email);
 
-    // Log the change
-    await query(
-        `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id)
-        VALUES ($1, $2, 'password_change', 'user', $3)`,
-        [companyId, userId, userId]
-    );
+    for (const member of [{ companyId, id: userId }, { companyId: account.company_id, id: account.id }]) {
+        await recordAudit(event, authResult.user, {
+            companyId: member.companyId,
+            action: 'identity_linked',
+            entityType: 'user',
+            entityId: member.id,
+            after: { identity_id: identityId, linked_user_ids: [userId, account.id] }
+        });
+    }
+
+    return success({
+        message: 'Company linked',
+        companies: await listMemberships({ ...current.rows[0], identity_id: identityId })
+    });
+}
+
+// Lets the app on a custom domain find its company before anyone signs in
+async function tenantInfo(event) {
+    const tenant = await resolveTenant(event);
+    if (!tenant.resolved) {
+        return error('Company not found. Please check the URL.', 404);
+    }
+
+    return success({ subdomain: tenant.company.subdomain, name: tenant.company.name });
+}
+
+// =====================================================
+// SINGLE SIGN-ON (OpenID Connect)
+// =====================================================
+
+async function ssoStatus(event) {
+    const tenant = await resolveTenant(event);
+    if (!tenant.resolved) {
+        return error('Company not found. Please check the URL.', 404);
+    }
+
+    const config = getSsoConfig(tenant.company);
+    return success({ enabled: !!config, enforced: !!(config && config.enforce) });
+}
+
+async function startSso(event) {
+    const ip = getClientIp(event);
+    const limit = await checkRateLimit(`sso-start:ip:${ip}`, 30, 15 * 60);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+
+    const tenant = await resolveTenant(event);
+    if (!tenant.resolved) {
+        return error('Company not found. Please check the URL.', 404);
+    }
+
+    const company = tenant.company;
+    const accessError = companyAccessError(company);
+    if (accessError) {
+        return error(accessError, 403);
+    }
+
+    if (!getSsoConfig(company)) {
+        return error('Single sign-on is not set up for this company', 404);
+    }
+
+    try {
+        const { authorizationUrl, state } = await startAuthorization(company);
+        return success({ authorization_url: authorizationUrl, state });
+    } catch (err) {
+        console.error('SSO start failed:', err);
+        return error('Could not reach your identity provider. Please try again later.', 502);
+    }
+}
+
+async function finishSso(event) {
+    const { code, state } = parseBody(event);
+
+    const ip = getClientIp(event);
+    const limit = await checkRateLimit(`sso-callback:ip:${ip}`, 20, 15 * 60);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+
+    if (!code || !state) {
+        return error('code and state required', 400);
+    }
+
+    const request = await consumeLoginRequest(state);
+    if (!request) {
+        return error('This sign-in has expired. Please try again.', 400);
+    }
+
+    const company = await getCompanyById(request.company_id);
+    const accessError = company ? companyAccessError(company) : 'Company not found';
+    if (accessError) {
+        return error(accessError, 403);
+    }
+
+    const config = getSsoConfig(company);
+    if (!config) {
+        return error('Single sign-on is not set up for this company', 400);
+    }
+
+    let claims;
+    try {
+        claims = await exchangeCode(company, request, code);
+    } catch (err) {
+        console.error('SSO code exchange failed:', err);
+        return error('Sign-in with your identity provider failed. Please try again.', 502);
+    }
+
+    const claimsProblem = claimsError(config, claims);
+    if (claimsProblem) {
+        return error(claimsProblem, 403);
+    }
+
+    const provisioned = await provisionSsoUser(company, config, claims, event);
+    if (provisioned.error) {
+        return error(provisioned.error, provisioned.status);
+    }
+
+    const user = provisioned.user;
+    if (user.status !== 'active') {
+        return error('Your account in this company is not active. Ask your administrator for access.', 403);
+    }
+
+    await recordLoginSuccess(event, {
+        subjectType: 'user',
+        account: user,
+        companyId: company.id,
+        loginId: user.email,
+        policy: getLoginProtectionPolicy(company.settings)
+    });
+
+    // The company's own two-factor rules still apply on top of the provider's
+    return await passwordAccepted(user, company, event, 'sso_login');
+}
+
+/**
+ * Find the user for an identity provider account, linking an existing user by email or creating one
+ * (just-in-time provisioning). Keeps the role in step with the provider when role_mapping matches.
+ * @returns {Promise<Object>} { user } or { error, status }
+ */
+async function provisionSsoUser(company, config, claims, event) {
+    const email = claims.email.toLowerCase();
+
+    let { role, mapped } = mapRole(config, claims);
+    if (role && !(await roleExists(company.id, role))) {
+        console.error(`SSO role mapping for ${company.subdomain} points at unknown role ${role}`);
+        role = null;
+        mapped = false;
+    }
+
+    // The provider account's own user first, then an unlinked user with the same email
+    const existing = await query(
+        `SELECT * FROM users
+         WHERE company_id = $1
+           AND ((sso_issuer = $2 AND sso_subject = $3) OR (sso_subject IS NULL AND LOWER(email) = $4))
+         ORDER BY (sso_subject IS NULL)
+         LIMIT 1`,
+        [company.id, config.issuer, claims.sub, email]
+    );
+
+    if (existing.rows.length > 0) {
+        const before = existing.rows[0];
+
+        // Linking by email trusts the company's provider, which its admins control. Accounts linked to
+        // other companies and admin accounts are never linked that way: an admin could otherwise sign in
+        // as them and switch into their other companies, or take over a fellow admin.
+        const linkingByEmail = !before.sso_subject;
+        if (linkingByEmail && (before.identity_id || before.role === 'admin')) {
+            return {
+                error: 'An account with this email already exists. Sign in with your password, or ask your administrator to link it.',
+                status: 409
+            };
+        }
+
+        const result = await query(
+            `UPDATE users SET sso_issuer = $2, sso_subject = $3, role = $4,
+                    identity_id = CASE WHEN sso_subject IS NULL THEN NULL ELSE identity_id END,
+                    email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [before.id, config.issuer, claims.sub, mapped ? role : before.role]
+        );
+        const user = result.rows[0];
+
+        await recordAudit(event, { userId: user.id, username: user.username }, {
+            companyId: company.id,
+            action: 'sso_sync',
+            entityType: 'user',
+            before,
+            after: user
+        });
+
+        return { user };
+    }
+
+    if (!role) {
+        return { error: 'Your identity provider account has no role in this company. Ask your administrator for access.', status: 403 };
+    }
+
+    const planLimit = await enforceTenantLimit(company.id, 'users');
+    if (planLimit.error) {
+        return { error: planLimit.error, status: planLimit.status };
+    }
+
+    // No password sign-in for provisioned users until an admin or a reset sets one
+    const unusablePassword = await hashPassword(crypto.randomBytes(32).toString('hex'));
+    const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email;
+
+    let user;
+    try {
+        const result = await query(
+            `INSERT INTO users (company_id, username, email, password_hash, name, role, email_verified_at, sso_issuer, sso_subject)
+             VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, $7, $8)
+             RETURNING *`,
+            [company.id, email.slice(0, 100), email, unusablePassword, String(name).slice(0, 255), role, config.issuer, claims.sub]
+        );
+        user = result.rows[0];
+    } catch (err) {
+        if (err.code === '23505') {
+            return { error: 'A user with this username already exists. Ask your administrator to link your account.', status: 409 };
+        }
+        throw err;
+    }
+
+    await recordAudit(event, { userId: user.id, username: user.username }, {
+        companyId: company.id,
+        action: 'sso_provisioned',
+        entityType: 'user',
+        after: user
+    });
+
+    return { user };
+}
+
+// =====================================================
+// TWO-FACTOR AUTHENTICATION
+// =====================================================
+
+// Active user and company for a 2FA step
+async function loadLoginUser(userId, companyId) {
+    const result = await query(
+        `SELECT u.*, c.name as company_name, c.subdomain, c.plan, c.status as company_status, c.plan_expires_at,
+                c.settings as company_settings, c.sso_config
+        FROM users u
+        JOIN companies c ON u.company_id = c.id
+        WHERE u.id = $1 AND u.company_id = $2 AND u.status = 'active'`,
+        [userId, companyId]
+    );
+    const user = result.rows[0];
+    if (!user || user.company_status !== 'active') return null;
+
+    return { user, company: companyFromRow(user) };
+}
+
+async function twoFactorRateLimit(subjectId) {
+    return await checkRateLimit(`2fa:user:${subjectId}`, 5, 5 * 60);
+}
+
+async function auditTwoFactor(companyId, userId, action, event, values = null) {
+    await query(
+        `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, new_values, ip_address)
+        VALUES ($1, $2, $3, 'user', $2, $4, $5)`,
+        [companyId, userId, action, values ? JSON.stringify(values) : null, getClientIp(event)]
+    );
+}
+
+/**
+ * Who a 2FA setup request is for: the signed-in user, or a user mid-login
+ * whose company requires enrollment (setup challenge token)
+ */
+async function twoFactorSubject(event, body) {
+    if (body.challengeToken) {
+        const challenge = verifyTwoFactorChallenge(body.challengeToken, 'user');
+        if (!challenge || !challenge.setup) {
+            return { error: 'Invalid or expired sign-in. Please sign in again.', status: 401 };
+        }
+        return { userId: challenge.subjectId, companyId: challenge.companyId, challenge };
+    }
+
+    const authResult = await requireAuth(event);
+    if (authResult.error) {
+        return { error: authResult.error, status: authResult.status };
+    }
+    // The second factor belongs to the user, not to whoever is acting as them
+    if (authResult.user.impersonatedBy) {
+        return { error: 'Two-factor settings cannot be changed while impersonating', status: 403 };
+    }
+    return { userId: authResult.user.userId, companyId: authResult.user.companyId, challenge: null };
+}
+
+async function verifyTwoFactorLogin(event) {
+    const { challengeToken, code } = parseBody(event);
+
+    const challenge = verifyTwoFactorChallenge(challengeToken, 'user');
+    if (!challenge || challenge.setup) {
+        return error('Invalid or expired sign-in. Please sign in again.', 401);
+    }
+
+    const limit = await twoFactorRateLimit(challenge.subjectId);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+
+    const loaded = await loadLoginUser(challenge.subjectId, challenge.companyId);
+    if (!loaded) {
+        return error('Invalid or expired sign-in. Please sign in again.', 401);
+    }
+
+    const check = await verifyTwoFactorCode('user', challenge.subjectId, code);
+    if (!check.valid) {
+        await auditTwoFactor(challenge.companyId, challenge.subjectId, 'two_factor_failed', event);
+        return error('Invalid authentication code', 401);
+    }
+
+    const extra = {};
+    if (check.method === 'backup_code') {
+        const status = await getTwoFactorStatus('user', challenge.subjectId);
+        extra.backupCodesRemaining = status.backup_codes_remaining;
+    }
+
+    return await completeLogin(loaded.user, loaded.company, event, challenge.action || 'login', extra);
+}
+
+async function getTwoFactorSettings(event) {
+    const authResult = await requireAuth(event);
+    if (authResult.error) {
+        return error(authResult.error, authResult.status);
+    }
+
+    const { userId, companyId, role } = authResult.user;
+    const company = await query('SELECT settings FROM companies WHERE id = $1', [companyId]);
+    const status = await getTwoFactorStatus('user', userId);
+
+    return success({
+        ...status,
+        required: isTwoFactorRequired(company.rows[0]?.settings, role)
+    });
+}
+
+async function setupTwoFactor(event) {
+    const body = parseBody(event);
+    const subject = await twoFactorSubject(event, body);
+    if (subject.error) {
+        return error(subject.error, subject.status);
+    }
+
+    const userResult = await query('SELECT username, email FROM users WHERE id = $1', [subject.userId]);
+    if (userResult.rows.length === 0) {
+        return error('User not found', 404);
+    }
+    const account = userResult.rows[0].email || userResult.rows[0].username;
+
+    const enrollment = await startEnrollment('user', subject.userId, account);
+    if (enrollment.error) {
+        return error(enrollment.error, 400);
+    }
+
+    return success(enrollment);
+}
+
+async function enableTwoFactor(event) {
+    const body = parseBody(event);
+    const subject = await twoFactorSubject(event, body);
+    if (subject.error) {
+        return error(subject.error, subject.status);
+    }
+
+    const limit = await twoFactorRateLimit(subject.userId);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+
+    const enrolled = await confirmEnrollment('user', subject.userId, body.code);
+    if (enrolled.error) {
+        return error(enrolled.error, 400);
+    }
+
+    await auditTwoFactor(subject.companyId, subject.userId, 'two_factor_enabled', event);
+
+    // Enrolling during sign-in finishes the sign-in
+    if (subject.challenge) {
+        const loaded = await loadLoginUser(subject.userId, subject.companyId);
+        if (!loaded) {
+            return error('Invalid or expired sign-in. Please sign in again.', 401);
+        }
+        return await completeLogin(loaded.user, loaded.company, event, subject.challenge.action || 'login', {
+            backupCodes: enrolled.backup_codes
+        });
+    }
+
+    return success({ message: 'Two-factor authentication enabled', backupCodes: enrolled.backup_codes });
+}
+
+async function turnOffTwoFactor(event) {
+    const authResult = await requireAuth(event);
+    if (authResult.error) {
+        return error(authResult.error, authResult.status);
+    }
+    if (authResult.user.impersonatedBy) {
+        return error('Two-factor settings cannot be changed while impersonating', 403);
+    }
+
+    const { userId, companyId, role } = authResult.user;
+    const { password, code } = parseBody(event);
+
+    const company = await query('SELECT settings FROM companies WHERE id = $1', [companyId]);
+    if (isTwoFactorRequired(company.rows[0]?.settings, role)) {
+        return error('Your company requires two-factor authentication for your role', 403);
+    }
+
+    const userResult = await query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+    if (!userResult.rows[0] || !(await verifyPassword(password || '', userResult.rows[0].password_hash))) {
+        return error('Password is incorrect', 401);
+    }
+
+    const limit = await twoFactorRateLimit(userId);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+    const check = await verifyTwoFactorCode('user', userId, code);
+    if (!check.valid) {
+        return error('Invalid authentication code', 401);
+    }
+
+    await disableTwoFactor('user', userId);
+    await auditTwoFactor(companyId, userId, 'two_factor_disabled', event);
+
+    return success({ message: 'Two-factor authentication disabled' });
+}
+
+async function newBackupCodes(event) {
+    const authResult = await requireAuth(event);
+    if (authResult.error) {
+        return error(authResult.error, authResult.status);
+    }
+    if (authResult.user.impersonatedBy) {
+        return error('Two-factor settings cannot be changed while impersonating', 403);
+    }
+
+    const { userId } = authResult.user;
+    const { code } = parseBody(event);
+
+    const limit = await twoFactorRateLimit(userId);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+    const check = await verifyTwoFactorCode('user', userId, code);
+    if (!check.valid) {
+        return error('Invalid authentication code', 401);
+    }
+
+    const row = await getTwoFactor('user', userId);
+    return success({ backupCodes: await regenerateBackupCodes(row.id) });
+}
+
+async function refreshSession(event) {
+    const { refreshToken } = parseBody(event);
+
+    const rotated = await rotateSession(refreshToken, event);
+    if (rotated.error) {
+        return error(rotated.error, 401);
+    }
+    const { session } = rotated;
+
+    const userResult = await query(
+        `SELECT u.*, c.status as company_status
+        FROM users u
+        JOIN companies c ON u.company_id = c.id
+        WHERE u.id = $1 AND u.company_id = $2`,
+        [session.user_id, session.company_id]
+    );
+    const user = userResult.rows[0];
+
+    if (!user || user.status !== 'active' || user.company_status !== 'active') {
+        await revokeSession(session.id, 'account_disabled');
+        return error('Account is disabled', 401);
+    }
+
+    // DC assignments are re-read so changes apply at the next refresh
+    const dcIds = await getUserDcIds({ query }, user.id);
+
+    return success({
+        token: generateToken(user, session.company_id, dcIds, session.id),
+        refreshToken: rotated.refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    });
+}
+
+async function logout(event) {
+    const { refreshToken, all } = parseBody(event);
+
+    // An expired access token shouldn't stop someone signing out, so the refresh token is enough
+    if (refreshToken && !all) {
+        await revokeSessionByRefreshToken(refreshToken, 'logout');
+        return success({ message: 'Signed out' });
+    }
+
+    const authResult = await requireAuth(event);
+    if (authResult.error) {
+        return error(authResult.error, authResult.status);
+    }
+
+    const { userId, sid, impersonatedBy } = authResult.user;
+
+    // Support sessions end when the token expires; they can't sign the user out
+    if (impersonatedBy) {
+        return success({ message: 'Signed out' });
+    }
+
+    if (all) {
+        await revokeUserSessions(userId, 'logout_all');
+    } else {
+        await revokeSession(sid, 'logout');
+    }
+
+    return success({ message: 'Signed out' });
+}
+
+async function getCurrentUser(event) {
+    const authResult = await requireAuth(event);
+    if (authResult.error) {
+        return error(authResult.error, authResult.status);
+    }
+
+    const { userId, companyId, impersonatedBy } = authResult.user;
+
+    const impersonation = await checkImpersonation(event, authResult.user);
+    if (impersonation.error) {
+        return error(impersonation.error, impersonation.status);
+    }
+
+    // Get fresh user data
+    const userResult = await query(
+        `SELECT u.*, c.name as company_name, c.subdomain, c.plan
+        FROM users u
+        JOIN companies c ON u.company_id = c.id
+        WHERE u.id = $1 AND u.company_id = $2`,
+        [userId, companyId]
+    );
+
+    if (userResult.rows.length === 0) {
+        return error('User not found', 404);
+    }
+
+    const user = userResult.rows[0];
+    const dcIds = await getUserDcIds({ query }, user.id);
+
+    // Get DC info if assigned
+    let dcInfo = null;
+    if (user.dc_id) {
+        const dcResult = await query(
+            'SELECT id, code, name, city, state FROM distribution_centers WHERE id = $1',
+            [user.dc_id]
+        );
+        dcInfo = dcResult.rows[0] || null;
+    }
+
+    return success({
+        user: {
+            id: user.id,
+            username: user.username,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            avatar: user.avatar,
+            dcId: user.dc_id,
+            dcIds,
+            permissions: await getRolePermissions(user.company_id, user.role),
+            driverId: user.driver_id,
+            lastLogin: user.last_login,
+            emailVerified: !!user.email_verified_at
+        },
+        company: {
+            id: user.company_id,
+            name: user.company_name,
+            subdomain: user.subdomain,
+            plan: user.plan
+        },
+        dc: dcInfo,
+        // Support sessions stay inside the impersonated company
+        companies: impersonatedBy ? [] : await listMemberships(user),
+        impersonatedBy
+    });
+}
+
+async function changePassword(event) {
+    const authResult = await requireAuth(event);
+    if (authResult.error) {
+        return error(authResult.error, authResult.status);
+    }
+
+    // The password belongs to the user, not to whoever is acting as them
+    if (authResult.user.impersonatedBy) {
+        return error('Password cannot be changed while impersonating', 403);
+    }
+
+    const { userId, companyId } = authResult.user;
+    const { currentPassword, newPassword } = parseBody(event);
+
+    if (!currentPassword || !newPassword) {
+        return error('Current password and new password required', 400);
+    }
+
+    if (newPassword.length < 8) {
+        return error('New password must be at least 8 characters', 400);
+    }
+
+    // Get user
+    const userResult = await query(
+        'SELECT * FROM users WHERE id = $1 AND company_id = $2',
+        [userId, companyId]
+    );
+
+    if (userResult.rows.length === 0) {
+        return error('User not found', 404);
+    }
+
+    const user = userResult.rows[0];
+
+    // Verify current password
+    const validPassword = await verifyPassword(currentPassword, user.password_hash);
+    if (!validPassword) {
+        return error('Current password is incorrect', 401);
+    }
+
+    // Hash new password
+    const newHash = await hashPassword(newPassword);
+
+    // Update password
+    await query(
+        'UPDATE users SET password_hash = $1 WHERE id = $2',
+        [newHash, userId]
+    );
+
+    // Log the change
+    await query(
+        `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id)
+        VALUES ($1, $2, 'password_change', 'user', $3)`,
+        [companyId, userId, userId]
+    );
+
+    // Sign out every other device; this one continues on a fresh session
+    await revokeUserSessions(userId, 'password_changed');
+    for (const linkedId of await syncIdentityPassword(userId, newHash)) {
+        await revokeUserSessions(linkedId, 'password_changed');
+    }
+    const refreshed = await query('SELECT * FROM users WHERE id = $1', [userId]);
+    const session = await createSession(refreshed.rows[0], companyId, authResult.user.dcIds || [], event);
+
+    return success({
+        message: 'Password changed successfully',
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+    });
+}
+
+function tooManyRequests(limit) {
+    return error('Too many requests. Please try again later.', 429, { retry_after: limit.retryAfter });
+}
+
+async function forgotPassword(event) {
+    const { email } = parseBody(event);
+
+    if (!email || typeof email !== 'string') {
+        return error('Email required', 400);
+    }
+
+    const ip = getClientIp(event);
+    const ipLimit = await checkRateLimit(`forgot-password:ip:${ip}`, 5, 15 * 60);
+    if (!ipLimit.allowed) {
+        return tooManyRequests(ipLimit);
+    }
+    const emailLimit = await checkRateLimit(`forgot-password:email:${email.toLowerCase()}`, 3, 60 * 60);
+    if (!emailLimit.allowed) {
+        return tooManyRequests(emailLimit);
+    }
+
+    // On a tenant URL only that company's account; from the portal, every company the email belongs to
+    const tenant = await resolveTenant(event);
+    const values = [email];
+    let tenantFilter = '';
+    if (tenant.resolved) {
+        values.push(tenant.company.id);
+        tenantFilter = ' AND c.id = $2';
+    }
+
+    const result = await query(
+        `SELECT u.id, u.name, u.email, u.company_id, c.subdomain
+        FROM users u
+        JOIN companies c ON u.company_id = c.id
+        WHERE LOWER(u.email) = LOWER($1) AND u.status = 'active' AND c.status = 'active'${tenantFilter}`,
+        values
+    );
+
+    for (const user of result.rows) {
+        const token = await createAuthToken('user', user.id, 'password_reset', ip);
+        await sendPasswordResetEmail(user, token, `/app?tenant=${user.subdomain}`);
+
+        await query(
+            `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, ip_address)
+            VALUES ($1, $2, 'password_reset_requested', 'user', $2, $3)`,
+            [user.company_id, user.id, ip]
+        );
+    }
+
+    // Same answer whether or not the email matched anything
+    return success({ message: FORGOT_PASSWORD_MESSAGE });
+}
+
+async function resetPassword(event) {
+    const { token, newPassword } = parseBody(event);
+
+    const ip = getClientIp(event);
+    const limit = await checkRateLimit(`reset-password:ip:${ip}`, 10, 15 * 60);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+
+    if (!token || !newPassword) {
+        return error('Token and new password required', 400);
+    }
+
+    if (newPassword.length < 8) {
+        return error('New password must be at least 8 characters', 400);
+    }
+
+    const { subjectId: userId } = await consumeAuthToken('user', 'password_reset', token) || {};
+    if (!userId) {
+        return error('Reset link is invalid or has expired', 400);
+    }
+
+    const newHash = await hashPassword(newPassword);
+
+    // Following the emailed link also proves the address works
+    const result = await query(
+        `UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING company_id`,
+        [newHash, userId]
+    );
+
+    if (result.rows.length === 0) {
+        return error('Reset link is invalid or has expired', 400);
+    }
+
+    await query(
+        `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, ip_address)
+        VALUES ($1, $2, 'password_reset', 'user', $2, $3)`,
+        [result.rows[0].company_id, userId, ip]
+    );
+
+    // Whoever had the old password loses their sessions, in every linked company.
+    // Proving the email address also lifts a lockout.
+    await unlockAccount('user', userId);
+    await revokeUserSessions(userId, 'password_reset');
+    for (const linkedId of await syncIdentityPassword(userId, newHash)) {
+        await revokeUserSessions(linkedId, 'password_reset');
+    }
+
+    return success({ message: 'Password has been reset. You can now sign in.' });
+}
+
+async function verifyEmail(event) {
+    const { token } = parseBody(event);
+
+    const ip = getClientIp(event);
+    const limit = await checkRateLimit(`verify-email:ip:${ip}`, 20, 15 * 60);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+
+    if (!token) {
+        return error('Token required', 400);
+    }
+
+    const { subjectId: userId, email } = await consumeAuthToken('user', 'email_verification', token) || {};
+    if (!userId) {
+        return error('Verification link is invalid or has expired', 400);
+    }
+
+    // Only verifies the address the link was sent to
+    const result = await query(
+        `UPDATE users SET email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND email = $2
+        RETURNING company_id, email`,
+        [userId, email]
+    );
+
+    if (result.rows.length === 0) {
+        return error('This link was sent to a different email address. Request a new verification email.', 400);
+    }
+
+    await query(
+        `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, ip_address)
+        VALUES ($1, $2, 'email_verified', 'user', $2, $3)`,
+        [result.rows[0].company_id, userId, ip]
+    );
+
+    return success({ message: 'Email address verified' });
+}
+
+async function resendVerification(event) {
+    const authResult = await requireAuth(event);
+    if (authResult.error) {
+        return error(authResult.error, authResult.status);
+    }
+
+    const impersonation = await checkImpersonation(event, authResult.user);
+    if (impersonation.error) {
+        return error(impersonation.error, impersonation.status);
+    }
+
+    const { userId, companyId } = authResult.user;
+
+    const limit = await checkRateLimit(`resend-verification:user:${userId}`, 3, 60 * 60);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+
+    const userResult = await query(
+        'SELECT id, company_id, name, email, email_verified_at FROM users WHERE id = $1 AND company_id = $2',
+        [userId, companyId]
+    );
+
+    if (userResult.rows.length === 0) {
+        return error('User not found', 404);
+    }
+
+    const user = userResult.rows[0];
+    if (user.email_verified_at) {
+        return error('Email address is already verified', 400);
+    }
+
+    await sendUserVerification(user, getClientIp(event));
 
-    return success({ message: 'Password changed successfully' });
+    return success({ message: `Verification email sent to ${user.email}` });
 }
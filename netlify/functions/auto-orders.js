@@ -0,0 +1,211 @@
+// Scheduled Auto Orders - Runs daily to create delivery orders for auto_delivery customers
+// Configure in netlify.toml with: [functions."auto-orders"] schedule = "0 5 * * *"
+
+const { query } = require('./utils/db');
+const { requireSuperAdmin } = require('./utils/auth');
+const { forecastCustomers } = require('./utils/forecast');
+const { enforceTenantLimit } = require('./utils/tenant');
+
+const DEFAULT_AUTO_ORDER_SETTINGS = {
+    enabled: true,
+    target_percent: 80,
+    lead_days: 3,
+    urgent_days: 2,
+    high_days: 5,
+    low_days: 21
+};
+
+exports.handler = async (event, context) => {
+    // This can be triggered by:
+    // 1. Netlify scheduled function (daily)
+    // 2. Manual POST request from super admin (optionally for one company)
+
+    let onlyCompanyId = null;
+    const headers = event.headers || {};
+    if (headers.authorization || headers.Authorization) {
+        const authResult = requireSuperAdmin(event);
+        if (authResult.error) {
+            return {
+                statusCode: authResult.status,
+                body: JSON.stringify({ error: authResult.error })
+            };
+        }
+        try {
+            onlyCompanyId = JSON.parse(event.body || '{}').company_id || null;
+        } catch (e) {
+            onlyCompanyId = null;
+        }
+    }
+
+    console.log('Starting auto order generation...');
+
+    const results = {
+        companies: 0,
+        customers_checked: 0,
+        orders_created: 0,
+        skipped_open_order: 0,
+        skipped_plan_limit: 0,
+        errors: []
+    };
+
+    try {
+        const companies = await query(
+            `SELECT id, name, settings FROM companies
+             WHERE status = 'active'${onlyCompanyId ? ' AND id = $1' : ''}`,
+            onlyCompanyId ? [onlyCompanyId] : []
+        );
+
+        for (const company of companies.rows) {
+            const settings = { ...DEFAULT_AUTO_ORDER_SETTINGS, ...(company.settings?.auto_order || {}) };
+            if (!settings.enabled) continue;
+
+            try {
+                results.companies++;
+                await processCompany(company, settings, results);
+            } catch (err) {
+                console.error(`Error processing ${company.name}:`, err);
+                results.errors.push(`${company.name}: ${err.message}`);
+            }
+        }
+
+        console.log('Auto order generation complete:', results);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Auto order generation complete',
+                results
+            })
+        };
+
+    } catch (err) {
+        console.error('Auto order error:', err);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: err.message })
+        };
+    }
+};
+
+async function processCompany(company, settings, results) {
+    const customers = await query(
+        `SELECT * FROM customers
+         WHERE company_id = $1 AND status = 'active' AND auto_delivery = true
+         AND tank_size > 0`,
+        [company.id]
+    );
+    if (customers.rows.length === 0) return;
+
+    results.customers_checked += customers.rows.length;
+
+    const forecasts = await forecastCustomers(company.id, customers.rows, { saveModels: true });
+    const forecastById = new Map(forecasts.map(f => [f.customer_id, f]));
+
+    for (const customer of customers.rows) {
+        const forecast = forecastById.get(customer.id);
+        const order = buildAutoOrder(customer, forecast, settings);
+        if (!order) continue;
+
+        // Auto orders count toward the monthly order cap like manual ones
+        const planLimit = await enforceTenantLimit(company.id, 'orders_per_month');
+        if (planLimit.error) {
+            results.skipped_plan_limit++;
+            continue;
+        }
+
+        const created = await createAutoOrder(company.id, customer, order);
+        if (created) {
+            results.orders_created++;
+        } else {
+            results.skipped_open_order++;
+        }
+    }
+}
+
+/**
+ * Decide whether a customer needs an order and what it should look like
+ * Returns null when no order is needed
+ */
+function buildAutoOrder(customer, forecast, settings) {
+    const tankSize = parseFloat(customer.tank_size);
+    const minimumLevel = parseFloat(customer.minimum_level ?? 20);
+
+    // No usage model - fall back to the last recorded level
+    const hasForecast = forecast && forecast.estimated_level !== null;
+    const level = hasForecast ? forecast.estimated_level : parseFloat(customer.current_level ?? 0);
+
+    const belowMinimum = level <= minimumLevel;
+    const dueSoon = hasForecast && forecast.days_to_minimum !== null && forecast.days_to_minimum <= settings.lead_days;
+    if (!belowMinimum && !dueSoon) return null;
+
+    // Fill to target, never more than the tank can hold
+    const targetGallons = (settings.target_percent - level) * tankSize / 100;
+    const roomGallons = (100 - level) * tankSize / 100;
+    const gallons = Math.floor(Math.min(targetGallons, roomGallons, tankSize));
+    if (gallons <= 0) return null;
+
+    const daysToEmpty = hasForecast ? forecast.days_to_empty : null;
+
+    return {
+        gallons,
+        level,
+        days_to_empty: daysToEmpty,
+        priority: priorityFor(daysToEmpty, level, settings),
+        requested_date: (hasForecast && forecast.recommended_delivery_date) || new Date().toISOString().slice(0, 10)
+    };
+}
+
+function priorityFor(daysToEmpty, level, settings) {
+    if (daysToEmpty === null) {
+        // Without a burn rate, go by how low the tank is
+        if (level <= 5) return 'urgent';
+        if (level <= 10) return 'high';
+        return 'normal';
+    }
+    if (daysToEmpty <= settings.urgent_days) return 'urgent';
+    if (daysToEmpty <= settings.high_days) return 'high';
+    if (daysToEmpty > settings.low_days) return 'low';
+    return 'normal';
+}
+
+/**
+ * Insert the order unless the customer already has an open (pending or scheduled) order.
+ * The NOT EXISTS guard covers manual orders; the partial unique index covers concurrent runs.
+ */
+async function createAutoOrder(companyId, customer, order) {
+    const orderNum = `ORD-${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 4).toUpperCase()}`;
+    const price = parseFloat(customer.price_per_gallon) || 2.50;
+
+    const result = await query(
+        `INSERT INTO orders (company_id, customer_id, dc_id, order_number, gallons_requested, price_per_gallon, total_amount, requested_date, delivery_window, status, priority, source, delivery_notes)
+         SELECT $1, $2, $3, $4, $5, $6, $7, $8, 'anytime', 'pending', $9, 'auto', $10
+         WHERE NOT EXISTS (
+            SELECT 1 FROM orders
+            WHERE customer_id = $2 AND company_id = $1 AND status IN ('pending', 'scheduled')
+         )
+         ON CONFLICT (customer_id) WHERE source = 'auto' AND status IN ('pending', 'scheduled') DO NOTHING
+         RETURNING id`,
+        [
+            companyId,
+            customer.id,
+            customer.preferred_dc_id,
+            orderNum,
+            order.gallons,
+            price,
+            Math.round(order.gallons * price * 100) / 100,
+            order.requested_date,
+            order.priority,
+            `Auto order: estimated level ${order.level}%${order.days_to_empty !== null ? `, ${order.days_to_empty} days to empty` : ''}`
+        ]
+    );
+
+    if (result.rows.length === 0) return false;
+
+    await query(
+        `INSERT INTO audit_log (company_id, action, entity_type, entity_id, new_values)
+         VALUES ($1, 'auto_order_created', 'order', $2, $3)`,
+        [companyId, result.rows[0].id, JSON.stringify({ customer_id: customer.id, ...order })]
+    );
+
+    return true;
+}
@@ -2,10 +2,10 @@
 // Configure in netlify.toml with: [functions."billing-cycle"] schedule = "0 6 * * *"
 
 const { query } = require('./utils/db');
+const { chargeSavedCard } = require('./utils/billing');
+const { openDunningCase } = require('./utils/dunning');
 const { sendInvoiceEmail, sendPaymentFailedEmail } = require('./utils/email');
 
-const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
-
 exports.handler = async (event, context) => {
     // This can be triggered by:
     // 1. Netlify scheduled function (daily)
@@ -70,7 +70,7 @@ exports.handler = async (event, context) => {
                 results.invoices_created++;
 
                 // Attempt to charge
-                const paymentResult = await processAutoPayment(company, invoice);
+                const paymentResult = await chargeSavedCard(company, invoice, 'Auto-payment');
 
                 if (paymentResult.success) {
                     results.payments_successful++;
@@ -84,8 +84,9 @@ exports.handler = async (event, context) => {
                     results.payments_failed++;
                     results.errors.push(`${company.name}: ${paymentResult.error}`);
                     
-                    // Send payment failed email
+                    // Send payment failed email; the dunning function retries from here
                     await sendPaymentFailedEmail(invoice, company, paymentResult.error);
+                    await openDunningCase({ query }, company.id, invoice.id, paymentResult.error);
                 }
 
             } catch (err) {
@@ -168,87 +169,6 @@ async function createMonthlyInvoice(company) {
     return invoice;
 }
 
-async function processAutoPayment(company, invoice) {
-    if (!STRIPE_SECRET_KEY) {
-        return { success: false, error: 'Stripe not configured' };
-    }
-
-    if (!company.stripe_customer_id || !company.payment_method_id) {
-        return { success: false, error: 'No payment method on file' };
-    }
-
-    try {
-        const stripe = require('stripe')(STRIPE_SECRET_KEY);
-
-        // Create payment intent and confirm immediately
-        const paymentIntent = await stripe.paymentIntents.create({
-            amount: Math.round(invoice.total * 100), // Stripe uses cents
-            currency: 'usd',
-            customer: company.stripe_customer_id,
-            payment_method: company.payment_method_id,
-            off_session: true,
-            confirm: true,
-            metadata: {
-                invoice_id: invoice.id,
-                invoice_number: invoice.invoice_number,
-                company_id: company.id
-            },
-            description: `Invoice ${invoice.invoice_number} - ${company.name}`
-        });
-
-        if (paymentIntent.status === 'succeeded') {
-            // Record payment
-            const paymentResult = await query(`
-                INSERT INTO payments (
-                    company_id, invoice_id, amount, payment_method, 
-                    transaction_id, status, description
-                )
-                VALUES ($1, $2, $3, 'card', $4, 'completed', 'Auto-payment')
-                RETURNING *
-            `, [company.id, invoice.id, invoice.total, paymentIntent.id]);
-
-            const payment = paymentResult.rows[0];
-
-            // Update invoice status
-            await query(`
-                UPDATE invoices 
-                SET status = 'paid', paid_at = CURRENT_TIMESTAMP 
-                WHERE id = $1
-            `, [invoice.id]);
-
-            // Add payment to ledger
-            await addLedgerEntry(
-                company.id,
-                'payment',
-                -parseFloat(invoice.total),
-                `Payment for ${invoice.invoice_number} (Auto-pay)`,
-                'payment',
-                payment.id,
-                'stripe',
-                null
-            );
-
-            return { success: true, payment };
-        } else {
-            return { success: false, error: `Payment status: ${paymentIntent.status}` };
-        }
-
-    } catch (err) {
-        console.error('Stripe payment error:', err);
-        
-        // Handle specific Stripe errors
-        if (err.code === 'card_declined') {
-            return { success: false, error: 'Card declined' };
-        } else if (err.code === 'expired_card') {
-            return { success: false, error: 'Card expired' };
-        } else if (err.code === 'insufficient_funds') {
-            return { success: false, error: 'Insufficient funds' };
-        }
-        
-        return { success: false, error: err.message };
-    }
-}
-
 async function generatePendingInvoices(results) {
     // Get companies without auto-pay that need invoicing
     const companies = await query(`
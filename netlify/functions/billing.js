@@ -1,8 +1,10 @@
 // Billing API - Super Admin endpoints
-const { query } = require('./utils/db');
+const { query, transaction } = require('./utils/db');
 const { requireSuperAdmin } = require('./utils/auth');
 const { success, error, handleOptions, parseBody } = require('./utils/response');
 const { sendInvoiceEmail } = require('./utils/email');
+const { getDunningSettings, resolveDunningForInvoice } = require('./utils/dunning');
+const { recordAudit } = require('./utils/audit');
 
 exports.handler = async (event, context) => {
     if (event.httpMethod === 'OPTIONS') {
@@ -66,7 +68,7 @@ exports.handler = async (event, context) => {
 
         // POST /billing/generate-monthly - Generate invoices for all active companies
         if (method === 'POST' && path === '/generate-monthly') {
-            return await generateMonthlyInvoices(authResult.admin);
+            return await generateMonthlyInvoices(event, authResult.admin);
         }
 
         // GET /billing/pricing - Get plan pricing
@@ -77,7 +79,7 @@ exports.handler = async (event, context) => {
         // PUT /billing/pricing/:plan - Update plan pricing
         if (method === 'PUT' && path.match(/^\/pricing\/[a-z]+$/)) {
             const plan = path.split('/')[2];
-            return await updatePricing(plan, event);
+            return await updatePricing(plan, event, authResult.admin);
         }
 
         // GET /billing/summary - Dashboard summary
@@ -85,6 +87,23 @@ exports.handler = async (event, context) => {
             return await getBillingSummary();
         }
 
+        // GET /billing/dunning - Every company with an open dunning case
+        if (method === 'GET' && path === '/dunning') {
+            return await listDunning();
+        }
+
+        // POST /billing/dunning/companies/:id/pause - Stop retries/escalation for one company
+        if (method === 'POST' && path.match(/^\/dunning\/companies\/[a-f0-9-]+\/pause$/)) {
+            const companyId = path.split('/')[3];
+            return await pauseDunning(companyId, event, authResult.admin);
+        }
+
+        // POST /billing/dunning/companies/:id/resume - Resume dunning for a company
+        if (method === 'POST' && path.match(/^\/dunning\/companies\/[a-f0-9-]+\/resume$/)) {
+            const companyId = path.split('/')[3];
+            return await resumeDunning(companyId, event, authResult.admin);
+        }
+
         return error('Not found', 404);
     } catch (err) {
         console.error('Billing error:', err);
@@ -172,6 +191,7 @@ async function createInvoice(event, admin) {
 
     // Add to ledger
     await addLedgerEntry(company_id, 'charge', total, `Invoice ${invoiceNumber}`, 'invoice', invoice.id, 'super_admin', admin.adminId);
+    await recordAudit(event, admin, { companyId: company_id, action: 'create', entityType: 'invoice', after: invoice });
 
     return success(invoice, 201);
 }
@@ -229,6 +249,7 @@ async function updateInvoice(invoiceId, event, admin) {
 
     updates.push('updated_at = CURRENT_TIMESTAMP');
     values.push(invoiceId);
+    const beforeResult = await query('SELECT * FROM invoices WHERE id = $1', [invoiceId]);
 
     const result = await query(`
         UPDATE invoices SET ${updates.join(', ')} WHERE id = $${paramCount + 1} RETURNING *
@@ -238,6 +259,17 @@ async function updateInvoice(invoiceId, event, admin) {
         return error('Invoice not found', 404);
     }
 
+    if (status === 'paid' || status === 'cancelled') {
+        await transaction(client => resolveDunningForInvoice(client, invoiceId));
+    }
+
+    await recordAudit(event, admin, {
+        companyId: result.rows[0].company_id,
+        action: 'update',
+        entityType: 'invoice',
+        before: beforeResult.rows[0],
+        after: result.rows[0]
+    });
     return success(result.rows[0]);
 }
 
@@ -271,6 +303,7 @@ async function recordPayment(invoiceId, event, admin) {
 
     // Add to ledger
     await addLedgerEntry(invoice.company_id, 'payment', -parseFloat(amount), `Payment for ${invoice.invoice_number}`, 'payment', payment.id, 'super_admin', admin.adminId);
+    await recordAudit(event, admin, { companyId: invoice.company_id, action: 'create', entityType: 'payment', after: payment });
 
     // Check if invoice is fully paid
     const paymentsTotal = await query(`
@@ -280,6 +313,14 @@ async function recordPayment(invoiceId, event, admin) {
     let invoicePaid = false;
     if (parseFloat(paymentsTotal.rows[0].total) >= parseFloat(invoice.total)) {
         await query(`UPDATE invoices SET status = 'paid', paid_at = CURRENT_TIMESTAMP WHERE id = $1`, [invoiceId]);
+        await transaction(client => resolveDunningForInvoice(client, invoiceId));
+        await recordAudit(event, admin, {
+            companyId: invoice.company_id,
+            action: 'update',
+            entityType: 'invoice',
+            before: { id: invoice.id, status: invoice.status },
+            after: { id: invoice.id, status: 'paid' }
+        });
         invoicePaid = true;
     }
 
@@ -345,7 +386,7 @@ async function getCompanyBalance(companyId) {
     });
 }
 
-async function generateMonthlyInvoices(admin) {
+async function generateMonthlyInvoices(event, admin) {
     // Get all active companies with paid plans
     const companies = await query(`
         SELECT c.*, pp.monthly_price
@@ -400,6 +441,7 @@ async function generateMonthlyInvoices(admin) {
 
         // Add to ledger
         await addLedgerEntry(company.id, 'charge', company.monthly_price, `Invoice ${invoiceNumber}`, 'invoice', invoice.id, 'super_admin', admin.adminId);
+        await recordAudit(event, admin, { companyId: company.id, action: 'create', entityType: 'invoice', after: invoice });
     }
 
     return success({ 
@@ -413,7 +455,7 @@ async function getPricing() {
     return success({ pricing: result.rows });
 }
 
-async function updatePricing(plan, event) {
+async function updatePricing(plan, event, admin) {
     const body = parseBody(event);
     const { monthly_price, annual_price, name, description } = body;
 
@@ -448,11 +490,16 @@ async function updatePricing(plan, event) {
 
     updates.push('updated_at = CURRENT_TIMESTAMP');
     values.push(plan);
+    const beforeResult = await query('SELECT * FROM plan_pricing WHERE plan = $1', [plan]);
 
     const result = await query(`
         UPDATE plan_pricing SET ${updates.join(', ')} WHERE plan = $${paramCount + 1} RETURNING *
     `, values);
 
+    if (result.rows.length > 0) {
+        await recordAudit(event, admin, { action: 'update', entityType: 'plan_pricing', before: beforeResult.rows[0], after: result.rows[0] });
+    }
+
     return success(result.rows[0]);
 }
 
@@ -500,6 +547,131 @@ async function getBillingSummary() {
     });
 }
 
+// =====================================================
+// DUNNING
+// =====================================================
+
+async function listDunning() {
+    const result = await query(`
+        SELECT dc.*, CURRENT_DATE - dc.started_at as days_in_dunning,
+               i.invoice_number, i.total, i.due_date, i.status as invoice_status,
+               c.name as company_name, c.subdomain, c.status as company_status, c.settings,
+               c.billing_read_only, c.dunning_paused, c.dunning_paused_at, c.dunning_pause_reason, c.auto_pay
+        FROM dunning_cases dc
+        JOIN invoices i ON dc.invoice_id = i.id
+        JOIN companies c ON dc.company_id = c.id
+        WHERE dc.status <> 'resolved'
+        ORDER BY dc.started_at
+    `);
+
+    // Group cases under their company
+    const companies = new Map();
+    for (const row of result.rows) {
+        if (!companies.has(row.company_id)) {
+            companies.set(row.company_id, {
+                company_id: row.company_id,
+                company_name: row.company_name,
+                subdomain: row.subdomain,
+                company_status: row.company_status,
+                billing_read_only: row.billing_read_only,
+                auto_pay: row.auto_pay,
+                paused: row.dunning_paused,
+                paused_at: row.dunning_paused_at,
+                pause_reason: row.dunning_pause_reason,
+                schedule: getDunningSettings(row.settings),
+                amount_overdue: 0,
+                cases: []
+            });
+        }
+        const company = companies.get(row.company_id);
+        company.amount_overdue = Math.round((company.amount_overdue + parseFloat(row.total)) * 100) / 100;
+        company.cases.push({
+            id: row.id,
+            invoice_id: row.invoice_id,
+            invoice_number: row.invoice_number,
+            invoice_total: parseFloat(row.total),
+            due_date: row.due_date,
+            status: row.status,
+            started_at: row.started_at,
+            days_in_dunning: parseInt(row.days_in_dunning),
+            retry_step: row.retry_step,
+            attempts: row.attempts,
+            last_attempt_at: row.last_attempt_at,
+            last_error: row.last_error,
+            last_notice: row.last_notice
+        });
+    }
+
+    return success({ companies: [...companies.values()] });
+}
+
+async function pauseDunning(companyId, event, admin) {
+    const body = parseBody(event);
+
+    const result = await query(`
+        UPDATE companies
+        SET dunning_paused = true, dunning_paused_at = CURRENT_TIMESTAMP, dunning_pause_reason = $1
+        WHERE id = $2 AND dunning_paused IS NOT TRUE
+        RETURNING id, name, dunning_paused, dunning_paused_at, dunning_pause_reason
+    `, [body.reason || null, companyId]);
+
+    if (result.rows.length === 0) {
+        const exists = await query('SELECT id FROM companies WHERE id = $1', [companyId]);
+        return exists.rows.length === 0
+            ? error('Company not found', 404)
+            : error('Dunning is already paused for this company', 400);
+    }
+
+    await recordAudit(event, admin, {
+        companyId,
+        action: 'dunning_paused',
+        entityType: 'company',
+        entityId: companyId,
+        after: { reason: body.reason || null }
+    });
+
+    return success(result.rows[0]);
+}
+
+async function resumeDunning(companyId, event, admin) {
+    return await transaction(async (client) => {
+        const company = await client.query(
+            'SELECT id, dunning_paused, dunning_paused_at FROM companies WHERE id = $1 FOR UPDATE',
+            [companyId]
+        );
+        if (company.rows.length === 0) {
+            return error('Company not found', 404);
+        }
+        if (!company.rows[0].dunning_paused) {
+            return error('Dunning is not paused for this company', 400);
+        }
+
+        // The schedule picks up where it stopped: paused days don't count toward retries or escalation
+        await client.query(`
+            UPDATE dunning_cases
+            SET started_at = started_at + (CURRENT_DATE - $1::date), updated_at = CURRENT_TIMESTAMP
+            WHERE company_id = $2 AND status <> 'resolved'
+        `, [company.rows[0].dunning_paused_at, companyId]);
+
+        const result = await client.query(`
+            UPDATE companies
+            SET dunning_paused = false, dunning_paused_at = NULL, dunning_pause_reason = NULL
+            WHERE id = $1
+            RETURNING id, name, dunning_paused
+        `, [companyId]);
+
+        await recordAudit(event, admin, {
+            companyId,
+            action: 'dunning_resumed',
+            entityType: 'company',
+            entityId: companyId,
+            db: client
+        });
+
+        return success(result.rows[0]);
+    });
+}
+
 async function addLedgerEntry(companyId, type, amount, description, refType, refId, createdByType, createdById) {
     // Get current balance
     const balanceResult = await query('SELECT balance FROM companies WHERE id = $1', [companyId]);
@@ -1,7 +1,17 @@
 // Companies Management API (Super Admin only)
 const { query, transaction } = require('./utils/db');
-const { requireSuperAdmin, hashPassword } = require('./utils/auth');
+const { requireSuperAdmin, hashPassword, generateImpersonationToken } = require('./utils/auth');
 const { success, error, handleOptions, parseBody, getPagination, paginatedResponse } = require('./utils/response');
+const { isImpersonationAllowed } = require('./utils/impersonation');
+const { TRIAL_DAYS, getTenantUsage, subdomainError } = require('./utils/tenant');
+const { getUserDcIds } = require('./utils/dc-scope');
+const { getClientIp } = require('./utils/rate-limit');
+const { recordAudit, queryAuditLog } = require('./utils/audit');
+const { unlockAccount } = require('./utils/login-protection');
+const {
+    isDomainPlan, domainError, normalizeHost, generateVerificationToken,
+    serializeDomain, verifyDomain, clearDomainCache
+} = require('./utils/domains');
 
 exports.handler = async (event, context) => {
     // Handle CORS preflight
@@ -30,6 +40,11 @@ exports.handler = async (event, context) => {
             return await getStats();
         }
 
+        // GET /companies/audit - Audit log across all tenants (filter with ?company_id=)
+        if (method === 'GET' && path === '/audit') {
+            return await listAuditLog(event);
+        }
+
         // GET /companies/:id - Get single company
         if (method === 'GET' && path.match(/^\/[a-f0-9-]+$/)) {
             const companyId = path.slice(1);
@@ -41,13 +56,13 @@ exports.handler = async (event, context) => {
             if (!admin.permissions.canCreateCompanies) {
                 return error('Permission denied', 403);
             }
-            return await createCompany(event);
+            return await createCompany(admin, event);
         }
 
         // PUT /companies/:id - Update company
         if (method === 'PUT' && path.match(/^\/[a-f0-9-]+$/)) {
             const companyId = path.slice(1);
-            return await updateCompany(companyId, event);
+            return await updateCompany(companyId, admin, event);
         }
 
         // DELETE /companies/:id - Delete company
@@ -56,13 +71,52 @@ exports.handler = async (event, context) => {
                 return error('Permission denied', 403);
             }
             const companyId = path.slice(1);
-            return await deleteCompany(companyId);
+            return await deleteCompany(companyId, admin, event);
         }
 
         // POST /companies/:id/setup-admin - Create initial admin user for company
         if (method === 'POST' && path.match(/^\/[a-f0-9-]+\/setup-admin$/)) {
             const companyId = path.split('/')[1];
-            return await setupCompanyAdmin(companyId, event);
+            return await setupCompanyAdmin(companyId, admin, event);
+        }
+
+        // POST /companies/:id/impersonate - Issue a short-lived token to act as a tenant user
+        if (method === 'POST' && path.match(/^\/[a-f0-9-]+\/impersonate$/)) {
+            if (!admin.permissions.canImpersonate) {
+                return error('Permission denied', 403);
+            }
+            const companyId = path.split('/')[1];
+            return await impersonateUser(companyId, admin, event);
+        }
+
+        // POST /companies/:id/users/:userId/unlock - Lift a tenant user's sign-in lockout
+        if (method === 'POST' && path.match(/^\/[a-f0-9-]+\/users\/[a-f0-9-]+\/unlock$/)) {
+            const [, companyId, , userId] = path.split('/');
+            return await unlockCompanyUser(companyId, userId, admin, event);
+        }
+
+        // GET /companies/:id/domains - Custom domains and their DNS verification records
+        if (method === 'GET' && path.match(/^\/[a-f0-9-]+\/domains$/)) {
+            const companyId = path.split('/')[1];
+            return await listDomains(companyId);
+        }
+
+        // POST /companies/:id/domains - Add a custom domain (unverified until its TXT record checks out)
+        if (method === 'POST' && path.match(/^\/[a-f0-9-]+\/domains$/)) {
+            const companyId = path.split('/')[1];
+            return await addDomain(companyId, admin, event);
+        }
+
+        // POST /companies/:id/domains/:domainId/verify - Check the domain's DNS TXT record
+        if (method === 'POST' && path.match(/^\/[a-f0-9-]+\/domains\/[a-f0-9-]+\/verify$/)) {
+            const [, companyId, , domainId] = path.split('/');
+            return await checkDomain(companyId, domainId, admin, event);
+        }
+
+        // DELETE /companies/:id/domains/:domainId - Remove a custom domain
+        if (method === 'DELETE' && path.match(/^\/[a-f0-9-]+\/domains\/[a-f0-9-]+$/)) {
+            const [, companyId, , domainId] = path.split('/');
+            return await removeDomain(companyId, domainId, admin, event);
         }
 
         return error('Not found', 404);
@@ -145,6 +199,12 @@ async function getStats() {
     return success(result.rows[0]);
 }
 
+async function listAuditLog(event) {
+    const page = await queryAuditLog(event, null);
+    if (page.error) return error(page.error, page.status);
+    return success(page);
+}
+
 async function getCompany(companyId) {
     const result = await query(
         `SELECT 
@@ -176,7 +236,8 @@ async function getCompany(companyId) {
 
     // Get users
     const usersResult = await query(
-        `SELECT id, username, name, email, role, status, last_login 
+        `SELECT id, username, name, email, role, status, last_login, failed_login_count,
+                CASE WHEN locked_until > CURRENT_TIMESTAMP THEN locked_until END as locked_until
         FROM users 
         WHERE company_id = $1 
         ORDER BY created_at DESC`,
@@ -186,56 +247,152 @@ async function getCompany(companyId) {
     return success({
         ...result.rows[0],
         recent_activity: activityResult.rows,
-        users: usersResult.rows
+        users: usersResult.rows,
+        usage: await getTenantUsage(result.rows[0])
+    });
+}
+
+async function unlockCompanyUser(companyId, userId, admin, event) {
+    const unlocked = await unlockAccount('user', userId, companyId);
+    if (!unlocked) {
+        return error('User not found', 404);
+    }
+
+    await recordAudit(event, admin, {
+        companyId,
+        action: 'account_unlocked',
+        entityType: 'user',
+        entityId: userId,
+        before: { failed_login_count: unlocked.failed_login_count, locked_until: unlocked.locked_until },
+        after: { failed_login_count: 0, locked_until: null }
     });
+
+    return success({ message: 'Account unlocked' });
+}
+
+// Custom domains (dispatch.theirpropane.com); see utils/domains.js for verification and lookup
+async function listDomains(companyId) {
+    const result = await query(
+        'SELECT * FROM company_domains WHERE company_id = $1 ORDER BY created_at',
+        [companyId]
+    );
+    return success(result.rows.map(serializeDomain));
 }
 
-async function createCompany(event) {
+async function addDomain(companyId, admin, event) {
     const body = parseBody(event);
-    const { name, subdomain, email, phone, address, city, state, zip, plan } = body;
+    const domain = normalizeHost(body.domain);
 
-    // Validation
-    if (!name || !subdomain || !email) {
-        return error('Name, subdomain, and email are required', 400);
+    const domainProblem = domainError(domain);
+    if (domainProblem) {
+        return error(domainProblem, 400);
+    }
+
+    const companyResult = await query('SELECT id, plan FROM companies WHERE id = $1', [companyId]);
+    if (companyResult.rows.length === 0) {
+        return error('Company not found', 404);
+    }
+    if (!isDomainPlan(companyResult.rows[0].plan)) {
+        return error('Custom domains need the Professional or Enterprise plan', 402);
+    }
+
+    let result;
+    try {
+        result = await query(
+            `INSERT INTO company_domains (company_id, domain, verification_token, created_by)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [companyId, domain, generateVerificationToken(), admin.adminId]
+        );
+    } catch (err) {
+        if (err.code === '23505') {
+            return error('This domain is already in use', 409);
+        }
+        throw err;
     }
 
-    // Validate subdomain format
-    const subdomainRegex = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
-    if (!subdomainRegex.test(subdomain.toLowerCase())) {
-        return error('Invalid subdomain format. Use lowercase letters, numbers, and hyphens only.', 400);
+    const added = result.rows[0];
+    await recordAudit(event, admin, {
+        companyId,
+        action: 'create',
+        entityType: 'company_domain',
+        entityId: added.id,
+        after: { domain: added.domain }
+    });
+
+    return success(serializeDomain(added), 201);
+}
+
+async function checkDomain(companyId, domainId, admin, event) {
+    const existing = await query(
+        'SELECT * FROM company_domains WHERE id = $1 AND company_id = $2',
+        [domainId, companyId]
+    );
+    if (existing.rows.length === 0) {
+        return error('Domain not found', 404);
     }
 
-    // Reserved subdomains
-    const reserved = ['www', 'app', 'api', 'admin', 'mail', 'ftp', 'localhost', 'test', 'demo', 'staging'];
-    if (reserved.includes(subdomain.toLowerCase())) {
-        return error('This subdomain is reserved', 400);
+    const before = existing.rows[0];
+    const checked = await verifyDomain(before);
+
+    // Only changes of state are worth an audit entry, not every re-check
+    if (!!before.verified_at !== !!checked.verified_at) {
+        await recordAudit(event, admin, {
+            companyId,
+            action: checked.verified_at ? 'domain_verified' : 'domain_verification_lost',
+            entityType: 'company_domain',
+            entityId: domainId,
+            before: { domain: before.domain, verified_at: before.verified_at },
+            after: { domain: checked.domain, verified_at: checked.verified_at, last_check_error: checked.last_check_error }
+        });
     }
 
-    // Check if subdomain exists
-    const existingResult = await query(
-        'SELECT id FROM companies WHERE subdomain = $1',
-        [subdomain.toLowerCase()]
+    return success(serializeDomain(checked));
+}
+
+async function removeDomain(companyId, domainId, admin, event) {
+    const result = await query(
+        'DELETE FROM company_domains WHERE id = $1 AND company_id = $2 RETURNING *',
+        [domainId, companyId]
     );
+    if (result.rows.length === 0) {
+        return error('Domain not found', 404);
+    }
+
+    const removed = result.rows[0];
+    clearDomainCache(removed.domain);
 
-    if (existingResult.rows.length > 0) {
-        return error('Subdomain already taken', 400);
+    await recordAudit(event, admin, {
+        companyId,
+        action: 'delete',
+        entityType: 'company_domain',
+        entityId: domainId,
+        before: { domain: removed.domain, verified_at: removed.verified_at }
+    });
+
+    return success({ message: 'Domain removed' });
+}
+
+async function createCompany(admin, event) {
+    const body = parseBody(event);
+    const { name, subdomain, email, phone, address, city, state, zip, plan } = body;
+
+    // Validation
+    if (!name || !subdomain || !email) {
+        return error('Name, subdomain, and email are required', 400);
     }
 
-    // Set plan limits
-    const planLimits = {
-        trial: { max_users: 5, max_distribution_centers: 1, max_trucks: 5 },
-        starter: { max_users: 10, max_distribution_centers: 2, max_trucks: 15 },
-        professional: { max_users: 50, max_distribution_centers: 10, max_trucks: 50 },
-        enterprise: { max_users: 999, max_distribution_centers: 999, max_trucks: 999 }
-    };
-    const limits = planLimits[plan] || planLimits.trial;
+    const subdomainProblem = await subdomainError(subdomain);
+    if (subdomainProblem) {
+        return error(subdomainProblem, 400);
+    }
 
     // Calculate plan expiry (30 days for trial)
     const planStarted = new Date();
     let planExpires = null;
     if (plan === 'trial' || !plan) {
         planExpires = new Date();
-        planExpires.setDate(planExpires.getDate() + 30);
+        planExpires.setDate(planExpires.getDate() + TRIAL_DAYS);
     }
 
     // Create company
@@ -258,19 +415,22 @@ async function createCompany(event) {
             plan || 'trial',
             planStarted,
             planExpires,
-            limits.max_users,
-            limits.max_distribution_centers,
-            limits.max_trucks
+            // Plan limits apply unless a per-company override is given (see utils/tenant.js)
+            body.max_users ?? null,
+            body.max_distribution_centers ?? null,
+            body.max_trucks ?? null
         ]
     );
 
+    await recordAudit(event, admin, { companyId: result.rows[0].id, action: 'create', entityType: 'company', after: result.rows[0] });
     return success(result.rows[0], 201);
 }
 
-async function updateCompany(companyId, event) {
+async function updateCompany(companyId, admin, event) {
     const body = parseBody(event);
     const allowedFields = ['name', 'email', 'phone', 'address', 'city', 'state', 'zip', 
-                          'plan', 'status', 'max_users', 'max_distribution_centers', 'max_trucks', 'settings'];
+                          'plan', 'status', 'max_users', 'max_distribution_centers', 'max_trucks',
+                          'max_customers', 'max_orders_per_month', 'settings'];
 
     const updates = [];
     const values = [];
@@ -297,7 +457,7 @@ async function updateCompany(companyId, event) {
         if (body.plan === 'trial') {
             paramCount++;
             const expires = new Date();
-            expires.setDate(expires.getDate() + 30);
+            expires.setDate(expires.getDate() + TRIAL_DAYS);
             updates.push(`plan_expires_at = $${paramCount}`);
             values.push(expires);
         } else {
@@ -310,6 +470,7 @@ async function updateCompany(companyId, event) {
     paramCount++;
     values.push(companyId);
 
+    const beforeResult = await query('SELECT * FROM companies WHERE id = $1', [companyId]);
     const result = await query(
         `UPDATE companies SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
         values
@@ -319,11 +480,13 @@ async function updateCompany(companyId, event) {
         return error('Company not found', 404);
     }
 
+    await recordAudit(event, admin, { companyId, action: 'update', entityType: 'company', before: beforeResult.rows[0], after: result.rows[0] });
     return success(result.rows[0]);
 }
 
-async function deleteCompany(companyId) {
+async function deleteCompany(companyId, admin, event) {
     // Soft delete - set status to cancelled
+    const beforeResult = await query('SELECT * FROM companies WHERE id = $1', [companyId]);
     const result = await query(
         `UPDATE companies SET status = 'cancelled' WHERE id = $1 RETURNING *`,
         [companyId]
@@ -333,10 +496,11 @@ async function deleteCompany(companyId) {
         return error('Company not found', 404);
     }
 
+    await recordAudit(event, admin, { companyId, action: 'delete', entityType: 'company', before: beforeResult.rows[0], after: result.rows[0] });
     return success({ message: 'Company cancelled', company: result.rows[0] });
 }
 
-async function setupCompanyAdmin(companyId, event) {
+async function setupCompanyAdmin(companyId, admin, event) {
     const body = parseBody(event);
     const { username, email, password, name } = body;
 
@@ -370,8 +534,98 @@ async function setupCompanyAdmin(companyId, event) {
         [companyId, username, email, passwordHash, name]
     );
 
+    await recordAudit(event, admin, { companyId, action: 'create', entityType: 'user', after: result.rows[0] });
     return success({
         message: 'Admin user created',
         user: result.rows[0]
     }, 201);
 }
+
+async function impersonateUser(companyId, admin, event) {
+    const body = parseBody(event);
+    const { user_id, reason } = body;
+
+    if (!reason || !String(reason).trim()) {
+        return error('A reason is required to impersonate a user', 400);
+    }
+
+    const companyResult = await query('SELECT * FROM companies WHERE id = $1', [companyId]);
+    const company = companyResult.rows[0];
+    if (!company) {
+        return error('Company not found', 404);
+    }
+
+    if (company.status !== 'active') {
+        return error(`Cannot impersonate users of a ${company.status} company`, 400);
+    }
+
+    if (!isImpersonationAllowed(company.settings)) {
+        return error('This company has disabled support impersonation', 403);
+    }
+
+    // Default to the company's original admin
+    const userResult = user_id
+        ? await query(
+            `SELECT id, username, name, email, role, avatar, dc_id, dc_scoped, driver_id, email_verified_at, token_version
+             FROM users WHERE id = $1 AND company_id = $2 AND status = 'active'`,
+            [user_id, companyId]
+        )
+        : await query(
+            `SELECT id, username, name, email, role, avatar, dc_id, dc_scoped, driver_id, email_verified_at, token_version
+             FROM users WHERE company_id = $1 AND role = 'admin' AND status = 'active'
+             ORDER BY created_at LIMIT 1`,
+            [companyId]
+        );
+
+    const user = userResult.rows[0];
+    if (!user) {
+        return error(user_id ? 'User not found or inactive' : 'Company has no active admin user', 404);
+    }
+
+    const dcIds = await getUserDcIds({ query }, user.id);
+    const token = generateImpersonationToken(user, companyId, admin, dcIds);
+
+    const headers = event.headers || {};
+    await query(
+        `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, new_values, ip_address, user_agent)
+         VALUES ($1, $2, 'impersonation_started', 'user', $2, $3, $4, $5)`,
+        [
+            companyId,
+            user.id,
+            JSON.stringify({
+                admin_id: admin.adminId,
+                admin_username: admin.username,
+                reason: String(reason).trim()
+            }),
+            getClientIp(event),
+            headers['user-agent'] || headers['User-Agent'] || null
+        ]
+    );
+
+    return success({
+        token,
+        expires_in: 30 * 60,
+        user: {
+            id: user.id,
+            username: user.username,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            avatar: user.avatar,
+            dcId: user.dc_id,
+            dcIds,
+            driverId: user.driver_id,
+            emailVerified: !!user.email_verified_at
+        },
+        company: {
+            id: company.id,
+            name: company.name,
+            subdomain: company.subdomain,
+            plan: company.plan
+        },
+        impersonatedBy: {
+            adminId: admin.adminId,
+            username: admin.username
+        }
+    });
+}
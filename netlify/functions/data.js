@@ -1,7 +1,26 @@
 // Main Data API - Tenant CRUD operations
-const { query, transaction } = require('./utils/db');
-const { requireAuth, requireRole } = require('./utils/auth');
-const { success, error, handleOptions, parseBody, getPagination, paginatedResponse } = require('./utils/response');
+const { query, transaction, getCompanyById } = require('./utils/db');
+const { authenticateTenant } = require('./utils/tenant-auth');
+const { checkBillingAccess, enforceTenantLimit, getTenantUsage } = require('./utils/tenant');
+const { isImpersonationAllowed } = require('./utils/impersonation');
+const { getDcScope, dcScopeClause, canAccessDc, resolveDcForWrite, setUserDcIds } = require('./utils/dc-scope');
+const { revokeSession, revokeUserSessions, expireAccessTokens, listUserSessions } = require('./utils/sessions');
+const { getTwoFactorPolicy, isTwoFactorEnabled } = require('./utils/two-factor');
+const { API_KEY_EXCLUDED_PERMISSIONS, generateApiKey, serializeApiKey } = require('./utils/api-keys');
+const { getClientIp } = require('./utils/rate-limit');
+const { recordAudit, findAuditRow, queryAuditLog } = require('./utils/audit');
+const { getOnboarding } = require('./utils/onboarding');
+const { getLoginProtectionPolicy, loginProtectionPolicyError, unlockAccount } = require('./utils/login-protection');
+const { isSsoPlan, serializeSsoConfig, buildSsoConfig, discover } = require('./utils/oidc');
+const { PERMISSIONS, DEFAULT_ROLES, LOCKED_ROLES, normalizePermissions, unknownPermissions, getRolePermissions, hasPermission, listRoles, roleExists } = require('./utils/permissions');
+const { success, error, handleOptions, parseBody } = require('./utils/response');
+const { invalidPathId, checkValue, validate, validationError, validateBody, parseJsonBody } = require('./utils/validation');
+const { SCHEMAS, UPDATABLE_FIELDS, TRUCK_BASE_FIELDS, TRUCK_ENHANCED_FIELDS } = require('./utils/schemas');
+const { isUpdateMethod, buildSetClauses } = require('./utils/updates');
+const { listQuery } = require('./utils/list-query');
+const { LISTS } = require('./utils/lists');
+const { truckLoadCapacity } = require('./utils/routing');
+const { forecastCustomers, forecastCustomer, getForecastSettings, heatingDegreeDays, averageTemp } = require('./utils/forecast');
 
 exports.handler = async (event, context) => {
     // Handle CORS preflight
@@ -9,24 +28,41 @@ exports.handler = async (event, context) => {
         return handleOptions();
     }
 
-    // Require authentication
-    const authResult = requireAuth(event);
-    if (authResult.error) {
-        return error(authResult.error, authResult.status);
-    }
-
-    const user = authResult.user;
-    const { companyId, role } = user;
-    
     const path = event.path.replace('/.netlify/functions/data', '');
     const method = event.httpMethod;
 
     try {
+        // Require authentication
+        const authResult = await authenticateTenant(event);
+        if (authResult.error) {
+            return error(authResult.error, authResult.status, authResult.details);
+        }
+
+        const user = authResult.user;
+        const { companyId } = user;
+
+        // Role keys (/roles/:key) are names like 'cafe' or '123', not ids
+        const badId = path.startsWith('/roles') ? null : invalidPathId(path);
+        if (badId) {
+            return error(`Invalid id: ${badId}`, 400);
+        }
+
+        const company = await getCompanyById(companyId);
+        const billingAccess = checkBillingAccess(company, method);
+        if (billingAccess.error) {
+            return error(billingAccess.error, billingAccess.status);
+        }
+
         // GET /data - Get all data (dashboard)
         if (method === 'GET' && path === '') {
             return await getAllData(companyId, user);
         }
 
+        // GET /data/usage - Consumption against plan limits
+        if (method === 'GET' && path === '/usage') {
+            return success(await getTenantUsage(company));
+        }
+
         // Distribution Centers
         if (path.startsWith('/distribution-centers')) {
             return await handleDistributionCenters(method, path, companyId, user, event);
@@ -57,12 +93,67 @@ exports.handler = async (event, context) => {
             return await handleRoutes(method, path, companyId, user, event);
         }
 
-        // Users (admin only)
+        // Users
         if (path.startsWith('/users')) {
-            if (role !== 'admin') {
-                return error('Admin access required', 403);
+            if (!hasPermission(user, 'users.manage')) {
+                return error('Access denied', 403);
+            }
+            return await handleUsers(method, path, companyId, user, event);
+        }
+
+        // Roles and permissions
+        if (path.startsWith('/roles')) {
+            return await handleRoles(method, path, companyId, user, event);
+        }
+
+        // API keys for integrations
+        if (path.startsWith('/api-keys')) {
+            if (!hasPermission(user, 'api_keys.manage')) {
+                return error('Access denied', 403);
             }
-            return await handleUsers(method, path, companyId, event);
+            return await handleApiKeys(method, path, companyId, user, event);
+        }
+
+        // GET /data/audit - Audit trail (filters: entity_type, entity_id, user_id, actor_type, action, created_at, from, to)
+        if (method === 'GET' && path === '/audit') {
+            if (!hasPermission(user, 'audit.view')) {
+                return error('Access denied', 403);
+            }
+            const page = await queryAuditLog(event, companyId);
+            if (page.error) return error(page.error, page.status);
+            return success(page);
+        }
+
+        // Security policy (two-factor requirements)
+        if (path === '/security') {
+            if (!hasPermission(user, 'settings.manage')) {
+                return error('Access denied', 403);
+            }
+            return await handleSecuritySettings(method, companyId, user, event);
+        }
+
+        // Single sign-on (OpenID Connect) settings
+        if (path === '/sso') {
+            if (!hasPermission(user, 'settings.manage')) {
+                return error('Access denied', 403);
+            }
+            return await handleSsoSettings(method, companyId, user, event);
+        }
+
+        // Onboarding checklist for new companies
+        if (path.startsWith('/onboarding')) {
+            if (!hasPermission(user, 'settings.manage')) {
+                return error('Access denied', 403);
+            }
+            return await handleOnboarding(method, path, companyId, user, event);
+        }
+
+        // Support impersonation opt-out
+        if (path === '/impersonation') {
+            if (!hasPermission(user, 'settings.manage')) {
+                return error('Access denied', 403);
+            }
+            return await handleImpersonationSettings(method, companyId, user, event);
         }
 
         return error('Not found', 404);
@@ -78,30 +169,31 @@ exports.handler = async (event, context) => {
 
 async function getAllData(companyId, user) {
     // Build DC filter based on user's access
-    let dcFilter = '';
     const params = [companyId];
-    
-    if (user.dcId) {
-        dcFilter = ' AND dc_id = $2';
-        params.push(user.dcId);
+    const scope = getDcScope(user);
+    if (scope) {
+        params.push(scope);
     }
+    const dcFilter = (column) => scope ? ` AND ${column} = ANY($2)` : '';
+    // Sections the user's role can't view come back empty
+    const load = (permission, sql) => hasPermission(user, permission) ? query(sql, params) : { rows: [] };
 
     const [dcs, trucks, drivers, customers, orders, routes] = await Promise.all([
-        query('SELECT * FROM distribution_centers WHERE company_id = $1 ORDER BY name', [companyId]),
-        query(`SELECT * FROM trucks WHERE company_id = $1${user.dcId ? ' AND dc_id = $2' : ''} ORDER BY code`, params),
-        query(`SELECT * FROM drivers WHERE company_id = $1${user.dcId ? ' AND dc_id = $2' : ''} ORDER BY name`, params),
-        query(`SELECT * FROM customers WHERE company_id = $1${user.dcId ? ' AND preferred_dc_id = $2' : ''} ORDER BY name`, params),
-        query(`SELECT o.*, c.name as customer_name, c.address as customer_address, c.city as customer_city, c.lat, c.lng
+        load('dcs.view', `SELECT * FROM distribution_centers WHERE company_id = $1${dcFilter('id')} ORDER BY name`),
+        load('trucks.view', `SELECT * FROM trucks WHERE company_id = $1${dcFilter('dc_id')} ORDER BY code`),
+        load('drivers.view', `SELECT * FROM drivers WHERE company_id = $1${dcFilter('dc_id')} ORDER BY name`),
+        load('customers.view', `SELECT * FROM customers WHERE company_id = $1${dcFilter('preferred_dc_id')} ORDER BY name`),
+        load('orders.view', `SELECT o.*, c.name as customer_name, c.address as customer_address, c.city as customer_city, c.lat, c.lng
                FROM orders o 
                JOIN customers c ON o.customer_id = c.id 
-               WHERE o.company_id = $1${user.dcId ? ' AND o.dc_id = $2' : ''} 
-               ORDER BY o.created_at DESC LIMIT 100`, params),
-        query(`SELECT r.*, d.name as driver_name, t.name as truck_name
+               WHERE o.company_id = $1${dcFilter('o.dc_id')} 
+               ORDER BY o.created_at DESC LIMIT 100`),
+        load('routes.view', `SELECT r.*, d.name as driver_name, t.name as truck_name
                FROM routes r
                LEFT JOIN drivers d ON r.driver_id = d.id
                LEFT JOIN trucks t ON r.truck_id = t.id
-               WHERE r.company_id = $1${user.dcId ? ' AND r.dc_id = $2' : ''}
-               ORDER BY r.scheduled_date DESC LIMIT 50`, params)
+               WHERE r.company_id = $1${dcFilter('r.dc_id')}
+               ORDER BY r.scheduled_date DESC LIMIT 50`)
     ]);
 
     return success({
@@ -121,16 +213,25 @@ async function getAllData(companyId, user) {
 async function handleDistributionCenters(method, path, companyId, user, event) {
     const subPath = path.replace('/distribution-centers', '');
 
+    if (method === 'GET' && !hasPermission(user, 'dcs.view')) {
+        return error('Access denied', 403);
+    }
+
     if (method === 'GET' && subPath === '') {
-        const result = await query(
-            'SELECT * FROM distribution_centers WHERE company_id = $1 ORDER BY name',
-            [companyId]
-        );
-        return success(result.rows);
+        const params = [companyId];
+        const page = await listQuery(event, LISTS.distribution_center, {
+            select: 'dc.*',
+            from: 'distribution_centers dc',
+            where: `dc.company_id = $1${dcScopeClause(user, 'dc.id', params)}`,
+            params
+        });
+        if (page.error) return error(page.error, page.status);
+        return success(page);
     }
 
     if (method === 'GET' && subPath.match(/^\/[a-f0-9-]+$/)) {
         const id = subPath.slice(1);
+        if (!canAccessDc(user, id)) return error('Not found', 404);
         const result = await query(
             'SELECT * FROM distribution_centers WHERE id = $1 AND company_id = $2',
             [id, companyId]
@@ -140,42 +241,148 @@ async function handleDistributionCenters(method, path, companyId, user, event) {
     }
 
     if (method === 'POST' && subPath === '') {
-        if (!requireRole(user, ['admin'])) {
-            return error('Admin access required', 403);
+        if (!hasPermission(user, 'dcs.create')) {
+            return error('Access denied', 403);
         }
-        const body = parseBody(event);
+
+        const planLimit = await enforceTenantLimit(companyId, 'distribution_centers');
+        if (planLimit.error) {
+            return error(planLimit.error, planLimit.status, planLimit.details);
+        }
+
+        const input = validateBody(event, SCHEMAS.distribution_center);
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
         const result = await query(
             `INSERT INTO distribution_centers (company_id, code, name, address, city, state, zip, phone, lat, lng, manager_name, capacity_gallons)
             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
-            [companyId, body.code, body.name, body.address, body.city, body.state, body.zip, body.phone, body.lat, body.lng, body.manager_name, body.capacity_gallons || 50000]
+            [companyId, body.code, body.name, body.address, body.city, body.state, body.zip, body.phone, body.lat, body.lng, body.manager_name, body.capacity_gallons]
         );
+        await recordAudit(event, user, { companyId, action: 'create', entityType: 'distribution_center', after: result.rows[0] });
         return success(result.rows[0], 201);
     }
 
-    if (method === 'PUT' && subPath.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin'])) {
-            return error('Admin access required', 403);
+    // PUT/PATCH /distribution-centers/:id - Update the fields sent
+    if (isUpdateMethod(method) && subPath.match(/^\/[a-f0-9-]+$/)) {
+        if (!hasPermission(user, 'dcs.update')) {
+            return error('Access denied', 403);
         }
         const id = subPath.slice(1);
-        const body = parseBody(event);
+        const input = validateBody(event, SCHEMAS.distribution_center, { partial: true });
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        const params = [];
+        const sets = buildSetClauses(body, UPDATABLE_FIELDS.distribution_center, params);
+        if (sets.length === 0) return error('No fields to update', 400);
+        params.push(id, companyId);
+        const before = await findAuditRow('distribution_centers', id, companyId);
         const result = await query(
-            `UPDATE distribution_centers SET name = $1, address = $2, city = $3, state = $4, zip = $5, phone = $6, lat = $7, lng = $8, manager_name = $9, capacity_gallons = $10, status = $11
-            WHERE id = $12 AND company_id = $13 RETURNING *`,
-            [body.name, body.address, body.city, body.state, body.zip, body.phone, body.lat, body.lng, body.manager_name, body.capacity_gallons, body.status || 'active', id, companyId]
+            `UPDATE distribution_centers SET ${sets.join(', ')}
+            WHERE id = $${params.length - 1} AND company_id = $${params.length}${dcScopeClause(user, 'id', params)} RETURNING *`,
+            params
         );
         if (result.rows.length === 0) return error('Not found', 404);
+        await recordAudit(event, user, { companyId, action: 'update', entityType: 'distribution_center', before, after: result.rows[0] });
         return success(result.rows[0]);
     }
 
     if (method === 'DELETE' && subPath.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin'])) {
-            return error('Admin access required', 403);
+        if (!hasPermission(user, 'dcs.delete')) {
+            return error('Access denied', 403);
         }
         const id = subPath.slice(1);
-        await query('DELETE FROM distribution_centers WHERE id = $1 AND company_id = $2', [id, companyId]);
+        const params = [id, companyId];
+        const result = await query(`DELETE FROM distribution_centers WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'id', params)} RETURNING *`, params);
+        if (result.rows.length > 0) {
+            await recordAudit(event, user, { companyId, action: 'delete', entityType: 'distribution_center', before: result.rows[0] });
+        }
         return success({ message: 'Deleted' });
     }
 
+    // GET /distribution-centers/:id/temperatures - Daily temperature history
+    if (method === 'GET' && subPath.match(/^\/[a-f0-9-]+\/temperatures$/)) {
+        const id = subPath.split('/')[1];
+        if (!canAccessDc(user, id)) return error('Not found', 404);
+        const params = event.queryStringParameters || {};
+        const range = {
+            from: params.from || new Date(Date.now() - 90 * 86400000).toISOString().slice(0, 10),
+            to: params.to || new Date().toISOString().slice(0, 10)
+        };
+        for (const field of ['from', 'to']) {
+            const checked = checkValue({ type: 'date' }, range[field], field);
+            if (checked.error) return error(checked.error, 400);
+            range[field] = checked.value;
+        }
+        const { from, to } = range;
+        if (from > to) return error('from must not be after to', 400);
+
+        const result = await query(
+            `SELECT to_char(temp_date, 'YYYY-MM-DD') as temp_date, avg_temp, high_temp, low_temp, heating_degree_days, source
+             FROM dc_daily_temperatures
+             WHERE dc_id = $1 AND company_id = $2 AND temp_date BETWEEN $3 AND $4
+             ORDER BY temp_date`,
+            [id, companyId, from, to]
+        );
+        return success(result.rows);
+    }
+
+    // POST /distribution-centers/:id/temperatures - Record daily temperatures (upsert by date)
+    // Body: { readings: [{ date, avg_temp, high_temp, low_temp }], source }
+    if (method === 'POST' && subPath.match(/^\/[a-f0-9-]+\/temperatures$/)) {
+        if (!hasPermission(user, 'dcs.temperatures')) {
+            return error('Access denied', 403);
+        }
+        const id = subPath.split('/')[1];
+        if (!canAccessDc(user, id)) return error('Not found', 404);
+        const body = parseBody(event);
+        const readings = Array.isArray(body.readings) ? body.readings : [body];
+
+        const dcCheck = await query(
+            'SELECT id FROM distribution_centers WHERE id = $1 AND company_id = $2',
+            [id, companyId]
+        );
+        if (dcCheck.rows.length === 0) return error('Not found', 404);
+
+        const { hdd_base } = await getForecastSettings(companyId);
+        const rows = [];
+        for (const reading of readings) {
+            const avg = averageTemp(reading);
+            if (!reading.date || !/^\d{4}-\d{2}-\d{2}$/.test(reading.date) || avg === null) {
+                return error('Each reading needs a date (YYYY-MM-DD) and avg_temp or high_temp/low_temp', 400);
+            }
+            rows.push({ ...reading, avg, hdd: heatingDegreeDays(avg, hdd_base) });
+        }
+
+        const saved = await transaction(async (client) => {
+            let count = 0;
+            for (const r of rows) {
+                await client.query(
+                    `INSERT INTO dc_daily_temperatures (company_id, dc_id, temp_date, avg_temp, high_temp, low_temp, heating_degree_days, source)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                     ON CONFLICT (dc_id, temp_date) DO UPDATE SET
+                        avg_temp = EXCLUDED.avg_temp,
+                        high_temp = EXCLUDED.high_temp,
+                        low_temp = EXCLUDED.low_temp,
+                        heating_degree_days = EXCLUDED.heating_degree_days,
+                        source = EXCLUDED.source,
+                        updated_at = NOW()`,
+                    [companyId, id, r.date, r.avg, r.high_temp ?? null, r.low_temp ?? null, r.hdd, body.source || 'manual']
+                );
+                count++;
+            }
+            return count;
+        });
+
+        await recordAudit(event, user, {
+            companyId,
+            action: 'temperatures_recorded',
+            entityType: 'distribution_center',
+            entityId: id,
+            after: { dates: rows.map(r => r.date), source: body.source || 'manual' }
+        });
+        return success({ message: 'Temperatures saved', count: saved }, 201);
+    }
+
     return error('Not found', 404);
 }
 
@@ -186,126 +393,56 @@ async function handleDistributionCenters(method, path, companyId, user, event) {
 async function handleTrucks(method, path, companyId, user, event) {
     const subPath = path.replace('/trucks', '');
 
+    if (method === 'GET' && !hasPermission(user, 'trucks.view')) {
+        return error('Access denied', 403);
+    }
+
     if (method === 'GET' && subPath === '') {
-        let sql = 'SELECT t.*, dc.name as dc_name, d.name as assigned_driver_name FROM trucks t LEFT JOIN distribution_centers dc ON t.dc_id = dc.id LEFT JOIN drivers d ON t.assigned_driver_id = d.id WHERE t.company_id = $1';
         const params = [companyId];
-        if (user.dcId) {
-            sql += ' AND t.dc_id = $2';
-            params.push(user.dcId);
-        }
-        sql += ' ORDER BY t.code';
-        const result = await query(sql, params);
-        return success(result.rows);
+        const page = await listQuery(event, LISTS.truck, {
+            select: 't.*, dc.name as dc_name, d.name as assigned_driver_name',
+            from: 'trucks t LEFT JOIN distribution_centers dc ON t.dc_id = dc.id LEFT JOIN drivers d ON t.assigned_driver_id = d.id',
+            where: `t.company_id = $1${dcScopeClause(user, 't.dc_id', params)}`,
+            params
+        });
+        if (page.error) return error(page.error, page.status);
+        return success(page);
     }
 
     if (method === 'GET' && subPath.match(/^\/[a-f0-9-]+$/)) {
         const id = subPath.slice(1);
+        const params = [id, companyId];
         const result = await query(
-            'SELECT t.*, dc.name as dc_name, d.name as assigned_driver_name FROM trucks t LEFT JOIN distribution_centers dc ON t.dc_id = dc.id LEFT JOIN drivers d ON t.assigned_driver_id = d.id WHERE t.id = $1 AND t.company_id = $2',
-            [id, companyId]
+            `SELECT t.*, dc.name as dc_name, d.name as assigned_driver_name FROM trucks t LEFT JOIN distribution_centers dc ON t.dc_id = dc.id LEFT JOIN drivers d ON t.assigned_driver_id = d.id WHERE t.id = $1 AND t.company_id = $2${dcScopeClause(user, 't.dc_id', params)}`,
+            params
         );
         if (result.rows.length === 0) return error('Not found', 404);
         return success(result.rows[0]);
     }
 
     if (method === 'POST' && subPath === '') {
-        if (!requireRole(user, ['admin', 'dispatch'])) {
+        if (!hasPermission(user, 'trucks.create')) {
             return error('Access denied', 403);
         }
-        const body = parseBody(event);
-        
-        // Helper to parse integers safely
-        const toInt = (v) => v ? parseInt(v, 10) || null : null;
-        const toFloat = (v) => v ? parseFloat(v) || null : null;
-        
+
+        const planLimit = await enforceTenantLimit(companyId, 'trucks');
+        if (planLimit.error) {
+            return error(planLimit.error, planLimit.status, planLimit.details);
+        }
+
+        const input = validateBody(event, SCHEMAS.truck);
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        const dc = resolveDcForWrite(user, body.dc_id);
+        if (dc.error) return error(dc.error, dc.status);
+        body.dc_id = dc.dcId;
+
         // Start with base columns that always exist
-        let columns = [
-            'company_id', 'dc_id', 'code', 'name', 'make', 'model', 'year', 'vin', 'license_plate',
-            'capacity_gallons', 'mpg', 'current_lat', 'current_lng', 'status'
-        ];
-        let values = [
-            companyId, body.dc_id || null, body.code, body.name, body.make, body.model, toInt(body.year), body.vin, body.license_plate,
-            toInt(body.capacity_gallons) || 3000, toFloat(body.mpg) || 8, toFloat(body.current_lat), toFloat(body.current_lng), body.status || 'active'
-        ];
+        let columns = ['company_id', ...TRUCK_BASE_FIELDS];
+        let values = [companyId, ...TRUCK_BASE_FIELDS.map(field => body[field])];
 
         // Try to add enhanced columns if they exist (from enhanced-profiles.sql)
-        const enhancedColumns = {
-            'assigned_driver_id': body.assigned_driver_id || null,
-            'empty_weight': toInt(body.empty_weight),
-            'gvwr': toInt(body.gvwr),
-            'gcwr': toInt(body.gcwr),
-            'max_payload': toInt(body.max_payload),
-            'front_axle_weight': toInt(body.front_axle_weight),
-            'rear_axle_weight': toInt(body.rear_axle_weight),
-            'axle_configuration': body.axle_configuration || null,
-            'tank_capacity_gallons': toInt(body.tank_capacity_gallons),
-            'tank_material': body.tank_material || null,
-            'tank_last_inspection': body.tank_last_inspection || null,
-            'tank_next_inspection': body.tank_next_inspection || null,
-            'tank_certification': body.tank_certification || null,
-            'tank_manufacturer': body.tank_manufacturer || null,
-            'tank_serial_number': body.tank_serial_number || null,
-            'tank_manufacture_date': body.tank_manufacture_date || null,
-            'working_pressure_psi': toInt(body.working_pressure_psi),
-            'product_type': body.product_type || 'propane',
-            'product_weight_per_gallon': toFloat(body.product_weight_per_gallon) || 4.2,
-            'fuel_tank_capacity': toInt(body.fuel_tank_capacity),
-            'fuel_type': body.fuel_type || 'diesel',
-            'diesel_weight_per_gallon': toFloat(body.diesel_weight_per_gallon) || 7.1,
-            'avg_mpg': toFloat(body.avg_mpg),
-            'cost_per_mile': toFloat(body.cost_per_mile),
-            'def_tank_capacity': toInt(body.def_tank_capacity),
-            'has_pump': body.has_pump !== false,
-            'pump_type': body.pump_type || null,
-            'meter_type': body.meter_type || null,
-            'meter_serial_number': body.meter_serial_number || null,
-            'meter_last_calibration': body.meter_last_calibration || null,
-            'meter_next_calibration': body.meter_next_calibration || null,
-            'dot_number': body.dot_number || null,
-            'mc_number': body.mc_number || null,
-            'registration_number': body.registration_number || null,
-            'registration_state': body.registration_state || null,
-            'registration_expiration': body.registration_expiration || body.registration_expiry || null,
-            'last_dot_inspection': body.last_dot_inspection || null,
-            'next_dot_inspection': body.next_dot_inspection || null,
-            'dot_inspection_status': body.dot_inspection_status || null,
-            'inspection_decal_number': body.inspection_decal_number || null,
-            'ifta_account': body.ifta_account || null,
-            'irp_account': body.irp_account || null,
-            'insurance_policy_number': body.insurance_policy_number || null,
-            'insurance_provider': body.insurance_provider || null,
-            'insurance_expiration': body.insurance_expiration || null,
-            'liability_coverage': toFloat(body.liability_coverage),
-            'cargo_coverage': toFloat(body.cargo_coverage),
-            'last_oil_change': body.last_oil_change || null,
-            'last_oil_change_miles': toInt(body.last_oil_change_miles),
-            'next_oil_change_miles': toInt(body.next_oil_change_miles),
-            'oil_change_interval_miles': toInt(body.oil_change_interval_miles) || 15000,
-            'last_service_date': body.last_service_date || null,
-            'last_service_mileage': toInt(body.last_service_mileage),
-            'next_service_date': body.next_service_date || null,
-            'next_service_mileage': toInt(body.next_service_mileage),
-            'current_odometer': toInt(body.current_odometer) || toInt(body.odometer),
-            'total_hours': toInt(body.total_hours),
-            'tire_size': body.tire_size || null,
-            'tire_type': body.tire_type || null,
-            'tire_last_replaced': body.tire_last_replaced || null,
-            'telematics_device_id': body.telematics_device_id || null,
-            'telematics_provider': body.telematics_provider || null,
-            'has_lift_gate': body.has_lift_gate || false,
-            'has_pto_pump': body.has_pto_pump || false,
-            'has_gps_tracker': body.has_gps_tracker !== false,
-            'has_dash_cam': body.has_dash_cam || false,
-            'has_eld': body.has_eld !== false,
-            'eld_provider': body.eld_provider || null,
-            'eld_serial_number': body.eld_serial_number || null,
-            'purchase_date': body.purchase_date || null,
-            'purchase_price': toFloat(body.purchase_price),
-            'current_value': toFloat(body.current_value),
-            'monthly_payment': toFloat(body.monthly_payment),
-            'monthly_insurance': toFloat(body.monthly_insurance),
-            'notes': body.notes || null
-        };
+        const enhancedColumns = Object.fromEntries(TRUCK_ENHANCED_FIELDS.map(field => [field, body[field]]));
 
         // Check which enhanced columns exist and add them
         try {
@@ -328,165 +465,77 @@ async function handleTrucks(method, path, companyId, user, event) {
             `INSERT INTO trucks (${columns.join(', ')}) VALUES (${placeholders}) RETURNING *`,
             values
         );
+        await recordAudit(event, user, { companyId, action: 'create', entityType: 'truck', after: result.rows[0] });
         return success(result.rows[0], 201);
     }
 
-    if (method === 'PUT' && subPath.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin', 'dispatch'])) {
+    // PUT/PATCH /trucks/:id - Update the fields sent
+    if (isUpdateMethod(method) && subPath.match(/^\/[a-f0-9-]+$/)) {
+        if (!hasPermission(user, 'trucks.update')) {
             return error('Access denied', 403);
         }
         const id = subPath.slice(1);
-        const body = parseBody(event);
-        
-        // Start with base columns that always exist
-        let updates = [];
-        let values = [];
-        let paramIndex = 1;
-
-        const baseFields = {
-            'dc_id': body.dc_id || null,
-            'name': body.name,
-            'make': body.make,
-            'model': body.model,
-            'year': body.year,
-            'vin': body.vin,
-            'license_plate': body.license_plate,
-            'capacity_gallons': body.capacity_gallons,
-            'mpg': body.mpg,
-            'current_lat': body.current_lat,
-            'current_lng': body.current_lng,
-            'status': body.status || 'active'
-        };
-
-        for (const [col, val] of Object.entries(baseFields)) {
-            updates.push(`${col} = $${paramIndex}`);
-            values.push(val);
-            paramIndex++;
-        }
-
-        // Enhanced columns that may or may not exist
-        const enhancedFields = {
-            'assigned_driver_id': body.assigned_driver_id || null,
-            'empty_weight': body.empty_weight,
-            'gvwr': body.gvwr,
-            'gcwr': body.gcwr,
-            'max_payload': body.max_payload,
-            'front_axle_weight': body.front_axle_weight,
-            'rear_axle_weight': body.rear_axle_weight,
-            'axle_configuration': body.axle_configuration,
-            'tank_capacity_gallons': body.tank_capacity_gallons,
-            'tank_material': body.tank_material,
-            'tank_last_inspection': body.tank_last_inspection,
-            'tank_next_inspection': body.tank_next_inspection,
-            'tank_certification': body.tank_certification,
-            'tank_manufacturer': body.tank_manufacturer,
-            'tank_serial_number': body.tank_serial_number,
-            'tank_manufacture_date': body.tank_manufacture_date,
-            'working_pressure_psi': body.working_pressure_psi,
-            'product_type': body.product_type,
-            'product_weight_per_gallon': body.product_weight_per_gallon,
-            'fuel_tank_capacity': body.fuel_tank_capacity,
-            'fuel_type': body.fuel_type,
-            'diesel_weight_per_gallon': body.diesel_weight_per_gallon,
-            'avg_mpg': body.avg_mpg,
-            'cost_per_mile': body.cost_per_mile,
-            'def_tank_capacity': body.def_tank_capacity,
-            'has_pump': body.has_pump,
-            'pump_type': body.pump_type,
-            'meter_type': body.meter_type,
-            'meter_serial_number': body.meter_serial_number,
-            'meter_last_calibration': body.meter_last_calibration,
-            'meter_next_calibration': body.meter_next_calibration,
-            'dot_number': body.dot_number,
-            'mc_number': body.mc_number,
-            'registration_number': body.registration_number,
-            'registration_state': body.registration_state,
-            'registration_expiration': body.registration_expiration || body.registration_expiry,
-            'last_dot_inspection': body.last_dot_inspection,
-            'next_dot_inspection': body.next_dot_inspection,
-            'dot_inspection_status': body.dot_inspection_status,
-            'inspection_decal_number': body.inspection_decal_number,
-            'ifta_account': body.ifta_account,
-            'irp_account': body.irp_account,
-            'insurance_policy_number': body.insurance_policy_number,
-            'insurance_provider': body.insurance_provider,
-            'insurance_expiration': body.insurance_expiration,
-            'liability_coverage': body.liability_coverage,
-            'cargo_coverage': body.cargo_coverage,
-            'last_oil_change': body.last_oil_change,
-            'last_oil_change_miles': body.last_oil_change_miles,
-            'next_oil_change_miles': body.next_oil_change_miles,
-            'oil_change_interval_miles': body.oil_change_interval_miles,
-            'last_service_date': body.last_service_date,
-            'last_service_mileage': body.last_service_mileage,
-            'next_service_date': body.next_service_date,
-            'next_service_mileage': body.next_service_mileage,
-            'current_odometer': body.current_odometer || body.odometer,
-            'total_hours': body.total_hours,
-            'tire_size': body.tire_size,
-            'tire_type': body.tire_type,
-            'tire_last_replaced': body.tire_last_replaced,
-            'telematics_device_id': body.telematics_device_id,
-            'telematics_provider': body.telematics_provider,
-            'has_lift_gate': body.has_lift_gate,
-            'has_pto_pump': body.has_pto_pump,
-            'has_gps_tracker': body.has_gps_tracker,
-            'has_dash_cam': body.has_dash_cam,
-            'has_eld': body.has_eld,
-            'eld_provider': body.eld_provider,
-            'eld_serial_number': body.eld_serial_number,
-            'purchase_date': body.purchase_date,
-            'purchase_price': body.purchase_price,
-            'current_value': body.current_value,
-            'monthly_payment': body.monthly_payment,
-            'monthly_insurance': body.monthly_insurance,
-            'notes': body.notes
-        };
+        const input = validateBody(event, SCHEMAS.truck, { partial: true });
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        if (body.dc_id !== undefined) {
+            const dc = resolveDcForWrite(user, body.dc_id);
+            if (dc.error) return error(dc.error, dc.status);
+            body.dc_id = dc.dcId;
+        }
 
-        // Check which enhanced columns exist
+        // Enhanced columns only exist once enhanced-profiles.sql has run
+        let allowed = UPDATABLE_FIELDS.truck.filter(col => !TRUCK_ENHANCED_FIELDS.includes(col));
         try {
             const colCheck = await query(`SELECT column_name FROM information_schema.columns WHERE table_name = 'trucks' AND table_schema = 'public'`);
             const existingCols = colCheck.rows.map(r => r.column_name);
-            
-            for (const [col, val] of Object.entries(enhancedFields)) {
-                if (existingCols.includes(col)) {
-                    updates.push(`${col} = $${paramIndex}`);
-                    values.push(val);
-                    paramIndex++;
-                }
-            }
+            allowed = UPDATABLE_FIELDS.truck.filter(col => !TRUCK_ENHANCED_FIELDS.includes(col) || existingCols.includes(col));
         } catch (e) {
             console.log('Enhanced columns check failed');
         }
 
-        values.push(id);
-        values.push(companyId);
-
+        const params = [];
+        const sets = buildSetClauses(body, allowed, params);
+        if (sets.length === 0) return error('No fields to update', 400);
+        params.push(id, companyId);
+        const before = await findAuditRow('trucks', id, companyId);
         const result = await query(
-            `UPDATE trucks SET ${updates.join(', ')} WHERE id = $${paramIndex} AND company_id = $${paramIndex + 1} RETURNING *`,
-            values
+            `UPDATE trucks SET ${sets.join(', ')}
+            WHERE id = $${params.length - 1} AND company_id = $${params.length}${dcScopeClause(user, 'dc_id', params)} RETURNING *`,
+            params
         );
         if (result.rows.length === 0) return error('Not found', 404);
+        await recordAudit(event, user, { companyId, action: 'update', entityType: 'truck', before, after: result.rows[0] });
         return success(result.rows[0]);
     }
 
     if (method === 'DELETE' && subPath.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin'])) {
-            return error('Admin access required', 403);
+        if (!hasPermission(user, 'trucks.delete')) {
+            return error('Access denied', 403);
         }
         const id = subPath.slice(1);
-        await query('DELETE FROM trucks WHERE id = $1 AND company_id = $2', [id, companyId]);
+        const params = [id, companyId];
+        const result = await query(`DELETE FROM trucks WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'dc_id', params)} RETURNING *`, params);
+        if (result.rows.length > 0) {
+            await recordAudit(event, user, { companyId, action: 'delete', entityType: 'truck', before: result.rows[0] });
+        }
         return success({ message: 'Deleted' });
     }
 
-    // PUT /trucks/:id/gps - Update GPS location
+    // PUT /trucks/:id/gps - Update GPS location (position pings are telemetry and aren't audited)
     if (method === 'PUT' && subPath.match(/^\/[a-f0-9-]+\/gps$/)) {
+        if (!hasPermission(user, 'trucks.gps')) {
+            return error('Access denied', 403);
+        }
         const id = subPath.split('/')[1];
-        const body = parseBody(event);
+        const input = validateBody(event, SCHEMAS.truck_gps);
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        const params = [body.lat, body.lng, body.speed, body.heading, id, companyId];
         const result = await query(
             `UPDATE trucks SET current_lat = $1, current_lng = $2, speed = $3, heading = $4, last_gps_update = CURRENT_TIMESTAMP
-            WHERE id = $5 AND company_id = $6 RETURNING *`,
-            [body.lat, body.lng, body.speed || 0, body.heading || 0, id, companyId]
+            WHERE id = $5 AND company_id = $6${dcScopeClause(user, 'dc_id', params)} RETURNING *`,
+            params
         );
         if (result.rows.length === 0) return error('Not found', 404);
         return success(result.rows[0]);
@@ -495,32 +544,13 @@ async function handleTrucks(method, path, companyId, user, event) {
     // GET /trucks/:id/load-capacity - Calculate load capacity based on current fuel and product
     if (method === 'GET' && subPath.match(/^\/[a-f0-9-]+\/load-capacity$/)) {
         const id = subPath.split('/')[1];
-        const result = await query('SELECT * FROM trucks WHERE id = $1 AND company_id = $2', [id, companyId]);
+        const params = [id, companyId];
+        const result = await query(`SELECT * FROM trucks WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'dc_id', params)}`, params);
         if (result.rows.length === 0) return error('Not found', 404);
         
-        const truck = result.rows[0];
-        const emptyWeight = truck.empty_weight || 0;
-        const gvwr = truck.gvwr || 26000;
-        const fuelGallons = truck.current_fuel_gallons || (truck.fuel_tank_capacity || 100);
-        const dieselWeight = fuelGallons * (truck.diesel_weight_per_gallon || 7.1);
-        const productWeightPerGal = truck.product_weight_per_gallon || 4.2;
-        const tankCapacity = truck.capacity_gallons || 3000;
-        
-        const availablePayload = gvwr - emptyWeight - dieselWeight;
-        const maxProductGallons = Math.floor(availablePayload / productWeightPerGal);
-        const safLoadGallons = Math.min(maxProductGallons, tankCapacity);
-        
         return success({
             truck_id: id,
-            empty_weight: emptyWeight,
-            gvwr: gvwr,
-            fuel_weight: Math.round(dieselWeight),
-            available_payload: Math.round(availablePayload),
-            product_weight_per_gallon: productWeightPerGal,
-            tank_capacity: tankCapacity,
-            max_safe_load_gallons: safLoadGallons,
-            max_product_weight: Math.round(safLoadGallons * productWeightPerGal),
-            total_loaded_weight: Math.round(emptyWeight + dieselWeight + (safLoadGallons * productWeightPerGal))
+            ...truckLoadCapacity(result.rows[0])
         });
     }
 
@@ -534,23 +564,32 @@ async function handleTrucks(method, path, companyId, user, event) {
 async function handleDrivers(method, path, companyId, user, event) {
     const subPath = path.replace('/drivers', '');
 
+    if (method === 'GET' && !hasPermission(user, 'drivers.view')) {
+        return error('Access denied', 403);
+    }
+
     if (method === 'GET' && subPath === '') {
-        let sql = 'SELECT d.*, dc.name as dc_name FROM drivers d LEFT JOIN distribution_centers dc ON d.dc_id = dc.id WHERE d.company_id = $1';
         const params = [companyId];
-        if (user.dcId) {
-            sql += ' AND d.dc_id = $2';
-            params.push(user.dcId);
-        }
-        sql += ' ORDER BY d.name';
-        const result = await query(sql, params);
-        return success(result.rows);
+        const page = await listQuery(event, LISTS.driver, {
+            select: 'd.*, dc.name as dc_name',
+            from: 'drivers d LEFT JOIN distribution_centers dc ON d.dc_id = dc.id',
+            where: `d.company_id = $1${dcScopeClause(user, 'd.dc_id', params)}`,
+            params
+        });
+        if (page.error) return error(page.error, page.status);
+        return success(page);
     }
 
     if (method === 'POST' && subPath === '') {
-        if (!requireRole(user, ['admin', 'dispatch'])) {
+        if (!hasPermission(user, 'drivers.create')) {
             return error('Access denied', 403);
         }
-        const body = parseBody(event);
+        const input = validateBody(event, SCHEMAS.driver);
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        const dc = resolveDcForWrite(user, body.dc_id);
+        if (dc.error) return error(dc.error, dc.status);
+        body.dc_id = dc.dcId;
         const result = await query(
             `INSERT INTO drivers (
                 company_id, dc_id, code, name, email, phone, 
@@ -576,59 +615,58 @@ async function handleDrivers(method, path, companyId, user, event) {
             [
                 companyId, body.dc_id, body.code, body.name, body.email, body.phone,
                 body.license_number, body.license_state, body.license_expiry, body.cdl_class, body.cdl_number, body.cdl_state, body.cdl_endorsements,
-                body.hazmat_certified || false, body.hazmat_endorsed || false, body.hazmat_expiration, body.tanker_endorsed || false, body.twic_card || false, body.twic_expiration,
-                body.hire_date, body.hourly_rate || 25, body.overtime_rate, body.per_diem, body.pay_type || 'hourly', body.years_experience, body.date_of_birth,
+                body.hazmat_certified, body.hazmat_endorsed, body.hazmat_expiration, body.tanker_endorsed, body.twic_card, body.twic_expiration,
+                body.hire_date, body.hourly_rate, body.overtime_rate, body.per_diem, body.pay_type, body.years_experience, body.date_of_birth,
                 body.medical_card_expiration, body.medical_examiner_name, body.medical_exam_date,
-                body.background_check_date, body.background_check_status || 'pending', body.drug_test_date, body.drug_test_status || 'pending', body.drug_test_type, body.mvr_check_date, body.mvr_status || 'pending',
-                body.propane_certified || false, body.propane_cert_expiration, body.defensive_driving_cert || false, body.smith_system_trained || false, body.last_training_date,
+                body.background_check_date, body.background_check_status, body.drug_test_date, body.drug_test_status, body.drug_test_type, body.mvr_check_date, body.mvr_status,
+                body.propane_certified, body.propane_cert_expiration, body.defensive_driving_cert, body.smith_system_trained, body.last_training_date,
                 body.emergency_contact_name, body.emergency_contact_phone, body.emergency_contact_relation,
-                body.address, body.city, body.state, body.zip, body.notes, body.status || 'active'
+                body.address, body.city, body.state, body.zip, body.notes, body.status
             ]
         );
+        await recordAudit(event, user, { companyId, action: 'create', entityType: 'driver', after: result.rows[0] });
         return success(result.rows[0], 201);
     }
 
-    if (method === 'PUT' && subPath.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin', 'dispatch'])) {
+    // PUT/PATCH /drivers/:id - Update the fields sent
+    if (isUpdateMethod(method) && subPath.match(/^\/[a-f0-9-]+$/)) {
+        if (!hasPermission(user, 'drivers.update')) {
             return error('Access denied', 403);
         }
         const id = subPath.slice(1);
-        const body = parseBody(event);
+        const input = validateBody(event, SCHEMAS.driver, { partial: true });
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        if (body.dc_id !== undefined) {
+            const dc = resolveDcForWrite(user, body.dc_id);
+            if (dc.error) return error(dc.error, dc.status);
+            body.dc_id = dc.dcId;
+        }
+        const params = [];
+        const sets = buildSetClauses(body, UPDATABLE_FIELDS.driver, params);
+        if (sets.length === 0) return error('No fields to update', 400);
+        params.push(id, companyId);
+        const before = await findAuditRow('drivers', id, companyId);
         const result = await query(
-            `UPDATE drivers SET 
-                dc_id = $1, name = $2, email = $3, phone = $4, 
-                license_number = $5, license_state = $6, license_expiry = $7, cdl_class = $8, cdl_number = $9, cdl_state = $10, cdl_endorsements = $11,
-                hazmat_certified = $12, hazmat_endorsed = $13, hazmat_expiration = $14, tanker_endorsed = $15, twic_card = $16, twic_expiration = $17,
-                hire_date = $18, hourly_rate = $19, overtime_rate = $20, per_diem = $21, pay_type = $22, years_experience = $23, date_of_birth = $24,
-                medical_card_expiration = $25, medical_examiner_name = $26, medical_exam_date = $27,
-                background_check_date = $28, background_check_status = $29, drug_test_date = $30, drug_test_status = $31, drug_test_type = $32, mvr_check_date = $33, mvr_status = $34,
-                propane_certified = $35, propane_cert_expiration = $36, defensive_driving_cert = $37, smith_system_trained = $38, last_training_date = $39,
-                emergency_contact_name = $40, emergency_contact_phone = $41, emergency_contact_relation = $42,
-                address = $43, city = $44, state = $45, zip = $46, notes = $47, status = $48
-            WHERE id = $49 AND company_id = $50 RETURNING *`,
-            [
-                body.dc_id, body.name, body.email, body.phone,
-                body.license_number, body.license_state, body.license_expiry, body.cdl_class, body.cdl_number, body.cdl_state, body.cdl_endorsements,
-                body.hazmat_certified, body.hazmat_endorsed, body.hazmat_expiration, body.tanker_endorsed, body.twic_card, body.twic_expiration,
-                body.hire_date, body.hourly_rate, body.overtime_rate, body.per_diem, body.pay_type, body.years_experience, body.date_of_birth,
-                body.medical_card_expiration, body.medical_examiner_name, body.medical_exam_date,
-                body.background_check_date, body.background_check_status, body.drug_test_date, body.drug_test_status, body.drug_test_type, body.mvr_check_date, body.mvr_status,
-                body.propane_certified, body.propane_cert_expiration, body.defensive_driving_cert, body.smith_system_trained, body.last_training_date,
-                body.emergency_contact_name, body.emergency_contact_phone, body.emergency_contact_relation,
-                body.address, body.city, body.state, body.zip, body.notes, body.status || 'active',
-                id, companyId
-            ]
+            `UPDATE drivers SET ${sets.join(', ')}
+            WHERE id = $${params.length - 1} AND company_id = $${params.length}${dcScopeClause(user, 'dc_id', params)} RETURNING *`,
+            params
         );
         if (result.rows.length === 0) return error('Not found', 404);
+        await recordAudit(event, user, { companyId, action: 'update', entityType: 'driver', before, after: result.rows[0] });
         return success(result.rows[0]);
     }
 
     if (method === 'DELETE' && subPath.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin'])) {
-            return error('Admin access required', 403);
+        if (!hasPermission(user, 'drivers.delete')) {
+            return error('Access denied', 403);
         }
         const id = subPath.slice(1);
-        await query('DELETE FROM drivers WHERE id = $1 AND company_id = $2', [id, companyId]);
+        const params = [id, companyId];
+        const result = await query(`DELETE FROM drivers WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'dc_id', params)} RETURNING *`, params);
+        if (result.rows.length > 0) {
+            await recordAudit(event, user, { companyId, action: 'delete', entityType: 'driver', before: result.rows[0] });
+        }
         return success({ message: 'Deleted' });
     }
 
@@ -639,69 +677,212 @@ async function handleDrivers(method, path, companyId, user, event) {
 // CUSTOMERS
 // =====================================================
 
+const CUSTOMER_IMPORT_MAX_ROWS = 1000;
+
 async function handleCustomers(method, path, companyId, user, event) {
     const subPath = path.replace('/customers', '');
 
+    if (method === 'GET' && !hasPermission(user, 'customers.view')) {
+        return error('Access denied', 403);
+    }
+
     if (method === 'GET' && subPath === '') {
-        const { page, limit, offset } = getPagination(event);
-        let sql = `SELECT c.*, dc.name as dc_name 
-                   FROM customers c 
-                   LEFT JOIN distribution_centers dc ON c.preferred_dc_id = dc.id 
-                   WHERE c.company_id = $1`;
         const params = [companyId];
-        let paramCount = 1;
+        const page = await listQuery(event, LISTS.customer, {
+            select: 'c.*, dc.name as dc_name',
+            from: 'customers c LEFT JOIN distribution_centers dc ON c.preferred_dc_id = dc.id',
+            where: `c.company_id = $1${dcScopeClause(user, 'c.preferred_dc_id', params)}`,
+            params
+        });
+        if (page.error) return error(page.error, page.status);
+        return success(page);
+    }
+
+    // GET /customers/runout-risk - Keep-full customers projected to hit minimum level soon
+    if (method === 'GET' && subPath === '/runout-risk') {
+        const params = event.queryStringParameters || {};
+        const checkedDays = checkValue({ type: 'integer', min: 0, max: 365 }, params.days || '14', 'days');
+        if (checkedDays.error) return error(checkedDays.error, 400);
+        const days = checkedDays.value;
+
+        let sql = `SELECT * FROM customers
+                   WHERE company_id = $1 AND status = 'active'
+                   AND (service_type = 'keep_full' OR auto_delivery = true)`;
+        const queryParams = [companyId];
 
-        if (user.dcId) {
-            paramCount++;
-            sql += ` AND c.preferred_dc_id = $${paramCount}`;
-            params.push(user.dcId);
+        sql += dcScopeClause(user, 'preferred_dc_id', queryParams);
+        if (params.dc_id) {
+            queryParams.push(params.dc_id);
+            sql += ` AND preferred_dc_id = $${queryParams.length}`;
         }
 
-        // Count total
-        const countResult = await query(`SELECT COUNT(*) FROM customers c WHERE c.company_id = $1${user.dcId ? ' AND c.preferred_dc_id = $2' : ''}`, user.dcId ? [companyId, user.dcId] : [companyId]);
-        const total = parseInt(countResult.rows[0].count);
+        const customers = await query(sql, queryParams);
+        const forecasts = await forecastCustomers(companyId, customers.rows);
+
+        const atRisk = forecasts
+            .filter(f => f.days_to_minimum !== null && f.days_to_minimum <= days)
+            .sort((a, b) => a.days_to_minimum - b.days_to_minimum || (a.estimated_level - b.estimated_level));
+
+        return success({
+            days,
+            total: atRisk.length,
+            unforecastable: forecasts.filter(f => !f.model.method).length,
+            customers: atRisk
+        });
+    }
 
-        sql += ` ORDER BY c.name LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-        params.push(limit, offset);
+    // GET /customers/:id/forecast - Tank level projection for one customer
+    if (method === 'GET' && subPath.match(/^\/[a-f0-9-]+\/forecast$/)) {
+        const id = subPath.split('/')[1];
+        const params = [id, companyId];
+        const result = await query(
+            `SELECT * FROM customers WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'preferred_dc_id', params)}`,
+            params
+        );
+        if (result.rows.length === 0) return error('Not found', 404);
 
-        const result = await query(sql, params);
-        return success(paginatedResponse(result.rows, total, page, limit));
+        const forecast = await forecastCustomer(companyId, result.rows[0]);
+        return success(forecast);
     }
 
     if (method === 'POST' && subPath === '') {
-        if (!requireRole(user, ['admin', 'dispatch', 'accounting'])) {
+        if (!hasPermission(user, 'customers.create')) {
             return error('Access denied', 403);
         }
-        const body = parseBody(event);
+
+        const planLimit = await enforceTenantLimit(companyId, 'customers');
+        if (planLimit.error) {
+            return error(planLimit.error, planLimit.status, planLimit.details);
+        }
+
+        const input = validateBody(event, SCHEMAS.customer);
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        const dc = resolveDcForWrite(user, body.preferred_dc_id);
+        if (dc.error) return error(dc.error, dc.status);
+        body.preferred_dc_id = dc.dcId;
         const result = await query(
             `INSERT INTO customers (company_id, preferred_dc_id, code, name, contact_name, email, phone, address, city, state, zip, lat, lng, customer_type, tank_size, price_per_gallon, payment_terms, delivery_instructions, auto_delivery, minimum_level)
             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20) RETURNING *`,
-            [companyId, body.preferred_dc_id, body.code, body.name, body.contact_name, body.email, body.phone, body.address, body.city, body.state, body.zip, body.lat, body.lng, body.customer_type || 'residential', body.tank_size || 500, body.price_per_gallon || 2.50, body.payment_terms || 'net30', body.delivery_instructions, body.auto_delivery || false, body.minimum_level || 20]
+            [companyId, body.preferred_dc_id, body.code, body.name, body.contact_name, body.email, body.phone, body.address, body.city, body.state, body.zip, body.lat, body.lng, body.customer_type, body.tank_size, body.price_per_gallon, body.payment_terms, body.delivery_instructions, body.auto_delivery, body.minimum_level]
         );
+        await recordAudit(event, user, { companyId, action: 'create', entityType: 'customer', after: result.rows[0] });
         return success(result.rows[0], 201);
     }
 
-    if (method === 'PUT' && subPath.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin', 'dispatch', 'accounting'])) {
+    // POST /customers/import - Bulk create from a spreadsheet; rows take the same fields as POST /customers
+    if (method === 'POST' && subPath === '/import') {
+        if (!hasPermission(user, 'customers.create')) {
+            return error('Access denied', 403);
+        }
+
+        const parsed = parseJsonBody(event);
+        if (parsed.error) return error(parsed.error, parsed.status);
+        const { customers } = parsed.body;
+        if (!Array.isArray(customers) || customers.length === 0) {
+            return error('customers must be a non-empty array', 400);
+        }
+        if (customers.length > CUSTOMER_IMPORT_MAX_ROWS) {
+            return error(`Import at most ${CUSTOMER_IMPORT_MAX_ROWS} customers at a time`, 400);
+        }
+
+        // Every row is checked first so a bad row doesn't leave a half-finished import
+        const rowErrors = [];
+        const rows = customers.map((row, index) => {
+            if (!row || typeof row !== 'object') {
+                rowErrors.push({ row: index + 1, error: 'Each row must be an object' });
+                return null;
+            }
+            const checked = validate(SCHEMAS.customer, row);
+            if (checked.error) {
+                rowErrors.push({ row: index + 1, error: checked.error, fields: checked.details.fields });
+                return null;
+            }
+            const dc = resolveDcForWrite(user, checked.values.preferred_dc_id);
+            if (dc.error) {
+                rowErrors.push({ row: index + 1, error: dc.error });
+                return null;
+            }
+            return { ...checked.values, preferred_dc_id: dc.dcId };
+        });
+        if (rowErrors.length > 0) {
+            return error('Some rows could not be imported', 422, { rows: rowErrors });
+        }
+
+        const planLimit = await enforceTenantLimit(companyId, 'customers', rows.length);
+        if (planLimit.error) {
+            return error(planLimit.error, planLimit.status, planLimit.details);
+        }
+
+        let imported;
+        try {
+            imported = await transaction(async (client) => {
+                const created = [];
+                for (const body of rows) {
+                    const result = await client.query(
+                        `INSERT INTO customers (company_id, preferred_dc_id, code, name, contact_name, email, phone, address, city, state, zip, lat, lng, customer_type, tank_size, price_per_gallon, payment_terms, delivery_instructions, auto_delivery, minimum_level)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20) RETURNING *`,
+                        [companyId, body.preferred_dc_id, body.code, body.name, body.contact_name, body.email, body.phone, body.address, body.city, body.state, body.zip, body.lat, body.lng, body.customer_type, body.tank_size, body.price_per_gallon, body.payment_terms, body.delivery_instructions, body.auto_delivery, body.minimum_level]
+                    );
+                    created.push(result.rows[0]);
+                }
+                return created;
+            });
+        } catch (err) {
+            if (err.code === '23505') {
+                return error('A customer code in this import is already in use', 400);
+            }
+            throw err;
+        }
+
+        await recordAudit(event, user, {
+            companyId,
+            action: 'customers_imported',
+            entityType: 'customer',
+            after: { count: imported.length, customer_ids: imported.map(c => c.id) }
+        });
+        return success({ imported: imported.length, customers: imported }, 201);
+    }
+
+    // PUT/PATCH /customers/:id - Update the fields sent
+    if (isUpdateMethod(method) && subPath.match(/^\/[a-f0-9-]+$/)) {
+        if (!hasPermission(user, 'customers.update')) {
             return error('Access denied', 403);
         }
         const id = subPath.slice(1);
-        const body = parseBody(event);
+        const input = validateBody(event, SCHEMAS.customer, { partial: true });
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        if (body.preferred_dc_id !== undefined) {
+            const dc = resolveDcForWrite(user, body.preferred_dc_id);
+            if (dc.error) return error(dc.error, dc.status);
+            body.preferred_dc_id = dc.dcId;
+        }
+        const params = [];
+        const sets = buildSetClauses(body, UPDATABLE_FIELDS.customer, params);
+        if (sets.length === 0) return error('No fields to update', 400);
+        params.push(id, companyId);
+        const before = await findAuditRow('customers', id, companyId);
         const result = await query(
-            `UPDATE customers SET preferred_dc_id = $1, name = $2, contact_name = $3, email = $4, phone = $5, address = $6, city = $7, state = $8, zip = $9, lat = $10, lng = $11, customer_type = $12, tank_size = $13, price_per_gallon = $14, payment_terms = $15, delivery_instructions = $16, auto_delivery = $17, minimum_level = $18, status = $19, current_level = $20, balance = $21
-            WHERE id = $22 AND company_id = $23 RETURNING *`,
-            [body.preferred_dc_id, body.name, body.contact_name, body.email, body.phone, body.address, body.city, body.state, body.zip, body.lat, body.lng, body.customer_type, body.tank_size, body.price_per_gallon, body.payment_terms, body.delivery_instructions, body.auto_delivery, body.minimum_level, body.status || 'active', body.current_level, body.balance, id, companyId]
+            `UPDATE customers SET ${sets.join(', ')}
+            WHERE id = $${params.length - 1} AND company_id = $${params.length}${dcScopeClause(user, 'preferred_dc_id', params)} RETURNING *`,
+            params
         );
         if (result.rows.length === 0) return error('Not found', 404);
+        await recordAudit(event, user, { companyId, action: 'update', entityType: 'customer', before, after: result.rows[0] });
         return success(result.rows[0]);
     }
 
     if (method === 'DELETE' && subPath.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin'])) {
-            return error('Admin access required', 403);
+        if (!hasPermission(user, 'customers.delete')) {
+            return error('Access denied', 403);
         }
         const id = subPath.slice(1);
-        await query('DELETE FROM customers WHERE id = $1 AND company_id = $2', [id, companyId]);
+        const params = [id, companyId];
+        const result = await query(`DELETE FROM customers WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'preferred_dc_id', params)} RETURNING *`, params);
+        if (result.rows.length > 0) {
+            await recordAudit(event, user, { companyId, action: 'delete', entityType: 'customer', before: result.rows[0] });
+        }
         return success({ message: 'Deleted' });
     }
 
@@ -715,53 +896,45 @@ async function handleCustomers(method, path, companyId, user, event) {
 async function handleOrders(method, path, companyId, user, event) {
     const subPath = path.replace('/orders', '');
 
-    if (method === 'GET' && subPath === '') {
-        const { page, limit, offset } = getPagination(event);
-        const params = event.queryStringParameters || {};
-        
-        let sql = `SELECT o.*, c.name as customer_name, c.address as customer_address, c.city as customer_city, c.state as customer_state, c.lat, c.lng, dc.name as dc_name
-                   FROM orders o
-                   JOIN customers c ON o.customer_id = c.id
-                   LEFT JOIN distribution_centers dc ON o.dc_id = dc.id
-                   WHERE o.company_id = $1`;
-        const queryParams = [companyId];
-        let paramCount = 1;
-
-        if (user.dcId) {
-            paramCount++;
-            sql += ` AND o.dc_id = $${paramCount}`;
-            queryParams.push(user.dcId);
-        }
-
-        if (params.status) {
-            paramCount++;
-            sql += ` AND o.status = $${paramCount}`;
-            queryParams.push(params.status);
-        }
-
-        if (params.customer_id) {
-            paramCount++;
-            sql += ` AND o.customer_id = $${paramCount}`;
-            queryParams.push(params.customer_id);
-        }
-
-        // Count
-        const countSql = sql.replace('SELECT o.*, c.name as customer_name, c.address as customer_address, c.city as customer_city, c.state as customer_state, c.lat, c.lng, dc.name as dc_name', 'SELECT COUNT(*)');
-        const countResult = await query(countSql, queryParams);
-        const total = parseInt(countResult.rows[0].count);
-
-        sql += ` ORDER BY o.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-        queryParams.push(limit, offset);
+    if (method === 'GET' && !hasPermission(user, 'orders.view')) {
+        return error('Access denied', 403);
+    }
 
-        const result = await query(sql, queryParams);
-        return success(paginatedResponse(result.rows, total, page, limit));
+    if (method === 'GET' && subPath === '') {
+        const params = [companyId];
+        const page = await listQuery(event, LISTS.order, {
+            select: 'o.*, c.name as customer_name, c.address as customer_address, c.city as customer_city, c.state as customer_state, c.lat, c.lng, dc.name as dc_name',
+            from: 'orders o JOIN customers c ON o.customer_id = c.id LEFT JOIN distribution_centers dc ON o.dc_id = dc.id',
+            where: `o.company_id = $1${dcScopeClause(user, 'o.dc_id', params)}`,
+            params
+        });
+        if (page.error) return error(page.error, page.status);
+        return success(page);
     }
 
     if (method === 'POST' && subPath === '') {
-        if (!requireRole(user, ['admin', 'dispatch', 'accounting'])) {
+        if (!hasPermission(user, 'orders.create')) {
             return error('Access denied', 403);
         }
-        const body = parseBody(event);
+
+        const planLimit = await enforceTenantLimit(companyId, 'orders_per_month');
+        if (planLimit.error) {
+            return error(planLimit.error, planLimit.status, planLimit.details);
+        }
+
+        const input = validateBody(event, SCHEMAS.order);
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        const dc = resolveDcForWrite(user, body.dc_id);
+        if (dc.error) return error(dc.error, dc.status);
+        body.dc_id = dc.dcId;
+
+        const customerParams = [body.customer_id, companyId];
+        const customer = await query(
+            `SELECT id FROM customers WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'preferred_dc_id', customerParams)}`,
+            customerParams
+        );
+        if (customer.rows.length === 0) return error('Customer not found', 404);
         
         // Generate order number
         const orderNum = `ORD-${Date.now().toString(36).toUpperCase()}`;
@@ -769,29 +942,51 @@ async function handleOrders(method, path, companyId, user, event) {
         const result = await query(
             `INSERT INTO orders (company_id, customer_id, dc_id, order_number, gallons_requested, price_per_gallon, total_amount, requested_date, scheduled_date, delivery_window, status, priority)
             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
-            [companyId, body.customer_id, body.dc_id, orderNum, body.gallons_requested, body.price_per_gallon, body.gallons_requested * (body.price_per_gallon || 2.50), body.requested_date, body.scheduled_date, body.delivery_window || 'anytime', body.status || 'pending', body.priority || 'normal']
+            [companyId, body.customer_id, body.dc_id, orderNum, body.gallons_requested, body.price_per_gallon, body.gallons_requested * body.price_per_gallon, body.requested_date, body.scheduled_date, body.delivery_window, body.status, body.priority]
         );
+        await recordAudit(event, user, { companyId, action: 'create', entityType: 'order', after: result.rows[0] });
         return success(result.rows[0], 201);
     }
 
-    if (method === 'PUT' && subPath.match(/^\/[a-f0-9-]+$/)) {
+    // PUT/PATCH /orders/:id - Update the fields sent
+    if (isUpdateMethod(method) && subPath.match(/^\/[a-f0-9-]+$/)) {
+        if (!hasPermission(user, 'orders.update')) {
+            return error('Access denied', 403);
+        }
         const id = subPath.slice(1);
-        const body = parseBody(event);
+        const input = validateBody(event, SCHEMAS.order, { partial: true });
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        if (body.dc_id !== undefined) {
+            const dc = resolveDcForWrite(user, body.dc_id);
+            if (dc.error) return error(dc.error, dc.status);
+            body.dc_id = dc.dcId;
+        }
+        const params = [];
+        const sets = buildSetClauses(body, UPDATABLE_FIELDS.order, params);
+        if (sets.length === 0) return error('No fields to update', 400);
+        params.push(id, companyId);
+        const before = await findAuditRow('orders', id, companyId);
         const result = await query(
-            `UPDATE orders SET dc_id = $1, gallons_requested = $2, gallons_delivered = $3, price_per_gallon = $4, total_amount = $5, scheduled_date = $6, delivery_window = $7, status = $8, priority = $9, delivery_notes = $10, payment_status = $11, paid_amount = $12, route_id = $13, delivered_at = $14
-            WHERE id = $15 AND company_id = $16 RETURNING *`,
-            [body.dc_id, body.gallons_requested, body.gallons_delivered, body.price_per_gallon, body.total_amount, body.scheduled_date, body.delivery_window, body.status, body.priority, body.delivery_notes, body.payment_status, body.paid_amount, body.route_id, body.delivered_at, id, companyId]
+            `UPDATE orders SET ${sets.join(', ')}
+            WHERE id = $${params.length - 1} AND company_id = $${params.length}${dcScopeClause(user, 'dc_id', params)} RETURNING *`,
+            params
         );
         if (result.rows.length === 0) return error('Not found', 404);
+        await recordAudit(event, user, { companyId, action: 'update', entityType: 'order', before, after: result.rows[0] });
         return success(result.rows[0]);
     }
 
     if (method === 'DELETE' && subPath.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin'])) {
-            return error('Admin access required', 403);
+        if (!hasPermission(user, 'orders.delete')) {
+            return error('Access denied', 403);
         }
         const id = subPath.slice(1);
-        await query('DELETE FROM orders WHERE id = $1 AND company_id = $2', [id, companyId]);
+        const params = [id, companyId];
+        const result = await query(`DELETE FROM orders WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'dc_id', params)} RETURNING *`, params);
+        if (result.rows.length > 0) {
+            await recordAudit(event, user, { companyId, action: 'delete', entityType: 'order', before: result.rows[0] });
+        }
         return success({ message: 'Deleted' });
     }
 
@@ -805,36 +1000,37 @@ async function handleOrders(method, path, companyId, user, event) {
 async function handleRoutes(method, path, companyId, user, event) {
     const subPath = path.replace('/routes', '');
 
+    if (method === 'GET' && !hasPermission(user, 'routes.view')) {
+        return error('Access denied', 403);
+    }
+
     if (method === 'GET' && subPath === '') {
-        let sql = `SELECT r.*, dc.name as dc_name, d.name as driver_name, t.name as truck_name,
-                   (SELECT COUNT(*) FROM route_stops WHERE route_id = r.id) as stop_count
-                   FROM routes r
+        const params = [companyId];
+        const page = await listQuery(event, LISTS.route, {
+            select: `r.*, dc.name as dc_name, d.name as driver_name, t.name as truck_name,
+                     (SELECT COUNT(*) FROM route_stops WHERE route_id = r.id) as stop_count`,
+            from: `routes r
                    LEFT JOIN distribution_centers dc ON r.dc_id = dc.id
                    LEFT JOIN drivers d ON r.driver_id = d.id
-                   LEFT JOIN trucks t ON r.truck_id = t.id
-                   WHERE r.company_id = $1`;
-        const params = [companyId];
-        
-        if (user.dcId) {
-            sql += ' AND r.dc_id = $2';
-            params.push(user.dcId);
-        }
-        sql += ' ORDER BY r.scheduled_date DESC, r.start_time';
-        
-        const result = await query(sql, params);
-        return success(result.rows);
+                   LEFT JOIN trucks t ON r.truck_id = t.id`,
+            where: `r.company_id = $1${dcScopeClause(user, 'r.dc_id', params)}`,
+            params
+        });
+        if (page.error) return error(page.error, page.status);
+        return success(page);
     }
 
     if (method === 'GET' && subPath.match(/^\/[a-f0-9-]+$/)) {
         const id = subPath.slice(1);
+        const routeParams = [id, companyId];
         const routeResult = await query(
             `SELECT r.*, dc.name as dc_name, d.name as driver_name, t.name as truck_name
              FROM routes r
              LEFT JOIN distribution_centers dc ON r.dc_id = dc.id
              LEFT JOIN drivers d ON r.driver_id = d.id
              LEFT JOIN trucks t ON r.truck_id = t.id
-             WHERE r.id = $1 AND r.company_id = $2`,
-            [id, companyId]
+             WHERE r.id = $1 AND r.company_id = $2${dcScopeClause(user, 'r.dc_id', routeParams)}`,
+            routeParams
         );
         if (routeResult.rows.length === 0) return error('Not found', 404);
 
@@ -857,45 +1053,94 @@ async function handleRoutes(method, path, companyId, user, event) {
     }
 
     if (method === 'POST' && subPath === '') {
-        if (!requireRole(user, ['admin', 'dispatch'])) {
+        if (!hasPermission(user, 'routes.create')) {
             return error('Access denied', 403);
         }
-        const body = parseBody(event);
+        const input = validateBody(event, SCHEMAS.route);
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        const dc = resolveDcForWrite(user, body.dc_id);
+        if (dc.error) return error(dc.error, dc.status);
+        body.dc_id = dc.dcId;
         const routeNum = `RTE-${Date.now().toString(36).toUpperCase()}`;
         
         const result = await query(
             `INSERT INTO routes (company_id, dc_id, truck_id, driver_id, route_number, name, scheduled_date, start_time, status)
             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
-            [companyId, body.dc_id, body.truck_id, body.driver_id, routeNum, body.name, body.scheduled_date, body.start_time || '08:00', body.status || 'planned']
+            [companyId, body.dc_id, body.truck_id, body.driver_id, routeNum, body.name, body.scheduled_date, body.start_time, body.status]
         );
+        await recordAudit(event, user, { companyId, action: 'create', entityType: 'route', after: result.rows[0] });
         return success(result.rows[0], 201);
     }
 
-    if (method === 'PUT' && subPath.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin', 'dispatch', 'driver'])) {
+    // PUT/PATCH /routes/:id - Update the fields sent
+    if (isUpdateMethod(method) && subPath.match(/^\/[a-f0-9-]+$/)) {
+        if (!hasPermission(user, 'routes.update')) {
             return error('Access denied', 403);
         }
         const id = subPath.slice(1);
-        const body = parseBody(event);
+        const input = validateBody(event, SCHEMAS.route, { partial: true });
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        const params = [];
+        const sets = buildSetClauses(body, UPDATABLE_FIELDS.route, params);
+        if (sets.length === 0) return error('No fields to update', 400);
+        params.push(id, companyId);
+        const before = await findAuditRow('routes', id, companyId);
         const result = await query(
-            `UPDATE routes SET truck_id = $1, driver_id = $2, name = $3, scheduled_date = $4, start_time = $5, status = $6, total_stops = $7, total_gallons = $8, total_miles = $9, estimated_duration = $10, is_optimized = $11, started_at = $12, completed_at = $13
-            WHERE id = $14 AND company_id = $15 RETURNING *`,
-            [body.truck_id, body.driver_id, body.name, body.scheduled_date, body.start_time, body.status, body.total_stops, body.total_gallons, body.total_miles, body.estimated_duration, body.is_optimized, body.started_at, body.completed_at, id, companyId]
+            `UPDATE routes SET ${sets.join(', ')}
+            WHERE id = $${params.length - 1} AND company_id = $${params.length}${dcScopeClause(user, 'dc_id', params)} RETURNING *`,
+            params
         );
         if (result.rows.length === 0) return error('Not found', 404);
+        await recordAudit(event, user, { companyId, action: 'update', entityType: 'route', before, after: result.rows[0] });
         return success(result.rows[0]);
     }
 
     // POST /routes/:id/stops - Add stops to route
     if (method === 'POST' && subPath.match(/^\/[a-f0-9-]+\/stops$/)) {
-        if (!requireRole(user, ['admin', 'dispatch'])) {
+        if (!hasPermission(user, 'routes.stops')) {
             return error('Access denied', 403);
         }
         const routeId = subPath.split('/')[1];
-        const body = parseBody(event);
-        
-        // body.orders should be array of { order_id, stop_number }
-        const stops = body.orders || [];
+        const parsed = parseJsonBody(event);
+        if (parsed.error) return error(parsed.error, parsed.status);
+
+        // body.orders is an array of { order_id, stop_number }
+        const orders = parsed.body.orders;
+        if (!Array.isArray(orders) || orders.length === 0) {
+            const invalid = validationError([{ field: 'orders', message: 'orders must be a list of { order_id, stop_number }' }]);
+            return error(invalid.error, invalid.status, invalid.details);
+        }
+        const stops = [];
+        const fields = [];
+        orders.forEach((item, i) => {
+            const checked = validate(SCHEMAS.route_stop, item && typeof item === 'object' ? item : {});
+            if (checked.error) {
+                fields.push(...checked.details.fields.map(f => ({ field: `orders[${i}].${f.field}`, message: f.message })));
+            } else {
+                stops.push(checked.values);
+            }
+        });
+        if (fields.length > 0) {
+            const invalid = validationError(fields);
+            return error(invalid.error, invalid.status, invalid.details);
+        }
+
+        const routeParams = [routeId, companyId];
+        const routeCheck = await query(
+            `SELECT id FROM routes WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'dc_id', routeParams)}`,
+            routeParams
+        );
+        if (routeCheck.rows.length === 0) return error('Not found', 404);
+
+        const orderIds = [...new Set(stops.map(stop => stop.order_id))];
+        const orderParams = [orderIds, companyId];
+        const found = await query(
+            `SELECT id FROM orders WHERE id = ANY($1) AND company_id = $2${dcScopeClause(user, 'dc_id', orderParams)}`,
+            orderParams
+        );
+        if (found.rows.length !== orderIds.length) return error('Order not found', 404);
         
         for (const stop of stops) {
             await query(
@@ -924,17 +1169,33 @@ async function handleRoutes(method, path, companyId, user, event) {
             [statsResult.rows[0].stops, statsResult.rows[0].gallons, routeId]
         );
 
+        await recordAudit(event, user, {
+            companyId,
+            action: 'stops_added',
+            entityType: 'route',
+            entityId: routeId,
+            after: { stops }
+        });
         return success({ message: 'Stops added', count: stops.length });
     }
 
     if (method === 'DELETE' && subPath.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin'])) {
-            return error('Admin access required', 403);
+        if (!hasPermission(user, 'routes.delete')) {
+            return error('Access denied', 403);
         }
         const id = subPath.slice(1);
+        const params = [id, companyId];
+        const routeCheck = await query(
+            `SELECT id FROM routes WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'dc_id', params)}`,
+            params
+        );
+        if (routeCheck.rows.length === 0) return error('Not found', 404);
         // Clear route from orders first
-        await query('UPDATE orders SET route_id = NULL WHERE route_id = $1', [id]);
-        await query('DELETE FROM routes WHERE id = $1 AND company_id = $2', [id, companyId]);
+        await query('UPDATE orders SET route_id = NULL WHERE route_id = $1 AND company_id = $2', [id, companyId]);
+        const result = await query('DELETE FROM routes WHERE id = $1 AND company_id = $2 RETURNING *', [id, companyId]);
+        if (result.rows.length > 0) {
+            await recordAudit(event, user, { companyId, action: 'delete', entityType: 'route', before: result.rows[0] });
+        }
         return success({ message: 'Deleted' });
     }
 
@@ -942,63 +1203,861 @@ async function handleRoutes(method, path, companyId, user, event) {
 }
 
 // =====================================================
-// USERS (Admin only)
+// USERS
 // =====================================================
 
-async function handleUsers(method, path, companyId, event) {
+async function handleUsers(method, path, companyId, user, event) {
     const { hashPassword } = require('./utils/auth');
+    const { sendUserVerification } = require('./utils/auth-tokens');
     const subPath = path.replace('/users', '');
 
     if (method === 'GET' && subPath === '') {
-        const result = await query(
-            `SELECT id, username, email, name, role, avatar, dc_id, driver_id, status, last_login, created_at
-             FROM users WHERE company_id = $1 ORDER BY created_at DESC`,
-            [companyId]
-        );
-        return success(result.rows);
+        const params = [companyId];
+        const page = await listQuery(event, LISTS.user, {
+            select: `u.id, u.username, u.email, u.name, u.role, u.avatar, u.dc_id, u.driver_id, u.status, u.last_login, u.email_verified_at, u.created_at,
+                     u.failed_login_count, CASE WHEN u.locked_until > CURRENT_TIMESTAMP THEN u.locked_until END as locked_until,
+                     COALESCE((SELECT array_agg(udc.dc_id) FROM user_distribution_centers udc WHERE udc.user_id = u.id), '{}') as dc_ids`,
+            from: 'users u',
+            where: `u.company_id = $1${userScopeClause(user, params)}`,
+            params
+        });
+        if (page.error) return error(page.error, page.status);
+        return success(page);
     }
 
     if (method === 'POST' && subPath === '') {
+        const planLimit = await enforceTenantLimit(companyId, 'users');
+        if (planLimit.error) {
+            return error(planLimit.error, planLimit.status, planLimit.details);
+        }
+
         const body = parseBody(event);
+        const roleCheck = await checkAssignableRole(companyId, user, body.role);
+        if (roleCheck) return roleCheck;
+        const dcCheck = checkAssignableDcs(user, requestedDcIds(body));
+        if (dcCheck) return dcCheck;
+
         const passwordHash = await hashPassword(body.password);
         const result = await query(
             `INSERT INTO users (company_id, username, email, password_hash, name, role, avatar, dc_id, driver_id)
             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-            RETURNING id, username, email, name, role, avatar, dc_id, driver_id, status, created_at`,
+            RETURNING id, company_id, username, email, name, role, avatar, dc_id, driver_id, status, email_verified_at, created_at`,
             [companyId, body.username, body.email, passwordHash, body.name, body.role, body.avatar || '👤', body.dc_id, body.driver_id]
         );
-        return success(result.rows[0], 201);
+        const newUser = result.rows[0];
+        newUser.dc_ids = await transaction(client => setUserDcIds(client, companyId, newUser.id, requestedDcIds(body)));
+        newUser.dc_id = newUser.dc_ids[0] || null;
+
+        // New accounts confirm their email address; a failed send doesn't block creation
+        try {
+            await sendUserVerification(newUser, getClientIp(event));
+        } catch (e) {
+            console.log('Verification email error:', e.message);
+        }
+
+        await recordAudit(event, user, { companyId, action: 'create', entityType: 'user', after: newUser });
+        return success(newUser, 201);
     }
 
-    if (method === 'PUT' && subPath.match(/^\/[a-f0-9-]+$/)) {
+    // PUT/PATCH /users/:id - Update the fields sent; dc_ids (or dc_id) replaces the user's DCs
+    if (isUpdateMethod(method) && subPath.match(/^\/[a-f0-9-]+$/)) {
         const id = subPath.slice(1);
-        const body = parseBody(event);
-        
-        let sql = `UPDATE users SET name = $1, email = $2, role = $3, avatar = $4, dc_id = $5, driver_id = $6, status = $7`;
-        const params = [body.name, body.email, body.role, body.avatar, body.dc_id, body.driver_id, body.status || 'active'];
-        
-        // Update password if provided
-        if (body.password) {
-            const passwordHash = await hashPassword(body.password);
-            sql += `, password_hash = $8 WHERE id = $9 AND company_id = $10`;
-            params.push(passwordHash, id, companyId);
-        } else {
-            sql += ` WHERE id = $8 AND company_id = $9`;
-            params.push(id, companyId);
+        const input = validateBody(event, SCHEMAS.user, { partial: true });
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        const targetCheck = await checkManageableUser(companyId, user, id);
+        if (targetCheck) return targetCheck;
+        if (body.role !== undefined) {
+            const roleCheck = await checkAssignableRole(companyId, user, body.role);
+            if (roleCheck) return roleCheck;
         }
-        
-        sql += ' RETURNING id, username, email, name, role, avatar, dc_id, driver_id, status';
-        
-        const result = await query(sql, params);
-        if (result.rows.length === 0) return error('Not found', 404);
-        return success(result.rows[0]);
+        if (body.dc_ids !== undefined || body.dc_id !== undefined) {
+            const dcCheck = checkAssignableDcs(user, requestedDcIds(body));
+            if (dcCheck) return dcCheck;
+        }
+
+        const before = await query(
+            `SELECT id, username, email, name, role, avatar, dc_id, driver_id, status, email_verified_at,
+                    COALESCE((SELECT array_agg(udc.dc_id ORDER BY udc.dc_id) FROM user_distribution_centers udc WHERE udc.user_id = users.id), '{}') as dc_ids
+             FROM users WHERE id = $1 AND company_id = $2`,
+            [id, companyId]
+        );
+        if (before.rows.length === 0) return error('Not found', 404);
+        const previous = before.rows[0];
+
+        const params = [];
+        const sets = buildSetClauses(body, UPDATABLE_FIELDS.user, params);
+
+        // Changing the email address drops its verification. It also unlinks the account from the user's
+        // other companies, as does an admin-set password: a tenant admin must not be able to take over
+        // the same person's accounts elsewhere.
+        if (body.email !== undefined) {
+            params.push(body.email);
+            const email = `$${params.length}`;
+            sets.push(`email_verified_at = CASE WHEN email IS DISTINCT FROM ${email} THEN NULL ELSE email_verified_at END`);
+            if (!body.password) {
+                sets.push(`identity_id = CASE WHEN email IS DISTINCT FROM ${email} THEN NULL ELSE identity_id END`);
+            }
+        }
+        if (body.password) {
+            params.push(await hashPassword(body.password));
+            sets.push(`password_hash = $${params.length}`, 'identity_id = NULL');
+        }
+
+        const dcsSent = body.dc_ids !== undefined || body.dc_id !== undefined;
+        if (sets.length === 0 && !dcsSent) return error('No fields to update', 400);
+
+        let updated = { ...previous };
+        if (sets.length > 0) {
+            params.push(id, companyId);
+            const result = await query(
+                `UPDATE users SET ${sets.join(', ')} WHERE id = $${params.length - 1} AND company_id = $${params.length}
+                 RETURNING id, username, email, name, role, avatar, dc_id, driver_id, status, email_verified_at`,
+                params
+            );
+            if (result.rows.length === 0) return error('Not found', 404);
+            updated = { ...result.rows[0], dc_ids: previous.dc_ids };
+        }
+        if (dcsSent) {
+            updated.dc_ids = await transaction(client => setUserDcIds(client, companyId, id, requestedDcIds(body)));
+            updated.dc_id = updated.dc_ids[0] || null;
+        }
+
+        // Deactivation and password resets sign the user out everywhere; role and DC
+        // changes only expire access tokens so the next refresh picks them up
+        // An empty list also lifts the limit left by deleted DCs (users.dc_scoped), with no ids changing
+        const dcIdsChanged = [...updated.dc_ids].sort().join() !== previous.dc_ids.join() || (dcsSent && updated.dc_ids.length === 0);
+        if (updated.status !== 'active' && previous.status === 'active') {
+            await revokeUserSessions(id, 'user_deactivated');
+        } else if (body.password) {
+            await revokeUserSessions(id, 'password_reset_by_admin');
+        } else if (updated.role !== previous.role || dcIdsChanged) {
+            await expireAccessTokens(id);
+        }
+
+        await recordAudit(event, user, {
+            companyId,
+            action: 'update',
+            entityType: 'user',
+            before: previous,
+            after: { ...updated, dc_ids: [...updated.dc_ids].sort() }
+        });
+        if (body.password) {
+            await recordAudit(event, user, { companyId, action: 'password_reset_by_admin', entityType: 'user', entityId: id });
+        }
+
+        return success(updated);
     }
 
     if (method === 'DELETE' && subPath.match(/^\/[a-f0-9-]+$/)) {
         const id = subPath.slice(1);
-        await query('DELETE FROM users WHERE id = $1 AND company_id = $2', [id, companyId]);
+        const targetCheck = await checkManageableUser(companyId, user, id);
+        if (targetCheck) return targetCheck;
+        const result = await query('DELETE FROM users WHERE id = $1 AND company_id = $2 RETURNING *', [id, companyId]);
+        if (result.rows.length > 0) {
+            await recordAudit(event, user, { companyId, action: 'delete', entityType: 'user', before: result.rows[0] });
+        }
         return success({ message: 'Deleted' });
     }
 
+    // POST /users/:id/unlock - Lift a lockout from failed sign-in attempts
+    if (method === 'POST' && subPath.match(/^\/[a-f0-9-]+\/unlock$/)) {
+        const id = subPath.split('/')[1];
+        const targetCheck = await checkManageableUser(companyId, user, id);
+        if (targetCheck) return targetCheck;
+        const unlocked = await unlockAccount('user', id, companyId);
+        if (!unlocked) return error('Not found', 404);
+        await recordAudit(event, user, {
+            companyId,
+            action: 'account_unlocked',
+            entityType: 'user',
+            entityId: id,
+            before: { failed_login_count: unlocked.failed_login_count, locked_until: unlocked.locked_until },
+            after: { failed_login_count: 0, locked_until: null }
+        });
+        return success({ message: 'Account unlocked' });
+    }
+
+    // GET /users/:id/sessions - Devices the user is signed in on
+    if (method === 'GET' && subPath.match(/^\/[a-f0-9-]+\/sessions$/)) {
+        const id = subPath.split('/')[1];
+        const targetCheck = await checkManageableUser(companyId, user, id);
+        if (targetCheck) return targetCheck;
+        return success(await listUserSessions(id));
+    }
+
+    // DELETE /users/:id/sessions - Sign the user out everywhere
+    if (method === 'DELETE' && subPath.match(/^\/[a-f0-9-]+\/sessions$/)) {
+        const id = subPath.split('/')[1];
+        const targetCheck = await checkManageableUser(companyId, user, id);
+        if (targetCheck) return targetCheck;
+        const revoked = await revokeUserSessions(id, 'revoked_by_admin');
+        await recordAudit(event, user, { companyId, action: 'sessions_revoked', entityType: 'user', entityId: id, after: { revoked } });
+        return success({ message: 'Signed out of all sessions', revoked });
+    }
+
+    // DELETE /users/:id/sessions/:sessionId - End one session
+    if (method === 'DELETE' && subPath.match(/^\/[a-f0-9-]+\/sessions\/[a-f0-9-]+$/)) {
+        const [, id, , sessionId] = subPath.split('/');
+        const targetCheck = await checkManageableUser(companyId, user, id);
+        if (targetCheck) return targetCheck;
+        const owned = await query(
+            'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2 AND company_id = $3',
+            [sessionId, id, companyId]
+        );
+        if (owned.rows.length === 0) return error('Not found', 404);
+        await revokeSession(sessionId, 'revoked_by_admin');
+        await recordAudit(event, user, { companyId, action: 'session_revoked', entityType: 'user', entityId: id, after: { session_id: sessionId } });
+        return success({ message: 'Session revoked' });
+    }
+
+    return error('Not found', 404);
+}
+
+// DC assignments from a user body: dc_ids, or the single legacy dc_id
+function requestedDcIds(body) {
+    if (Array.isArray(body.dc_ids)) return body.dc_ids;
+    return body.dc_id ? [body.dc_id] : [];
+}
+
+// Users a DC-scoped user can see and manage: those assigned to at least one of the same DCs
+function userScopeClause(user, params) {
+    const scope = getDcScope(user);
+    if (!scope) return '';
+    params.push(scope);
+    return ` AND EXISTS (SELECT 1 FROM user_distribution_centers udc WHERE udc.user_id = u.id AND udc.dc_id = ANY($${params.length}))`;
+}
+
+// DC-scoped users can only assign their own DCs, and must assign at least one: an empty list
+// would leave the account unrestricted. Returns an error response or null
+function checkAssignableDcs(user, dcIds) {
+    const scope = getDcScope(user);
+    if (!scope) return null;
+    if (dcIds.length === 0) {
+        return error('Assign at least one of your distribution centers', 403);
+    }
+    if (dcIds.some(dcId => !scope.includes(dcId))) {
+        return error('You do not have access to this distribution center', 403);
+    }
+    return null;
+}
+
+// Role must exist and can't grant more than the assigning user has; returns an error response or null
+async function checkAssignableRole(companyId, user, roleKey) {
+    if (!roleKey || !(await roleExists(companyId, roleKey))) {
+        return error('Unknown role', 400);
+    }
+    const granted = await getRolePermissions(companyId, roleKey);
+    if (granted.some(p => !hasPermission(user, p))) {
+        return error('You cannot assign a role with more access than your own', 403);
+    }
+    return null;
+}
+
+// Users can only manage accounts whose role has no permission they lack themselves and, when DC-scoped,
+// that share one of their DCs; returns an error response or null
+async function checkManageableUser(companyId, user, id) {
+    const params = [id, companyId];
+    const target = await query(`SELECT u.role FROM users u WHERE u.id = $1 AND u.company_id = $2${userScopeClause(user, params)}`, params);
+    if (target.rows.length === 0) return error('Not found', 404);
+    const granted = await getRolePermissions(companyId, target.rows[0].role);
+    if (granted.some(p => !hasPermission(user, p))) {
+        return error('You cannot manage a user with more access than your own', 403);
+    }
+    return null;
+}
+
+// =====================================================
+// ROLES & PERMISSIONS
+// =====================================================
+
+async function handleRoles(method, path, companyId, user, event) {
+    const subPath = path.replace('/roles', '');
+
+    // GET /data/roles - Permission registry and roles (also used to assign roles to users)
+    if (method === 'GET' && subPath === '') {
+        if (!hasPermission(user, 'roles.manage') && !hasPermission(user, 'users.manage')) {
+            return error('Access denied', 403);
+        }
+        const permissions = Object.entries(PERMISSIONS).map(([key, description]) => ({
+            key,
+            group: key.split('.')[0],
+            description
+        }));
+        return success({ permissions, roles: await listRoles(companyId) });
+    }
+
+    if (!hasPermission(user, 'roles.manage')) {
+        return error('Access denied', 403);
+    }
+
+    // POST /data/roles - Create a custom role
+    if (method === 'POST' && subPath === '') {
+        const body = parseBody(event);
+        if (!body.name) {
+            return error('Role name required', 400);
+        }
+
+        const key = (body.key || body.name).toString().toLowerCase().trim()
+            .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 50);
+        if (!key) {
+            return error('Invalid role key', 400);
+        }
+        if (DEFAULT_ROLES[key]) {
+            return error('A built-in role already uses that name', 409);
+        }
+
+        const permissionError = checkGrantablePermissions(user, body.permissions);
+        if (permissionError) return permissionError;
+
+        const existing = await query('SELECT 1 FROM company_roles WHERE company_id = $1 AND key = $2', [companyId, key]);
+        if (existing.rows.length > 0) {
+            return error('A role with that name already exists', 409);
+        }
+
+        const result = await query(
+            `INSERT INTO company_roles (company_id, key, name, description, permissions)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [companyId, key, body.name, body.description || null, JSON.stringify(normalizePermissions(body.permissions))]
+        );
+        await recordAudit(event, user, { companyId, action: 'create', entityType: 'role', after: result.rows[0] });
+        return success(result.rows[0], 201);
+    }
+
+    // PUT /data/roles/:key - Edit a custom role, or customize a built-in one
+    if (method === 'PUT' && subPath.match(/^\/[a-z0-9_]+$/)) {
+        const key = subPath.slice(1);
+        const body = parseBody(event);
+
+        if (LOCKED_ROLES.includes(key)) {
+            return error('This role cannot be changed', 400);
+        }
+        if (!(await roleExists(companyId, key))) {
+            return error('Role not found', 404);
+        }
+
+        const permissionError = checkGrantablePermissions(user, body.permissions);
+        if (permissionError) return permissionError;
+
+        const builtIn = DEFAULT_ROLES[key];
+        const stored = await query('SELECT * FROM company_roles WHERE company_id = $1 AND key = $2', [companyId, key]);
+        const before = stored.rows[0] || { key, name: builtIn.name, description: builtIn.description, permissions: builtIn.permissions };
+        const permissions = body.permissions !== undefined
+            ? normalizePermissions(body.permissions)
+            : await getRolePermissions(companyId, key);
+
+        // Built-in roles keep their name; the first edit stores a company copy
+        if (builtIn) {
+            const result = await query(
+                `INSERT INTO company_roles (company_id, key, name, description, permissions)
+                 VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (company_id, key) DO UPDATE SET permissions = EXCLUDED.permissions, updated_at = CURRENT_TIMESTAMP
+                 RETURNING *`,
+                [companyId, key, builtIn.name, builtIn.description, JSON.stringify(permissions)]
+            );
+            await recordAudit(event, user, { companyId, action: 'update', entityType: 'role', before, after: result.rows[0] });
+            return success(result.rows[0]);
+        }
+
+        const result = await query(
+            `UPDATE company_roles SET name = COALESCE($1, name), description = COALESCE($2, description),
+                permissions = $3, updated_at = CURRENT_TIMESTAMP
+             WHERE company_id = $4 AND key = $5 RETURNING *`,
+            [body.name || null, body.description ?? null, JSON.stringify(permissions), companyId, key]
+        );
+        await recordAudit(event, user, { companyId, action: 'update', entityType: 'role', before, after: result.rows[0] });
+        return success(result.rows[0]);
+    }
+
+    // DELETE /data/roles/:key - Delete a custom role, or reset a built-in one to its defaults
+    if (method === 'DELETE' && subPath.match(/^\/[a-z0-9_]+$/)) {
+        const key = subPath.slice(1);
+
+        if (DEFAULT_ROLES[key]) {
+            const reset = await query('DELETE FROM company_roles WHERE company_id = $1 AND key = $2 RETURNING *', [companyId, key]);
+            if (reset.rows.length > 0) {
+                await recordAudit(event, user, {
+                    companyId,
+                    action: 'update',
+                    entityType: 'role',
+                    entityId: reset.rows[0].id,
+                    before: reset.rows[0],
+                    after: { ...reset.rows[0], permissions: DEFAULT_ROLES[key].permissions }
+                });
+            }
+            return success({ message: 'Role reset to defaults' });
+        }
+
+        const assigned = await query('SELECT COUNT(*)::int as count FROM users WHERE company_id = $1 AND role = $2', [companyId, key]);
+        if (assigned.rows[0].count > 0) {
+            return error('Reassign the users with this role before deleting it', 409, { user_count: assigned.rows[0].count });
+        }
+
+        const result = await query('DELETE FROM company_roles WHERE company_id = $1 AND key = $2 RETURNING *', [companyId, key]);
+        if (result.rows.length === 0) return error('Role not found', 404);
+        await recordAudit(event, user, { companyId, action: 'delete', entityType: 'role', before: result.rows[0] });
+        return success({ message: 'Deleted' });
+    }
+
+    return error('Not found', 404);
+}
+
+// Permissions in a role body must be known and held by the editor; returns an error response or null
+function checkGrantablePermissions(user, permissions) {
+    if (permissions === undefined) return null;
+    if (!Array.isArray(permissions)) {
+        return error('permissions must be an array', 400);
+    }
+    const unknown = unknownPermissions(permissions);
+    if (unknown.length > 0) {
+        return error('Unknown permissions', 400, { unknown });
+    }
+    if (permissions.some(p => !hasPermission(user, p))) {
+        return error('You cannot grant permissions you do not have', 403);
+    }
+    return null;
+}
+
+// =====================================================
+// API KEYS
+// =====================================================
+
+async function handleApiKeys(method, path, companyId, user, event) {
+    const subPath = path.replace('/api-keys', '');
+
+    // GET /data/api-keys - List keys (secrets are never returned after creation)
+    if (method === 'GET' && subPath === '') {
+        const result = await query(
+            `SELECT k.*, u.name as created_by_name
+             FROM api_keys k
+             LEFT JOIN users u ON k.created_by = u.id
+             WHERE k.company_id = $1
+             ORDER BY k.revoked_at IS NOT NULL, k.created_at DESC`,
+            [companyId]
+        );
+        return success(result.rows.map(serializeApiKey));
+    }
+
+    // A key outlives the support session, so support staff can't mint or change them
+    if (user.impersonatedBy) {
+        return error('API keys cannot be changed while impersonating', 403);
+    }
+
+    // POST /data/api-keys - Create a key; the secret is only in this response
+    if (method === 'POST' && subPath === '') {
+        const body = parseBody(event);
+        if (!body.name) {
+            return error('Key name required', 400);
+        }
+        if (!Array.isArray(body.permissions) || body.permissions.length === 0) {
+            return error('Choose at least one permission for the key', 400);
+        }
+
+        const checked = await checkApiKeyBody(companyId, user, body);
+        if (checked.error) return checked.error;
+
+        const generated = generateApiKey();
+        const result = await query(
+            `INSERT INTO api_keys (company_id, name, key_prefix, key_hash, permissions, dc_id, expires_at, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+            [companyId, body.name, generated.keyPrefix, generated.keyHash, JSON.stringify(checked.permissions),
+                checked.dcId, checked.expiresAt, user.userId]
+        );
+        const apiKey = result.rows[0];
+        await recordAudit(event, user, { companyId, action: 'create', entityType: 'api_key', after: serializeApiKey(apiKey) });
+
+        return success({ ...serializeApiKey(apiKey), key: generated.key }, 201);
+    }
+
+    const idMatch = subPath.match(/^\/([a-f0-9-]+)(\/rotate)?$/);
+    if (!idMatch) {
+        return error('Not found', 404);
+    }
+    const keyId = idMatch[1];
+
+    const existing = await query('SELECT * FROM api_keys WHERE id = $1 AND company_id = $2', [keyId, companyId]);
+    if (existing.rows.length === 0) {
+        return error('API key not found', 404);
+    }
+    const current = existing.rows[0];
+    if (current.revoked_at) {
+        return error('API key has been revoked', 409);
+    }
+    // Scoped admins only manage keys pinned to their own DCs
+    if (!canAccessDc(user, current.dc_id)) {
+        return error('You do not have access to this distribution center', 403);
+    }
+
+    // PUT /data/api-keys/:id - Rename, re-scope or change expiry
+    if (method === 'PUT' && !idMatch[2]) {
+        const body = parseBody(event);
+        const checked = await checkApiKeyBody(companyId, user, {
+            permissions: body.permissions !== undefined ? body.permissions : current.permissions,
+            dc_id: body.dc_id !== undefined ? body.dc_id : current.dc_id,
+            expires_at: body.expires_at !== undefined ? body.expires_at : current.expires_at
+        });
+        if (checked.error) return checked.error;
+
+        const result = await query(
+            `UPDATE api_keys SET name = COALESCE($1, name), permissions = $2, dc_id = $3, expires_at = $4
+             WHERE id = $5 AND company_id = $6 RETURNING *`,
+            [body.name || null, JSON.stringify(checked.permissions), checked.dcId, checked.expiresAt, keyId, companyId]
+        );
+        await recordAudit(event, user, {
+            companyId,
+            action: 'update',
+            entityType: 'api_key',
+            before: serializeApiKey(current),
+            after: serializeApiKey(result.rows[0])
+        });
+
+        return success(serializeApiKey(result.rows[0]));
+    }
+
+    // POST /data/api-keys/:id/rotate - New secret, same settings; the old secret stops working immediately
+    if (method === 'POST' && idMatch[2]) {
+        const generated = generateApiKey();
+        const result = await query(
+            `UPDATE api_keys SET key_prefix = $1, key_hash = $2, rotated_at = CURRENT_TIMESTAMP
+             WHERE id = $3 AND company_id = $4 RETURNING *`,
+            [generated.keyPrefix, generated.keyHash, keyId, companyId]
+        );
+        await recordAudit(event, user, {
+            companyId,
+            action: 'api_key_rotated',
+            entityType: 'api_key',
+            entityId: keyId,
+            before: { key_prefix: current.key_prefix },
+            after: { key_prefix: generated.keyPrefix }
+        });
+
+        return success({ ...serializeApiKey(result.rows[0]), key: generated.key });
+    }
+
+    // DELETE /data/api-keys/:id - Revoke (kept for the audit trail)
+    if (method === 'DELETE' && !idMatch[2]) {
+        const result = await query(
+            `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $1
+             WHERE id = $2 AND company_id = $3 RETURNING *`,
+            [user.userId, keyId, companyId]
+        );
+        await recordAudit(event, user, { companyId, action: 'api_key_revoked', entityType: 'api_key', before: serializeApiKey(result.rows[0]) });
+
+        return success({ message: 'API key revoked' });
+    }
+
+    return error('Not found', 404);
+}
+
+// Validate permissions, DC and expiry for a key; returns { permissions, dcId, expiresAt } or { error }
+async function checkApiKeyBody(companyId, user, body) {
+    const permissions = normalizePermissions(body.permissions);
+    const excluded = (body.permissions || []).filter(p => API_KEY_EXCLUDED_PERMISSIONS.includes(p));
+    if (excluded.length > 0) {
+        return { error: error('API keys cannot be given these permissions', 400, { excluded }) };
+    }
+    const permissionError = checkGrantablePermissions(user, body.permissions);
+    if (permissionError) return { error: permissionError };
+
+    const dc = resolveDcForWrite(user, body.dc_id || null);
+    if (dc.error) {
+        return { error: error(dc.error, dc.status) };
+    }
+    if (dc.dcId) {
+        const dcResult = await query('SELECT 1 FROM distribution_centers WHERE id = $1 AND company_id = $2', [dc.dcId, companyId]);
+        if (dcResult.rows.length === 0) {
+            return { error: error('Distribution center not found', 404) };
+        }
+    }
+
+    let expiresAt = null;
+    if (body.expires_at) {
+        expiresAt = new Date(body.expires_at);
+        if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+            return { error: error('expires_at must be a date in the future', 400) };
+        }
+    }
+
+    return { permissions, dcId: dc.dcId, expiresAt };
+}
+
+// =====================================================
+// SECURITY POLICY
+// =====================================================
+
+async function handleSecuritySettings(method, companyId, user, event) {
+    if (method === 'GET') {
+        const companyResult = await query('SELECT settings FROM companies WHERE id = $1', [companyId]);
+        const settings = companyResult.rows[0]?.settings;
+        const enrollment = await query(
+            `SELECT u.role, COUNT(*)::int as users, COUNT(tf.enabled_at)::int as enrolled
+             FROM users u
+             LEFT JOIN two_factor_auth tf ON tf.subject_type = 'user' AND tf.subject_id = u.id
+             WHERE u.company_id = $1 AND u.status = 'active'
+             GROUP BY u.role`,
+            [companyId]
+        );
+        return success({
+            two_factor: getTwoFactorPolicy(settings),
+            login_protection: getLoginProtectionPolicy(settings),
+            enrollment: enrollment.rows
+        });
+    }
+
+    if (method === 'PUT') {
+        if (user.impersonatedBy) {
+            return error('Security settings cannot be changed while impersonating', 403);
+        }
+
+        const body = parseBody(event);
+        if (body.two_factor === undefined && body.login_protection === undefined) {
+            return error('two_factor or login_protection required', 400);
+        }
+
+        const changes = {};
+        let signedOut = 0;
+
+        if (body.two_factor !== undefined) {
+            const requiredRoles = body.two_factor?.required_roles;
+            if (!Array.isArray(requiredRoles)) {
+                return error('two_factor.required_roles must be an array of role keys', 400);
+            }
+            for (const roleKey of requiredRoles) {
+                if (!(await roleExists(companyId, roleKey))) {
+                    return error(`Unknown role: ${roleKey}`, 400);
+                }
+            }
+
+            // Don't let an admin lock themselves out mid-session
+            if (requiredRoles.includes(user.role) && !(await isTwoFactorEnabled('user', user.userId))) {
+                return error('Turn on two-factor authentication for your own account first', 400);
+            }
+
+            changes.two_factor = { required_roles: [...new Set(requiredRoles)] };
+        }
+
+        if (body.login_protection !== undefined) {
+            const policyError = loginProtectionPolicyError(body.login_protection);
+            if (policyError) {
+                return error(policyError, 400);
+            }
+            changes.login_protection = getLoginProtectionPolicy({ login_protection: body.login_protection });
+        }
+
+        const before = await query('SELECT settings FROM companies WHERE id = $1', [companyId]);
+        const previous = before.rows[0]?.settings || {};
+
+        await query(
+            `UPDATE companies
+             SET settings = COALESCE(settings, '{}'::jsonb) || $1::jsonb,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [JSON.stringify(changes), companyId]
+        );
+
+        if (changes.two_factor) {
+            // Users in those roles without 2FA are signed out and enroll at their next sign-in
+            const unenrolled = await query(
+                `SELECT u.id FROM users u
+                 LEFT JOIN two_factor_auth tf ON tf.subject_type = 'user' AND tf.subject_id = u.id AND tf.enabled_at IS NOT NULL
+                 WHERE u.company_id = $1 AND u.role = ANY($2) AND tf.id IS NULL`,
+                [companyId, changes.two_factor.required_roles]
+            );
+            for (const row of unenrolled.rows) {
+                await revokeUserSessions(row.id, 'two_factor_required');
+            }
+            signedOut = unenrolled.rows.length;
+        }
+
+        await recordAudit(event, user, {
+            companyId,
+            action: 'security_settings_updated',
+            entityType: 'company',
+            entityId: companyId,
+            before: {
+                two_factor: getTwoFactorPolicy(previous),
+                login_protection: getLoginProtectionPolicy(previous)
+            },
+            after: {
+                two_factor: changes.two_factor || getTwoFactorPolicy(previous),
+                login_protection: changes.login_protection || getLoginProtectionPolicy(previous)
+            }
+        });
+
+        const updated = { ...previous, ...changes };
+        return success({
+            two_factor: getTwoFactorPolicy(updated),
+            login_protection: getLoginProtectionPolicy(updated),
+            signed_out: signedOut
+        });
+    }
+
+    return error('Not found', 404);
+}
+
+// =====================================================
+// SINGLE SIGN-ON SETTINGS
+// =====================================================
+
+async function handleSsoSettings(method, companyId, user, event) {
+    const company = await getCompanyById(companyId);
+
+    // GET /sso - Identity provider settings (never the client secret)
+    if (method === 'GET') {
+        return success(serializeSsoConfig(company));
+    }
+
+    if (user.impersonatedBy) {
+        return error('Single sign-on settings cannot be changed while impersonating', 403);
+    }
+
+    // PUT /sso - Save identity provider settings
+    if (method === 'PUT') {
+        if (!isSsoPlan(company.plan)) {
+            return error('Single sign-on is available on the Enterprise plan', 403);
+        }
+
+        const body = parseBody(event);
+        const built = buildSsoConfig(body, company.sso_config || {});
+        if (built.error) {
+            return error(built.error, 400);
+        }
+
+        const roles = [...built.config.role_mapping.map(entry => entry.role), built.config.default_role].filter(Boolean);
+        for (const roleKey of roles) {
+            if (!(await roleExists(companyId, roleKey))) {
+                return error(`Unknown role: ${roleKey}`, 400);
+            }
+            // Signing in through the provider grants the mapped role, so it is an assignment like any other
+            const roleCheck = await checkAssignableRole(companyId, user, roleKey);
+            if (roleCheck) return roleCheck;
+        }
+
+        try {
+            await discover(built.config.issuer);
+        } catch (err) {
+            console.error('SSO discovery failed:', err.message);
+            return error(`Could not load the OpenID configuration for ${built.config.issuer}. Check the issuer URL.`, 400);
+        }
+
+        const result = await query(
+            `UPDATE companies SET sso_config = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`,
+            [JSON.stringify(built.config), companyId]
+        );
+        const updated = serializeSsoConfig(result.rows[0]);
+
+        await recordAudit(event, user, {
+            companyId,
+            action: 'sso_settings_updated',
+            entityType: 'company',
+            entityId: companyId,
+            before: serializeSsoConfig(company),
+            after: { ...updated, client_secret_changed: !!body.client_secret }
+        });
+
+        return success(updated);
+    }
+
+    // DELETE /sso - Remove single sign-on; users go back to passwords
+    if (method === 'DELETE') {
+        const result = await query(
+            'UPDATE companies SET sso_config = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+            [companyId]
+        );
+
+        await recordAudit(event, user, {
+            companyId,
+            action: 'sso_settings_removed',
+            entityType: 'company',
+            entityId: companyId,
+            before: serializeSsoConfig(company)
+        });
+
+        return success(serializeSsoConfig(result.rows[0]));
+    }
+
+    return error('Not found', 404);
+}
+
+// =====================================================
+// ONBOARDING CHECKLIST (Admin only)
+// =====================================================
+
+async function handleOnboarding(method, path, companyId, user, event) {
+    // GET /onboarding - Checklist with completion per step
+    if (method === 'GET' && path === '/onboarding') {
+        return success(await getOnboarding(companyId));
+    }
+
+    // POST /onboarding/dismiss - Hide the checklist; POST /onboarding/restore brings it back
+    if (method === 'POST' && (path === '/onboarding/dismiss' || path === '/onboarding/restore')) {
+        const dismiss = path === '/onboarding/dismiss';
+        await query(
+            `UPDATE companies SET onboarding_dismissed_at = ${dismiss ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [companyId]
+        );
+        await recordAudit(event, user, {
+            companyId,
+            action: dismiss ? 'onboarding_dismissed' : 'onboarding_restored',
+            entityType: 'company',
+            entityId: companyId
+        });
+        return success(await getOnboarding(companyId));
+    }
+
+    return error('Not found', 404);
+}
+
+// =====================================================
+// SUPPORT IMPERSONATION (Admin only)
+// =====================================================
+
+async function handleImpersonationSettings(method, companyId, user, event) {
+    if (method === 'GET') {
+        const companyResult = await query('SELECT settings FROM companies WHERE id = $1', [companyId]);
+        const sessions = await query(
+            `SELECT a.id, a.user_id, u.name as user_name, u.username, a.new_values, a.ip_address, a.created_at
+             FROM audit_log a
+             LEFT JOIN users u ON a.user_id = u.id
+             WHERE a.company_id = $1 AND a.action = 'impersonation_started'
+             ORDER BY a.created_at DESC LIMIT 50`,
+            [companyId]
+        );
+        return success({
+            allowed: isImpersonationAllowed(companyResult.rows[0]?.settings),
+            recent_sessions: sessions.rows
+        });
+    }
+
+    if (method === 'PUT') {
+        // Support staff can't switch the opt-out back on for themselves
+        if (user.impersonatedBy) {
+            return error('Impersonation settings cannot be changed while impersonating', 403);
+        }
+
+        const { allowed } = parseBody(event);
+        if (typeof allowed !== 'boolean') {
+            return error('allowed must be true or false', 400);
+        }
+
+        await query(
+            `UPDATE companies
+             SET settings = jsonb_set(COALESCE(settings, '{}'::jsonb), '{impersonation}', $1::jsonb),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [JSON.stringify({ allowed }), companyId]
+        );
+        await recordAudit(event, user, {
+            companyId,
+            action: 'impersonation_settings_updated',
+            entityType: 'company',
+            entityId: companyId,
+            after: { allowed }
+        });
+
+        return success({ allowed });
+    }
+
     return error('Not found', 404);
 }
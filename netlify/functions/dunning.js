@@ -0,0 +1,231 @@
+// Scheduled Dunning - Runs daily to chase overdue platform invoices
+// Configure in netlify.toml with: [functions."dunning"] schedule = "0 7 * * *"
+// Each overdue invoice walks: retries on retry_days -> read-only -> suspended; paying it reverses everything
+
+const { query, transaction } = require('./utils/db');
+const { requireSuperAdmin } = require('./utils/auth');
+const { chargeSavedCard } = require('./utils/billing');
+const { getDunningSettings, resolveDunningForInvoice } = require('./utils/dunning');
+const { sendInvoiceEmail, sendDunningEmail } = require('./utils/email');
+const { isUuid } = require('./utils/validation');
+
+exports.handler = async (event, context) => {
+    // This can be triggered by:
+    // 1. Netlify scheduled function (daily)
+    // 2. Manual POST request from super admin (optionally for one company)
+
+    let onlyCompanyId = null;
+    const headers = event.headers || {};
+    if (headers.authorization || headers.Authorization) {
+        const authResult = requireSuperAdmin(event);
+        if (authResult.error) {
+            return {
+                statusCode: authResult.status,
+                body: JSON.stringify({ error: authResult.error })
+            };
+        }
+        try {
+            onlyCompanyId = JSON.parse(event.body || '{}').company_id || null;
+        } catch (e) {
+            onlyCompanyId = null;
+        }
+        if (onlyCompanyId !== null && !isUuid(onlyCompanyId)) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: 'company_id must be a valid id' })
+            };
+        }
+    }
+
+    console.log('Starting dunning run...');
+
+    const results = {
+        cases_opened: 0,
+        cases_checked: 0,
+        retries: 0,
+        recovered: 0,
+        resolved: 0,
+        read_only: 0,
+        suspended: 0,
+        emails_sent: 0,
+        paused_skipped: 0,
+        errors: []
+    };
+
+    try {
+        // Invoices past due with no case yet (manual payers, or auto-pay that never ran) start at their due date
+        const opened = await query(
+            `INSERT INTO dunning_cases (company_id, invoice_id, started_at)
+             SELECT i.company_id, i.id, i.due_date
+             FROM invoices i
+             JOIN companies c ON i.company_id = c.id
+             WHERE i.status IN ('pending', 'overdue') AND i.due_date < CURRENT_DATE
+             AND c.status = 'active'${onlyCompanyId ? ' AND c.id = $1' : ''}
+             ON CONFLICT (invoice_id) DO NOTHING
+             RETURNING id`,
+            onlyCompanyId ? [onlyCompanyId] : []
+        );
+        results.cases_opened = opened.rows.length;
+
+        const cases = await query(
+            `SELECT dc.*, CURRENT_DATE - dc.started_at as days_in_dunning
+             FROM dunning_cases dc
+             WHERE dc.status <> 'resolved'${onlyCompanyId ? ' AND dc.company_id = $1' : ''}
+             ORDER BY dc.company_id, dc.started_at`,
+            onlyCompanyId ? [onlyCompanyId] : []
+        );
+
+        for (const dunningCase of cases.rows) {
+            try {
+                results.cases_checked++;
+                await processCase(dunningCase, results);
+            } catch (err) {
+                console.error(`Error processing dunning case ${dunningCase.id}:`, err);
+                results.errors.push(`${dunningCase.invoice_id}: ${err.message}`);
+            }
+        }
+
+        console.log('Dunning run complete:', results);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Dunning run complete',
+                results
+            })
+        };
+
+    } catch (err) {
+        console.error('Dunning error:', err);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: err.message })
+        };
+    }
+};
+
+async function processCase(dunningCase, results) {
+    const invoiceResult = await query('SELECT * FROM invoices WHERE id = $1', [dunningCase.invoice_id]);
+    const companyResult = await query('SELECT * FROM companies WHERE id = $1', [dunningCase.company_id]);
+    const invoice = invoiceResult.rows[0];
+    const company = companyResult.rows[0];
+
+    // Paid or written off some other way (manual payment, webhook) - close it out
+    if (!invoice || ['paid', 'cancelled'].includes(invoice.status)) {
+        await transaction(client => resolveDunningForInvoice(client, dunningCase.invoice_id));
+        results.resolved++;
+        return;
+    }
+
+    if (company.dunning_paused) {
+        results.paused_skipped++;
+        return;
+    }
+
+    const settings = getDunningSettings(company.settings);
+    const days = parseInt(dunningCase.days_in_dunning);
+    const retriesDue = settings.retry_days.filter(d => d <= days).length;
+
+    let retryError = null;
+    let retryStage = null;
+
+    // One charge per run, even if several retry days were missed
+    if (retriesDue > dunningCase.retry_step) {
+        const charge = company.auto_pay
+            ? await chargeSavedCard(company, invoice, 'Dunning retry')
+            : { success: false, error: 'Auto-pay is not enabled', skipped: true };
+
+        if (charge.success) {
+            results.retries++;
+            results.recovered++;
+            const emailResult = await sendInvoiceEmail({ ...invoice, status: 'paid' }, company, charge.payment);
+            if (emailResult.success) results.emails_sent++;
+            return;
+        }
+
+        if (!charge.skipped) results.retries++;
+        retryError = charge.error;
+        retryStage = retriesDue >= settings.retry_days.length ? 'final_notice'
+            : retriesDue === 1 ? 'reminder' : 'warning';
+
+        await query(
+            `UPDATE dunning_cases SET
+                retry_step = $1,
+                attempts = attempts + $2,
+                last_attempt_at = CASE WHEN $2 > 0 THEN CURRENT_TIMESTAMP ELSE last_attempt_at END,
+                last_error = $3,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4`,
+            [retriesDue, charge.skipped ? 0 : 1, retryError, dunningCase.id]
+        );
+    }
+
+    // Escalation takes priority over the retry notice - one email per case per run
+    if (days >= settings.suspend_after_days && dunningCase.status !== 'suspended') {
+        const suspended = await transaction(async (client) => {
+            const updated = await client.query(
+                `UPDATE companies SET status = 'suspended', updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND status = 'active'
+                 RETURNING id`,
+                [company.id]
+            );
+            // Already suspended or cancelled by hand - leave that alone so payment doesn't "reactivate" it
+            if (updated.rows.length === 0) return false;
+
+            await client.query(
+                `UPDATE dunning_cases SET status = 'suspended', last_notice = 'suspended', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [dunningCase.id]
+            );
+            await client.query(
+                `INSERT INTO audit_log (company_id, action, entity_type, entity_id, new_values)
+                 VALUES ($1, 'dunning_suspended', 'invoice', $2, $3)`,
+                [company.id, invoice.id, JSON.stringify({ days_overdue: days, invoice_number: invoice.invoice_number })]
+            );
+            return true;
+        });
+
+        if (suspended) {
+            results.suspended++;
+            await notify(invoice, company, 'suspended', { error: retryError }, results);
+        }
+        return;
+    }
+
+    if (days >= settings.read_only_after_days && dunningCase.status === 'active') {
+        await transaction(async (client) => {
+            await client.query('UPDATE companies SET billing_read_only = true WHERE id = $1', [company.id]);
+            await client.query(
+                `UPDATE dunning_cases SET status = 'read_only', last_notice = 'read_only', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [dunningCase.id]
+            );
+            await client.query(
+                `INSERT INTO audit_log (company_id, action, entity_type, entity_id, new_values)
+                 VALUES ($1, 'dunning_read_only', 'invoice', $2, $3)`,
+                [company.id, invoice.id, JSON.stringify({ days_overdue: days, invoice_number: invoice.invoice_number })]
+            );
+        });
+
+        results.read_only++;
+        await notify(invoice, company, 'read_only', {
+            error: retryError,
+            nextStep: `Account suspension in ${settings.suspend_after_days - days} days`
+        }, results);
+        return;
+    }
+
+    if (retryStage) {
+        const nextRetry = settings.retry_days.find(d => d > days);
+        await query(`UPDATE dunning_cases SET last_notice = $1 WHERE id = $2`, [retryStage, dunningCase.id]);
+        await notify(invoice, company, retryStage, {
+            error: retryError,
+            nextStep: nextRetry
+                ? `We'll try again in ${nextRetry - days} days`
+                : `Account becomes read-only in ${Math.max(0, settings.read_only_after_days - days)} days`
+        }, results);
+    }
+}
+
+async function notify(invoice, company, stage, details, results) {
+    const emailResult = await sendDunningEmail(invoice, company, stage, details);
+    if (emailResult.success) results.emails_sent++;
+}
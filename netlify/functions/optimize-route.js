@@ -1,9 +1,12 @@
 // Route Optimization API
-// Solves Vehicle Routing Problem using Nearest Neighbor + 2-opt improvement
-const { query } = require('./utils/db');
-const { requireAuth } = require('./utils/auth');
-const { resolveTenant } = require('./utils/tenant');
+// Solves Vehicle Routing Problem using Nearest Neighbor + 2-opt improvement, honoring delivery windows
+const { query, transaction } = require('./utils/db');
+const { authenticateTenant } = require('./utils/tenant-auth');
+const { resolveTenant, checkBillingAccess } = require('./utils/tenant');
 const { success, error, handleOptions, parseBody } = require('./utils/response');
+const { dcScopeClause, canAccessDc } = require('./utils/dc-scope');
+const { hasPermission } = require('./utils/permissions');
+const { solveFleetRoutes, truckLoadCapacity, planRoute, getTimeWindowSettings, buildDistanceMatrix, subMatrix } = require('./utils/routing');
 
 // Default costs (can be overridden)
 const DEFAULT_FUEL_PRICE = 3.50; // $ per gallon
@@ -22,34 +25,51 @@ exports.handler = async (event, context) => {
         // Resolve tenant
         const tenant = await resolveTenant(event);
         if (!tenant.resolved) {
-            return error('Company not found', 404);
+            return error(tenant.error || 'Company not found', tenant.status || 404);
         }
         const companyId = tenant.company.id;
 
+        const billingAccess = checkBillingAccess(tenant.company, method);
+        if (billingAccess.error) {
+            return error(billingAccess.error, billingAccess.status);
+        }
+
         // Auth required
-        const authResult = requireAuth(event);
+        const authResult = await authenticateTenant(event);
         if (authResult.error) {
-            return error(authResult.error, authResult.status);
+            return error(authResult.error, authResult.status, authResult.details);
         }
 
         if (authResult.user.companyId !== companyId) {
             return error('Unauthorized', 403);
         }
 
+        if (!hasPermission(authResult.user, 'routes.optimize')) {
+            return error('Access denied', 403);
+        }
+
+        // Delivery windows and distance provider come from companies.settings
+        const companySettings = tenant.company.settings || {};
+
         // POST /optimize-route - Optimize a set of stops
         if (method === 'POST' && path === '') {
-            return await optimizeRoute(companyId, event);
+            return await optimizeRoute(companyId, authResult.user, event, companySettings);
+        }
+
+        // POST /optimize-route/fleet - Split pending orders across a DC's trucks
+        if (method === 'POST' && path === '/fleet') {
+            return await optimizeFleet(companyId, authResult.user, event, companySettings);
         }
 
         // POST /optimize-route/:routeId - Optimize existing route
         if (method === 'POST' && path.match(/^\/[a-f0-9-]+$/)) {
             const routeId = path.slice(1);
-            return await optimizeExistingRoute(companyId, routeId, event);
+            return await optimizeExistingRoute(companyId, authResult.user, routeId, event, companySettings);
         }
 
         // GET /optimize-route/estimate - Get cost estimate for stops
         if (method === 'POST' && path === '/estimate') {
-            return await getRouteEstimate(companyId, event);
+            return await getRouteEstimate(companyId, authResult.user, event, companySettings);
         }
 
         return error('Not found', 404);
@@ -59,47 +79,6 @@ exports.handler = async (event, context) => {
     }
 };
 
-// =====================================================
-// HAVERSINE DISTANCE (miles)
-// =====================================================
-function haversineDistance(lat1, lon1, lat2, lon2) {
-    const R = 3958.8; // Earth's radius in miles
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-              Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-}
-
-function toRad(deg) {
-    return deg * (Math.PI / 180);
-}
-
-// =====================================================
-// BUILD DISTANCE MATRIX
-// =====================================================
-function buildDistanceMatrix(locations) {
-    const n = locations.length;
-    const matrix = [];
-    
-    for (let i = 0; i < n; i++) {
-        matrix[i] = [];
-        for (let j = 0; j < n; j++) {
-            if (i === j) {
-                matrix[i][j] = 0;
-            } else {
-                matrix[i][j] = haversineDistance(
-                    locations[i].lat, locations[i].lng,
-                    locations[j].lat, locations[j].lng
-                );
-            }
-        }
-    }
-    return matrix;
-}
-
 // =====================================================
 // NEAREST NEIGHBOR ALGORITHM
 // =====================================================
@@ -132,53 +111,6 @@ function nearestNeighbor(distanceMatrix, startIndex = 0) {
     return route;
 }
 
-// =====================================================
-// 2-OPT IMPROVEMENT
-// =====================================================
-function twoOpt(route, distanceMatrix, maxIterations = 1000) {
-    let improved = true;
-    let iterations = 0;
-    let bestRoute = [...route];
-    
-    while (improved && iterations < maxIterations) {
-        improved = false;
-        iterations++;
-        
-        for (let i = 1; i < bestRoute.length - 2; i++) {
-            for (let j = i + 1; j < bestRoute.length - 1; j++) {
-                const delta = calculateTwoOptDelta(bestRoute, distanceMatrix, i, j);
-                
-                if (delta < -0.001) { // Small threshold to avoid floating point issues
-                    // Reverse the segment between i and j
-                    bestRoute = twoOptSwap(bestRoute, i, j);
-                    improved = true;
-                }
-            }
-        }
-    }
-    
-    return bestRoute;
-}
-
-function calculateTwoOptDelta(route, distanceMatrix, i, j) {
-    const a = route[i - 1];
-    const b = route[i];
-    const c = route[j];
-    const d = route[j + 1];
-    
-    const currentDist = distanceMatrix[a][b] + distanceMatrix[c][d];
-    const newDist = distanceMatrix[a][c] + distanceMatrix[b][d];
-    
-    return newDist - currentDist;
-}
-
-function twoOptSwap(route, i, j) {
-    const newRoute = route.slice(0, i);
-    const reversed = route.slice(i, j + 1).reverse();
-    const rest = route.slice(j + 1);
-    return [...newRoute, ...reversed, ...rest];
-}
-
 // =====================================================
 // CALCULATE ROUTE METRICS
 // =====================================================
@@ -232,6 +164,17 @@ function calculateRouteMetrics(route, distanceMatrix, locations, options = {}) {
     };
 }
 
+function scheduleSummary(plan) {
+    return {
+        start_time: plan.schedule.start_time,
+        end_time: plan.schedule.end_time,
+        total_minutes: plan.schedule.total_minutes,
+        wait_minutes: plan.schedule.wait_minutes,
+        late_minutes: plan.schedule.late_minutes,
+        feasible: plan.feasible
+    };
+}
+
 function formatDuration(minutes) {
     const hours = Math.floor(minutes / 60);
     const mins = Math.round(minutes % 60);
@@ -242,7 +185,8 @@ function formatDuration(minutes) {
 // =====================================================
 // OPTIMIZE ROUTE
 // =====================================================
-async function optimizeRoute(companyId, event) {
+async function optimizeRoute(companyId, user, event, companySettings) {
+    const timeWindows = getTimeWindowSettings(companySettings);
     const body = parseBody(event);
     const { 
         dc_id, 
@@ -250,6 +194,7 @@ async function optimizeRoute(companyId, event) {
         order_ids,
         truck_id,
         fuel_price,
+        start_time,
         return_to_depot = true 
     } = body;
 
@@ -257,6 +202,10 @@ async function optimizeRoute(companyId, event) {
         return error('Distribution center ID required', 400);
     }
 
+    if (!canAccessDc(user, dc_id)) {
+        return error('You do not have access to this distribution center', 403);
+    }
+
     if ((!customer_ids || customer_ids.length === 0) && (!order_ids || order_ids.length === 0)) {
         return error('At least one customer or order required', 400);
     }
@@ -295,13 +244,14 @@ async function optimizeRoute(companyId, event) {
     
     if (order_ids && order_ids.length > 0) {
         // Get customers from orders
+        const orderParams = [order_ids, companyId];
         const ordersResult = await query(`
-            SELECT o.id as order_id, o.order_number, o.gallons_requested,
+            SELECT o.id as order_id, o.order_number, o.gallons_requested, o.delivery_window,
                    c.id as customer_id, c.name, c.address, c.city, c.state, c.lat, c.lng
             FROM orders o
             JOIN customers c ON o.customer_id = c.id
-            WHERE o.id = ANY($1) AND o.company_id = $2
-        `, [order_ids, companyId]);
+            WHERE o.id = ANY($1) AND o.company_id = $2${dcScopeClause(user, 'o.dc_id', orderParams)}
+        `, orderParams);
         
         stops = ordersResult.rows.map(row => ({
             id: row.customer_id,
@@ -314,14 +264,16 @@ async function optimizeRoute(companyId, event) {
             lat: parseFloat(row.lat),
             lng: parseFloat(row.lng),
             gallons: row.gallons_requested,
+            delivery_window: row.delivery_window,
             type: 'customer'
         }));
     } else if (customer_ids && customer_ids.length > 0) {
+        const customerParams = [customer_ids, companyId];
         const customersResult = await query(`
             SELECT id, name, address, city, state, lat, lng
             FROM customers
-            WHERE id = ANY($1) AND company_id = $2
-        `, [customer_ids, companyId]);
+            WHERE id = ANY($1) AND company_id = $2${dcScopeClause(user, 'preferred_dc_id', customerParams)}
+        `, customerParams);
         
         stops = customersResult.rows.map(row => ({
             id: row.id,
@@ -358,11 +310,17 @@ async function optimizeRoute(companyId, event) {
     ];
 
     // Build distance matrix
-    const distanceMatrix = buildDistanceMatrix(locations);
+    const distanceMatrix = await buildDistanceMatrix(locations, companySettings);
 
-    // Run optimization
+    // Run optimization - plain nearest neighbor is the baseline for savings
     const nnRoute = nearestNeighbor(distanceMatrix, 0);
-    const optimizedRoute = twoOpt(nnRoute, distanceMatrix);
+    const plan = planRoute(distanceMatrix, locations, {
+        startTime: start_time,
+        avgSpeed: DEFAULT_AVG_SPEED,
+        serviceMinutes: DEFAULT_STOP_DURATION,
+        timeWindows
+    });
+    const optimizedRoute = plan.route;
 
     // Calculate metrics for both routes (to show improvement)
     const originalMetrics = calculateRouteMetrics(nnRoute, distanceMatrix, locations, {
@@ -376,9 +334,13 @@ async function optimizeRoute(companyId, event) {
     });
 
     // Build ordered stops list
-    const orderedStops = optimizedRoute.slice(1, -1).map((idx, stopNum) => ({
-        stop_number: stopNum + 1,
-        ...locations[idx]
+    const orderedStops = plan.schedule.stops.map(timing => ({
+        stop_number: timing.stop_number,
+        ...locations[timing.index],
+        estimated_arrival: timing.estimated_arrival,
+        wait_minutes: timing.wait_minutes,
+        late_minutes: timing.late_minutes,
+        window: timing.window
     }));
 
     // Calculate savings
@@ -407,6 +369,8 @@ async function optimizeRoute(companyId, event) {
             capacity: truck.capacity_gallons
         } : null,
         route_order: optimizedRoute.map(idx => locations[idx].id),
+        schedule: scheduleSummary(plan),
+        violations: plan.schedule.violations,
         algorithm: '2-opt'
     });
 }
@@ -414,11 +378,17 @@ async function optimizeRoute(companyId, event) {
 // =====================================================
 // OPTIMIZE EXISTING ROUTE
 // =====================================================
-async function optimizeExistingRoute(companyId, routeId, event) {
+async function optimizeExistingRoute(companyId, user, routeId, event, companySettings) {
+    const timeWindows = getTimeWindowSettings(companySettings);
     const body = parseBody(event) || {};
-    const { fuel_price } = body;
+    const { fuel_price, apply = true } = body;
+
+    if (apply && !hasPermission(user, 'routes.update')) {
+        return error('Access denied', 403);
+    }
 
     // Get route with DC
+    const routeParams = [routeId, companyId];
     const routeResult = await query(`
         SELECT r.*, dc.id as dc_id, dc.name as dc_name, dc.lat as dc_lat, dc.lng as dc_lng,
                dc.address as dc_address, dc.city as dc_city, dc.state as dc_state,
@@ -426,8 +396,8 @@ async function optimizeExistingRoute(companyId, routeId, event) {
         FROM routes r
         JOIN distribution_centers dc ON r.dc_id = dc.id
         LEFT JOIN trucks t ON r.truck_id = t.id
-        WHERE r.id = $1 AND r.company_id = $2
-    `, [routeId, companyId]);
+        WHERE r.id = $1 AND r.company_id = $2${dcScopeClause(user, 'r.dc_id', routeParams)}
+    `, routeParams);
 
     if (routeResult.rows.length === 0) {
         return error('Route not found', 404);
@@ -441,7 +411,7 @@ async function optimizeExistingRoute(companyId, routeId, event) {
 
     // Get route stops with customer info
     const stopsResult = await query(`
-        SELECT rs.*, o.order_number, o.gallons_requested,
+        SELECT rs.*, o.order_number, o.gallons_requested, o.delivery_window,
                c.id as customer_id, c.name, c.address, c.city, c.state, c.lat, c.lng
         FROM route_stops rs
         JOIN orders o ON rs.order_id = o.id
@@ -469,6 +439,8 @@ async function optimizeExistingRoute(companyId, routeId, event) {
             lat: parseFloat(s.lat),
             lng: parseFloat(s.lng),
             gallons: s.gallons_requested,
+            delivery_window: s.delivery_window,
+            service_minutes: s.estimated_duration,
             original_stop_number: s.stop_number,
             type: 'customer'
         }));
@@ -493,9 +465,15 @@ async function optimizeExistingRoute(companyId, routeId, event) {
     ];
 
     // Build distance matrix and optimize
-    const distanceMatrix = buildDistanceMatrix(locations);
+    const distanceMatrix = await buildDistanceMatrix(locations, companySettings);
     const nnRoute = nearestNeighbor(distanceMatrix, 0);
-    const optimizedRoute = twoOpt(nnRoute, distanceMatrix);
+    const plan = planRoute(distanceMatrix, locations, {
+        startTime: route.start_time,
+        avgSpeed: DEFAULT_AVG_SPEED,
+        serviceMinutes: DEFAULT_STOP_DURATION,
+        timeWindows
+    });
+    const optimizedRoute = plan.route;
 
     const truckMpg = parseFloat(route.truck_mpg) || 8;
 
@@ -510,31 +488,42 @@ async function optimizeExistingRoute(companyId, routeId, event) {
     });
 
     // Update route_stops with new order
-    const orderedStops = optimizedRoute.slice(1, -1).map((idx, stopNum) => ({
-        stop_number: stopNum + 1,
-        ...locations[idx]
+    const orderedStops = plan.schedule.stops.map(timing => ({
+        stop_number: timing.stop_number,
+        ...locations[timing.index],
+        estimated_arrival: timing.estimated_arrival,
+        wait_minutes: timing.wait_minutes,
+        late_minutes: timing.late_minutes,
+        window: timing.window
     }));
 
-    // Update database with optimized order
-    for (const stop of orderedStops) {
-        if (stop.route_stop_id) {
-            await query(
-                'UPDATE route_stops SET stop_number = $1 WHERE id = $2',
-                [stop.stop_number, stop.route_stop_id]
-            );
-        }
+    // Hard windows: never save a sequence that misses one
+    if (apply && !plan.feasible && timeWindows.mode === 'hard') {
+        return error('Route cannot meet all delivery windows', 409, { violations: plan.schedule.violations });
     }
 
-    // Update route totals
-    await query(`
-        UPDATE routes 
-        SET total_miles = $1, 
-            estimated_duration = $2, 
-            is_optimized = true,
-            original_miles = $3,
-            optimized_miles = $1
-        WHERE id = $4
-    `, [optimizedMetrics.totalMiles, optimizedMetrics.totalTimeMinutes, originalMetrics.totalMiles, routeId]);
+    if (apply) {
+        // Update database with optimized order and arrival times
+        for (const stop of orderedStops) {
+            if (stop.route_stop_id) {
+                await query(
+                    'UPDATE route_stops SET stop_number = $1, estimated_arrival = $2 WHERE id = $3',
+                    [stop.stop_number, stop.estimated_arrival, stop.route_stop_id]
+                );
+            }
+        }
+
+        // Update route totals
+        await query(`
+            UPDATE routes 
+            SET total_miles = $1, 
+                estimated_duration = $2, 
+                is_optimized = true,
+                original_miles = $3,
+                optimized_miles = $1
+            WHERE id = $4
+        `, [optimizedMetrics.totalMiles, plan.schedule.total_minutes, originalMetrics.totalMiles, routeId]);
+    }
 
     const milesSaved = originalMetrics.totalMiles - optimizedMetrics.totalMiles;
 
@@ -552,21 +541,29 @@ async function optimizeExistingRoute(companyId, routeId, event) {
                 ? Math.round((milesSaved / originalMetrics.totalMiles) * 100) 
                 : 0
         },
-        message: 'Route optimized and saved'
+        schedule: scheduleSummary(plan),
+        violations: plan.schedule.violations,
+        applied: apply,
+        message: apply ? 'Route optimized and saved' : 'Route optimized (not saved)'
     });
 }
 
 // =====================================================
 // GET ROUTE ESTIMATE (without saving)
 // =====================================================
-async function getRouteEstimate(companyId, event) {
+async function getRouteEstimate(companyId, user, event, companySettings) {
+    const timeWindows = getTimeWindowSettings(companySettings);
     const body = parseBody(event);
-    const { dc_id, customer_ids, truck_id, fuel_price } = body;
+    const { dc_id, customer_ids, truck_id, fuel_price, start_time } = body;
 
     if (!dc_id || !customer_ids || customer_ids.length === 0) {
         return error('Distribution center and at least one customer required', 400);
     }
 
+    if (!canAccessDc(user, dc_id)) {
+        return error('You do not have access to this distribution center', 403);
+    }
+
     // Get DC
     const dcResult = await query(
         'SELECT id, name, lat, lng FROM distribution_centers WHERE id = $1 AND company_id = $2',
@@ -578,10 +575,11 @@ async function getRouteEstimate(companyId, event) {
     }
 
     // Get customers
+    const customerParams = [customer_ids, companyId];
     const customersResult = await query(`
         SELECT id, name, lat, lng FROM customers 
-        WHERE id = ANY($1) AND company_id = $2 AND lat IS NOT NULL AND lng IS NOT NULL
-    `, [customer_ids, companyId]);
+        WHERE id = ANY($1) AND company_id = $2 AND lat IS NOT NULL AND lng IS NOT NULL${dcScopeClause(user, 'preferred_dc_id', customerParams)}
+    `, customerParams);
 
     if (customersResult.rows.length === 0) {
         return error('No customers with valid coordinates', 400);
@@ -590,7 +588,7 @@ async function getRouteEstimate(companyId, event) {
     // Get truck MPG
     let truckMpg = 8;
     if (truck_id) {
-        const truckResult = await query('SELECT mpg FROM trucks WHERE id = $1', [truck_id]);
+        const truckResult = await query('SELECT mpg FROM trucks WHERE id = $1 AND company_id = $2', [truck_id, companyId]);
         if (truckResult.rows.length > 0) {
             truckMpg = parseFloat(truckResult.rows[0].mpg) || 8;
         }
@@ -602,8 +600,13 @@ async function getRouteEstimate(companyId, event) {
         ...customersResult.rows.map(c => ({ ...c, lat: parseFloat(c.lat), lng: parseFloat(c.lng) }))
     ];
 
-    const distanceMatrix = buildDistanceMatrix(locations);
-    const optimizedRoute = twoOpt(nearestNeighbor(distanceMatrix, 0), distanceMatrix);
+    const distanceMatrix = await buildDistanceMatrix(locations, companySettings);
+    const { route: optimizedRoute } = planRoute(distanceMatrix, locations, {
+        startTime: start_time,
+        avgSpeed: DEFAULT_AVG_SPEED,
+        serviceMinutes: DEFAULT_STOP_DURATION,
+        timeWindows
+    });
 
     const metrics = calculateRouteMetrics(optimizedRoute, distanceMatrix, locations, {
         fuelPrice: fuel_price || DEFAULT_FUEL_PRICE,
@@ -623,3 +626,292 @@ async function getRouteEstimate(companyId, event) {
         }
     });
 }
+
+// =====================================================
+// FLEET OPTIMIZATION (capacitated, multi-truck)
+// =====================================================
+async function optimizeFleet(companyId, user, event, companySettings) {
+    const timeWindows = getTimeWindowSettings(companySettings);
+    const body = parseBody(event);
+    const {
+        dc_id,
+        order_ids,
+        truck_ids,
+        fuel_price,
+        start_time,
+        apply = false
+    } = body;
+    const date = body.date || new Date().toISOString().slice(0, 10);
+
+    if (!dc_id) {
+        return error('Distribution center ID required', 400);
+    }
+
+    if (apply && !hasPermission(user, 'routes.create')) {
+        return error('Access denied', 403);
+    }
+
+    if (!canAccessDc(user, dc_id)) {
+        return error('You do not have access to this distribution center', 403);
+    }
+
+    const dcResult = await query(
+        'SELECT id, name, lat, lng, address, city, state FROM distribution_centers WHERE id = $1 AND company_id = $2',
+        [dc_id, companyId]
+    );
+
+    if (dcResult.rows.length === 0) {
+        return error('Distribution center not found', 404);
+    }
+
+    const dc = dcResult.rows[0];
+    if (!dc.lat || !dc.lng) {
+        return error('Distribution center is missing GPS coordinates', 400);
+    }
+
+    // Pending, unrouted orders for this DC that are due on or before the date
+    let ordersSql = `
+        SELECT o.id as order_id, o.order_number, o.gallons_requested, o.priority, o.delivery_window,
+               c.id as customer_id, c.name, c.address, c.city, c.state, c.lat, c.lng
+        FROM orders o
+        JOIN customers c ON o.customer_id = c.id
+        WHERE o.company_id = $1 AND o.status = 'pending' AND o.route_id IS NULL`;
+    const ordersParams = [companyId];
+
+    if (order_ids && order_ids.length > 0) {
+        ordersParams.push(order_ids);
+        ordersSql += ` AND o.id = ANY($2)${dcScopeClause(user, 'o.dc_id', ordersParams)}`;
+    } else {
+        ordersParams.push(dc_id, date);
+        ordersSql += ` AND (o.dc_id = $2 OR (o.dc_id IS NULL AND c.preferred_dc_id = $2))
+            AND (o.scheduled_date = $3 OR (o.scheduled_date IS NULL AND (o.requested_date IS NULL OR o.requested_date <= $3)))`;
+    }
+
+    const ordersResult = await query(ordersSql, ordersParams);
+
+    if (ordersResult.rows.length === 0) {
+        return error('No pending orders to route', 400);
+    }
+
+    // Active trucks at this DC not already on a route that day
+    let trucksSql = `
+        SELECT t.* FROM trucks t
+        WHERE t.company_id = $1 AND t.dc_id = $2 AND t.status = 'active'
+        AND NOT EXISTS (
+            SELECT 1 FROM routes r
+            WHERE r.truck_id = t.id AND r.scheduled_date = $3 AND r.status != 'cancelled'
+        )`;
+    const trucksParams = [companyId, dc_id, date];
+
+    if (truck_ids && truck_ids.length > 0) {
+        trucksParams.push(truck_ids);
+        trucksSql += ` AND t.id = ANY($4)`;
+    }
+
+    const trucksResult = await query(trucksSql, trucksParams);
+
+    if (trucksResult.rows.length === 0) {
+        return error('No available trucks at this distribution center', 400);
+    }
+
+    const vehicles = trucksResult.rows.map(truck => ({
+        id: truck.id,
+        capacity: truckLoadCapacity(truck).max_safe_load_gallons,
+        truck
+    }));
+
+    const stops = ordersResult.rows.map(row => ({
+        id: row.customer_id,
+        order_id: row.order_id,
+        order_number: row.order_number,
+        name: row.name,
+        address: row.address,
+        city: row.city,
+        state: row.state,
+        lat: parseFloat(row.lat),
+        lng: parseFloat(row.lng),
+        gallons: row.gallons_requested,
+        demand: parseInt(row.gallons_requested) || 0,
+        priority: row.priority,
+        delivery_window: row.delivery_window,
+        type: 'customer'
+    }));
+
+    const depot = {
+        id: dc.id,
+        name: dc.name,
+        address: dc.address,
+        city: dc.city,
+        state: dc.state,
+        lat: parseFloat(dc.lat),
+        lng: parseFloat(dc.lng),
+        type: 'depot'
+    };
+
+    // Ungeocoded stops are reported back rather than sent to the distance provider, where one bad
+    // point would fail the whole matrix
+    const hasCoordinates = s => !isNaN(s.lat) && !isNaN(s.lng) && !!s.lat && !!s.lng;
+    const geocoded = stops.filter(hasCoordinates);
+    const ungeocoded = stops.filter(s => !hasCoordinates(s)).map(stop => ({ stop, reason: 'missing_coordinates' }));
+    if (geocoded.length === 0) {
+        return error('No stops with valid GPS coordinates', 400);
+    }
+
+    // One road-distance matrix for the whole job; each truck's route uses a slice of it
+    const fleetMatrix = await buildDistanceMatrix([depot, ...geocoded], companySettings);
+    const matrixIndex = new Map(geocoded.map((stop, i) => [stop, i + 1]));
+
+    const solution = solveFleetRoutes(geocoded, depot, vehicles, fleetMatrix);
+
+    const routes = solution.routes.map(planned => {
+        const truck = planned.vehicle.truck;
+        const locations = [depot, ...planned.stops];
+        const distanceMatrix = subMatrix(fleetMatrix, [0, ...planned.stops.map(s => matrixIndex.get(s))]);
+
+        // Sequence each truck's stops against delivery windows
+        const plan = planRoute(distanceMatrix, locations, {
+            startTime: start_time,
+            avgSpeed: DEFAULT_AVG_SPEED,
+            serviceMinutes: DEFAULT_STOP_DURATION,
+            timeWindows
+        });
+
+        const metrics = calculateRouteMetrics(plan.route, distanceMatrix, locations, {
+            fuelPrice: fuel_price || DEFAULT_FUEL_PRICE,
+            truckMpg: parseFloat(truck.mpg) || 8
+        });
+
+        return {
+            truck: {
+                id: truck.id,
+                code: truck.code,
+                name: truck.name,
+                max_safe_load_gallons: planned.vehicle.capacity,
+                assigned_driver_id: truck.assigned_driver_id || null
+            },
+            load_gallons: planned.load,
+            utilization: planned.vehicle.capacity > 0
+                ? Math.round((planned.load / planned.vehicle.capacity) * 100)
+                : 0,
+            stops: plan.schedule.stops.map(timing => {
+                const { demand, ...rest } = locations[timing.index];
+                return {
+                    stop_number: timing.stop_number,
+                    ...rest,
+                    estimated_arrival: timing.estimated_arrival,
+                    service_minutes: timing.service_minutes,
+                    late_minutes: timing.late_minutes,
+                    window: timing.window
+                };
+            }),
+            metrics,
+            schedule: scheduleSummary(plan),
+            violations: plan.schedule.violations
+        };
+    });
+
+    const unassigned = [...ungeocoded, ...solution.unassigned].map(u => ({
+        order_id: u.stop.order_id,
+        order_number: u.stop.order_number,
+        customer_id: u.stop.id,
+        name: u.stop.name,
+        gallons: u.stop.gallons,
+        reason: u.reason
+    }));
+
+    const violations = routes.flatMap(r => r.violations);
+    if (apply && violations.length > 0 && timeWindows.mode === 'hard') {
+        return error('Routes cannot meet all delivery windows', 409, { violations });
+    }
+
+    let created = [];
+    if (apply && routes.length > 0) {
+        try {
+            created = await saveFleetRoutes(companyId, dc_id, date, routes);
+        } catch (err) {
+            if (err.code === 'ORDER_ALREADY_ROUTED') {
+                return error('Some orders were routed by someone else. Re-run the optimization.', 409);
+            }
+            throw err;
+        }
+    }
+
+    return success({
+        dc: depot,
+        date,
+        routes,
+        unassigned,
+        totals: {
+            orders: stops.length,
+            routed: routes.reduce((sum, r) => sum + r.stops.length, 0),
+            trucks_used: routes.length,
+            trucks_available: vehicles.length,
+            gallons: routes.reduce((sum, r) => sum + r.load_gallons, 0),
+            miles: Math.round(routes.reduce((sum, r) => sum + r.metrics.totalMiles, 0) * 100) / 100
+        },
+        violations,
+        applied: apply && created.length > 0,
+        created_routes: created,
+        algorithm: 'clarke-wright+2-opt'
+    });
+}
+
+async function saveFleetRoutes(companyId, dcId, date, routes) {
+    const base = Date.now().toString(36).toUpperCase();
+
+    return await transaction(async (client) => {
+        const created = [];
+
+        for (let i = 0; i < routes.length; i++) {
+            const route = routes[i];
+            const routeNum = `RTE-${base}-${i + 1}`;
+
+            const routeResult = await client.query(
+                `INSERT INTO routes (company_id, dc_id, truck_id, driver_id, route_number, name, scheduled_date, start_time, status,
+                                     total_stops, total_gallons, total_miles, estimated_duration, is_optimized, optimized_miles)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $12, 'planned', $8, $9, $10, $11, true, $10)
+                 RETURNING id, route_number`,
+                [
+                    companyId,
+                    dcId,
+                    route.truck.id,
+                    route.truck.assigned_driver_id,
+                    routeNum,
+                    `${route.truck.code || route.truck.name} - ${date}`,
+                    date,
+                    route.stops.length,
+                    route.load_gallons,
+                    route.metrics.totalMiles,
+                    route.schedule.total_minutes,
+                    route.schedule.start_time
+                ]
+            );
+            const routeId = routeResult.rows[0].id;
+
+            for (const stop of route.stops) {
+                await client.query(
+                    `INSERT INTO route_stops (route_id, order_id, stop_number, estimated_arrival, estimated_duration)
+                     VALUES ($1, $2, $3, $4, $5)`,
+                    [routeId, stop.order_id, stop.stop_number, stop.estimated_arrival, stop.service_minutes]
+                );
+
+                const orderUpdate = await client.query(
+                    `UPDATE orders SET route_id = $1, status = 'scheduled', scheduled_date = $2
+                     WHERE id = $3 AND company_id = $4 AND route_id IS NULL AND status = 'pending'`,
+                    [routeId, date, stop.order_id, companyId]
+                );
+                if (orderUpdate.rowCount === 0) {
+                    const err = new Error(`Order ${stop.order_number} is no longer pending`);
+                    err.code = 'ORDER_ALREADY_ROUTED';
+                    throw err;
+                }
+            }
+
+            route.route_id = routeId;
+            route.route_number = routeResult.rows[0].route_number;
+            created.push({ id: routeId, route_number: routeResult.rows[0].route_number, truck_id: route.truck.id });
+        }
+
+        return created;
+    });
+}
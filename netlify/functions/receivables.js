@@ -0,0 +1,742 @@
+// Customer Receivables API
+// Tenant-side invoicing: bill customers for deliveries, record payments, keep customers.balance in sync, aging
+const { query, transaction } = require('./utils/db');
+const { authenticateTenant } = require('./utils/tenant-auth');
+const { resolveTenant, checkBillingAccess } = require('./utils/tenant');
+const { success, error, handleOptions, parseBody } = require('./utils/response');
+const { hasPermission } = require('./utils/permissions');
+
+const PAYMENT_METHODS = ['check', 'cash', 'card', 'ach', 'other'];
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return handleOptions();
+    }
+
+    const path = event.path.replace('/.netlify/functions/receivables', '');
+    const method = event.httpMethod;
+
+    try {
+        // Resolve tenant
+        const tenant = await resolveTenant(event);
+        if (!tenant.resolved) {
+            return error(tenant.error || 'Company not found', tenant.status || 404);
+        }
+        const companyId = tenant.company.id;
+
+        const billingAccess = checkBillingAccess(tenant.company, method);
+        if (billingAccess.error) {
+            return error(billingAccess.error, billingAccess.status);
+        }
+
+        // Auth required
+        const authResult = await authenticateTenant(event);
+        if (authResult.error) {
+            return error(authResult.error, authResult.status, authResult.details);
+        }
+
+        if (authResult.user.companyId !== companyId) {
+            return error('Unauthorized', 403);
+        }
+
+        const user = authResult.user;
+        if (!hasPermission(user, method === 'GET' ? 'receivables.view' : 'receivables.manage')) {
+            return error('Access denied', 403);
+        }
+
+        // GET /receivables/invoices - List customer invoices
+        if (method === 'GET' && path === '/invoices') {
+            return await listInvoices(companyId, event);
+        }
+
+        // POST /receivables/invoices/generate - Invoice uninvoiced deliveries
+        if (method === 'POST' && path === '/invoices/generate') {
+            return await generateInvoices(companyId, user, event);
+        }
+
+        // GET /receivables/invoices/:id - Invoice with lines and payments
+        if (method === 'GET' && path.match(/^\/invoices\/[a-f0-9-]+$/)) {
+            const invoiceId = path.split('/')[2];
+            return await getInvoice(companyId, invoiceId);
+        }
+
+        // POST /receivables/invoices/:id/void - Void an unpaid invoice
+        if (method === 'POST' && path.match(/^\/invoices\/[a-f0-9-]+\/void$/)) {
+            const invoiceId = path.split('/')[2];
+            return await voidInvoice(companyId, user, invoiceId, event);
+        }
+
+        // GET /receivables/payments - List customer payments
+        if (method === 'GET' && path === '/payments') {
+            return await listPayments(companyId, event);
+        }
+
+        // POST /receivables/payments - Record a payment and apply it to open invoices
+        if (method === 'POST' && path === '/payments') {
+            return await recordPayment(companyId, user, event);
+        }
+
+        // GET /receivables/aging - Aging buckets per customer
+        if (method === 'GET' && path === '/aging') {
+            return await getAging(companyId, event);
+        }
+
+        // GET /receivables/customers/:id - Customer statement
+        if (method === 'GET' && path.match(/^\/customers\/[a-f0-9-]+$/)) {
+            const customerId = path.split('/')[2];
+            return await getCustomerStatement(companyId, customerId);
+        }
+
+        return error('Not found', 404);
+    } catch (err) {
+        console.error('Receivables error:', err);
+        return error('Internal server error', 500);
+    }
+};
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * Days until due for a customers.payment_terms value
+ * net30 / "Net 15" / net-10 => N, due_on_receipt / cod / prepaid => 0, anything else => 30
+ */
+function termsDays(terms) {
+    const value = String(terms || '').toLowerCase().trim();
+    const net = value.match(/^net\s*-?\s*(\d+)$/);
+    if (net) return parseInt(net[1]);
+    if (['due_on_receipt', 'receipt', 'cod', 'prepaid'].includes(value)) return 0;
+    return 30;
+}
+
+function toCents(amount) {
+    return Math.round((parseFloat(amount) || 0) * 100);
+}
+
+function isValidDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Recompute customers.balance from open invoices less unapplied payment credit.
+ * Balances from before invoicing were carried into opening-balance invoices and credits
+ * (sql/customer-receivables.sql), so they are part of the sum.
+ */
+async function syncCustomerBalance(client, customerId) {
+    const result = await client.query(
+        `UPDATE customers SET
+            balance = (
+                SELECT COALESCE(SUM(balance_due), 0) FROM customer_invoices
+                WHERE customer_id = $1 AND status IN ('open', 'partial')
+            ) - (
+                SELECT COALESCE(SUM(unapplied_amount), 0) FROM customer_payments
+                WHERE customer_id = $1
+            ),
+            updated_at = NOW()
+         WHERE id = $1
+         RETURNING balance`,
+        [customerId]
+    );
+    return result.rows[0] ? parseFloat(result.rows[0].balance) : 0;
+}
+
+/**
+ * Mirror invoice payments onto orders.paid_amount / payment_status.
+ * Each invoice's amount_paid is spread over its lines in line order.
+ */
+async function syncOrderPayments(client, invoiceIds) {
+    if (invoiceIds.length === 0) return;
+
+    await client.query(
+        `UPDATE orders o SET
+            paid_amount = x.paid,
+            payment_status = CASE WHEN x.paid >= x.amount THEN 'paid' WHEN x.paid > 0 THEN 'partial' ELSE 'unpaid' END,
+            updated_at = NOW()
+         FROM (
+            SELECT l.order_id, l.amount,
+                   GREATEST(0, LEAST(l.amount, i.amount_paid - COALESCE(SUM(l.amount) OVER (
+                       PARTITION BY l.invoice_id ORDER BY l.created_at, l.id
+                       ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+                   ), 0))) AS paid
+            FROM customer_invoice_lines l
+            JOIN customer_invoices i ON i.id = l.invoice_id
+            WHERE l.invoice_id = ANY($1)
+         ) x
+         WHERE o.id = x.order_id`,
+        [invoiceIds]
+    );
+}
+
+/**
+ * Apply a customer's unapplied payment credit to open invoices, oldest due first
+ * (preferInvoiceId, when given, is paid before anything else)
+ * @returns {Array} [{ payment_id, invoice_id, amount }]
+ */
+async function applyOpenCredit(client, customerId, preferInvoiceId = null) {
+    const payments = await client.query(
+        `SELECT id, unapplied_amount FROM customer_payments
+         WHERE customer_id = $1 AND unapplied_amount > 0
+         ORDER BY received_date, created_at
+         FOR UPDATE`,
+        [customerId]
+    );
+    if (payments.rows.length === 0) return [];
+
+    const invoices = await client.query(
+        `SELECT id, balance_due FROM customer_invoices
+         WHERE customer_id = $1 AND status IN ('open', 'partial') AND balance_due > 0
+         ORDER BY (id = $2::uuid) DESC, due_date, created_at
+         FOR UPDATE`,
+        [customerId, preferInvoiceId]
+    );
+
+    const applications = [];
+    const credits = payments.rows.map(p => ({ id: p.id, cents: toCents(p.unapplied_amount) }));
+    let p = 0;
+
+    for (const invoice of invoices.rows) {
+        let dueCents = toCents(invoice.balance_due);
+
+        while (dueCents > 0 && p < credits.length) {
+            const credit = credits[p];
+            const cents = Math.min(dueCents, credit.cents);
+
+            await client.query(
+                'INSERT INTO customer_payment_applications (payment_id, invoice_id, amount) VALUES ($1, $2, $3)',
+                [credit.id, invoice.id, cents / 100]
+            );
+            await client.query(
+                `UPDATE customer_invoices SET
+                    amount_paid = amount_paid + $1,
+                    balance_due = balance_due - $1,
+                    status = CASE WHEN balance_due - $1 <= 0 THEN 'paid' ELSE 'partial' END,
+                    updated_at = NOW()
+                 WHERE id = $2`,
+                [cents / 100, invoice.id]
+            );
+            await client.query(
+                'UPDATE customer_payments SET unapplied_amount = unapplied_amount - $1 WHERE id = $2',
+                [cents / 100, credit.id]
+            );
+
+            applications.push({ payment_id: credit.id, invoice_id: invoice.id, amount: cents / 100 });
+            dueCents -= cents;
+            credit.cents -= cents;
+            if (credit.cents === 0) p++;
+        }
+
+        if (p >= credits.length) break;
+    }
+
+    await syncOrderPayments(client, [...new Set(applications.map(a => a.invoice_id))]);
+    return applications;
+}
+
+async function nextInvoiceNumber(client, companyId) {
+    // Serialize numbering per company for the rest of the transaction
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`customer_invoice:${companyId}`]);
+
+    const prefix = `INV-${new Date().toISOString().slice(0, 7).replace('-', '')}-`;
+    const result = await client.query(
+        `SELECT COALESCE(MAX(CAST(SUBSTRING(invoice_number FROM $2) AS INTEGER)), 0) + 1 AS seq
+         FROM customer_invoices
+         WHERE company_id = $1 AND invoice_number LIKE $3`,
+        [companyId, prefix.length + 1, `${prefix}%`]
+    );
+    return `${prefix}${String(result.rows[0].seq).padStart(4, '0')}`;
+}
+
+// =====================================================
+// INVOICES
+// =====================================================
+
+async function listInvoices(companyId, event) {
+    const params = event.queryStringParameters || {};
+    const limit = Math.min(100, parseInt(params.limit) || 50);
+    const offset = parseInt(params.offset) || 0;
+
+    let whereClause = 'WHERE i.company_id = $1';
+    const values = [companyId];
+
+    if (params.status) {
+        values.push(params.status);
+        whereClause += ` AND i.status = $${values.length}`;
+    }
+
+    if (params.customer_id) {
+        values.push(params.customer_id);
+        whereClause += ` AND i.customer_id = $${values.length}`;
+    }
+
+    if (params.overdue === 'true') {
+        whereClause += ` AND i.status IN ('open', 'partial') AND i.due_date < CURRENT_DATE`;
+    }
+
+    const countResult = await query(
+        `SELECT COUNT(*) as total FROM customer_invoices i ${whereClause}`,
+        values
+    );
+
+    const result = await query(
+        `SELECT i.*, c.name as customer_name, c.code as customer_code
+         FROM customer_invoices i
+         JOIN customers c ON i.customer_id = c.id
+         ${whereClause}
+         ORDER BY i.invoice_date DESC, i.invoice_number DESC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+    );
+
+    return success({
+        invoices: result.rows,
+        total: parseInt(countResult.rows[0].total),
+        limit,
+        offset
+    });
+}
+
+async function getInvoice(companyId, invoiceId) {
+    const result = await query(
+        `SELECT i.*, c.name as customer_name, c.code as customer_code,
+                c.address, c.city, c.state, c.zip, c.email
+         FROM customer_invoices i
+         JOIN customers c ON i.customer_id = c.id
+         WHERE i.id = $1 AND i.company_id = $2`,
+        [invoiceId, companyId]
+    );
+
+    if (result.rows.length === 0) {
+        return error('Invoice not found', 404);
+    }
+
+    const lines = await query(
+        'SELECT * FROM customer_invoice_lines WHERE invoice_id = $1 ORDER BY delivery_date, created_at',
+        [invoiceId]
+    );
+
+    const payments = await query(
+        `SELECT a.amount as applied_amount, a.created_at as applied_at,
+                p.id as payment_id, p.amount as payment_amount, p.payment_method, p.reference, p.received_date
+         FROM customer_payment_applications a
+         JOIN customer_payments p ON a.payment_id = p.id
+         WHERE a.invoice_id = $1
+         ORDER BY a.created_at`,
+        [invoiceId]
+    );
+
+    return success({
+        invoice: result.rows[0],
+        lines: lines.rows,
+        payments: payments.rows
+    });
+}
+
+/**
+ * Create one invoice per customer from delivered orders and completed route run stops
+ * that haven't been billed yet. Body: { customer_id?, through_date? (YYYY-MM-DD, default today) }
+ */
+async function generateInvoices(companyId, user, event) {
+    const body = parseBody(event);
+    const throughDate = body.through_date || new Date().toISOString().slice(0, 10);
+    const customerId = body.customer_id || null;
+
+    if (!isValidDate(throughDate)) {
+        return error('through_date must be YYYY-MM-DD', 400);
+    }
+
+    const orders = await query(
+        `SELECT o.id, o.customer_id, o.order_number, o.gallons_delivered, o.gallons_requested,
+                o.price_per_gallon, o.total_amount,
+                to_char(COALESCE(o.delivered_at, o.updated_at), 'YYYY-MM-DD') as delivery_date
+         FROM orders o
+         WHERE o.company_id = $1 AND o.status = 'delivered'
+         AND ($2::uuid IS NULL OR o.customer_id = $2)
+         AND COALESCE(o.delivered_at, o.updated_at)::date <= $3
+         AND NOT EXISTS (SELECT 1 FROM customer_invoice_lines l WHERE l.order_id = o.id)`,
+        [companyId, customerId, throughDate]
+    );
+
+    const runStops = await query(
+        `SELECT rrs.id, rrs.customer_id, rrs.gallons_delivered, rrs.price_per_gallon, rrs.delivery_total,
+                rr.name as run_name,
+                to_char(COALESCE(rrs.departed_at, rrs.arrived_at, rr.scheduled_date), 'YYYY-MM-DD') as delivery_date
+         FROM route_run_stops rrs
+         JOIN route_runs rr ON rrs.run_id = rr.id
+         WHERE rr.company_id = $1 AND rrs.status = 'completed' AND rrs.gallons_delivered > 0
+         AND ($2::uuid IS NULL OR rrs.customer_id = $2)
+         AND COALESCE(rrs.departed_at, rrs.arrived_at, rr.scheduled_date)::date <= $3
+         AND NOT EXISTS (SELECT 1 FROM customer_invoice_lines l WHERE l.run_stop_id = rrs.id)`,
+        [companyId, customerId, throughDate]
+    );
+
+    // Group billable deliveries by customer
+    const linesByCustomer = new Map();
+    const addLine = (custId, line) => {
+        if (!linesByCustomer.has(custId)) linesByCustomer.set(custId, []);
+        linesByCustomer.get(custId).push(line);
+    };
+
+    for (const order of orders.rows) {
+        const gallons = parseFloat(order.gallons_delivered ?? order.gallons_requested) || 0;
+        const price = parseFloat(order.price_per_gallon);
+        const amount = order.gallons_delivered !== null && !isNaN(price)
+            ? gallons * price
+            : parseFloat(order.total_amount) || 0;
+
+        addLine(order.customer_id, {
+            order_id: order.id,
+            run_stop_id: null,
+            delivery_date: order.delivery_date,
+            description: `Propane delivery - order ${order.order_number}`,
+            gallons,
+            unit_price: isNaN(price) ? null : price,
+            amount: Math.round(amount * 100) / 100
+        });
+    }
+
+    for (const stop of runStops.rows) {
+        const gallons = parseFloat(stop.gallons_delivered) || 0;
+        const price = parseFloat(stop.price_per_gallon);
+        const total = parseFloat(stop.delivery_total) || 0;
+        const amount = total > 0 ? total : gallons * (isNaN(price) ? 0 : price);
+
+        addLine(stop.customer_id, {
+            order_id: null,
+            run_stop_id: stop.id,
+            delivery_date: stop.delivery_date,
+            description: `Propane delivery - ${stop.run_name || 'route'}`,
+            gallons,
+            unit_price: isNaN(price) ? null : price,
+            amount: Math.round(amount * 100) / 100
+        });
+    }
+
+    const created = [];
+    const errors = [];
+
+    for (const [custId, lines] of linesByCustomer) {
+        try {
+            const invoice = await createInvoice(companyId, custId, lines, user);
+            if (invoice) created.push(invoice);
+        } catch (err) {
+            // A concurrent run billed these deliveries first (unique line index) - skip the customer
+            console.error(`Invoice generation failed for customer ${custId}:`, err);
+            errors.push({ customer_id: custId, error: err.code === '23505' ? 'Deliveries already invoiced' : err.message });
+        }
+    }
+
+    return success({
+        invoices_created: created.length,
+        total_invoiced: Math.round(created.reduce((sum, i) => sum + parseFloat(i.total), 0) * 100) / 100,
+        invoices: created,
+        errors
+    }, created.length > 0 ? 201 : 200);
+}
+
+async function createInvoice(companyId, customerId, lines, user) {
+    const totalCents = lines.reduce((sum, l) => sum + toCents(l.amount), 0);
+    if (totalCents <= 0) return null;
+
+    return await transaction(async (client) => {
+        const customerResult = await client.query(
+            'SELECT id, payment_terms FROM customers WHERE id = $1 AND company_id = $2 FOR UPDATE',
+            [customerId, companyId]
+        );
+        if (customerResult.rows.length === 0) return null;
+        const customer = customerResult.rows[0];
+
+        const invoiceNumber = await nextInvoiceNumber(client, companyId);
+        const total = totalCents / 100;
+
+        const invoiceResult = await client.query(
+            `INSERT INTO customer_invoices (company_id, customer_id, invoice_number, invoice_date, due_date, payment_terms, total, balance_due, created_by)
+             VALUES ($1, $2, $3, CURRENT_DATE, CURRENT_DATE + $4::integer, $5, $6, $6, $7)
+             RETURNING *`,
+            [companyId, customerId, invoiceNumber, termsDays(customer.payment_terms), customer.payment_terms, total, user.userId]
+        );
+        const invoice = invoiceResult.rows[0];
+
+        for (const line of lines) {
+            await client.query(
+                `INSERT INTO customer_invoice_lines (invoice_id, order_id, run_stop_id, delivery_date, description, gallons, unit_price, amount)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                [invoice.id, line.order_id, line.run_stop_id, line.delivery_date, line.description, line.gallons, line.unit_price, line.amount]
+            );
+        }
+
+        // Prepayments / overpayments on account go against the new invoice straight away
+        const applications = await applyOpenCredit(client, customerId, invoice.id);
+        const balance = await syncCustomerBalance(client, customerId);
+
+        await client.query(
+            `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, new_values)
+             VALUES ($1, $2, 'customer_invoice_created', 'customer_invoice', $3, $4)`,
+            [companyId, user.userId, invoice.id, JSON.stringify({ customer_id: customerId, invoice_number: invoiceNumber, total, lines: lines.length })]
+        );
+
+        const paid = applications.filter(a => a.invoice_id === invoice.id).reduce((sum, a) => sum + toCents(a.amount), 0) / 100;
+        return {
+            ...invoice,
+            amount_paid: paid,
+            balance_due: Math.round((total - paid) * 100) / 100,
+            status: paid >= total ? 'paid' : paid > 0 ? 'partial' : 'open',
+            line_count: lines.length,
+            customer_balance: balance
+        };
+    });
+}
+
+async function voidInvoice(companyId, user, invoiceId, event) {
+    const body = parseBody(event);
+
+    return await transaction(async (client) => {
+        const result = await client.query(
+            'SELECT * FROM customer_invoices WHERE id = $1 AND company_id = $2 FOR UPDATE',
+            [invoiceId, companyId]
+        );
+        if (result.rows.length === 0) {
+            return error('Invoice not found', 404);
+        }
+
+        const invoice = result.rows[0];
+        if (invoice.status === 'void') {
+            return error('Invoice is already void', 400);
+        }
+        if (parseFloat(invoice.amount_paid) > 0) {
+            return error('Invoice has payments applied and cannot be voided', 400);
+        }
+
+        await client.query(
+            `UPDATE customer_invoices SET status = 'void', balance_due = 0,
+                notes = COALESCE($1, notes), updated_at = NOW()
+             WHERE id = $2`,
+            [body.reason || null, invoiceId]
+        );
+
+        // Release the deliveries so they can be billed again; descriptions stay on the void invoice
+        await client.query(
+            'UPDATE customer_invoice_lines SET order_id = NULL, run_stop_id = NULL WHERE invoice_id = $1',
+            [invoiceId]
+        );
+
+        const balance = await syncCustomerBalance(client, invoice.customer_id);
+
+        await client.query(
+            `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, old_values, new_values)
+             VALUES ($1, $2, 'customer_invoice_voided', 'customer_invoice', $3, $4, $5)`,
+            [companyId, user.userId, invoiceId, JSON.stringify({ status: invoice.status, total: invoice.total }), JSON.stringify({ status: 'void', reason: body.reason || null })]
+        );
+
+        return success({ message: 'Invoice voided', customer_balance: balance });
+    });
+}
+
+// =====================================================
+// PAYMENTS
+// =====================================================
+
+async function listPayments(companyId, event) {
+    const params = event.queryStringParameters || {};
+    const limit = Math.min(100, parseInt(params.limit) || 50);
+    const offset = parseInt(params.offset) || 0;
+
+    const values = [companyId];
+    let whereClause = 'WHERE p.company_id = $1';
+
+    if (params.customer_id) {
+        values.push(params.customer_id);
+        whereClause += ` AND p.customer_id = $${values.length}`;
+    }
+
+    const result = await query(
+        `SELECT p.*, c.name as customer_name, c.code as customer_code
+         FROM customer_payments p
+         JOIN customers c ON p.customer_id = c.id
+         ${whereClause}
+         ORDER BY p.received_date DESC, p.created_at DESC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+    );
+
+    return success({ payments: result.rows, limit, offset });
+}
+
+/**
+ * Body: { customer_id, amount, payment_method?, reference?, received_date?, invoice_id?, notes? }
+ * Pays invoice_id first (if given), then the oldest open invoices; the remainder stays on account as credit.
+ */
+async function recordPayment(companyId, user, event) {
+    const body = parseBody(event);
+    const amountCents = toCents(body.amount);
+
+    if (!body.customer_id) {
+        return error('customer_id is required', 400);
+    }
+    if (amountCents <= 0) {
+        return error('amount must be greater than zero', 400);
+    }
+    if (body.payment_method && !PAYMENT_METHODS.includes(body.payment_method)) {
+        return error(`payment_method must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+    }
+    if (body.received_date && !isValidDate(body.received_date)) {
+        return error('received_date must be YYYY-MM-DD', 400);
+    }
+
+    return await transaction(async (client) => {
+        const customer = await client.query(
+            'SELECT id FROM customers WHERE id = $1 AND company_id = $2 FOR UPDATE',
+            [body.customer_id, companyId]
+        );
+        if (customer.rows.length === 0) {
+            return error('Customer not found', 404);
+        }
+
+        if (body.invoice_id) {
+            const invoice = await client.query(
+                'SELECT id FROM customer_invoices WHERE id = $1 AND customer_id = $2 AND company_id = $3',
+                [body.invoice_id, body.customer_id, companyId]
+            );
+            if (invoice.rows.length === 0) {
+                return error('Invoice not found for this customer', 404);
+            }
+        }
+
+        const paymentResult = await client.query(
+            `INSERT INTO customer_payments (company_id, customer_id, amount, unapplied_amount, payment_method, reference, received_date, notes, created_by)
+             VALUES ($1, $2, $3, $3, $4, $5, COALESCE($6::date, CURRENT_DATE), $7, $8)
+             RETURNING *`,
+            [companyId, body.customer_id, amountCents / 100, body.payment_method || null, body.reference || null, body.received_date || null, body.notes || null, user.userId]
+        );
+        const payment = paymentResult.rows[0];
+
+        const applications = await applyOpenCredit(client, body.customer_id, body.invoice_id || null);
+        const balance = await syncCustomerBalance(client, body.customer_id);
+
+        const appliedCents = applications
+            .filter(a => a.payment_id === payment.id)
+            .reduce((sum, a) => sum + toCents(a.amount), 0);
+
+        await client.query(
+            `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, new_values)
+             VALUES ($1, $2, 'customer_payment_recorded', 'customer_payment', $3, $4)`,
+            [companyId, user.userId, payment.id, JSON.stringify({ customer_id: body.customer_id, amount: amountCents / 100, applied: appliedCents / 100 })]
+        );
+
+        return success({
+            payment: { ...payment, unapplied_amount: (amountCents - appliedCents) / 100 },
+            applications,
+            customer_balance: balance
+        }, 201);
+    });
+}
+
+// =====================================================
+// AGING
+// =====================================================
+
+const AGING_BUCKETS_SQL = `
+    COALESCE(SUM(i.balance_due) FILTER (WHERE i.due_date >= $2::date), 0) as current,
+    COALESCE(SUM(i.balance_due) FILTER (WHERE $2::date - i.due_date BETWEEN 1 AND 30), 0) as days_1_30,
+    COALESCE(SUM(i.balance_due) FILTER (WHERE $2::date - i.due_date BETWEEN 31 AND 60), 0) as days_31_60,
+    COALESCE(SUM(i.balance_due) FILTER (WHERE $2::date - i.due_date BETWEEN 61 AND 90), 0) as days_61_90,
+    COALESCE(SUM(i.balance_due) FILTER (WHERE $2::date - i.due_date > 90), 0) as days_over_90,
+    COALESCE(SUM(i.balance_due), 0) as total_due`;
+
+const BUCKET_KEYS = ['current', 'days_1_30', 'days_31_60', 'days_61_90', 'days_over_90', 'total_due'];
+
+function parseBuckets(row) {
+    const buckets = {};
+    for (const key of BUCKET_KEYS) {
+        buckets[key] = parseFloat(row[key]) || 0;
+    }
+    return buckets;
+}
+
+/**
+ * Open balances bucketed by days past due_date as of ?as_of= (default today)
+ */
+async function getAging(companyId, event) {
+    const params = event.queryStringParameters || {};
+    const asOf = params.as_of || new Date().toISOString().slice(0, 10);
+
+    if (!isValidDate(asOf)) {
+        return error('as_of must be YYYY-MM-DD', 400);
+    }
+
+    const result = await query(
+        `SELECT c.id as customer_id, c.name as customer_name, c.code as customer_code, c.payment_terms,
+                ${AGING_BUCKETS_SQL},
+                (SELECT COALESCE(SUM(unapplied_amount), 0) FROM customer_payments p WHERE p.customer_id = c.id) as unapplied_credit
+         FROM customer_invoices i
+         JOIN customers c ON i.customer_id = c.id
+         WHERE i.company_id = $1 AND i.status IN ('open', 'partial') AND i.invoice_date <= $2::date
+         GROUP BY c.id
+         ORDER BY total_due DESC`,
+        [companyId, asOf]
+    );
+
+    const customers = result.rows.map(row => ({
+        customer_id: row.customer_id,
+        customer_name: row.customer_name,
+        customer_code: row.customer_code,
+        payment_terms: row.payment_terms,
+        ...parseBuckets(row),
+        unapplied_credit: parseFloat(row.unapplied_credit) || 0
+    }));
+
+    const totals = {};
+    for (const key of BUCKET_KEYS) {
+        totals[key] = Math.round(customers.reduce((sum, c) => sum + c[key], 0) * 100) / 100;
+    }
+
+    return success({ as_of: asOf, totals, customers });
+}
+
+async function getCustomerStatement(companyId, customerId) {
+    const customerResult = await query(
+        `SELECT id, code, name, contact_name, email, address, city, state, zip, payment_terms, balance
+         FROM customers WHERE id = $1 AND company_id = $2`,
+        [customerId, companyId]
+    );
+    if (customerResult.rows.length === 0) {
+        return error('Customer not found', 404);
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+
+    const aging = await query(
+        `SELECT ${AGING_BUCKETS_SQL}
+         FROM customer_invoices i
+         WHERE i.customer_id = $1 AND i.status IN ('open', 'partial')`,
+        [customerId, today]
+    );
+
+    const openInvoices = await query(
+        `SELECT id, invoice_number, invoice_date, due_date, total, amount_paid, balance_due, status,
+                GREATEST(0, CURRENT_DATE - due_date) as days_past_due
+         FROM customer_invoices
+         WHERE customer_id = $1 AND status IN ('open', 'partial')
+         ORDER BY due_date`,
+        [customerId]
+    );
+
+    const payments = await query(
+        `SELECT id, amount, unapplied_amount, payment_method, reference, received_date
+         FROM customer_payments
+         WHERE customer_id = $1
+         ORDER BY received_date DESC, created_at DESC
+         LIMIT 20`,
+        [customerId]
+    );
+
+    const customer = customerResult.rows[0];
+
+    return success({
+        customer: { ...customer, balance: parseFloat(customer.balance) || 0 },
+        terms_days: termsDays(customer.payment_terms),
+        aging: parseBuckets(aging.rows[0]),
+        open_invoices: openInvoices.rows,
+        recent_payments: payments.rows
+    });
+}
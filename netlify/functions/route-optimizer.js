@@ -1,9 +1,13 @@
 // Route Optimization API
-// Implements route optimization using Nearest Neighbor + 2-opt algorithms
+// Implements route optimization using Nearest Neighbor + 2-opt, honoring delivery windows
 const { query } = require('./utils/db');
-const { requireAuth } = require('./utils/auth');
-const { resolveTenant } = require('./utils/tenant');
+const { authenticateTenant } = require('./utils/tenant-auth');
+const { resolveTenant, checkBillingAccess } = require('./utils/tenant');
 const { success, error, handleOptions, parseBody } = require('./utils/response');
+const { dcScopeClause, canAccessDc } = require('./utils/dc-scope');
+const { hasPermission } = require('./utils/permissions');
+const { planRoute, scheduleRoute, getTimeWindowSettings, buildDistanceMatrix } = require('./utils/routing');
+const { getDistanceSettings, isValidOsrmProfile } = require('./utils/distance');
 
 exports.handler = async (event, context) => {
     if (event.httpMethod === 'OPTIONS') {
@@ -17,29 +21,49 @@ exports.handler = async (event, context) => {
         // Resolve tenant
         const tenant = await resolveTenant(event);
         if (!tenant.resolved) {
-            return error('Company not found', 404);
+            return error(tenant.error || 'Company not found', tenant.status || 404);
         }
         const companyId = tenant.company.id;
 
+        const billingAccess = checkBillingAccess(tenant.company, method);
+        if (billingAccess.error) {
+            return error(billingAccess.error, billingAccess.status);
+        }
+
         // Auth required
-        const authResult = requireAuth(event);
+        const authResult = await authenticateTenant(event);
         if (authResult.error) {
-            return error(authResult.error, authResult.status);
+            return error(authResult.error, authResult.status, authResult.details);
         }
 
+        if (authResult.user.companyId !== companyId) {
+            return error('Unauthorized', 403);
+        }
+
+        const user = authResult.user;
+
         // POST /route-optimizer/optimize/:routeId - Optimize an existing route
         if (method === 'POST' && path.match(/^\/optimize\/[a-f0-9-]+$/)) {
             const routeId = path.split('/')[2];
-            return await optimizeRoute(companyId, routeId, event);
+            if (!hasPermission(user, 'routes.optimize')) {
+                return error('Access denied', 403);
+            }
+            return await optimizeRoute(companyId, user, routeId, event);
         }
 
         // POST /route-optimizer/preview - Preview optimization without saving
         if (method === 'POST' && path === '/preview') {
-            return await previewOptimization(companyId, event);
+            if (!hasPermission(user, 'routes.optimize')) {
+                return error('Access denied', 403);
+            }
+            return await previewOptimization(companyId, user, event);
         }
 
         // POST /route-optimizer/calculate - Calculate costs for a route
         if (method === 'POST' && path === '/calculate') {
+            if (!hasPermission(user, 'routes.optimize')) {
+                return error('Access denied', 403);
+            }
             return await calculateRouteCosts(companyId, event);
         }
 
@@ -50,6 +74,9 @@ exports.handler = async (event, context) => {
 
         // PUT /route-optimizer/settings - Update optimization settings
         if (method === 'PUT' && path === '/settings') {
+            if (!hasPermission(user, 'settings.manage')) {
+                return error('Access denied', 403);
+            }
             return await updateOptimizationSettings(companyId, event);
         }
 
@@ -60,123 +87,6 @@ exports.handler = async (event, context) => {
     }
 };
 
-// =====================================================
-// HAVERSINE DISTANCE CALCULATION
-// =====================================================
-
-function haversineDistance(lat1, lon1, lat2, lon2) {
-    const R = 3959; // Earth's radius in miles
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-              Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-}
-
-function toRad(deg) {
-    return deg * (Math.PI / 180);
-}
-
-// =====================================================
-// BUILD DISTANCE MATRIX
-// =====================================================
-
-function buildDistanceMatrix(locations) {
-    const n = locations.length;
-    const matrix = Array(n).fill(null).map(() => Array(n).fill(0));
-    
-    for (let i = 0; i < n; i++) {
-        for (let j = i + 1; j < n; j++) {
-            const dist = haversineDistance(
-                locations[i].lat, locations[i].lng,
-                locations[j].lat, locations[j].lng
-            );
-            matrix[i][j] = dist;
-            matrix[j][i] = dist;
-        }
-    }
-    
-    return matrix;
-}
-
-// =====================================================
-// NEAREST NEIGHBOR ALGORITHM
-// =====================================================
-
-function nearestNeighbor(distanceMatrix, startIndex = 0) {
-    const n = distanceMatrix.length;
-    const visited = new Set([startIndex]);
-    const route = [startIndex];
-    let current = startIndex;
-    
-    while (visited.size < n) {
-        let nearest = -1;
-        let nearestDist = Infinity;
-        
-        for (let i = 0; i < n; i++) {
-            if (!visited.has(i) && distanceMatrix[current][i] < nearestDist) {
-                nearest = i;
-                nearestDist = distanceMatrix[current][i];
-            }
-        }
-        
-        if (nearest !== -1) {
-            route.push(nearest);
-            visited.add(nearest);
-            current = nearest;
-        }
-    }
-    
-    return route;
-}
-
-// =====================================================
-// 2-OPT IMPROVEMENT ALGORITHM
-// =====================================================
-
-function twoOptImprove(route, distanceMatrix, maxIterations = 1000) {
-    let improved = true;
-    let iterations = 0;
-    let bestRoute = [...route];
-    
-    while (improved && iterations < maxIterations) {
-        improved = false;
-        iterations++;
-        
-        for (let i = 1; i < bestRoute.length - 2; i++) {
-            for (let j = i + 1; j < bestRoute.length - 1; j++) {
-                // Calculate current distance
-                const currentDist = 
-                    distanceMatrix[bestRoute[i - 1]][bestRoute[i]] +
-                    distanceMatrix[bestRoute[j]][bestRoute[j + 1]];
-                
-                // Calculate new distance if we reverse segment
-                const newDist = 
-                    distanceMatrix[bestRoute[i - 1]][bestRoute[j]] +
-                    distanceMatrix[bestRoute[i]][bestRoute[j + 1]];
-                
-                if (newDist < currentDist - 0.001) {
-                    // Reverse the segment between i and j
-                    const newRoute = [...bestRoute];
-                    let left = i;
-                    let right = j;
-                    while (left < right) {
-                        [newRoute[left], newRoute[right]] = [newRoute[right], newRoute[left]];
-                        left++;
-                        right--;
-                    }
-                    bestRoute = newRoute;
-                    improved = true;
-                }
-            }
-        }
-    }
-    
-    return { route: bestRoute, iterations };
-}
-
 // =====================================================
 // CALCULATE ROUTE TOTAL DISTANCE
 // =====================================================
@@ -197,19 +107,24 @@ function calculateTotalDistance(route, distanceMatrix, returnToStart = true) {
 // OPTIMIZE ROUTE
 // =====================================================
 
-async function optimizeRoute(companyId, routeId, event) {
+async function optimizeRoute(companyId, user, routeId, event) {
     const body = parseBody(event);
     const { apply = false } = body; // Whether to save the optimization
 
+    if (apply && !hasPermission(user, 'routes.update')) {
+        return error('Access denied', 403);
+    }
+
     // Get route with DC info
+    const routeParams = [routeId, companyId];
     const routeResult = await query(`
         SELECT r.*, dc.lat as dc_lat, dc.lng as dc_lng, dc.name as dc_name,
                t.mpg as truck_mpg, t.capacity_gallons as truck_capacity
         FROM routes r
         JOIN distribution_centers dc ON r.dc_id = dc.id
         LEFT JOIN trucks t ON r.truck_id = t.id
-        WHERE r.id = $1 AND r.company_id = $2
-    `, [routeId, companyId]);
+        WHERE r.id = $1 AND r.company_id = $2${dcScopeClause(user, 'r.dc_id', routeParams)}
+    `, routeParams);
 
     if (routeResult.rows.length === 0) {
         return error('Route not found', 404);
@@ -223,7 +138,7 @@ async function optimizeRoute(companyId, routeId, event) {
 
     // Get all stops with customer locations
     const stopsResult = await query(`
-        SELECT rs.*, o.id as order_id, o.gallons_requested,
+        SELECT rs.*, o.id as order_id, o.gallons_requested, o.delivery_window,
                c.id as customer_id, c.name as customer_name, c.address, c.city, c.state,
                c.lat, c.lng
         FROM route_stops rs
@@ -260,22 +175,31 @@ async function optimizeRoute(companyId, routeId, event) {
             address: s.address,
             city: s.city,
             state: s.state,
-            gallons: s.gallons_requested
+            gallons: s.gallons_requested,
+            delivery_window: s.delivery_window,
+            service_minutes: s.estimated_duration
         }))
     ];
 
     // Build distance matrix
-    const distanceMatrix = buildDistanceMatrix(locations);
+    const distanceMatrix = await buildDistanceMatrix(locations, settings);
+
+    const scheduleOptions = {
+        startTime: route.start_time,
+        avgSpeed: settings.avg_speed || 35,
+        serviceMinutes: settings.stop_time || 15,
+        timeWindows: settings.time_windows
+    };
 
     // Calculate original distance (current order)
     const originalOrder = locations.map((_, i) => i);
     const originalDistance = calculateTotalDistance(originalOrder, distanceMatrix);
+    const originalSchedule = scheduleRoute([...originalOrder, 0], distanceMatrix, locations, scheduleOptions);
 
-    // Run Nearest Neighbor algorithm (start from DC which is index 0)
-    const nnRoute = nearestNeighbor(distanceMatrix, 0);
-
-    // Improve with 2-opt
-    const { route: optimizedRoute, iterations } = twoOptImprove(nnRoute, distanceMatrix);
+    // Nearest Neighbor + 2-opt, judged on the delivery window schedule
+    const plan = planRoute(distanceMatrix, locations, scheduleOptions);
+    const optimizedRoute = plan.route;
+    const iterations = plan.iterations;
 
     // Calculate optimized distance
     const optimizedDistance = calculateTotalDistance(optimizedRoute, distanceMatrix);
@@ -298,29 +222,36 @@ async function optimizeRoute(companyId, routeId, event) {
 
     const originalDriveTime = (originalDistance / avgSpeed) * 60; // minutes
     const optimizedDriveTime = (optimizedDistance / avgSpeed) * 60;
-    const totalStopTime = validStops.length * stopTime;
-    
-    const originalTotalTime = originalDriveTime + totalStopTime;
-    const optimizedTotalTime = optimizedDriveTime + totalStopTime;
+
+    // Total time includes per-stop service and any waiting for a window to open
+    const originalTotalTime = originalSchedule.total_minutes;
+    const optimizedTotalTime = plan.schedule.total_minutes;
     const timeSaved = originalTotalTime - optimizedTotalTime;
 
     const laborCostSaved = (timeSaved / 60) * driverHourlyRate;
     const totalCostSaved = fuelCostSaved + laborCostSaved;
 
     // Map optimized route back to stops
-    const optimizedStops = optimizedRoute
-        .filter(i => i !== 0) // Remove DC
-        .map((locIndex, stopNum) => ({
-            stop_number: stopNum + 1,
-            ...locations[locIndex]
-        }));
+    const optimizedStops = plan.schedule.stops.map(timing => ({
+        stop_number: timing.stop_number,
+        ...locations[timing.index],
+        estimated_arrival: timing.estimated_arrival,
+        wait_minutes: timing.wait_minutes,
+        late_minutes: timing.late_minutes,
+        window: timing.window
+    }));
+
+    // Hard windows: never save a sequence that misses one
+    if (apply && !plan.feasible && settings.time_windows.mode === 'hard') {
+        return error('Route cannot meet all delivery windows', 409, { violations: plan.schedule.violations });
+    }
 
     // If apply is true, save the optimized order
     if (apply) {
         for (const stop of optimizedStops) {
             await query(`
-                UPDATE route_stops SET stop_number = $1 WHERE id = $2
-            `, [stop.stop_number, stop.id]);
+                UPDATE route_stops SET stop_number = $1, estimated_arrival = $2 WHERE id = $3
+            `, [stop.stop_number, stop.estimated_arrival, stop.id]);
         }
 
         // Update route stats
@@ -372,8 +303,20 @@ async function optimizeRoute(companyId, routeId, event) {
             fuel_price: fuelPrice,
             avg_speed: avgSpeed,
             driver_hourly_rate: driverHourlyRate,
-            stop_time_minutes: stopTime
+            stop_time_minutes: stopTime,
+            time_window_mode: settings.time_windows.mode,
+            distance_provider: settings.distance.provider
+        },
+
+        schedule: {
+            start_time: plan.schedule.start_time,
+            end_time: plan.schedule.end_time,
+            wait_minutes: plan.schedule.wait_minutes,
+            late_minutes: plan.schedule.late_minutes,
+            feasible: plan.feasible
         },
+        violations: plan.schedule.violations,
+        original_violations: originalSchedule.violations.length,
         
         stops: optimizedStops,
         
@@ -389,14 +332,18 @@ async function optimizeRoute(companyId, routeId, event) {
 // PREVIEW OPTIMIZATION (without existing route)
 // =====================================================
 
-async function previewOptimization(companyId, event) {
+async function previewOptimization(companyId, user, event) {
     const body = parseBody(event);
-    const { dc_id, order_ids, truck_id } = body;
+    const { dc_id, order_ids, truck_id, start_time } = body;
 
     if (!dc_id) {
         return error('Distribution center ID required', 400);
     }
 
+    if (!canAccessDc(user, dc_id)) {
+        return error('You do not have access to this distribution center', 403);
+    }
+
     if (!order_ids || order_ids.length === 0) {
         return error('At least one order is required', 400);
     }
@@ -417,12 +364,13 @@ async function previewOptimization(companyId, event) {
     }
 
     // Get orders with customer locations
+    const orderParams = [order_ids, companyId];
     const ordersResult = await query(`
         SELECT o.*, c.name as customer_name, c.address, c.city, c.state, c.lat, c.lng
         FROM orders o
         JOIN customers c ON o.customer_id = c.id
-        WHERE o.id = ANY($1) AND o.company_id = $2
-    `, [order_ids, companyId]);
+        WHERE o.id = ANY($1) AND o.company_id = $2${dcScopeClause(user, 'o.dc_id', orderParams)}
+    `, orderParams);
 
     const validOrders = ordersResult.rows.filter(o => o.lat && o.lng);
 
@@ -433,7 +381,7 @@ async function previewOptimization(companyId, event) {
     // Get truck MPG if provided
     let truckMpg = null;
     if (truck_id) {
-        const truckResult = await query('SELECT mpg FROM trucks WHERE id = $1', [truck_id]);
+        const truckResult = await query('SELECT mpg FROM trucks WHERE id = $1 AND company_id = $2', [truck_id, companyId]);
         if (truckResult.rows.length > 0) {
             truckMpg = truckResult.rows[0].mpg;
         }
@@ -453,17 +401,13 @@ async function previewOptimization(companyId, event) {
             address: o.address,
             city: o.city,
             state: o.state,
-            gallons: o.gallons_requested
+            gallons: o.gallons_requested,
+            delivery_window: o.delivery_window
         }))
     ];
 
     // Build distance matrix
-    const distanceMatrix = buildDistanceMatrix(locations);
-
-    // Run optimization
-    const nnRoute = nearestNeighbor(distanceMatrix, 0);
-    const { route: optimizedRoute } = twoOptImprove(nnRoute, distanceMatrix);
-    const optimizedDistance = calculateTotalDistance(optimizedRoute, distanceMatrix);
+    const distanceMatrix = await buildDistanceMatrix(locations, settings);
 
     // Calculate costs
     const mpg = truckMpg || settings.default_mpg || 8;
@@ -471,17 +415,28 @@ async function previewOptimization(companyId, event) {
     const avgSpeed = settings.avg_speed || 35;
     const stopTime = settings.stop_time || 15;
 
+    // Run optimization
+    const plan = planRoute(distanceMatrix, locations, {
+        startTime: start_time,
+        avgSpeed,
+        serviceMinutes: stopTime,
+        timeWindows: settings.time_windows
+    });
+    const optimizedDistance = calculateTotalDistance(plan.route, distanceMatrix);
+
     const fuelGallons = optimizedDistance / mpg;
     const driveTime = (optimizedDistance / avgSpeed) * 60;
-    const totalTime = driveTime + (validOrders.length * stopTime);
+    const totalTime = plan.schedule.total_minutes;
 
     // Map to stops
-    const optimizedStops = optimizedRoute
-        .filter(i => i !== 0)
-        .map((locIndex, stopNum) => ({
-            stop_number: stopNum + 1,
-            ...locations[locIndex]
-        }));
+    const optimizedStops = plan.schedule.stops.map(timing => ({
+        stop_number: timing.stop_number,
+        ...locations[timing.index],
+        estimated_arrival: timing.estimated_arrival,
+        wait_minutes: timing.wait_minutes,
+        late_minutes: timing.late_minutes,
+        window: timing.window
+    }));
 
     return success({
         preview: true,
@@ -492,6 +447,11 @@ async function previewOptimization(companyId, event) {
         fuel_gallons: Math.round(fuelGallons * 100) / 100,
         fuel_cost: Math.round(fuelGallons * fuelPrice * 100) / 100,
         total_gallons_to_deliver: validOrders.reduce((sum, o) => sum + (o.gallons_requested || 0), 0),
+        start_time: plan.schedule.start_time,
+        end_time: plan.schedule.end_time,
+        time_window_mode: settings.time_windows.mode,
+        feasible: plan.feasible,
+        violations: plan.schedule.violations,
         stops: optimizedStops,
         distribution_center: {
             id: dc.id,
@@ -519,7 +479,7 @@ async function calculateRouteCosts(companyId, event) {
     // Get truck MPG if provided
     let mpg = settings.default_mpg || 8;
     if (truck_id) {
-        const truckResult = await query('SELECT mpg FROM trucks WHERE id = $1', [truck_id]);
+        const truckResult = await query('SELECT mpg FROM trucks WHERE id = $1 AND company_id = $2', [truck_id, companyId]);
         if (truckResult.rows.length > 0 && truckResult.rows[0].mpg) {
             mpg = truckResult.rows[0].mpg;
         }
@@ -570,7 +530,9 @@ async function getCompanySettings(companyId) {
         default_mpg: settings.default_mpg || 8,
         avg_speed: settings.avg_speed || 35,
         driver_hourly_rate: settings.driver_hourly_rate || 25,
-        stop_time: settings.stop_time || 15
+        stop_time: settings.stop_time || 15,
+        time_windows: getTimeWindowSettings(settings),
+        distance: getDistanceSettings(settings)
     };
 }
 
@@ -581,7 +543,7 @@ async function getOptimizationSettings(companyId) {
 
 async function updateOptimizationSettings(companyId, event) {
     const body = parseBody(event);
-    const { fuel_price, default_mpg, avg_speed, driver_hourly_rate, stop_time } = body;
+    const { fuel_price, default_mpg, avg_speed, driver_hourly_rate, stop_time, time_windows, distance } = body;
 
     // Get current settings
     const current = await query('SELECT settings FROM companies WHERE id = $1', [companyId]);
@@ -594,9 +556,29 @@ async function updateOptimizationSettings(companyId, event) {
         ...(default_mpg !== undefined && { default_mpg: parseFloat(default_mpg) }),
         ...(avg_speed !== undefined && { avg_speed: parseFloat(avg_speed) }),
         ...(driver_hourly_rate !== undefined && { driver_hourly_rate: parseFloat(driver_hourly_rate) }),
-        ...(stop_time !== undefined && { stop_time: parseInt(stop_time) })
+        ...(stop_time !== undefined && { stop_time: parseInt(stop_time) }),
+        ...(time_windows !== undefined && { time_windows: { ...(currentSettings.time_windows || {}), ...time_windows } }),
+        ...(distance !== undefined && { distance: { ...(currentSettings.distance || {}), ...distance } })
     };
 
+    if (distance && distance.osrm_url !== undefined) {
+        return error('The OSRM server is set by the OSRM_URL environment variable', 400);
+    }
+    if (newSettings.distance) {
+        // Stored before the server became an operator setting
+        delete newSettings.distance.osrm_url;
+        if (newSettings.distance.provider && !['haversine', 'osrm'].includes(newSettings.distance.provider)) {
+            return error('distance.provider must be haversine or osrm', 400);
+        }
+        if (newSettings.distance.osrm_profile !== undefined && !isValidOsrmProfile(newSettings.distance.osrm_profile)) {
+            return error('distance.osrm_profile must be a profile name such as driving', 400);
+        }
+    }
+
+    if (newSettings.time_windows && newSettings.time_windows.mode && !['hard', 'soft'].includes(newSettings.time_windows.mode)) {
+        return error('time_windows.mode must be hard or soft', 400);
+    }
+
     await query(`
         UPDATE companies SET settings = $1 WHERE id = $2
     `, [JSON.stringify(newSettings), companyId]);
@@ -608,7 +590,9 @@ async function updateOptimizationSettings(companyId, event) {
             default_mpg: newSettings.default_mpg || 8,
             avg_speed: newSettings.avg_speed || 35,
             driver_hourly_rate: newSettings.driver_hourly_rate || 25,
-            stop_time: newSettings.stop_time || 15
+            stop_time: newSettings.stop_time || 15,
+            time_windows: getTimeWindowSettings(newSettings),
+            distance: getDistanceSettings(newSettings)
         }
     });
 }
@@ -2,9 +2,18 @@
 // Handles route-based delivery model (keep-full service)
 
 const { query } = require('./utils/db');
-const { requireAuth, requireRole } = require('./utils/auth');
-const { resolveTenant } = require('./utils/tenant');
+const { authenticateTenant } = require('./utils/tenant-auth');
+const { resolveTenant, checkBillingAccess } = require('./utils/tenant');
 const { success, error, handleOptions, parseBody } = require('./utils/response');
+const { invalidPathId, validateBody } = require('./utils/validation');
+const { SCHEMAS, UPDATABLE_FIELDS } = require('./utils/schemas');
+const { isUpdateMethod, buildSetClauses } = require('./utils/updates');
+const { listQuery } = require('./utils/list-query');
+const { LISTS } = require('./utils/lists');
+const { dcScopeClause, canAccessDc, resolveDcForWrite } = require('./utils/dc-scope');
+const { hasPermission } = require('./utils/permissions');
+const { recordAudit, findAuditRow } = require('./utils/audit');
+const { planRoute, getTimeWindowSettings, buildDistanceMatrix } = require('./utils/routing');
 
 exports.handler = async (event, context) => {
     if (event.httpMethod === 'OPTIONS') {
@@ -18,14 +27,19 @@ exports.handler = async (event, context) => {
         // Resolve tenant
         const tenant = await resolveTenant(event);
         if (!tenant.resolved) {
-            return error('Company not found', 404);
+            return error(tenant.error || 'Company not found', tenant.status || 404);
         }
         const companyId = tenant.company.id;
 
+        const billingAccess = checkBillingAccess(tenant.company, method);
+        if (billingAccess.error) {
+            return error(billingAccess.error, billingAccess.status);
+        }
+
         // Auth required
-        const authResult = requireAuth(event);
+        const authResult = await authenticateTenant(event);
         if (authResult.error) {
-            return error(authResult.error, authResult.status);
+            return error(authResult.error, authResult.status, authResult.details);
         }
 
         const user = authResult.user;
@@ -33,6 +47,11 @@ exports.handler = async (event, context) => {
             return error('Unauthorized', 403);
         }
 
+        const badId = invalidPathId(path);
+        if (badId) {
+            return error(`Invalid id: ${badId}`, 400);
+        }
+
         // Route Templates
         if (path.startsWith('/templates')) {
             return await handleTemplates(method, path.replace('/templates', ''), companyId, user, event);
@@ -45,7 +64,10 @@ exports.handler = async (event, context) => {
 
         // Optimize route (for templates or ad-hoc)
         if (path === '/optimize' && method === 'POST') {
-            return await optimizeStops(companyId, event);
+            if (!hasPermission(user, 'routes.optimize')) {
+                return error('Access denied', 403);
+            }
+            return await optimizeStops(companyId, user, event, tenant.company.settings);
         }
 
         return error('Not found', 404);
@@ -60,29 +82,35 @@ exports.handler = async (event, context) => {
 // =====================================================
 
 async function handleTemplates(method, path, companyId, user, event) {
+    if (method === 'GET' && !hasPermission(user, 'templates.view')) {
+        return error('Access denied', 403);
+    }
+
     // GET /templates - List all templates
     if (method === 'GET' && path === '') {
-        const result = await query(
-            `SELECT rt.*, 
-                    dc.name as dc_name,
-                    d.name as driver_name,
-                    t.name as truck_name,
-                    t.code as truck_code,
-                    (SELECT COUNT(*) FROM route_template_stops WHERE template_id = rt.id) as stop_count
-             FROM route_templates rt
-             LEFT JOIN distribution_centers dc ON rt.dc_id = dc.id
-             LEFT JOIN drivers d ON rt.assigned_driver_id = d.id
-             LEFT JOIN trucks t ON rt.assigned_truck_id = t.id
-             WHERE rt.company_id = $1
-             ORDER BY rt.day_of_week, rt.name`,
-            [companyId]
-        );
-        return success(result.rows);
+        const listParams = [companyId];
+        const page = await listQuery(event, LISTS.route_template, {
+            select: `rt.*, 
+                     dc.name as dc_name,
+                     d.name as driver_name,
+                     t.name as truck_name,
+                     t.code as truck_code,
+                     (SELECT COUNT(*) FROM route_template_stops WHERE template_id = rt.id) as stop_count`,
+            from: `route_templates rt
+                   LEFT JOIN distribution_centers dc ON rt.dc_id = dc.id
+                   LEFT JOIN drivers d ON rt.assigned_driver_id = d.id
+                   LEFT JOIN trucks t ON rt.assigned_truck_id = t.id`,
+            where: `rt.company_id = $1${dcScopeClause(user, 'rt.dc_id', listParams)}`,
+            params: listParams
+        });
+        if (page.error) return error(page.error, page.status);
+        return success(page);
     }
 
     // GET /templates/:id - Get template with stops
     if (method === 'GET' && path.match(/^\/[a-f0-9-]+$/)) {
         const id = path.slice(1);
+        const templateParams = [id, companyId];
         const templateResult = await query(
             `SELECT rt.*, 
                     dc.name as dc_name, dc.lat as dc_lat, dc.lng as dc_lng,
@@ -92,8 +120,8 @@ async function handleTemplates(method, path, companyId, user, event) {
              LEFT JOIN distribution_centers dc ON rt.dc_id = dc.id
              LEFT JOIN drivers d ON rt.assigned_driver_id = d.id
              LEFT JOIN trucks t ON rt.assigned_truck_id = t.id
-             WHERE rt.id = $1 AND rt.company_id = $2`,
-            [id, companyId]
+             WHERE rt.id = $1 AND rt.company_id = $2${dcScopeClause(user, 'rt.dc_id', templateParams)}`,
+            templateParams
         );
         
         if (templateResult.rows.length === 0) {
@@ -122,116 +150,87 @@ async function handleTemplates(method, path, companyId, user, event) {
 
     // POST /templates - Create template
     if (method === 'POST' && path === '') {
-        if (!requireRole(user, ['admin', 'dispatch'])) {
+        if (!hasPermission(user, 'templates.create')) {
             return error('Access denied', 403);
         }
         
-        const body = parseBody(event);
+        const input = validateBody(event, SCHEMAS.route_template);
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
+        const dc = resolveDcForWrite(user, body.dc_id);
+        if (dc.error) return error(dc.error, dc.status);
+        body.dc_id = dc.dcId;
+
         const result = await query(
             `INSERT INTO route_templates (company_id, dc_id, name, description, day_of_week, frequency, assigned_driver_id, assigned_truck_id, estimated_miles, estimated_duration_minutes, status)
              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
-            [companyId, body.dc_id, body.name, body.description, body.day_of_week, body.frequency || 'weekly', body.assigned_driver_id, body.assigned_truck_id, body.estimated_miles || null, body.estimated_duration_minutes || null, body.status || 'active']
+            [companyId, body.dc_id, body.name, body.description, body.day_of_week, body.frequency, body.assigned_driver_id, body.assigned_truck_id, body.estimated_miles, body.estimated_duration_minutes, body.status]
         );
+        await recordAudit(event, user, { companyId, action: 'create', entityType: 'route_template', after: result.rows[0] });
         return success(result.rows[0], 201);
     }
 
-    // PUT /templates/:id - Update template
-    if (method === 'PUT' && path.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin', 'dispatch'])) {
+    // PUT/PATCH /templates/:id - Update the fields sent
+    if (isUpdateMethod(method) && path.match(/^\/[a-f0-9-]+$/)) {
+        if (!hasPermission(user, 'templates.update')) {
             return error('Access denied', 403);
         }
         
         const id = path.slice(1);
-        const body = parseBody(event);
-        
-        // Build dynamic update query
-        const updates = [];
-        const values = [];
-        let paramCount = 0;
-        
+        const input = validateBody(event, SCHEMAS.route_template, { partial: true });
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
         if (body.dc_id !== undefined) {
-            paramCount++;
-            updates.push(`dc_id = $${paramCount}`);
-            values.push(body.dc_id);
-        }
-        if (body.name !== undefined) {
-            paramCount++;
-            updates.push(`name = $${paramCount}`);
-            values.push(body.name);
-        }
-        if (body.description !== undefined) {
-            paramCount++;
-            updates.push(`description = $${paramCount}`);
-            values.push(body.description);
-        }
-        if (body.day_of_week !== undefined) {
-            paramCount++;
-            updates.push(`day_of_week = $${paramCount}`);
-            values.push(body.day_of_week);
-        }
-        if (body.frequency !== undefined) {
-            paramCount++;
-            updates.push(`frequency = $${paramCount}`);
-            values.push(body.frequency);
-        }
-        if (body.assigned_driver_id !== undefined) {
-            paramCount++;
-            updates.push(`assigned_driver_id = $${paramCount}`);
-            values.push(body.assigned_driver_id);
-        }
-        if (body.assigned_truck_id !== undefined) {
-            paramCount++;
-            updates.push(`assigned_truck_id = $${paramCount}`);
-            values.push(body.assigned_truck_id);
-        }
-        if (body.status !== undefined) {
-            paramCount++;
-            updates.push(`status = $${paramCount}`);
-            values.push(body.status);
-        }
-        if (body.estimated_miles !== undefined) {
-            paramCount++;
-            updates.push(`estimated_miles = $${paramCount}`);
-            values.push(body.estimated_miles);
-        }
-        if (body.estimated_duration_minutes !== undefined) {
-            paramCount++;
-            updates.push(`estimated_duration_minutes = $${paramCount}`);
-            values.push(body.estimated_duration_minutes);
+            const dc = resolveDcForWrite(user, body.dc_id);
+            if (dc.error) return error(dc.error, dc.status);
+            body.dc_id = dc.dcId;
         }
         
+        const values = [];
+        const updates = buildSetClauses(body, UPDATABLE_FIELDS.route_template, values);
         if (updates.length === 0) {
             return error('No fields to update', 400);
         }
         
         updates.push('updated_at = NOW()');
         values.push(id, companyId);
+        const idParam = values.length - 1;
+        const scopeSql = dcScopeClause(user, 'dc_id', values);
+        const before = await findAuditRow('route_templates', id, companyId);
         
         const result = await query(
-            `UPDATE route_templates SET ${updates.join(', ')} WHERE id = $${paramCount + 1} AND company_id = $${paramCount + 2} RETURNING *`,
+            `UPDATE route_templates SET ${updates.join(', ')} WHERE id = $${idParam} AND company_id = $${idParam + 1}${scopeSql} RETURNING *`,
             values
         );
         
         if (result.rows.length === 0) {
             return error('Template not found', 404);
         }
+        await recordAudit(event, user, { companyId, action: 'update', entityType: 'route_template', before, after: result.rows[0] });
         return success(result.rows[0]);
     }
 
     // DELETE /templates/:id - Delete template
     if (method === 'DELETE' && path.match(/^\/[a-f0-9-]+$/)) {
-        if (!requireRole(user, ['admin'])) {
-            return error('Admin access required', 403);
+        if (!hasPermission(user, 'templates.delete')) {
+            return error('Access denied', 403);
         }
         
         const id = path.slice(1);
-        await query('DELETE FROM route_templates WHERE id = $1 AND company_id = $2', [id, companyId]);
+        const params = [id, companyId];
+        const result = await query(
+            `DELETE FROM route_templates WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'dc_id', params)} RETURNING *`,
+            params
+        );
+        if (result.rows.length > 0) {
+            await recordAudit(event, user, { companyId, action: 'delete', entityType: 'route_template', before: result.rows[0] });
+        }
         return success({ message: 'Template deleted' });
     }
 
     // POST /templates/:id/stops - Set/update stops for template
     if (method === 'POST' && path.match(/^\/[a-f0-9-]+\/stops$/)) {
-        if (!requireRole(user, ['admin', 'dispatch'])) {
+        if (!hasPermission(user, 'templates.update')) {
             return error('Access denied', 403);
         }
         
@@ -240,16 +239,20 @@ async function handleTemplates(method, path, companyId, user, event) {
         const { stops } = body; // Array of { customer_id, stop_number, delivery_instructions }
 
         // Verify template exists
+        const templateParams = [templateId, companyId];
         const templateCheck = await query(
-            'SELECT id FROM route_templates WHERE id = $1 AND company_id = $2',
-            [templateId, companyId]
+            `SELECT id FROM route_templates WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'dc_id', templateParams)}`,
+            templateParams
         );
         if (templateCheck.rows.length === 0) {
             return error('Template not found', 404);
         }
 
         // Clear existing stops
-        await query('DELETE FROM route_template_stops WHERE template_id = $1', [templateId]);
+        const previousStops = await query(
+            'DELETE FROM route_template_stops WHERE template_id = $1 RETURNING customer_id, stop_number',
+            [templateId]
+        );
 
         // Insert new stops
         if (stops && stops.length > 0) {
@@ -277,6 +280,18 @@ async function handleTemplates(method, path, companyId, user, event) {
             );
         }
 
+        const stopOrder = rows => [...rows]
+            .sort((a, b) => a.stop_number - b.stop_number)
+            .map(s => s.customer_id);
+        await recordAudit(event, user, {
+            companyId,
+            action: 'stops_updated',
+            entityType: 'route_template',
+            entityId: templateId,
+            before: { stops: stopOrder(previousStops.rows) },
+            after: { stops: stopOrder(stops || []) }
+        });
+
         return success({ message: 'Stops updated', count: stops?.length || 0 });
     }
 
@@ -288,50 +303,35 @@ async function handleTemplates(method, path, companyId, user, event) {
 // =====================================================
 
 async function handleRuns(method, path, companyId, user, event) {
-    // GET /runs - List runs (with filters)
+    if (method === 'GET' && !hasPermission(user, 'runs.view')) {
+        return error('Access denied', 403);
+    }
+
+    // GET /runs - List runs (filters, sort, search and cursor pagination: see utils/list-query)
     if (method === 'GET' && path === '') {
-        const params = event.queryStringParameters || {};
-        let sql = `SELECT rr.*, 
-                          rt.name as template_name,
-                          dc.name as dc_name,
-                          d.name as driver_name,
-                          t.name as truck_name, t.code as truck_code
-                   FROM route_runs rr
+        const queryParams = [companyId];
+        const page = await listQuery(event, LISTS.route_run, {
+            select: `rr.*, 
+                     rt.name as template_name,
+                     dc.name as dc_name,
+                     d.name as driver_name,
+                     t.name as truck_name, t.code as truck_code`,
+            from: `route_runs rr
                    LEFT JOIN route_templates rt ON rr.template_id = rt.id
                    LEFT JOIN distribution_centers dc ON rr.dc_id = dc.id
                    LEFT JOIN drivers d ON rr.driver_id = d.id
-                   LEFT JOIN trucks t ON rr.truck_id = t.id
-                   WHERE rr.company_id = $1`;
-        const queryParams = [companyId];
-        let paramCount = 1;
-
-        if (params.status) {
-            paramCount++;
-            sql += ` AND rr.status = $${paramCount}`;
-            queryParams.push(params.status);
-        }
-
-        if (params.date) {
-            paramCount++;
-            sql += ` AND rr.scheduled_date = $${paramCount}`;
-            queryParams.push(params.date);
-        }
-
-        if (params.driver_id) {
-            paramCount++;
-            sql += ` AND rr.driver_id = $${paramCount}`;
-            queryParams.push(params.driver_id);
-        }
-
-        sql += ' ORDER BY rr.scheduled_date DESC, rr.created_at DESC LIMIT 100';
-
-        const result = await query(sql, queryParams);
-        return success(result.rows);
+                   LEFT JOIN trucks t ON rr.truck_id = t.id`,
+            where: `rr.company_id = $1${dcScopeClause(user, 'rr.dc_id', queryParams)}`,
+            params: queryParams
+        });
+        if (page.error) return error(page.error, page.status);
+        return success(page);
     }
 
     // GET /runs/:id - Get run with stops
     if (method === 'GET' && path.match(/^\/[a-f0-9-]+$/)) {
         const id = path.slice(1);
+        const runParams = [id, companyId];
         
         const runResult = await query(
             `SELECT rr.*, 
@@ -344,8 +344,8 @@ async function handleRuns(method, path, companyId, user, event) {
              LEFT JOIN distribution_centers dc ON rr.dc_id = dc.id
              LEFT JOIN drivers d ON rr.driver_id = d.id
              LEFT JOIN trucks t ON rr.truck_id = t.id
-             WHERE rr.id = $1 AND rr.company_id = $2`,
-            [id, companyId]
+             WHERE rr.id = $1 AND rr.company_id = $2${dcScopeClause(user, 'rr.dc_id', runParams)}`,
+            runParams
         );
         
         if (runResult.rows.length === 0) {
@@ -373,11 +373,13 @@ async function handleRuns(method, path, companyId, user, event) {
 
     // POST /runs - Create a new run (from template or ad-hoc)
     if (method === 'POST' && path === '') {
-        if (!requireRole(user, ['admin', 'dispatch', 'driver'])) {
+        if (!hasPermission(user, 'runs.create')) {
             return error('Access denied', 403);
         }
         
-        const body = parseBody(event);
+        const input = validateBody(event, SCHEMAS.route_run);
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
         const { template_id, scheduled_date, dc_id, driver_id, truck_id, name, customer_ids } = body;
 
         let runName = name;
@@ -388,9 +390,10 @@ async function handleRuns(method, path, companyId, user, event) {
 
         // If from template, copy settings and stops
         if (template_id) {
+            const templateParams = [template_id, companyId];
             const templateResult = await query(
-                `SELECT * FROM route_templates WHERE id = $1 AND company_id = $2`,
-                [template_id, companyId]
+                `SELECT * FROM route_templates WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'dc_id', templateParams)}`,
+                templateParams
             );
             
             if (templateResult.rows.length === 0) {
@@ -426,12 +429,15 @@ async function handleRuns(method, path, companyId, user, event) {
         if (!dcId) {
             return error('Distribution center required', 400);
         }
+        if (!canAccessDc(user, dcId)) {
+            return error('You do not have access to this distribution center', 403);
+        }
 
         // Create the run
         const runResult = await query(
             `INSERT INTO route_runs (company_id, template_id, name, dc_id, driver_id, truck_id, scheduled_date, start_time, total_stops, status)
              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'scheduled') RETURNING *`,
-            [companyId, template_id || null, runName || 'Ad-hoc Route', dcId, driverId, truckId, scheduled_date || new Date().toISOString().split('T')[0], body.start_time || '08:00', stops.length]
+            [companyId, template_id || null, runName || 'Ad-hoc Route', dcId, driverId, truckId, scheduled_date || new Date().toISOString().split('T')[0], body.start_time, stops.length]
         );
 
         const run = runResult.rows[0];
@@ -445,58 +451,44 @@ async function handleRuns(method, path, companyId, user, event) {
             );
         }
 
+        await recordAudit(event, user, { companyId, action: 'create', entityType: 'route_run', after: run });
         return success(run, 201);
     }
 
-    // PUT /runs/:id - Update run status
-    if (method === 'PUT' && path.match(/^\/[a-f0-9-]+$/)) {
+    // PUT/PATCH /runs/:id - Update run status, assignment or notes
+    if (isUpdateMethod(method) && path.match(/^\/[a-f0-9-]+$/)) {
         const id = path.slice(1);
-        const body = parseBody(event);
-        
-        const updates = [];
-        const values = [];
-        let paramCount = 0;
+        const input = validateBody(event, SCHEMAS.route_run, { partial: true });
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
 
-        if (body.status !== undefined) {
-            paramCount++;
-            updates.push(`status = $${paramCount}`);
-            values.push(body.status);
-            
-            // Set timestamps based on status
-            if (body.status === 'in_progress') {
-                paramCount++;
-                updates.push(`started_at = $${paramCount}`);
-                values.push(new Date().toISOString());
-            } else if (body.status === 'completed') {
-                paramCount++;
-                updates.push(`completed_at = $${paramCount}`);
-                values.push(new Date().toISOString());
-            }
-        }
-
-        if (body.driver_id !== undefined) {
-            paramCount++;
-            updates.push(`driver_id = $${paramCount}`);
-            values.push(body.driver_id);
+        if (!hasPermission(user, body.status === 'completed' ? 'runs.complete' : 'runs.update')) {
+            return error('Access denied', 403);
         }
-
-        if (body.truck_id !== undefined) {
-            paramCount++;
-            updates.push(`truck_id = $${paramCount}`);
-            values.push(body.truck_id);
+        
+        const values = [];
+        const updates = buildSetClauses(body, UPDATABLE_FIELDS.route_run, values);
+        if (updates.length === 0) {
+            return error('No fields to update', 400);
         }
 
-        if (body.notes !== undefined) {
-            paramCount++;
-            updates.push(`notes = $${paramCount}`);
-            values.push(body.notes);
+        // Set timestamps based on status
+        if (body.status === 'in_progress') {
+            values.push(new Date().toISOString());
+            updates.push(`started_at = $${values.length}`);
+        } else if (body.status === 'completed') {
+            values.push(new Date().toISOString());
+            updates.push(`completed_at = $${values.length}`);
         }
 
         updates.push('updated_at = NOW()');
         values.push(id, companyId);
+        const idParam = values.length - 1;
+        const scopeSql = dcScopeClause(user, 'dc_id', values);
+        const before = await findAuditRow('route_runs', id, companyId);
 
         const result = await query(
-            `UPDATE route_runs SET ${updates.join(', ')} WHERE id = $${paramCount + 1} AND company_id = $${paramCount + 2} RETURNING *`,
+            `UPDATE route_runs SET ${updates.join(', ')} WHERE id = $${idParam} AND company_id = $${idParam + 1}${scopeSql} RETURNING *`,
             values
         );
 
@@ -509,6 +501,7 @@ async function handleRuns(method, path, companyId, user, event) {
             await updateRunStats(id);
         }
 
+        await recordAudit(event, user, { companyId, action: 'update', entityType: 'route_run', before, after: result.rows[0] });
         return success(result.rows[0]);
     }
 
@@ -517,17 +510,26 @@ async function handleRuns(method, path, companyId, user, event) {
         const parts = path.split('/');
         const runId = parts[1];
         const stopId = parts[3];
-        const body = parseBody(event);
+        const input = validateBody(event, SCHEMAS.route_run_stop);
+        if (input.error) return error(input.error, input.status, input.details);
+        const body = input.values;
 
-        // Verify run belongs to company
+        if (!hasPermission(user, 'runs.deliver')) {
+            return error('Access denied', 403);
+        }
+
+        // Verify run belongs to company (and the user's DCs)
+        const runParams = [runId, companyId];
         const runCheck = await query(
-            'SELECT id FROM route_runs WHERE id = $1 AND company_id = $2',
-            [runId, companyId]
+            `SELECT id FROM route_runs WHERE id = $1 AND company_id = $2${dcScopeClause(user, 'dc_id', runParams)}`,
+            runParams
         );
         if (runCheck.rows.length === 0) {
             return error('Route run not found', 404);
         }
 
+        const beforeResult = await query('SELECT * FROM route_run_stops WHERE id = $1 AND run_id = $2', [stopId, runId]);
+
         const result = await query(
             `UPDATE route_run_stops SET 
                 status = $1,
@@ -543,12 +545,12 @@ async function handleRuns(method, path, companyId, user, event) {
                 updated_at = NOW()
              WHERE id = $11 AND run_id = $12 RETURNING *`,
             [
-                body.status || 'completed',
+                body.status,
                 body.arrived_at,
                 body.departed_at,
                 body.tank_level_after,
-                body.gallons_delivered || 0,
-                body.delivery_total || 0,
+                body.gallons_delivered,
+                body.delivery_total,
                 body.skip_reason,
                 body.notes,
                 body.arrival_lat,
@@ -563,6 +565,7 @@ async function handleRuns(method, path, companyId, user, event) {
         }
 
         const stop = result.rows[0];
+        await recordAudit(event, user, { companyId, action: 'update', entityType: 'route_run_stop', before: beforeResult.rows[0], after: stop });
 
         // Update customer's tank level and last delivery info
         if (body.status === 'completed' && body.gallons_delivered > 0) {
@@ -617,14 +620,18 @@ async function updateRunStats(runId) {
 // OPTIMIZE STOPS
 // =====================================================
 
-async function optimizeStops(companyId, event) {
+async function optimizeStops(companyId, user, event, companySettings) {
     const body = parseBody(event);
-    const { dc_id, customer_ids } = body;
+    const { dc_id, customer_ids, start_time } = body;
 
     if (!dc_id) {
         return error('Distribution center required', 400);
     }
 
+    if (!canAccessDc(user, dc_id)) {
+        return error('You do not have access to this distribution center', 403);
+    }
+
     if (!customer_ids || customer_ids.length < 2) {
         return error('At least 2 customers required', 400);
     }
@@ -640,10 +647,11 @@ async function optimizeStops(companyId, event) {
     const depot = dcResult.rows[0];
 
     // Get customer locations
+    const customerParams = [customer_ids, companyId];
     const customersResult = await query(
         `SELECT id, name, lat, lng, address, city, state 
-         FROM customers WHERE id = ANY($1) AND company_id = $2 AND lat IS NOT NULL`,
-        [customer_ids, companyId]
+         FROM customers WHERE id = ANY($1) AND company_id = $2 AND lat IS NOT NULL${dcScopeClause(user, 'preferred_dc_id', customerParams)}`,
+        customerParams
     );
 
     if (customersResult.rows.length < 2) {
@@ -652,21 +660,28 @@ async function optimizeStops(companyId, event) {
 
     const customers = customersResult.rows;
 
-    // Nearest Neighbor algorithm
-    const optimized = nearestNeighborOptimize(customers, depot);
+    // Depot first, then customers
+    const locations = [
+        { lat: parseFloat(depot.lat), lng: parseFloat(depot.lng) },
+        ...customers.map(c => ({ ...c, lat: parseFloat(c.lat), lng: parseFloat(c.lng) }))
+    ];
+    const distanceMatrix = await buildDistanceMatrix(locations, companySettings);
+
+    // Nearest Neighbor + 2-opt with service time (20 min per stop at 35 mph)
+    const plan = planRoute(distanceMatrix, locations, {
+        startTime: start_time,
+        avgSpeed: 35,
+        serviceMinutes: 20,
+        timeWindows: getTimeWindowSettings(companySettings)
+    });
 
     // Calculate total distance and times
-    let totalMiles = 0;
-    const stops = [];
-    let prevLat = depot.lat;
-    let prevLng = depot.lng;
-
-    for (let i = 0; i < optimized.length; i++) {
-        const cust = optimized[i];
-        const dist = haversineDistance(prevLat, prevLng, cust.lat, cust.lng);
-        totalMiles += dist;
-        
-        stops.push({
+    const stops = plan.schedule.stops.map((timing, i) => {
+        const cust = locations[timing.index];
+        const prevIndex = plan.route[i];
+        const dist = distanceMatrix[prevIndex][timing.index];
+
+        return {
             customer_id: cust.id,
             customer_name: cust.name,
             address: cust.address,
@@ -674,18 +689,14 @@ async function optimizeStops(companyId, event) {
             state: cust.state,
             lat: cust.lat,
             lng: cust.lng,
-            stop_number: i + 1,
+            stop_number: timing.stop_number,
             distance_from_previous: Math.round(dist * 10) / 10,
-            time_from_previous_minutes: Math.round((dist / 35) * 60) // Assuming 35 mph avg
-        });
-
-        prevLat = cust.lat;
-        prevLng = cust.lng;
-    }
+            time_from_previous_minutes: Math.round((dist / 35) * 60), // Assuming 35 mph avg
+            estimated_arrival: timing.estimated_arrival
+        };
+    });
 
-    // Add return to depot
-    const returnDist = haversineDistance(prevLat, prevLng, depot.lat, depot.lng);
-    totalMiles += returnDist;
+    const totalMiles = plan.schedule.miles;
 
     return success({
         stops,
@@ -693,52 +704,11 @@ async function optimizeStops(companyId, event) {
             total_stops: stops.length,
             total_miles: Math.round(totalMiles * 10) / 10,
             estimated_drive_time_minutes: Math.round((totalMiles / 35) * 60),
-            estimated_total_time_minutes: Math.round((totalMiles / 35) * 60) + (stops.length * 20) // 20 min per stop
-        }
+            estimated_total_time_minutes: plan.schedule.total_minutes,
+            start_time: plan.schedule.start_time,
+            end_time: plan.schedule.end_time
+        },
+        violations: plan.schedule.violations
     });
 }
 
-// Haversine distance in miles
-function haversineDistance(lat1, lng1, lat2, lng2) {
-    const R = 3959;
-    const dLat = toRad(lat2 - lat1);
-    const dLng = toRad(lng2 - lng1);
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-              Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-}
-
-function toRad(deg) {
-    return deg * (Math.PI / 180);
-}
-
-// Nearest Neighbor optimization
-function nearestNeighborOptimize(customers, depot) {
-    const unvisited = [...customers];
-    const route = [];
-    let current = { lat: parseFloat(depot.lat), lng: parseFloat(depot.lng) };
-
-    while (unvisited.length > 0) {
-        let nearestIdx = 0;
-        let nearestDist = Infinity;
-
-        for (let i = 0; i < unvisited.length; i++) {
-            const dist = haversineDistance(
-                current.lat, current.lng,
-                parseFloat(unvisited[i].lat), parseFloat(unvisited[i].lng)
-            );
-            if (dist < nearestDist) {
-                nearestDist = dist;
-                nearestIdx = i;
-            }
-        }
-
-        const nearest = unvisited.splice(nearestIdx, 1)[0];
-        route.push(nearest);
-        current = { lat: parseFloat(nearest.lat), lng: parseFloat(nearest.lng) };
-    }
-
-    return route;
-}
@@ -0,0 +1,253 @@
+// Stripe Webhook - Reconciles platform payments asynchronously
+// Stripe dashboard endpoint: /.netlify/functions/stripe-webhook, secret in STRIPE_WEBHOOK_SECRET
+// processStripeEvent() takes an already-verified event object, so recorded payloads can be replayed directly
+
+const { transaction } = require('./utils/db');
+const { addLedgerEntry, recordStripePayment } = require('./utils/billing');
+
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+exports.handler = async (event, context) => {
+    if (event.httpMethod !== 'POST') {
+        return respond(405, { error: 'Method not allowed' });
+    }
+
+    if (!STRIPE_WEBHOOK_SECRET) {
+        console.error('Stripe webhook called but STRIPE_WEBHOOK_SECRET is not set');
+        return respond(500, { error: 'Webhook not configured' });
+    }
+
+    const headers = event.headers || {};
+    const signature = headers['stripe-signature'] || headers['Stripe-Signature'];
+    if (!signature) {
+        return respond(400, { error: 'Missing Stripe-Signature header' });
+    }
+
+    // Signature is computed over the exact bytes Stripe sent
+    const rawBody = event.isBase64Encoded
+        ? Buffer.from(event.body || '', 'base64').toString('utf8')
+        : (event.body || '');
+
+    let stripeEvent;
+    try {
+        const stripe = require('stripe')(STRIPE_SECRET_KEY);
+        stripeEvent = stripe.webhooks.constructEvent(rawBody, signature, STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+        console.error('Stripe signature verification failed:', err.message);
+        return respond(400, { error: 'Invalid signature' });
+    }
+
+    try {
+        const result = await processStripeEvent(stripeEvent);
+        return respond(200, { received: true, ...result });
+    } catch (err) {
+        // Non-2xx makes Stripe retry; nothing was committed for this event
+        console.error(`Stripe webhook ${stripeEvent.type} (${stripeEvent.id}) failed:`, err);
+        return respond(500, { error: 'Webhook processing failed' });
+    }
+};
+
+function respond(statusCode, body) {
+    return {
+        statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+const EVENT_HANDLERS = {
+    'payment_intent.succeeded': handlePaymentSucceeded,
+    'payment_intent.payment_failed': handlePaymentFailed,
+    'charge.refunded': handleChargeRefunded,
+    'charge.dispute.created': handleDisputeCreated,
+    'setup_intent.succeeded': handleSetupSucceeded
+};
+
+/**
+ * Apply a verified Stripe event exactly once (keyed by event id)
+ * @returns {Object} { event_id, type, status: processed | ignored | duplicate }
+ */
+async function processStripeEvent(stripeEvent) {
+    return await transaction(async (client) => {
+        // Claim the event id first - a concurrent retry blocks here, then sees the row and stops
+        const claimed = await client.query(
+            `INSERT INTO stripe_events (id, type, payload)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (id) DO NOTHING
+             RETURNING id`,
+            [stripeEvent.id, stripeEvent.type, JSON.stringify(stripeEvent)]
+        );
+        if (claimed.rows.length === 0) {
+            return { event_id: stripeEvent.id, type: stripeEvent.type, status: 'duplicate' };
+        }
+
+        const handler = EVENT_HANDLERS[stripeEvent.type];
+        const outcome = handler
+            ? await handler(client, stripeEvent.data.object)
+            : { status: 'ignored' };
+
+        await client.query(
+            'UPDATE stripe_events SET status = $1, company_id = $2 WHERE id = $3',
+            [outcome.status, outcome.companyId || null, stripeEvent.id]
+        );
+
+        return { event_id: stripeEvent.id, type: stripeEvent.type, status: outcome.status };
+    });
+}
+
+// =====================================================
+// LOOKUPS
+// =====================================================
+
+async function findCompanyId(client, object) {
+    if (object.metadata?.company_id) {
+        return object.metadata.company_id;
+    }
+    const customerId = typeof object.customer === 'string' ? object.customer : object.customer?.id;
+    if (!customerId) return null;
+
+    const result = await client.query('SELECT id FROM companies WHERE stripe_customer_id = $1', [customerId]);
+    return result.rows[0]?.id || null;
+}
+
+async function findSettledPayment(client, paymentIntentId) {
+    if (!paymentIntentId) return null;
+    const result = await client.query(
+        `SELECT p.*, i.invoice_number
+         FROM payments p
+         LEFT JOIN invoices i ON p.invoice_id = i.id
+         WHERE p.transaction_id = $1 AND p.status IN ('completed', 'refunded', 'disputed')
+         FOR UPDATE OF p`,
+        [paymentIntentId]
+    );
+    return result.rows[0] || null;
+}
+
+// =====================================================
+// EVENT HANDLERS
+// =====================================================
+
+async function handlePaymentSucceeded(client, paymentIntent) {
+    const invoiceId = paymentIntent.metadata?.invoice_id;
+    if (!invoiceId) return { status: 'ignored' };
+
+    const invoiceResult = await client.query('SELECT * FROM invoices WHERE id = $1 FOR UPDATE', [invoiceId]);
+    if (invoiceResult.rows.length === 0) {
+        console.warn(`payment_intent.succeeded for unknown invoice ${invoiceId}`);
+        return { status: 'ignored' };
+    }
+    const invoice = invoiceResult.rows[0];
+
+    await recordStripePayment(client, {
+        companyId: invoice.company_id,
+        invoice,
+        paymentIntentId: paymentIntent.id,
+        amount: (paymentIntent.amount_received ?? paymentIntent.amount) / 100,
+        description: 'Online payment'
+    });
+
+    return { status: 'processed', companyId: invoice.company_id };
+}
+
+async function handlePaymentFailed(client, paymentIntent) {
+    const companyId = await findCompanyId(client, paymentIntent);
+    if (!companyId) return { status: 'ignored' };
+
+    const reason = paymentIntent.last_payment_error?.message || paymentIntent.last_payment_error?.code || 'Payment failed';
+
+    await client.query(`
+        INSERT INTO payments (company_id, invoice_id, amount, payment_method, transaction_id, status, description)
+        VALUES ($1, $2, $3, 'card', $4, 'failed', $5)
+    `, [companyId, paymentIntent.metadata?.invoice_id || null, paymentIntent.amount / 100, paymentIntent.id, reason]);
+
+    return { status: 'processed', companyId };
+}
+
+async function handleChargeRefunded(client, charge) {
+    const payment = await findSettledPayment(client, charge.payment_intent);
+    if (!payment) return { status: 'ignored' };
+
+    // amount_refunded is cumulative across partial refunds - only book what's new
+    const refundedTotal = charge.amount_refunded / 100;
+    const delta = Math.round((refundedTotal - (parseFloat(payment.refunded_amount) || 0)) * 100) / 100;
+    if (delta <= 0) return { status: 'processed', companyId: payment.company_id };
+
+    const fullyRefunded = refundedTotal >= parseFloat(payment.amount);
+
+    await client.query(
+        'UPDATE payments SET refunded_amount = $1, status = $2 WHERE id = $3',
+        [refundedTotal, fullyRefunded ? 'refunded' : payment.status, payment.id]
+    );
+
+    if (fullyRefunded && payment.invoice_id) {
+        await client.query(
+            `UPDATE invoices SET status = 'pending', paid_at = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'paid'`,
+            [payment.invoice_id]
+        );
+    }
+
+    await addLedgerEntry(
+        client,
+        payment.company_id,
+        'refund',
+        delta,
+        `Refund${payment.invoice_number ? ` for ${payment.invoice_number}` : ''}`,
+        'payment',
+        payment.id,
+        'stripe'
+    );
+
+    return { status: 'processed', companyId: payment.company_id };
+}
+
+async function handleDisputeCreated(client, dispute) {
+    const paymentIntentId = typeof dispute.payment_intent === 'string' ? dispute.payment_intent : dispute.payment_intent?.id;
+    const payment = await findSettledPayment(client, paymentIntentId);
+    if (!payment || payment.status === 'disputed') {
+        return { status: payment ? 'processed' : 'ignored', companyId: payment?.company_id };
+    }
+
+    await client.query(`UPDATE payments SET status = 'disputed' WHERE id = $1`, [payment.id]);
+
+    if (payment.invoice_id) {
+        await client.query(
+            `UPDATE invoices SET status = 'disputed', updated_at = CURRENT_TIMESTAMP,
+                notes = CONCAT_WS(E'\\n', notes, $1::text)
+             WHERE id = $2`,
+            [`Card dispute opened (${dispute.reason || 'no reason given'})`, payment.invoice_id]
+        );
+    }
+
+    // Stripe pulls the disputed funds back immediately
+    await addLedgerEntry(
+        client,
+        payment.company_id,
+        'adjustment',
+        dispute.amount / 100,
+        `Dispute opened${payment.invoice_number ? ` for ${payment.invoice_number}` : ''}: ${dispute.reason || 'unknown'}`,
+        'payment',
+        payment.id,
+        'stripe'
+    );
+
+    return { status: 'processed', companyId: payment.company_id };
+}
+
+async function handleSetupSucceeded(client, setupIntent) {
+    const companyId = await findCompanyId(client, setupIntent);
+    const paymentMethodId = typeof setupIntent.payment_method === 'string'
+        ? setupIntent.payment_method
+        : setupIntent.payment_method?.id;
+    if (!companyId || !paymentMethodId) return { status: 'ignored' };
+
+    await client.query(
+        'UPDATE companies SET payment_method_id = $1 WHERE id = $2',
+        [paymentMethodId, companyId]
+    );
+
+    return { status: 'processed', companyId };
+}
+
+exports.processStripeEvent = processStripeEvent;
@@ -1,7 +1,12 @@
 // Super Admin Authentication API
 const { query } = require('./utils/db');
-const { verifyPassword, generateSuperAdminToken, hashPassword, requireSuperAdmin } = require('./utils/auth');
+const { verifyPassword, generateSuperAdminToken, hashPassword, requireSuperAdmin, generateTwoFactorChallenge, verifyTwoFactorChallenge } = require('./utils/auth');
 const { success, error, handleOptions, parseBody } = require('./utils/response');
+const { createAuthToken, consumeAuthToken } = require('./utils/auth-tokens');
+const { getClientIp, checkRateLimit } = require('./utils/rate-limit');
+const { sendPasswordResetEmail } = require('./utils/email');
+const { SUPER_ADMIN_LOGIN_PROTECTION, checkLoginIp, accountBlock, recordUnknownLogin, recordLoginFailure, recordLoginSuccess, unlockAccount } = require('./utils/login-protection');
+const { isTwoFactorEnabled, getTwoFactor, getTwoFactorStatus, startEnrollment, confirmEnrollment, regenerateBackupCodes, verifyTwoFactorCode } = require('./utils/two-factor');
 
 exports.handler = async (event, context) => {
     // Handle CORS preflight
@@ -18,11 +23,50 @@ exports.handler = async (event, context) => {
             return await handleLogin(event);
         }
 
+        // POST /super-auth/2fa/verify - Second login step: challenge token + code
+        if (method === 'POST' && path === '/2fa/verify') {
+            return await handleTwoFactorVerify(event);
+        }
+
+        // POST /super-auth/2fa/setup - Enroll in 2FA (required before the first sign-in completes)
+        if (method === 'POST' && path === '/2fa/setup') {
+            return await handleTwoFactorSetup(event);
+        }
+
+        // POST /super-auth/2fa/enable - Confirm enrollment and finish signing in
+        if (method === 'POST' && path === '/2fa/enable') {
+            return await handleTwoFactorEnable(event);
+        }
+
+        // GET /super-auth/2fa - Two-factor status
+        if (method === 'GET' && path === '/2fa') {
+            const authResult = requireSuperAdmin(event);
+            if (authResult.error) {
+                return error(authResult.error, authResult.status);
+            }
+            return success(await getTwoFactorStatus('super_admin', authResult.admin.adminId));
+        }
+
+        // POST /super-auth/2fa/backup-codes - Replace backup codes
+        if (method === 'POST' && path === '/2fa/backup-codes') {
+            return await handleNewBackupCodes(event);
+        }
+
         // POST /super-auth/change-password - Change password
         if (method === 'POST' && path === '/change-password') {
             return await handleChangePassword(event);
         }
 
+        // POST /super-auth/forgot-password - Email a password reset link
+        if (method === 'POST' && path === '/forgot-password') {
+            return await handleForgotPassword(event);
+        }
+
+        // POST /super-auth/reset-password - Set a new password with a reset token
+        if (method === 'POST' && path === '/reset-password') {
+            return await handleResetPassword(event);
+        }
+
         return error('Not found', 404);
     } catch (err) {
         console.error('Super auth error:', err);
@@ -37,6 +81,11 @@ async function handleLogin(event) {
         return error('Username and password required', 400);
     }
 
+    const ipBlock = await checkLoginIp(event);
+    if (ipBlock) {
+        return error(ipBlock.error, ipBlock.status, ipBlock.details);
+    }
+
     // Find super admin
     const result = await query(
         'SELECT * FROM super_admins WHERE username = $1 AND status = $2',
@@ -46,16 +95,49 @@ async function handleLogin(event) {
     const admin = result.rows[0];
 
     if (!admin) {
+        await recordUnknownLogin(event, username);
         return error('Invalid credentials', 401);
     }
 
+    const block = accountBlock(admin, SUPER_ADMIN_LOGIN_PROTECTION);
+    if (block) {
+        return error(block.error, block.status, block.details);
+    }
+
     // Verify password
     const validPassword = await verifyPassword(password, admin.password_hash);
 
     if (!validPassword) {
+        const lock = await recordLoginFailure(event, {
+            subjectType: 'super_admin',
+            account: admin,
+            loginId: username,
+            policy: SUPER_ADMIN_LOGIN_PROTECTION,
+            loginPath: '/admin'
+        });
+        if (lock && lock.status === 423) {
+            return error(lock.error, lock.status, lock.details);
+        }
         return error('Invalid credentials', 401);
     }
 
+    await recordLoginSuccess(event, { subjectType: 'super_admin', account: admin, loginId: username, policy: SUPER_ADMIN_LOGIN_PROTECTION });
+
+    // Super admins always need a second factor; without one they must enroll first
+    const enabled = await isTwoFactorEnabled('super_admin', admin.id);
+    return success({
+        twoFactorRequired: enabled,
+        twoFactorSetupRequired: !enabled,
+        challengeToken: generateTwoFactorChallenge({
+            subjectType: 'super_admin',
+            subjectId: admin.id,
+            setup: !enabled
+        })
+    });
+}
+
+// Start a super admin session once both factors have passed
+async function completeLogin(admin, extra = {}) {
     // Update last login
     await query(
         'UPDATE super_admins SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
@@ -77,10 +159,120 @@ async function handleLogin(event) {
                 canDeleteCompanies: admin.can_delete_companies,
                 canImpersonate: admin.can_impersonate
             }
-        }
+        },
+        ...extra
     });
 }
 
+async function loadActiveAdmin(adminId) {
+    const result = await query(
+        'SELECT * FROM super_admins WHERE id = $1 AND status = $2',
+        [adminId, 'active']
+    );
+    return result.rows[0] || null;
+}
+
+async function handleTwoFactorVerify(event) {
+    const { challengeToken, code } = parseBody(event);
+
+    const challenge = verifyTwoFactorChallenge(challengeToken, 'super_admin');
+    if (!challenge || challenge.setup) {
+        return error('Invalid or expired sign-in. Please sign in again.', 401);
+    }
+
+    const limit = await checkRateLimit(`2fa:super_admin:${challenge.subjectId}`, 5, 5 * 60);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+
+    const admin = await loadActiveAdmin(challenge.subjectId);
+    if (!admin) {
+        return error('Invalid or expired sign-in. Please sign in again.', 401);
+    }
+
+    const check = await verifyTwoFactorCode('super_admin', admin.id, code);
+    if (!check.valid) {
+        return error('Invalid authentication code', 401);
+    }
+
+    const extra = {};
+    if (check.method === 'backup_code') {
+        const status = await getTwoFactorStatus('super_admin', admin.id);
+        extra.backupCodesRemaining = status.backup_codes_remaining;
+    }
+
+    return await completeLogin(admin, extra);
+}
+
+async function handleTwoFactorSetup(event) {
+    const { challengeToken } = parseBody(event);
+
+    const challenge = verifyTwoFactorChallenge(challengeToken, 'super_admin');
+    if (!challenge || !challenge.setup) {
+        return error('Invalid or expired sign-in. Please sign in again.', 401);
+    }
+
+    const admin = await loadActiveAdmin(challenge.subjectId);
+    if (!admin) {
+        return error('Invalid or expired sign-in. Please sign in again.', 401);
+    }
+
+    const enrollment = await startEnrollment('super_admin', admin.id, admin.email || admin.username);
+    if (enrollment.error) {
+        return error(enrollment.error, 400);
+    }
+
+    return success(enrollment);
+}
+
+async function handleTwoFactorEnable(event) {
+    const { challengeToken, code } = parseBody(event);
+
+    const challenge = verifyTwoFactorChallenge(challengeToken, 'super_admin');
+    if (!challenge || !challenge.setup) {
+        return error('Invalid or expired sign-in. Please sign in again.', 401);
+    }
+
+    const limit = await checkRateLimit(`2fa:super_admin:${challenge.subjectId}`, 5, 5 * 60);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+
+    const admin = await loadActiveAdmin(challenge.subjectId);
+    if (!admin) {
+        return error('Invalid or expired sign-in. Please sign in again.', 401);
+    }
+
+    const enrolled = await confirmEnrollment('super_admin', admin.id, code);
+    if (enrolled.error) {
+        return error(enrolled.error, 400);
+    }
+
+    return await completeLogin(admin, { backupCodes: enrolled.backup_codes });
+}
+
+async function handleNewBackupCodes(event) {
+    const authResult = requireSuperAdmin(event);
+    if (authResult.error) {
+        return error(authResult.error, authResult.status);
+    }
+
+    const { adminId } = authResult.admin;
+    const { code } = parseBody(event);
+
+    const limit = await checkRateLimit(`2fa:super_admin:${adminId}`, 5, 5 * 60);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+    const check = await verifyTwoFactorCode('super_admin', adminId, code);
+    if (!check.valid) {
+        return error('Invalid authentication code', 401);
+    }
+
+    const row = await getTwoFactor('super_admin', adminId);
+    return success({ backupCodes: await regenerateBackupCodes(row.id) });
+}
+
 async function handleChangePassword(event) {
     // Verify super admin token
     const authResult = requireSuperAdmin(event);
@@ -127,3 +319,74 @@ async function handleChangePassword(event) {
 
     return success({ message: 'Password changed successfully' });
 }
+
+function tooManyRequests(limit) {
+    return error('Too many requests. Please try again later.', 429, { retry_after: limit.retryAfter });
+}
+
+async function handleForgotPassword(event) {
+    const { email } = parseBody(event);
+
+    if (!email || typeof email !== 'string') {
+        return error('Email required', 400);
+    }
+
+    const ip = getClientIp(event);
+    const ipLimit = await checkRateLimit(`super-forgot-password:ip:${ip}`, 5, 15 * 60);
+    if (!ipLimit.allowed) {
+        return tooManyRequests(ipLimit);
+    }
+    const emailLimit = await checkRateLimit(`super-forgot-password:email:${email.toLowerCase()}`, 3, 60 * 60);
+    if (!emailLimit.allowed) {
+        return tooManyRequests(emailLimit);
+    }
+
+    const result = await query(
+        'SELECT id, name, email FROM super_admins WHERE LOWER(email) = LOWER($1) AND status = $2',
+        [email, 'active']
+    );
+
+    const admin = result.rows[0];
+    if (admin) {
+        const token = await createAuthToken('super_admin', admin.id, 'password_reset', ip);
+        await sendPasswordResetEmail(admin, token, '/admin');
+    }
+
+    // Same answer whether or not the email matched
+    return success({ message: 'If an account exists for that email, a password reset link has been sent.' });
+}
+
+async function handleResetPassword(event) {
+    const { token, newPassword } = parseBody(event);
+
+    const ip = getClientIp(event);
+    const limit = await checkRateLimit(`super-reset-password:ip:${ip}`, 10, 15 * 60);
+    if (!limit.allowed) {
+        return tooManyRequests(limit);
+    }
+
+    if (!token || !newPassword) {
+        return error('Token and new password required', 400);
+    }
+
+    if (newPassword.length < 8) {
+        return error('New password must be at least 8 characters', 400);
+    }
+
+    const { subjectId: adminId } = await consumeAuthToken('super_admin', 'password_reset', token) || {};
+    if (!adminId) {
+        return error('Reset link is invalid or has expired', 400);
+    }
+
+    const newHash = await hashPassword(newPassword);
+
+    await query(
+        'UPDATE super_admins SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [newHash, adminId]
+    );
+
+    // Proving the email address also lifts a lockout
+    await unlockAccount('super_admin', adminId);
+
+    return success({ message: 'Password has been reset. You can now sign in.' });
+}
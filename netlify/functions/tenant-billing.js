@@ -1,9 +1,11 @@
 // Tenant Billing API - For companies to view and pay their bills
-const { query } = require('./utils/db');
-const { requireAuth } = require('./utils/auth');
+const { query, transaction } = require('./utils/db');
+const { authenticateTenant } = require('./utils/tenant-auth');
 const { resolveTenant } = require('./utils/tenant');
 const { success, error, handleOptions, parseBody } = require('./utils/response');
+const { hasPermission } = require('./utils/permissions');
 const { sendInvoiceEmail } = require('./utils/email');
+const { recordStripePayment } = require('./utils/billing');
 
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
 const STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY;
@@ -20,14 +22,14 @@ exports.handler = async (event, context) => {
         // Resolve tenant
         const tenant = await resolveTenant(event);
         if (!tenant.resolved) {
-            return error('Company not found', 404);
+            return error(tenant.error || 'Company not found', tenant.status || 404);
         }
         const companyId = tenant.company.id;
 
         // Auth required for all billing routes
-        const authResult = requireAuth(event);
+        const authResult = await authenticateTenant(event);
         if (authResult.error) {
-            return error(authResult.error, authResult.status);
+            return error(authResult.error, authResult.status, authResult.details);
         }
 
         // Verify user belongs to this company and is admin
@@ -35,6 +37,10 @@ exports.handler = async (event, context) => {
             return error('Unauthorized', 403);
         }
 
+        if (!hasPermission(authResult.user, 'billing.manage')) {
+            return error('Access denied', 403);
+        }
+
         // GET /tenant-billing - Get billing overview
         if (method === 'GET' && path === '') {
             return await getBillingOverview(companyId);
@@ -547,31 +553,14 @@ async function payInvoiceNow(companyId, invoiceId) {
         });
 
         if (paymentIntent.status === 'succeeded') {
-            // Record payment
-            const paymentResult = await query(`
-                INSERT INTO payments (company_id, invoice_id, amount, payment_method, transaction_id, status, description)
-                VALUES ($1, $2, $3, 'card', $4, 'completed', 'Online payment')
-                RETURNING *
-            `, [companyId, invoiceId, invoice.total, paymentIntent.id]);
-
-            const payment = paymentResult.rows[0];
-
-            // Update invoice
-            await query(`
-                UPDATE invoices SET status = 'paid', paid_at = CURRENT_TIMESTAMP WHERE id = $1
-            `, [invoiceId]);
-
-            // Update ledger
-            const balanceResult = await query('SELECT balance FROM companies WHERE id = $1', [companyId]);
-            const currentBalance = parseFloat(balanceResult.rows[0]?.balance) || 0;
-            const newBalance = currentBalance - parseFloat(invoice.total);
-
-            await query(`
-                INSERT INTO billing_ledger (company_id, type, amount, balance, description, reference_type, reference_id, created_by_type)
-                VALUES ($1, 'payment', $2, $3, $4, 'payment', $5, 'stripe')
-            `, [companyId, -invoice.total, newBalance, `Payment for ${invoice.invoice_number}`, payment.id]);
-
-            await query('UPDATE companies SET balance = $1 WHERE id = $2', [newBalance, companyId]);
+            // Record payment (no-op if the stripe-webhook already did)
+            const { payment } = await transaction(client => recordStripePayment(client, {
+                companyId,
+                invoice,
+                paymentIntentId: paymentIntent.id,
+                amount: invoice.total,
+                description: 'Online payment'
+            }));
 
             // Send receipt email
             await sendInvoiceEmail(invoice, company, payment);
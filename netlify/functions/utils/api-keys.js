@@ -0,0 +1,95 @@
+// Tenant API keys for machine-to-machine integrations (tank monitors, accounting sync, scripts)
+// Keys look like rcp_<48 hex chars>; only the SHA-256 is stored, plus a short prefix for display.
+// Each key carries its own permission list and may be pinned to one distribution center.
+
+const crypto = require('crypto');
+const { query } = require('./db');
+const { hashToken } = require('./auth-tokens');
+const { getClientIp } = require('./rate-limit');
+
+const API_KEY_PREFIX = 'rcp_';
+const KEY_PREFIX_LENGTH = 12;
+
+// Permissions that stay with humans: a leaked key must not be able to mint users, roles or more keys
+const API_KEY_EXCLUDED_PERMISSIONS = ['users.manage', 'roles.manage', 'settings.manage', 'api_keys.manage'];
+
+function generateApiKey() {
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    return { key, keyPrefix: key.slice(0, KEY_PREFIX_LENGTH), keyHash: hashToken(key) };
+}
+
+function isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * API key sent with the request: X-API-Key header, or Authorization: Bearer rcp_...
+ */
+function extractApiKey(headers = {}) {
+    const headerKey = headers['x-api-key'] || headers['X-API-Key'];
+    if (headerKey) return headerKey.trim();
+
+    const authHeader = headers.authorization || headers.Authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
+    return isApiKey(token) ? token : null;
+}
+
+/**
+ * Look up an active key and record that it was used
+ * @returns {Promise<Object|null>} api_keys row
+ */
+async function findActiveApiKey(key, event) {
+    const result = await query(
+        `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+         WHERE key_hash = $1 AND revoked_at IS NULL
+           AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+         RETURNING *`,
+        [hashToken(key), getClientIp(event)]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Company an active key belongs to, without counting it as a use
+ * @returns {Promise<string|null>}
+ */
+async function findApiKeyCompanyId(key) {
+    const result = await query(
+        `SELECT company_id FROM api_keys
+         WHERE key_hash = $1 AND revoked_at IS NULL
+           AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+        [hashToken(key)]
+    );
+    return result.rows[0]?.company_id || null;
+}
+
+/**
+ * Key fields safe to return to clients (never the hash)
+ */
+function serializeApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        key_prefix: row.key_prefix,
+        permissions: row.permissions || [],
+        dc_id: row.dc_id,
+        created_by: row.created_by,
+        created_by_name: row.created_by_name,
+        created_at: row.created_at,
+        rotated_at: row.rotated_at,
+        last_used_at: row.last_used_at,
+        last_used_ip: row.last_used_ip,
+        expires_at: row.expires_at,
+        revoked_at: row.revoked_at
+    };
+}
+
+module.exports = {
+    API_KEY_EXCLUDED_PERMISSIONS,
+    generateApiKey,
+    isApiKey,
+    extractApiKey,
+    findActiveApiKey,
+    findApiKeyCompanyId,
+    serializeApiKey
+};
@@ -0,0 +1,181 @@
+// Audit trail for creates, updates and deletes
+// Each entry records who acted (user, API key, super admin, or a super admin impersonating a user),
+// the entity, a field-level diff (old_values / new_values hold only the fields that changed),
+// IP address and user agent. Read back with GET /data/audit (tenant) and GET /companies/audit (super admin).
+
+const { query } = require('./db');
+const { getClientIp } = require('./rate-limit');
+const { listQuery } = require('./list-query');
+const { LISTS } = require('./lists');
+
+// Never copied into the audit log
+const REDACTED_FIELDS = ['password_hash', 'key_hash', 'refresh_token_hash', 'previous_token_hash', 'secret_encrypted', 'code_hash', 'token_hash'];
+// Change on every write; not worth a diff entry
+const IGNORED_FIELDS = ['updated_at'];
+
+function sanitize(row) {
+    if (!row) return null;
+    const clean = {};
+    for (const [key, value] of Object.entries(row)) {
+        if (!REDACTED_FIELDS.includes(key)) clean[key] = value;
+    }
+    return clean;
+}
+
+function sameValue(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        return a && b && new Date(a).getTime() === new Date(b).getTime();
+    }
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Fields that differ between two rows
+ * @returns {Object} { old_values, new_values } limited to changed fields
+ */
+function diffValues(before, after) {
+    const oldValues = {};
+    const newValues = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+        if (REDACTED_FIELDS.includes(key) || IGNORED_FIELDS.includes(key)) continue;
+        // Columns missing from one side weren't selected, not changed
+        if (!(key in (before || {})) || !(key in (after || {}))) continue;
+        if (!sameValue(before[key], after[key])) {
+            oldValues[key] = before[key];
+            newValues[key] = after[key];
+        }
+    }
+
+    return { old_values: oldValues, new_values: newValues };
+}
+
+/**
+ * Who is acting: a tenant principal from utils/tenant-auth.js, or a super admin token
+ */
+function auditActor(principal) {
+    if (!principal) {
+        return { actorId: null, actorType: 'system', actorName: null, impersonatorId: null };
+    }
+    if (principal.adminId) {
+        return { actorId: principal.adminId, actorType: 'super_admin', actorName: principal.username, impersonatorId: null };
+    }
+    if (principal.apiKeyId) {
+        return { actorId: principal.apiKeyId, actorType: 'api_key', actorName: principal.username, impersonatorId: null };
+    }
+    return {
+        actorId: principal.userId,
+        actorType: 'user',
+        actorName: principal.username,
+        impersonatorId: principal.impersonatedBy ? principal.impersonatedBy.adminId : null
+    };
+}
+
+/**
+ * Write an audit entry.
+ * Pass before for updates/deletes and after for creates/updates; updates that change nothing are skipped.
+ * @param {Object} event - request (IP address and user agent)
+ * @param {Object} principal - tenant user / API key principal, or super admin
+ * @param {Object} entry - { companyId, action, entityType, entityId, before, after, db }
+ */
+async function recordAudit(event, principal, { companyId, action, entityType, entityId, before = null, after = null, db = null }) {
+    let oldValues = sanitize(before);
+    let newValues = sanitize(after);
+
+    if (before && after) {
+        const diff = diffValues(before, after);
+        if (Object.keys(diff.new_values).length === 0) return;
+        oldValues = diff.old_values;
+        newValues = diff.new_values;
+    }
+
+    const actor = auditActor(principal);
+    const headers = (event && event.headers) || {};
+    await (db || { query }).query(
+        `INSERT INTO audit_log (company_id, user_id, actor_type, actor_name, impersonator_id, action, entity_type, entity_id,
+                                old_values, new_values, ip_address, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [
+            companyId || null,
+            actor.actorId,
+            actor.actorType,
+            actor.actorName,
+            actor.impersonatorId,
+            action,
+            entityType,
+            entityId || (after && after.id) || (before && before.id) || null,
+            oldValues ? JSON.stringify(oldValues) : null,
+            newValues ? JSON.stringify(newValues) : null,
+            event ? getClientIp(event) : null,
+            headers['user-agent'] || headers['User-Agent'] || null
+        ]
+    );
+}
+
+/**
+ * A row as it is before an update, so recordAudit can diff it against the result.
+ * table is always a literal from the caller, never user input.
+ */
+async function findAuditRow(table, id, companyId) {
+    const result = await query(`SELECT * FROM ${table} WHERE id = $1 AND company_id = $2`, [id, companyId]);
+    return result.rows[0] || null;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Reject malformed filters before they reach a cast in SQL
+ * @returns {string|null} error message
+ */
+function auditFilterError(filters) {
+    for (const key of ['company_id', 'entity_id', 'user_id']) {
+        if (filters[key] && !UUID_PATTERN.test(filters[key])) return `${key} must be a UUID`;
+    }
+    for (const key of ['from', 'to']) {
+        if (filters[key] && !DATE_PATTERN.test(filters[key])) return `${key} must be a date (YYYY-MM-DD)`;
+    }
+    return null;
+}
+
+/**
+ * Audit entries through the list query language (filters, sort, q, cursor; fields in ./lists).
+ * companyId limits to one tenant; null lets the super admin pick one with company_id, or see every tenant.
+ * from and to (whole days, to inclusive) predate the query language and are still accepted.
+ * @returns {Promise<Object>} { data, pagination } or { error, status }
+ */
+async function queryAuditLog(event, companyId) {
+    const { company_id, from, to, ...input } = event.queryStringParameters || {};
+    const filterError = auditFilterError({ company_id, from, to });
+    if (filterError) return { error: filterError, status: 400 };
+
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (companyId) add('a.company_id = ?', companyId);
+    else if (company_id) add('a.company_id = ?', company_id);
+    if (from) add('a.created_at >= ?::date', from);
+    if (to) add("a.created_at < ?::date + INTERVAL '1 day'", to);
+
+    return await listQuery({ ...event, queryStringParameters: input }, LISTS.audit, {
+        select: 'a.*, c.name as company_name, u.name as user_name',
+        from: `audit_log a
+               LEFT JOIN companies c ON a.company_id = c.id
+               LEFT JOIN users u ON a.user_id = u.id AND COALESCE(a.actor_type, 'user') = 'user'`,
+        where: conditions.join(' AND ') || 'TRUE',
+        params
+    });
+}
+
+module.exports = {
+    diffValues,
+    auditActor,
+    recordAudit,
+    findAuditRow,
+    queryAuditLog
+};
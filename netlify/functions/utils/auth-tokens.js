@@ -0,0 +1,81 @@
+// Single-use auth tokens (password reset, email verification)
+// The raw token is only ever in the email link; the database keeps its SHA-256
+
+const crypto = require('crypto');
+const { query } = require('./db');
+const { sendVerificationEmail } = require('./email');
+
+const TOKEN_TTL_MINUTES = {
+    password_reset: 60,
+    email_verification: 48 * 60
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a new token, invalidating any unused one for the same subject and purpose
+ * @param {string} subjectType - user | super_admin
+ * @param {string} purpose - password_reset | email_verification
+ * @param {string} [email] - address the link is sent to, for tokens that only hold for that address
+ * @returns {Promise<string>} raw token for the email link
+ */
+async function createAuthToken(subjectType, subjectId, purpose, requestedIp = null, email = null) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const ttl = TOKEN_TTL_MINUTES[purpose] || 60;
+
+    await query(
+        `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE subject_type = $1 AND subject_id = $2 AND purpose = $3 AND used_at IS NULL`,
+        [subjectType, subjectId, purpose]
+    );
+
+    await query(
+        `INSERT INTO auth_tokens (subject_type, subject_id, purpose, token_hash, expires_at, requested_ip, email)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' minutes')::interval, $6, $7)`,
+        [subjectType, subjectId, purpose, hashToken(token), String(ttl), requestedIp, email]
+    );
+
+    return token;
+}
+
+/**
+ * Mark a token used and return { subjectId, email }, or null if unknown, expired or already used.
+ * The single UPDATE makes concurrent redemptions race-safe.
+ */
+async function consumeAuthToken(subjectType, purpose, token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const result = await query(
+        `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1 AND subject_type = $2 AND purpose = $3
+         AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING subject_id, email`,
+        [hashToken(token), subjectType, purpose]
+    );
+
+    const row = result.rows[0];
+    return row ? { subjectId: row.subject_id, email: row.email } : null;
+}
+
+/**
+ * Email a tenant user a link to verify their address
+ * @param {Object} user - users row (id, company_id, email, name)
+ */
+async function sendUserVerification(user, requestedIp = null) {
+    if (!user.email) return { success: false, error: 'User has no email address' };
+
+    const company = await query('SELECT subdomain FROM companies WHERE id = $1', [user.company_id]);
+    // Bound to the address: changing the email leaves older links unable to verify the new one
+    const token = await createAuthToken('user', user.id, 'email_verification', requestedIp, user.email);
+
+    return await sendVerificationEmail(user, token, `/app?tenant=${company.rows[0]?.subdomain || ''}`);
+}
+
+module.exports = {
+    hashToken,
+    createAuthToken,
+    consumeAuthToken,
+    sendUserVerification
+};
@@ -1,10 +1,14 @@
 // Authentication utilities
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { query } = require('./db');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = '24h';
+// Tenant access tokens are short-lived; clients renew them with POST /auth/refresh (utils/sessions.js)
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
 const SUPER_ADMIN_JWT_EXPIRES_IN = '8h';
+const IMPERSONATION_JWT_EXPIRES_IN = '30m';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '10m';
 
 // Hash password
 async function hashPassword(password) {
@@ -17,16 +21,23 @@ async function verifyPassword(password, hash) {
     return bcrypt.compare(password, hash);
 }
 
-// Generate JWT token for regular users
-function generateToken(user, companyId) {
+// Generate JWT access token for regular users
+// dcIds limits the user to those distribution centers, and dcScoped keeps the limit when none remain
+// (see utils/dc-scope.js);
+// sid is the user_sessions row and tv the user's token_version, both checked by requireAuth
+function generateToken(user, companyId, dcIds = [], sessionId = null) {
     const payload = {
         userId: user.id,
         companyId: companyId,
         role: user.role,
         username: user.username,
+        dcIds,
+        dcScoped: !!user.dc_scoped,
+        sid: sessionId,
+        tv: user.token_version || 0,
         type: 'user'
     };
-    return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
 }
 
 // Generate JWT token for super admins
@@ -44,6 +55,40 @@ function generateSuperAdminToken(admin) {
     return jwt.sign(payload, JWT_SECRET, { expiresIn: SUPER_ADMIN_JWT_EXPIRES_IN });
 }
 
+// Generate a short-lived tenant token for a super admin acting as a user
+function generateImpersonationToken(user, companyId, admin, dcIds = []) {
+    const payload = {
+        userId: user.id,
+        companyId: companyId,
+        role: user.role,
+        username: user.username,
+        dcIds,
+        dcScoped: !!user.dc_scoped,
+        tv: user.token_version || 0,
+        type: 'user',
+        impersonatedBy: {
+            adminId: admin.adminId,
+            username: admin.username
+        }
+    };
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: IMPERSONATION_JWT_EXPIRES_IN });
+}
+
+// Short-lived proof that the password step passed; exchanged with a 2FA code for a real token.
+// subject: { subjectType: 'user' | 'super_admin', subjectId, companyId?, action?, setup }
+// setup = true when the user has to enroll in 2FA before they can sign in
+function generateTwoFactorChallenge(subject) {
+    return jwt.sign({ ...subject, type: 'two_factor_challenge' }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN });
+}
+
+function verifyTwoFactorChallenge(token, subjectType) {
+    const decoded = token ? verifyToken(token) : null;
+    if (!decoded || decoded.type !== 'two_factor_challenge' || decoded.subjectType !== subjectType) {
+        return null;
+    }
+    return decoded;
+}
+
 // Verify token
 function verifyToken(token) {
     try {
@@ -65,7 +110,9 @@ function extractToken(headers) {
 }
 
 // Middleware-style auth check for regular users
-function requireAuth(event) {
+// Also rejects tokens of deactivated users, tokens issued before the user's token_version
+// was bumped (password reset, role change, sign out everywhere) and revoked sessions
+async function requireAuth(event) {
     const token = extractToken(event.headers);
     if (!token) {
         return { error: 'No token provided', status: 401 };
@@ -79,6 +126,35 @@ function requireAuth(event) {
     if (decoded.type !== 'user') {
         return { error: 'Invalid token type', status: 401 };
     }
+
+    // Impersonation tokens have no session; every other token must belong to one
+    if (!decoded.sid && !decoded.impersonatedBy) {
+        return { error: 'Session has expired. Please sign in again.', status: 401 };
+    }
+
+    const state = await query(
+        `SELECT u.status, u.token_version, s.id as session_id, s.revoked_at, s.expires_at
+         FROM users u
+         LEFT JOIN user_sessions s ON s.id = $2::uuid AND s.user_id = u.id
+         WHERE u.id = $1`,
+        [decoded.userId, decoded.sid || null]
+    );
+    const current = state.rows[0];
+
+    if (!current || current.status !== 'active') {
+        return { error: 'Account is disabled', status: 401 };
+    }
+
+    if ((decoded.tv || 0) !== (current.token_version || 0)) {
+        return { error: 'Session has expired. Please sign in again.', status: 401 };
+    }
+
+    if (decoded.sid && (!current.session_id || current.revoked_at || new Date(current.expires_at) < new Date())) {
+        return { error: 'Session has been revoked. Please sign in again.', status: 401 };
+    }
+
+    // Set when a super admin is acting as this user (see generateImpersonationToken)
+    decoded.impersonatedBy = decoded.impersonatedBy || null;
     
     return { user: decoded };
 }
@@ -102,22 +178,17 @@ function requireSuperAdmin(event) {
     return { admin: decoded };
 }
 
-// Check if user has specific role
-function requireRole(user, allowedRoles) {
-    if (!Array.isArray(allowedRoles)) {
-        allowedRoles = [allowedRoles];
-    }
-    return allowedRoles.includes(user.role);
-}
-
 module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
     hashPassword,
     verifyPassword,
     generateToken,
     generateSuperAdminToken,
+    generateImpersonationToken,
+    generateTwoFactorChallenge,
+    verifyTwoFactorChallenge,
     verifyToken,
     extractToken,
     requireAuth,
-    requireSuperAdmin,
-    requireRole
+    requireSuperAdmin
 };
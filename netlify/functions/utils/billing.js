@@ -0,0 +1,139 @@
+// Platform billing helpers shared by the Stripe payment paths
+// (tenant-billing pay-now, billing-cycle auto-pay, dunning retries, stripe-webhook)
+
+const { transaction } = require('./db');
+const { resolveDunningForInvoice } = require('./dunning');
+
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+
+/**
+ * Add a billing_ledger row and move companies.balance by amount
+ * Positive amounts are charges, negative are payments/credits
+ */
+async function addLedgerEntry(client, companyId, type, amount, description, refType, refId, createdByType, createdById = null) {
+    const balanceResult = await client.query(
+        'UPDATE companies SET balance = COALESCE(balance, 0) + $1 WHERE id = $2 RETURNING balance',
+        [amount, companyId]
+    );
+    const newBalance = parseFloat(balanceResult.rows[0]?.balance) || 0;
+
+    await client.query(`
+        INSERT INTO billing_ledger (company_id, type, amount, balance, description, reference_type, reference_id, created_by_type, created_by_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [companyId, type, amount, newBalance, description, refType, refId, createdByType, createdById]);
+
+    return newBalance;
+}
+
+/**
+ * Record a successful Stripe payment against an invoice exactly once per PaymentIntent.
+ * Whichever of the synchronous call or the webhook gets here first records it; the other is a no-op.
+ * @returns {Object} { payment, created }
+ */
+async function recordStripePayment(client, { companyId, invoice, paymentIntentId, amount, description }) {
+    const inserted = await client.query(`
+        INSERT INTO payments (company_id, invoice_id, amount, payment_method, transaction_id, status, description)
+        VALUES ($1, $2, $3, 'card', $4, 'completed', $5)
+        ON CONFLICT (transaction_id) WHERE status IN ('completed', 'refunded', 'disputed') DO NOTHING
+        RETURNING *
+    `, [companyId, invoice.id, amount, paymentIntentId, description]);
+
+    if (inserted.rows.length === 0) {
+        const existing = await client.query(
+            `SELECT * FROM payments WHERE transaction_id = $1 AND status IN ('completed', 'refunded', 'disputed')`,
+            [paymentIntentId]
+        );
+        return { payment: existing.rows[0], created: false };
+    }
+
+    const payment = inserted.rows[0];
+
+    await client.query(`
+        UPDATE invoices SET status = 'paid', paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `, [invoice.id]);
+
+    await addLedgerEntry(
+        client,
+        companyId,
+        'payment',
+        -parseFloat(amount),
+        `Payment for ${invoice.invoice_number}`,
+        'payment',
+        payment.id,
+        'stripe'
+    );
+
+    await resolveDunningForInvoice(client, invoice.id);
+
+    return { payment, created: true };
+}
+
+/**
+ * Charge the company's saved card off-session for an invoice and record the payment
+ * @returns {Object} { success, payment } or { success: false, error }
+ */
+async function chargeSavedCard(company, invoice, description) {
+    if (!STRIPE_SECRET_KEY) {
+        return { success: false, error: 'Stripe not configured' };
+    }
+
+    if (!company.stripe_customer_id || !company.payment_method_id) {
+        return { success: false, error: 'No payment method on file' };
+    }
+
+    try {
+        const stripe = require('stripe')(STRIPE_SECRET_KEY);
+
+        // Create payment intent and confirm immediately
+        const paymentIntent = await stripe.paymentIntents.create({
+            amount: Math.round(invoice.total * 100), // Stripe uses cents
+            currency: 'usd',
+            customer: company.stripe_customer_id,
+            payment_method: company.payment_method_id,
+            off_session: true,
+            confirm: true,
+            metadata: {
+                invoice_id: invoice.id,
+                invoice_number: invoice.invoice_number,
+                company_id: company.id
+            },
+            description: `Invoice ${invoice.invoice_number} - ${company.name}`
+        });
+
+        if (paymentIntent.status === 'succeeded') {
+            // Record payment (no-op if the stripe-webhook already did)
+            const { payment } = await transaction(client => recordStripePayment(client, {
+                companyId: company.id,
+                invoice,
+                paymentIntentId: paymentIntent.id,
+                amount: invoice.total,
+                description
+            }));
+
+            return { success: true, payment };
+        } else {
+            return { success: false, error: `Payment status: ${paymentIntent.status}` };
+        }
+
+    } catch (err) {
+        console.error('Stripe payment error:', err);
+
+        // Handle specific Stripe errors
+        if (err.code === 'card_declined') {
+            return { success: false, error: 'Card declined' };
+        } else if (err.code === 'expired_card') {
+            return { success: false, error: 'Card expired' };
+        } else if (err.code === 'insufficient_funds') {
+            return { success: false, error: 'Insufficient funds' };
+        }
+
+        return { success: false, error: err.message };
+    }
+}
+
+module.exports = {
+    addLedgerEntry,
+    recordStripePayment,
+    chargeSavedCard
+};
@@ -0,0 +1,103 @@
+// Distribution center scoping
+// Users assigned to DCs (user_distribution_centers) only see and change records belonging to those DCs.
+// The assignment travels in the JWT as dcIds, with dcScoped set for users who were given DCs (users.dc_scoped).
+// Admins and users never given a DC see the whole company; a scoped user whose DCs were all deleted sees none.
+
+/**
+ * DC ids the user is limited to, or null when unrestricted
+ */
+function getDcScope(user) {
+    if (!user || user.role === 'admin') return null;
+    const dcIds = Array.isArray(user.dcIds) ? user.dcIds : [];
+    if (user.dcScoped) return dcIds;
+    return dcIds.length > 0 ? dcIds : null;
+}
+
+/**
+ * SQL fragment restricting column to the user's DCs; pushes the id array onto params.
+ * Rows with no DC are outside every scope.
+ * @example sql += dcScopeClause(user, 't.dc_id', params);
+ */
+function dcScopeClause(user, column, params) {
+    const scope = getDcScope(user);
+    if (!scope) return '';
+    params.push(scope);
+    return ` AND ${column} = ANY($${params.length})`;
+}
+
+function canAccessDc(user, dcId) {
+    const scope = getDcScope(user);
+    return !scope || (!!dcId && scope.includes(dcId));
+}
+
+/**
+ * DC to store on a record a user is creating or moving.
+ * Scoped users default to their first DC and can't assign outside their scope.
+ * @returns {Object} { dcId } or { error, status }
+ */
+function resolveDcForWrite(user, dcId) {
+    const scope = getDcScope(user);
+    if (!scope) return { dcId: dcId || null };
+    if (scope.length === 0) {
+        return { error: 'You are not assigned to any distribution center', status: 403 };
+    }
+    if (!dcId) return { dcId: scope[0] };
+    if (!scope.includes(dcId)) {
+        return { error: 'You do not have access to this distribution center', status: 403 };
+    }
+    return { dcId };
+}
+
+/**
+ * DC ids assigned to a user
+ * @param {Object} db - pg client or { query } from ./db
+ */
+async function getUserDcIds(db, userId) {
+    // Home DC (users.dc_id) first - it's the default for new records
+    const result = await db.query(
+        `SELECT udc.dc_id
+         FROM user_distribution_centers udc
+         JOIN users u ON u.id = udc.user_id
+         WHERE udc.user_id = $1
+         ORDER BY (udc.dc_id = u.dc_id) DESC, udc.created_at`,
+        [userId]
+    );
+    return result.rows.map(r => r.dc_id);
+}
+
+/**
+ * Replace a user's DC assignments. Ids from other companies are ignored.
+ * users.dc_id keeps the first one as the user's home DC; users.dc_scoped records whether any were given,
+ * so the user stays limited even if those DCs are later deleted. An empty list lifts the limit.
+ */
+async function setUserDcIds(client, companyId, userId, dcIds) {
+    const ids = [...new Set((dcIds || []).filter(Boolean))];
+
+    await client.query('DELETE FROM user_distribution_centers WHERE user_id = $1', [userId]);
+
+    const inserted = ids.length > 0
+        ? await client.query(
+            `INSERT INTO user_distribution_centers (company_id, user_id, dc_id)
+             SELECT $1, $2, dc.id
+             FROM unnest($3::uuid[]) WITH ORDINALITY AS picked(id, position)
+             JOIN distribution_centers dc ON dc.id = picked.id AND dc.company_id = $1
+             ORDER BY picked.position
+             RETURNING dc_id`,
+            [companyId, userId, ids]
+        )
+        : { rows: [] };
+
+    const assigned = inserted.rows.map(r => r.dc_id);
+    await client.query('UPDATE users SET dc_id = $1, dc_scoped = $2 WHERE id = $3', [assigned[0] || null, ids.length > 0, userId]);
+
+    return assigned;
+}
+
+module.exports = {
+    getDcScope,
+    dcScopeClause,
+    canAccessDc,
+    resolveDcForWrite,
+    getUserDcIds,
+    setUserDcIds
+};
@@ -0,0 +1,215 @@
+// Distance Providers
+// Road-distance matrices for route optimization
+// Providers: haversine (straight line x circuity factor), osrm (self-hosted OSRM-compatible table service)
+// The OSRM server comes from the OSRM_URL env var only: companies pick the provider and profile,
+// never the host the functions send requests to.
+
+const crypto = require('crypto');
+const { query } = require('./db');
+
+const METERS_PER_MILE = 1609.344;
+const COORD_PRECISION = 4;        // ~11 m, close enough to share cache entries
+const OSRM_TIMEOUT_MS = 8000;
+const OSRM_MAX_POINTS = 100;      // OSRM default --max-table-size
+const OSRM_PROFILE = /^[a-z0-9_-]{1,32}$/;
+
+const DEFAULT_DISTANCE_SETTINGS = {
+    provider: 'haversine',
+    circuity_factor: 1.3,         // Rural roads run ~30% longer than the straight line
+    osrm_profile: 'driving',
+    cache_days: 30
+};
+
+/**
+ * Merge companies.settings.distance over the defaults
+ */
+function getDistanceSettings(companySettings = {}) {
+    const custom = (companySettings && companySettings.distance) || {};
+    const settings = { ...DEFAULT_DISTANCE_SETTINGS, ...custom };
+    settings.osrm_url = process.env.OSRM_URL || null;
+    if (!isValidOsrmProfile(settings.osrm_profile)) {
+        settings.osrm_profile = DEFAULT_DISTANCE_SETTINGS.osrm_profile;
+    }
+    settings.circuity_factor = parseFloat(settings.circuity_factor) || DEFAULT_DISTANCE_SETTINGS.circuity_factor;
+    return settings;
+}
+
+function isValidOsrmProfile(profile) {
+    return typeof profile === 'string' && OSRM_PROFILE.test(profile);
+}
+
+function haversineDistance(lat1, lng1, lat2, lng2) {
+    const R = 3959; // Earth's radius in miles
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return R * c;
+}
+
+function toRad(deg) {
+    return deg * (Math.PI / 180);
+}
+
+function coordKey(point) {
+    return `${parseFloat(point.lat).toFixed(COORD_PRECISION)},${parseFloat(point.lng).toFixed(COORD_PRECISION)}`;
+}
+
+// =====================================================
+// PROVIDERS
+// Each provider: { name, cacheable, matrix(points) => Promise<number[][]> (miles) }
+// =====================================================
+
+function haversineProvider(settings) {
+    const factor = settings.circuity_factor;
+    return {
+        name: `haversine:${factor}`,
+        cacheable: false,
+        async matrix(points) {
+            return points.map(a => points.map(b =>
+                a === b ? 0 : haversineDistance(a.lat, a.lng, b.lat, b.lng) * factor
+            ));
+        }
+    };
+}
+
+function osrmProvider(settings) {
+    const baseUrl = settings.osrm_url.replace(/\/+$/, '');
+    const profile = settings.osrm_profile || 'driving';
+    // Cached distances belong to one server and profile; the hash keeps the key short
+    const server = crypto.createHash('sha256').update(baseUrl).digest('hex').slice(0, 12);
+
+    return {
+        name: `osrm:${profile}:${server}`,
+        cacheable: true,
+        async matrix(points) {
+            if (points.length > OSRM_MAX_POINTS) {
+                throw new Error(`OSRM table limited to ${OSRM_MAX_POINTS} points`);
+            }
+
+            // OSRM wants lng,lat pairs
+            const coords = points.map(p => `${parseFloat(p.lng)},${parseFloat(p.lat)}`).join(';');
+            const url = `${baseUrl}/table/v1/${profile}/${coords}?annotations=distance`;
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), OSRM_TIMEOUT_MS);
+            let data;
+            try {
+                const response = await fetch(url, { signal: controller.signal });
+                data = await response.json();
+                if (!response.ok || data.code !== 'Ok') {
+                    throw new Error(`OSRM table error: ${data.message || data.code || response.status}`);
+                }
+            } finally {
+                clearTimeout(timer);
+            }
+
+            // Unroutable pairs come back as null - fall back to the straight line for those
+            return data.distances.map((row, i) => row.map((meters, j) => {
+                if (i === j) return 0;
+                if (meters === null || meters === undefined) {
+                    return haversineDistance(points[i].lat, points[i].lng, points[j].lat, points[j].lng) * settings.circuity_factor;
+                }
+                return meters / METERS_PER_MILE;
+            }));
+        }
+    };
+}
+
+function getProvider(settings) {
+    if (settings.provider === 'osrm' && settings.osrm_url) {
+        return osrmProvider(settings);
+    }
+    return haversineProvider(settings);
+}
+
+// =====================================================
+// CACHE
+// =====================================================
+
+async function readCache(providerName, keys, cacheDays) {
+    const result = await query(
+        `SELECT from_key, to_key, miles FROM distance_cache
+         WHERE provider = $1 AND from_key = ANY($2) AND to_key = ANY($2)
+         AND created_at > NOW() - ($3 || ' days')::interval`,
+        [providerName, keys, String(cacheDays)]
+    );
+
+    const cached = new Map();
+    for (const row of result.rows) {
+        cached.set(`${row.from_key}|${row.to_key}`, parseFloat(row.miles));
+    }
+    return cached;
+}
+
+async function writeCache(providerName, keys, matrix) {
+    const fromKeys = [];
+    const toKeys = [];
+    const miles = [];
+
+    // Points that round to the same key would repeat a pair, which one INSERT ... ON CONFLICT can't
+    // update twice; write each key once, from the first point that has it
+    const unique = [...new Set(keys)];
+    const index = unique.map(key => keys.indexOf(key));
+
+    for (let a = 0; a < unique.length; a++) {
+        for (let b = 0; b < unique.length; b++) {
+            if (a === b) continue;
+            fromKeys.push(unique[a]);
+            toKeys.push(unique[b]);
+            miles.push(Math.round(matrix[index[a]][index[b]] * 1000) / 1000);
+        }
+    }
+    if (fromKeys.length === 0) return;
+
+    await query(
+        `INSERT INTO distance_cache (provider, from_key, to_key, miles)
+         SELECT $1, f, t, m FROM unnest($2::text[], $3::text[], $4::numeric[]) AS x(f, t, m)
+         ON CONFLICT (provider, from_key, to_key) DO UPDATE SET miles = EXCLUDED.miles, created_at = NOW()`,
+        [providerName, fromKeys, toKeys, miles]
+    );
+}
+
+/**
+ * Distance matrix (miles) between points using the configured provider
+ * Cacheable providers read/write distance_cache; any provider failure falls back to haversine
+ * @param {Array} points - [{lat, lng}]
+ * @param {Object} distanceSettings - From getDistanceSettings()
+ * @returns {Promise<Object>} { matrix, provider, cached }
+ */
+async function getDistanceMatrix(points, distanceSettings = getDistanceSettings()) {
+    const provider = getProvider(distanceSettings);
+
+    if (!provider.cacheable) {
+        return { matrix: await provider.matrix(points), provider: provider.name, cached: false };
+    }
+
+    const keys = points.map(coordKey);
+
+    try {
+        const cached = await readCache(provider.name, [...new Set(keys)], distanceSettings.cache_days);
+
+        // Everything in cache - no call to the routing engine
+        const fromCache = keys.map((a, i) => keys.map((b, j) => (i === j || a === b) ? 0 : cached.get(`${a}|${b}`)));
+        if (fromCache.every(row => row.every(v => v !== undefined))) {
+            return { matrix: fromCache, provider: provider.name, cached: true };
+        }
+
+        const matrix = await provider.matrix(points);
+        await writeCache(provider.name, keys, matrix);
+        return { matrix, provider: provider.name, cached: false };
+    } catch (err) {
+        console.error(`Distance provider ${provider.name} failed, using haversine:`, err.message);
+        const fallback = haversineProvider(distanceSettings);
+        return { matrix: await fallback.matrix(points), provider: fallback.name, cached: false, fallback: true };
+    }
+}
+
+module.exports = {
+    getDistanceSettings,
+    getDistanceMatrix,
+    haversineDistance,
+    isValidOsrmProfile
+};
@@ -0,0 +1,173 @@
+// Custom domains: a company's app on its own hostname (dispatch.theirpropane.com)
+// Super admins add a domain, the customer publishes a DNS TXT record with its verification token,
+// and the domain resolves to the company once a check passes. The check is pluggable
+// (DOMAIN_VERIFIER env, or setDomainVerifier) so local setups and tests don't need real DNS.
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const { query } = require('./db');
+
+const DOMAIN_PLANS = ['professional', 'enterprise'];
+const PLATFORM_DOMAINS = (process.env.PLATFORM_DOMAINS || 'routecrmpro.com,localhost,netlify.app')
+    .split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
+const VERIFICATION_LABEL = '_routecrmpro-verification';
+const VERIFICATION_PREFIX = 'routecrmpro-verification=';
+const DOMAIN_PATTERN = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MISS_CACHE_TTL_MS = 60 * 1000;
+
+// host -> { companyId, expires }, per function instance
+const hostCache = new Map();
+
+// Built-in checks; each gets the TXT record to look for and resolves to { verified, error }
+const VERIFIERS = {
+    dns: async (record) => {
+        let answers;
+        try {
+            answers = await dns.resolveTxt(record.name);
+        } catch (err) {
+            return { verified: false, error: `No TXT record found at ${record.name} (${err.code || err.message})` };
+        }
+        const values = answers.map(chunks => chunks.join(''));
+        return values.includes(record.value)
+            ? { verified: true, error: null }
+            : { verified: false, error: `TXT record at ${record.name} does not contain ${record.value}` };
+    },
+    // Trust the super admin; for local development only
+    none: async () => ({ verified: true, error: null })
+};
+
+let verifier = VERIFIERS[process.env.DOMAIN_VERIFIER || 'dns'] || VERIFIERS.dns;
+
+/**
+ * Replace the verification check, e.g. with a registrar API or a stub in tests
+ * @param {Function} check - async (record, domainRow) => { verified, error }
+ */
+function setDomainVerifier(check) {
+    verifier = check;
+}
+
+/**
+ * Lowercase hostname without port or trailing dot
+ */
+function normalizeHost(host) {
+    return String(host || '').trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+}
+
+function isPlatformHost(host) {
+    return PLATFORM_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+function isDomainPlan(plan) {
+    return DOMAIN_PLANS.includes(plan);
+}
+
+/**
+ * @returns {string|null} why this can't be a custom domain
+ */
+function domainError(domain) {
+    if (!domain || !DOMAIN_PATTERN.test(domain)) {
+        return 'Enter a hostname like dispatch.example.com';
+    }
+    if (isPlatformHost(domain)) {
+        return 'Platform domains cannot be added as custom domains';
+    }
+    return null;
+}
+
+function generateVerificationToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * The DNS record the customer publishes to prove they control the domain
+ */
+function verificationRecord(row) {
+    return {
+        type: 'TXT',
+        name: `${VERIFICATION_LABEL}.${row.domain}`,
+        value: `${VERIFICATION_PREFIX}${row.verification_token}`
+    };
+}
+
+function serializeDomain(row) {
+    return {
+        id: row.id,
+        company_id: row.company_id,
+        domain: row.domain,
+        verified: !!row.verified_at,
+        verified_at: row.verified_at,
+        last_checked_at: row.last_checked_at,
+        last_check_error: row.last_check_error,
+        created_at: row.created_at,
+        dns_record: verificationRecord(row)
+    };
+}
+
+/**
+ * Run the verification check and store the outcome
+ * @returns {Promise<Object>} updated company_domains row
+ */
+async function verifyDomain(row) {
+    let outcome;
+    try {
+        outcome = await verifier(verificationRecord(row), row);
+    } catch (err) {
+        outcome = { verified: false, error: err.message };
+    }
+
+    const result = await query(
+        `UPDATE company_domains
+         SET verified_at = CASE WHEN $2 THEN COALESCE(verified_at, CURRENT_TIMESTAMP) ELSE NULL END,
+             last_checked_at = CURRENT_TIMESTAMP,
+             last_check_error = $3
+         WHERE id = $1
+         RETURNING *`,
+        [row.id, !!outcome.verified, outcome.verified ? null : (outcome.error || 'Verification failed')]
+    );
+
+    clearDomainCache(row.domain);
+    return result.rows[0];
+}
+
+/**
+ * Company id for a verified custom domain, cached in memory (misses too, for a shorter time)
+ * @returns {Promise<string|null>}
+ */
+async function lookupCustomDomain(host) {
+    const hit = hostCache.get(host);
+    if (hit && hit.expires > Date.now()) return hit.companyId;
+
+    // A company that drops below Professional (or is deactivated) loses its domain without it being deleted
+    const result = await query(
+        `SELECT d.company_id FROM company_domains d
+         JOIN companies c ON c.id = d.company_id
+         WHERE d.domain = $1 AND d.verified_at IS NOT NULL AND c.status = 'active' AND c.plan = ANY($2)`,
+        [host, DOMAIN_PLANS]
+    );
+    const companyId = result.rows[0]?.company_id || null;
+    hostCache.set(host, { companyId, expires: Date.now() + (companyId ? CACHE_TTL_MS : MISS_CACHE_TTL_MS) });
+    return companyId;
+}
+
+/**
+ * Forget a cached host after it changes. Other function instances catch up within CACHE_TTL_MS.
+ */
+function clearDomainCache(host) {
+    hostCache.delete(host);
+}
+
+module.exports = {
+    setDomainVerifier,
+    normalizeHost,
+    isPlatformHost,
+    isDomainPlan,
+    domainError,
+    generateVerificationToken,
+    verificationRecord,
+    serializeDomain,
+    verifyDomain,
+    lookupCustomDomain,
+    clearDomainCache
+};
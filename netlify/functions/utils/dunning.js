@@ -0,0 +1,109 @@
+// Dunning utilities
+// Per-invoice state machine: active -> read_only -> suspended, or resolved once the invoice is paid
+
+const DEFAULT_DUNNING_SETTINGS = {
+    retry_days: [3, 7, 14],
+    read_only_after_days: 14,
+    suspend_after_days: 21
+};
+
+function parseDays(value) {
+    if (Array.isArray(value)) return value.map(Number).filter(n => n > 0).sort((a, b) => a - b);
+    return String(value).split(',').map(s => parseInt(s.trim())).filter(n => n > 0).sort((a, b) => a - b);
+}
+
+/**
+ * Platform defaults (env) with companies.settings.dunning on top
+ */
+function getDunningSettings(companySettings = {}) {
+    const settings = { ...DEFAULT_DUNNING_SETTINGS };
+
+    if (process.env.DUNNING_RETRY_DAYS) settings.retry_days = parseDays(process.env.DUNNING_RETRY_DAYS);
+    if (process.env.DUNNING_READ_ONLY_DAYS) settings.read_only_after_days = parseInt(process.env.DUNNING_READ_ONLY_DAYS);
+    if (process.env.DUNNING_SUSPEND_DAYS) settings.suspend_after_days = parseInt(process.env.DUNNING_SUSPEND_DAYS);
+
+    const custom = (companySettings && companySettings.dunning) || {};
+    if (custom.retry_days) settings.retry_days = parseDays(custom.retry_days);
+    if (custom.read_only_after_days) settings.read_only_after_days = parseInt(custom.read_only_after_days);
+    if (custom.suspend_after_days) settings.suspend_after_days = parseInt(custom.suspend_after_days);
+
+    return settings;
+}
+
+/**
+ * Start dunning for an invoice (no-op if it already has a case)
+ * @param {Object} db - pg client or { query } from ./db
+ */
+async function openDunningCase(db, companyId, invoiceId, error = null) {
+    const result = await db.query(
+        `INSERT INTO dunning_cases (company_id, invoice_id, last_error)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (invoice_id) DO NOTHING
+         RETURNING *`,
+        [companyId, invoiceId, error]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Close the invoice's dunning case and lift restrictions once nothing else is outstanding:
+ * read-only is cleared, and a company that dunning suspended is reactivated
+ * @returns {Object} { resolved, reactivated }
+ */
+async function resolveDunningForInvoice(db, invoiceId) {
+    const closed = await db.query(
+        `UPDATE dunning_cases dc SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         FROM (SELECT id, status FROM dunning_cases WHERE invoice_id = $1 AND status <> 'resolved' FOR UPDATE) prev
+         WHERE dc.id = prev.id
+         RETURNING dc.company_id, prev.status as previous_status`,
+        [invoiceId]
+    );
+    if (closed.rows.length === 0) {
+        return { resolved: false, reactivated: false };
+    }
+
+    const companyId = closed.rows[0].company_id;
+
+    const remaining = await db.query(
+        `SELECT
+            COUNT(*) FILTER (WHERE status IN ('read_only', 'suspended')) as restricted,
+            COUNT(*) FILTER (WHERE status = 'suspended') as suspended
+         FROM dunning_cases WHERE company_id = $1 AND status <> 'resolved'`,
+        [companyId]
+    );
+    const restricted = parseInt(remaining.rows[0].restricted) > 0;
+    const stillSuspended = parseInt(remaining.rows[0].suspended) > 0;
+
+    if (!restricted) {
+        await db.query('UPDATE companies SET billing_read_only = false WHERE id = $1', [companyId]);
+    }
+
+    // Only undo suspensions dunning made - a manual suspension has no suspended case behind it
+    let reactivated = false;
+    if (!stillSuspended && closed.rows[0].previous_status === 'suspended') {
+        const updated = await db.query(
+            `UPDATE companies SET status = 'active', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'suspended'
+             RETURNING id`,
+            [companyId]
+        );
+        reactivated = updated.rows.length > 0;
+
+        if (reactivated) {
+            await db.query(
+                `INSERT INTO audit_log (company_id, action, entity_type, entity_id, new_values)
+                 VALUES ($1, 'dunning_reactivated', 'invoice', $2, $3)`,
+                [companyId, invoiceId, JSON.stringify({ status: 'active' })]
+            );
+        }
+    }
+
+    return { resolved: true, reactivated };
+}
+
+module.exports = {
+    DEFAULT_DUNNING_SETTINGS,
+    getDunningSettings,
+    openDunningCase,
+    resolveDunningForInvoice
+};
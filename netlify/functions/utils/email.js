@@ -240,9 +240,162 @@ async function sendPaymentFailedEmail(invoice, company, errorMessage) {
     });
 }
 
+// Escalating dunning notices, mildest first
+const DUNNING_NOTICES = {
+    reminder: {
+        subject: 'Payment Reminder',
+        color: '#F59E0B',
+        message: 'Your invoice is past due and our retry of your payment method did not go through.'
+    },
+    warning: {
+        subject: 'Second Notice: Payment Past Due',
+        color: '#F97316',
+        message: 'Your invoice is still unpaid after a second payment attempt.'
+    },
+    final_notice: {
+        subject: 'Final Notice: Account Will Be Restricted',
+        color: '#EF4444',
+        message: 'This is the final payment attempt. If the invoice stays unpaid your account will become read-only and then be suspended.'
+    },
+    read_only: {
+        subject: 'Account Now Read-Only',
+        color: '#DC2626',
+        message: 'Your account is now read-only: you can still sign in and view your data, but changes are disabled until the invoice is paid.'
+    },
+    suspended: {
+        subject: 'Account Suspended',
+        color: '#991B1B',
+        message: 'Your account has been suspended for non-payment. It will be reactivated automatically as soon as the invoice is paid.'
+    }
+};
+
+async function sendDunningEmail(invoice, company, stage, details = {}) {
+    const notice = DUNNING_NOTICES[stage];
+    if (!notice) {
+        return { success: false, error: `Unknown dunning stage: ${stage}` };
+    }
+
+    const subject = `${notice.subject} - Invoice ${invoice.invoice_number}`;
+    const billingUrl = `https://www.routecrmpro.com/app?tenant=${company.subdomain}`;
+    const nextStep = details.nextStep ? `<p><strong>Next step:</strong> ${details.nextStep}</p>` : '';
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"></head>
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f5;">
+    <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px;">
+        <div style="background: ${notice.color}; padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
+            <h1 style="color: white; margin: 0;">${notice.subject}</h1>
+        </div>
+        <div style="background: white; padding: 30px; border: 1px solid #e4e4e7; border-radius: 0 0 12px 12px;">
+            <p>Hi ${company.name},</p>
+            <p>${notice.message}</p>
+            <p><strong>Invoice:</strong> ${invoice.invoice_number}</p>
+            <p><strong>Amount:</strong> $${parseFloat(invoice.total).toFixed(2)}</p>
+            <p><strong>Due date:</strong> ${new Date(invoice.due_date).toLocaleDateString()}</p>
+            ${details.error ? `<p><strong>Reason:</strong> ${details.error}</p>` : ''}
+            ${nextStep}
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${billingUrl}" style="display: inline-block; background: #6366F1; color: white; padding: 12px 30px; border-radius: 8px; text-decoration: none; font-weight: 600;">Pay Invoice</a>
+            </div>
+            <p style="color: #71717a; font-size: 14px;">Questions? Contact billing@routecrmpro.com</p>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+
+    return await sendEmail({
+        to: company.billing_email || company.email,
+        subject,
+        html,
+        text: `${notice.subject} - Invoice ${invoice.invoice_number}. Amount: $${invoice.total}. ${notice.message}${details.nextStep ? ` Next step: ${details.nextStep}` : ''} Pay at ${billingUrl}`
+    });
+}
+
+const APP_URL = process.env.APP_URL || 'https://www.routecrmpro.com';
+
+function authEmailHtml(name, heading, message, actionLabel, url, footer) {
+    return `
+<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"></head>
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f5;">
+    <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px;">
+        <div style="background: linear-gradient(135deg, #6366F1 0%, #8B5CF6 100%); padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
+            <h1 style="color: white; margin: 0;">${heading}</h1>
+        </div>
+        <div style="background: white; padding: 30px; border: 1px solid #e4e4e7; border-radius: 0 0 12px 12px;">
+            <p>Hi ${name || 'there'},</p>
+            <p>${message}</p>
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${url}" style="display: inline-block; background: #6366F1; color: white; padding: 12px 30px; border-radius: 8px; text-decoration: none; font-weight: 600;">${actionLabel}</a>
+            </div>
+            <p style="color: #71717a; font-size: 14px;">${footer}</p>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+}
+
+/**
+ * @param {Object} recipient - { email, name }
+ * @param {string} resetPath - App path the link opens, e.g. /app?tenant=acme or /admin
+ */
+async function sendPasswordResetEmail(recipient, token, resetPath) {
+    const separator = resetPath.includes('?') ? '&' : '?';
+    const url = `${APP_URL}${resetPath}${separator}reset_token=${token}`;
+    const footer = "This link expires in 1 hour and can only be used once. If you didn't ask to reset your password, you can ignore this email.";
+
+    return await sendEmail({
+        to: recipient.email,
+        subject: `Reset your ${COMPANY_NAME} password`,
+        html: authEmailHtml(recipient.name, 'Reset Your Password', 'We received a request to reset your password. Click below to choose a new one.', 'Reset Password', url, footer),
+        text: `Reset your ${COMPANY_NAME} password: ${url}\n\n${footer}`
+    });
+}
+
+async function sendVerificationEmail(recipient, token, verifyPath) {
+    const separator = verifyPath.includes('?') ? '&' : '?';
+    const url = `${APP_URL}${verifyPath}${separator}verify_token=${token}`;
+    const footer = 'This link expires in 48 hours.';
+
+    return await sendEmail({
+        to: recipient.email,
+        subject: `Verify your ${COMPANY_NAME} email address`,
+        html: authEmailHtml(recipient.name, 'Verify Your Email', `Please confirm that ${recipient.email} is your email address.`, 'Verify Email', url, footer),
+        text: `Verify your email address: ${url}\n\n${footer}`
+    });
+}
+
+/**
+ * @param {Object} lockout - { until, attempts, ip, loginPath }
+ */
+async function sendAccountLockedEmail(recipient, { until, attempts, ip, loginPath }) {
+    const url = `${APP_URL}${loginPath}`;
+    const unlockAt = new Date(until).toUTCString();
+    const message = `Your account was locked after ${attempts} failed sign-in attempts (the last from IP address ${ip}). ` +
+        `It unlocks automatically at ${unlockAt}, or your administrator can unlock it sooner.`;
+    const footer = "If these attempts weren't you, someone may be guessing your password. Once you're back in, change it, " +
+        'or use "Forgot password" on the sign-in page.';
+
+    return await sendEmail({
+        to: recipient.email,
+        subject: `Your ${COMPANY_NAME} account was locked`,
+        html: authEmailHtml(recipient.name, 'Account Locked', message, 'Go to Sign In', url, footer),
+        text: `${message}\n\nSign in: ${url}\n\n${footer}`
+    });
+}
+
 module.exports = {
     sendEmail,
     sendInvoiceEmail,
     sendPaymentFailedEmail,
+    sendDunningEmail,
+    sendPasswordResetEmail,
+    sendVerificationEmail,
+    sendAccountLockedEmail,
     generateInvoiceEmailHtml
 };
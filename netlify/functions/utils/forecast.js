@@ -0,0 +1,416 @@
+// Tank Level Forecasting
+// Degree-day model: daily usage = k_factor * HDD + base_daily_usage
+// k_factor and base load are learned per customer from completed route run stops
+
+const { query } = require('./db');
+
+const DEFAULT_HDD_BASE = 65;       // °F
+const DEFAULT_FILL_PERCENT = 80;   // Propane tanks are filled to 80%
+const DEFAULT_HORIZON_DAYS = 120;
+const HISTORY_DAYS = 730;          // How far back to learn from
+const MIN_TEMP_COVERAGE = 0.8;     // Share of days in an interval that need a temperature reading
+const MIN_REGRESSION_INTERVALS = 3;
+
+/**
+ * Heating degree days for a day's average temperature
+ */
+function heatingDegreeDays(avgTemp, base = DEFAULT_HDD_BASE) {
+    if (avgTemp === null || avgTemp === undefined || isNaN(avgTemp)) return null;
+    return Math.max(0, base - avgTemp);
+}
+
+/**
+ * Average temperature for a reading; falls back to (high + low) / 2
+ */
+function averageTemp(reading) {
+    if (reading.avg_temp !== null && reading.avg_temp !== undefined && reading.avg_temp !== '') {
+        return parseFloat(reading.avg_temp);
+    }
+    if (reading.high_temp !== null && reading.high_temp !== undefined &&
+        reading.low_temp !== null && reading.low_temp !== undefined) {
+        return (parseFloat(reading.high_temp) + parseFloat(reading.low_temp)) / 2;
+    }
+    return null;
+}
+
+// Dates are handled as 'YYYY-MM-DD' strings in UTC to avoid timezone drift
+function addDays(dateStr, days) {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromStr, toStr) {
+    return Math.round((Date.parse(`${toStr}T00:00:00Z`) - Date.parse(`${fromStr}T00:00:00Z`)) / 86400000);
+}
+
+// pg returns DATE columns as local-midnight Date objects
+function toDateString(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function round(value, places = 2) {
+    const f = Math.pow(10, places);
+    return Math.round(value * f) / f;
+}
+
+// =====================================================
+// DATA LOADING
+// =====================================================
+
+async function getForecastSettings(companyId) {
+    const result = await query('SELECT settings FROM companies WHERE id = $1', [companyId]);
+    const settings = result.rows[0]?.settings?.forecast || {};
+
+    return {
+        hdd_base: settings.hdd_base || DEFAULT_HDD_BASE,
+        fill_percent: settings.fill_percent || DEFAULT_FILL_PERCENT,
+        horizon_days: settings.horizon_days || DEFAULT_HORIZON_DAYS
+    };
+}
+
+/**
+ * Load daily degree days for a set of DCs
+ * Returns Map<dcId, Map<date, hdd>>
+ */
+async function loadDegreeDays(companyId, dcIds, fromDate, toDate) {
+    const byDc = new Map();
+    if (dcIds.length === 0) return byDc;
+
+    const result = await query(
+        `SELECT dc_id, to_char(temp_date, 'YYYY-MM-DD') as temp_date, heating_degree_days
+         FROM dc_daily_temperatures
+         WHERE company_id = $1 AND dc_id = ANY($2) AND temp_date BETWEEN $3 AND $4`,
+        [companyId, dcIds, fromDate, toDate]
+    );
+
+    for (const row of result.rows) {
+        if (!byDc.has(row.dc_id)) byDc.set(row.dc_id, new Map());
+        byDc.get(row.dc_id).set(row.temp_date, parseFloat(row.heating_degree_days));
+    }
+    return byDc;
+}
+
+/**
+ * Load completed deliveries for a set of customers, oldest first
+ * Returns Map<customerId, Array<{date, gallons, level_after}>>
+ */
+async function loadDeliveryHistory(customerIds, sinceDate) {
+    const byCustomer = new Map();
+    if (customerIds.length === 0) return byCustomer;
+
+    const result = await query(
+        `SELECT rs.customer_id,
+                to_char(COALESCE(rs.departed_at, rs.arrived_at, rr.completed_at, rr.scheduled_date::timestamp), 'YYYY-MM-DD') as delivery_date,
+                rs.gallons_delivered, rs.tank_level_after
+         FROM route_run_stops rs
+         JOIN route_runs rr ON rs.run_id = rr.id
+         WHERE rs.customer_id = ANY($1)
+           AND rs.status = 'completed'
+           AND rs.gallons_delivered > 0
+           AND rs.tank_level_after IS NOT NULL
+           AND COALESCE(rs.departed_at, rs.arrived_at, rr.completed_at, rr.scheduled_date::timestamp) >= $2
+         ORDER BY rs.customer_id, delivery_date`,
+        [customerIds, sinceDate]
+    );
+
+    for (const row of result.rows) {
+        if (!byCustomer.has(row.customer_id)) byCustomer.set(row.customer_id, []);
+        const list = byCustomer.get(row.customer_id);
+        const delivery = {
+            date: row.delivery_date,
+            gallons: parseFloat(row.gallons_delivered),
+            level_after: parseFloat(row.tank_level_after)
+        };
+        // Two stops on the same day count as one delivery
+        const last = list[list.length - 1];
+        if (last && last.date === delivery.date) {
+            last.gallons += delivery.gallons;
+            last.level_after = delivery.level_after;
+        } else {
+            list.push(delivery);
+        }
+    }
+    return byCustomer;
+}
+
+// =====================================================
+// MODEL
+// =====================================================
+
+/**
+ * Build a lookup of "normal" degree days by calendar day from stored history,
+ * used to fill gaps and project into the future
+ */
+function buildNormals(hddByDate) {
+    const byMonthDay = new Map();
+    const dates = [...hddByDate.keys()].sort();
+
+    for (const date of dates) {
+        const key = date.slice(5);
+        if (!byMonthDay.has(key)) byMonthDay.set(key, []);
+        byMonthDay.get(key).push(hddByDate.get(date));
+    }
+
+    const recent = dates.slice(-14).map(d => hddByDate.get(d));
+    const recentAvg = recent.length > 0 ? recent.reduce((a, b) => a + b, 0) / recent.length : 0;
+
+    return (date) => {
+        const values = [];
+        for (let offset = -3; offset <= 3; offset++) {
+            const list = byMonthDay.get(addDays(date, offset).slice(5));
+            if (list) values.push(...list);
+        }
+        if (values.length === 0) return recentAvg;
+        return values.reduce((a, b) => a + b, 0) / values.length;
+    };
+}
+
+/**
+ * Learn k_factor and base load from consecutive deliveries
+ * Usage between deliveries i and i+1 = gallons(i+1) + (level_after(i) - level_after(i+1)) * tank_size / 100
+ */
+function learnUsageModel(deliveries, tankSize, hddByDate) {
+    const intervals = [];
+
+    for (let i = 0; i < deliveries.length - 1; i++) {
+        const prev = deliveries[i];
+        const next = deliveries[i + 1];
+        const days = daysBetween(prev.date, next.date);
+        if (days <= 0) continue;
+
+        const usage = next.gallons + (prev.level_after - next.level_after) * tankSize / 100;
+        if (usage <= 0) continue;
+
+        let hdd = 0;
+        let covered = 0;
+        for (let d = 1; d <= days; d++) {
+            const value = hddByDate.get(addDays(prev.date, d));
+            if (value !== undefined) {
+                hdd += value;
+                covered++;
+            }
+        }
+
+        intervals.push({
+            days,
+            usage,
+            hdd: covered > 0 ? hdd * days / covered : 0,
+            has_weather: covered / days >= MIN_TEMP_COVERAGE
+        });
+    }
+
+    if (intervals.length === 0) {
+        return { method: null, k_factor: 0, base_daily_usage: 0, intervals: 0 };
+    }
+
+    const weather = intervals.filter(i => i.has_weather);
+
+    if (weather.length >= MIN_REGRESSION_INTERVALS) {
+        // Least squares fit of usage = K * HDD + B * days (no intercept)
+        let shh = 0, shd = 0, sdd = 0, suh = 0, sud = 0;
+        for (const i of weather) {
+            shh += i.hdd * i.hdd;
+            shd += i.hdd * i.days;
+            sdd += i.days * i.days;
+            suh += i.usage * i.hdd;
+            sud += i.usage * i.days;
+        }
+
+        const det = shh * sdd - shd * shd;
+        let k = det > 1e-9 ? (suh * sdd - sud * shd) / det : -1;
+        let b = det > 1e-9 ? (shh * sud - shd * suh) / det : -1;
+
+        // Fall back to a single term when the joint fit isn't physical
+        if (k < 0 || b < 0) {
+            const kOnly = shh > 0 ? suh / shh : 0;
+            const bOnly = sud / sdd;
+            const errK = weather.reduce((s, i) => s + Math.pow(i.usage - kOnly * i.hdd, 2), 0);
+            const errB = weather.reduce((s, i) => s + Math.pow(i.usage - bOnly * i.days, 2), 0);
+            if (shh > 0 && errK < errB) {
+                k = kOnly;
+                b = 0;
+            } else {
+                k = 0;
+                b = bOnly;
+            }
+        }
+
+        return { method: 'degree_day', k_factor: k, base_daily_usage: b, intervals: weather.length };
+    }
+
+    // Not enough weather coverage - straight average burn rate
+    const totalUsage = intervals.reduce((s, i) => s + i.usage, 0);
+    const totalDays = intervals.reduce((s, i) => s + i.days, 0);
+    return { method: 'average', k_factor: 0, base_daily_usage: totalUsage / totalDays, intervals: intervals.length };
+}
+
+/**
+ * Walk the tank level forward one day at a time from the last known reading
+ */
+function projectCustomer(customer, model, hddByDate, settings, options = {}) {
+    const tankSize = parseFloat(customer.tank_size) || 0;
+    const minimumLevel = parseFloat(customer.minimum_level ?? 20);
+    const startLevel = parseFloat(customer.current_level ?? 0);
+    const anchorDate = toDateString(customer.last_delivery_date) || today();
+    const todayStr = today();
+    const normalFor = buildNormals(hddByDate);
+
+    const result = {
+        customer_id: customer.id,
+        name: customer.name,
+        code: customer.code,
+        dc_id: customer.preferred_dc_id,
+        tank_size: tankSize,
+        minimum_level: minimumLevel,
+        model: {
+            method: model.method,
+            k_factor: round(model.k_factor, 4),
+            base_daily_usage: round(model.base_daily_usage, 3),
+            intervals: model.intervals
+        },
+        last_reading: { date: anchorDate, level: startLevel },
+        estimated_level: null,
+        estimated_gallons: null,
+        days_to_minimum: null,
+        minimum_date: null,
+        days_to_empty: null,
+        empty_date: null,
+        recommended_delivery_date: null,
+        recommended_gallons: null
+    };
+
+    if (!model.method || tankSize <= 0) {
+        return result;
+    }
+
+    const projection = [];
+    let level = startLevel;
+    let current = startLevel;
+    let levelAtMinimum = null;
+    const horizonEnd = addDays(todayStr, settings.horizon_days);
+
+    for (let date = addDays(anchorDate, 1); date <= horizonEnd; date = addDays(date, 1)) {
+        const actual = hddByDate.get(date);
+        const hdd = date <= todayStr && actual !== undefined ? actual : normalFor(date);
+        const gallons = model.k_factor * hdd + model.base_daily_usage;
+        level = Math.max(0, level - gallons / tankSize * 100);
+
+        if (options.includeProjection && date > todayStr) {
+            projection.push({ date, hdd: round(hdd, 1), gallons: round(gallons, 1), level: round(level, 1) });
+        }
+
+        if (date <= todayStr) {
+            current = level;
+            continue;
+        }
+
+        if (result.minimum_date === null && level <= minimumLevel) {
+            result.minimum_date = date;
+            levelAtMinimum = level;
+        }
+        if (level <= 0) {
+            result.empty_date = date;
+            break;
+        }
+    }
+
+    result.estimated_level = round(current, 1);
+    result.estimated_gallons = round(current * tankSize / 100, 0);
+
+    if (current <= minimumLevel) {
+        result.minimum_date = todayStr;
+        levelAtMinimum = current;
+    }
+    if (current <= 0) {
+        result.empty_date = todayStr;
+    }
+
+    if (result.minimum_date) {
+        result.days_to_minimum = daysBetween(todayStr, result.minimum_date);
+        result.recommended_delivery_date = result.minimum_date;
+        result.recommended_gallons = Math.max(0, Math.round((settings.fill_percent - levelAtMinimum) * tankSize / 100));
+    }
+    if (result.empty_date) {
+        result.days_to_empty = daysBetween(todayStr, result.empty_date);
+    }
+    if (options.includeProjection) {
+        result.projection = projection;
+    }
+
+    return result;
+}
+
+// =====================================================
+// PUBLIC API
+// =====================================================
+
+/**
+ * Forecast a batch of customers (rows from the customers table)
+ * With { saveModels: true } learned models are saved back to the customer for reporting;
+ * only the daily auto-orders job does this, so reading a forecast never writes
+ */
+async function forecastCustomers(companyId, customers, options = {}) {
+    if (customers.length === 0) return [];
+
+    const settings = await getForecastSettings(companyId);
+    const fromDate = addDays(today(), -HISTORY_DAYS);
+    const dcIds = [...new Set(customers.map(c => c.preferred_dc_id).filter(Boolean))];
+
+    const [degreeDays, history] = await Promise.all([
+        loadDegreeDays(companyId, dcIds, fromDate, today()),
+        loadDeliveryHistory(customers.map(c => c.id), fromDate)
+    ]);
+
+    const forecasts = [];
+    const learned = [];
+
+    for (const customer of customers) {
+        const hddByDate = degreeDays.get(customer.preferred_dc_id) || new Map();
+        let model = learnUsageModel(history.get(customer.id) || [], parseFloat(customer.tank_size) || 0, hddByDate);
+
+        if (model.method) {
+            learned.push({ id: customer.id, k: model.k_factor, b: model.base_daily_usage });
+        } else if (parseFloat(customer.avg_daily_usage) > 0) {
+            model = { method: 'avg_daily_usage', k_factor: 0, base_daily_usage: parseFloat(customer.avg_daily_usage), intervals: 0 };
+        }
+
+        forecasts.push(projectCustomer(customer, model, hddByDate, settings, options));
+    }
+
+    if (options.saveModels && learned.length > 0) {
+        await query(
+            `UPDATE customers c SET k_factor = m.k, base_daily_usage = m.b, forecast_updated_at = NOW()
+             FROM unnest($1::uuid[], $2::numeric[], $3::numeric[]) AS m(id, k, b)
+             WHERE c.id = m.id AND c.company_id = $4`,
+            [learned.map(l => l.id), learned.map(l => round(l.k, 4)), learned.map(l => round(l.b, 3)), companyId]
+        );
+    }
+
+    return forecasts;
+}
+
+async function forecastCustomer(companyId, customer) {
+    const [forecast] = await forecastCustomers(companyId, [customer], { includeProjection: true });
+    return forecast;
+}
+
+module.exports = {
+    DEFAULT_HDD_BASE,
+    heatingDegreeDays,
+    averageTemp,
+    learnUsageModel,
+    projectCustomer,
+    forecastCustomers,
+    forecastCustomer,
+    getForecastSettings
+};
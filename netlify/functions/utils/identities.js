@@ -0,0 +1,94 @@
+// Global identities: one person, user accounts (memberships) in several companies
+// users.identity_id links the accounts. Linking always needs proof of owning every account involved,
+// because a tenant admin controls the password and email of their own company's accounts.
+
+const { query, transaction } = require('./db');
+
+/**
+ * Put accounts under one identity, merging any identities they already belong to
+ * @param {string[]} userIds - accounts the caller has proven belong to the same person
+ * @returns {Promise<string>} identity id
+ */
+async function linkUsers(userIds, email) {
+    return await transaction(async (client) => {
+        const existing = await client.query(
+            `SELECT DISTINCT identity_id FROM users
+             WHERE id = ANY($1) AND identity_id IS NOT NULL
+             ORDER BY identity_id`,
+            [userIds]
+        );
+
+        let identityId = existing.rows[0]?.identity_id;
+        if (!identityId) {
+            const created = await client.query(
+                'INSERT INTO identities (email) VALUES ($1) RETURNING id',
+                [email || null]
+            );
+            identityId = created.rows[0].id;
+        }
+
+        const merged = existing.rows.slice(1).map(row => row.identity_id);
+        if (merged.length > 0) {
+            await client.query('UPDATE users SET identity_id = $1 WHERE identity_id = ANY($2)', [identityId, merged]);
+            await client.query('DELETE FROM identities WHERE id = ANY($1)', [merged]);
+        }
+
+        await client.query('UPDATE users SET identity_id = $1 WHERE id = ANY($2)', [identityId, userIds]);
+        await client.query('UPDATE identities SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [identityId]);
+        return identityId;
+    });
+}
+
+/**
+ * Companies a user can switch to: their own plus every active company linked through their identity
+ * @param {Object} user - users row (id, identity_id)
+ */
+async function listMemberships(user) {
+    const result = await query(
+        `SELECT c.id, c.name, c.subdomain, c.plan, u.id as user_id, u.role
+         FROM users u
+         JOIN companies c ON u.company_id = c.id
+         WHERE (u.id = $1 OR (u.identity_id IS NOT NULL AND u.identity_id = $2))
+           AND u.status = 'active' AND c.status = 'active'
+         ORDER BY c.name`,
+        [user.id, user.identity_id || null]
+    );
+    return result.rows;
+}
+
+/**
+ * The account in another company that shares this user's identity
+ * @returns {Promise<Object|null>} users row
+ */
+async function findLinkedMembership(userId, companyId) {
+    const result = await query(
+        `SELECT target.*
+         FROM users me
+         JOIN users target ON target.identity_id = me.identity_id
+         WHERE me.id = $1 AND target.company_id = $2 AND target.status = 'active'`,
+        [userId, companyId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Give every other linked account the password the user just set, so the identity has one password
+ * @returns {Promise<string[]>} ids of the other accounts that changed
+ */
+async function syncIdentityPassword(userId, passwordHash) {
+    const result = await query(
+        `UPDATE users SET password_hash = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE identity_id = (SELECT identity_id FROM users WHERE id = $1)
+           AND id <> $1
+         RETURNING id`,
+        [userId, passwordHash]
+    );
+    return result.rows.map(row => row.id);
+}
+
+module.exports = {
+    linkUsers,
+    listMemberships,
+    findLinkedMembership,
+    syncIdentityPassword
+};
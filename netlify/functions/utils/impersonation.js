@@ -0,0 +1,59 @@
+// Super admin impersonation helpers
+// Tokens come from POST /companies/:id/impersonate; tenants can opt out via companies.settings.impersonation
+
+const { query } = require('./db');
+const { getClientIp } = require('./rate-limit');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Impersonation is allowed unless the tenant admin has turned it off
+ */
+function isImpersonationAllowed(companySettings = {}) {
+    const settings = (companySettings && companySettings.impersonation) || {};
+    return settings.allowed !== false;
+}
+
+/**
+ * Gate and tag a request made with an impersonation token.
+ * Re-checks the company opt-out (so turning it off ends live sessions) and
+ * writes every non-read request to audit_log with the acting super admin.
+ * No-op for normal user tokens.
+ * @returns {Object} { error: null } or { error, status }
+ */
+async function checkImpersonation(event, user) {
+    if (!user || !user.impersonatedBy) {
+        return { error: null };
+    }
+
+    const companyResult = await query('SELECT settings FROM companies WHERE id = $1', [user.companyId]);
+    if (!isImpersonationAllowed(companyResult.rows[0]?.settings)) {
+        return { error: 'Impersonation has been disabled by this company', status: 403 };
+    }
+
+    if (!READ_METHODS.includes(event.httpMethod)) {
+        const headers = event.headers || {};
+        await query(
+            `INSERT INTO audit_log (company_id, user_id, action, entity_type, entity_id, new_values, ip_address, user_agent)
+             VALUES ($1, $2, 'impersonated_write', 'user', $2, $3, $4, $5)`,
+            [
+                user.companyId,
+                user.userId,
+                JSON.stringify({
+                    method: event.httpMethod,
+                    path: event.path,
+                    impersonated_by: user.impersonatedBy
+                }),
+                getClientIp(event),
+                headers['user-agent'] || headers['User-Agent'] || null
+            ]
+        );
+    }
+
+    return { error: null };
+}
+
+module.exports = {
+    isImpersonationAllowed,
+    checkImpersonation
+};
@@ -0,0 +1,213 @@
+// List queries: filters, sorting, search and cursor pagination for every collection endpoint
+// Query string:
+//   field=value                  equals                 status=active
+//   field[in]=a,b                any of                 status[in]=pending,scheduled
+//   field[gt|gte|lt|lte]=value   range                  scheduled_date[gte]=2026-01-01
+//   sort=-scheduled_date,name    columns, '-' descends  (the id breaks ties)
+//   q=smith oak                  each word must match one of the collection's search columns (ILIKE)
+//   limit=50&cursor=...          page size (max 500) and pagination.nextCursor from the previous page
+// Cursors are keyset positions (the last row's sort values), so rows inserted while a client pages
+// through don't shift or repeat later pages. Collections are defined in ./lists.
+
+const { query } = require('./db');
+const { checkValue } = require('./validation');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const MAX_SEARCH_TERMS = 5;
+const RANGE_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const RANGE_TYPES = ['integer', 'number', 'date', 'timestamp', 'time'];
+// Query parameters that aren't filters (tenant and company_id select the company)
+const RESERVED_PARAMS = ['sort', 'q', 'cursor', 'limit', 'tenant', 'company_id'];
+const FILTER_PARAM = /^([a-z_]+)(?:\[([a-z]+)\])?$/;
+
+function listError(message) {
+    return { error: message, status: 400 };
+}
+
+function coerceFilter(spec, raw, name) {
+    const checked = checkValue(spec, raw.trim(), name);
+    return checked.error ? listError(checked.error) : checked;
+}
+
+/**
+ * Turn field[op]=value parameters into WHERE conditions
+ * @returns {Object|null} an error, or null once conditions and params are filled in
+ */
+function addFilters(input, list, conditions, params) {
+    for (const [key, raw] of Object.entries(input)) {
+        if (RESERVED_PARAMS.includes(key) || raw === undefined || raw === '') continue;
+
+        const match = key.match(FILTER_PARAM);
+        const spec = match && list.fields[match[1]];
+        if (!spec) {
+            return listError(`Unknown filter: ${key}. Filter on ${Object.keys(list.fields).join(', ')}`);
+        }
+        const name = match[1];
+        const operator = match[2] || 'eq';
+
+        if (operator === 'eq') {
+            const checked = coerceFilter(spec, raw, name);
+            if (checked.error) return checked;
+            params.push(checked.value);
+            conditions.push(`${spec.column} = $${params.length}`);
+        } else if (operator === 'in') {
+            const values = [];
+            for (const item of raw.split(',')) {
+                const checked = coerceFilter(spec, item, name);
+                if (checked.error) return checked;
+                values.push(checked.value);
+            }
+            params.push(values);
+            conditions.push(`${spec.column} = ANY($${params.length})`);
+        } else if (RANGE_OPERATORS[operator]) {
+            if (!RANGE_TYPES.includes(spec.type)) {
+                return listError(`${name} can't be filtered by range`);
+            }
+            const checked = coerceFilter(spec, raw, name);
+            if (checked.error) return checked;
+            params.push(checked.value);
+            conditions.push(`${spec.column} ${RANGE_OPERATORS[operator]} $${params.length}`);
+        } else {
+            return listError(`Unknown operator: ${key}. Use in, gt, gte, lt or lte`);
+        }
+    }
+    return null;
+}
+
+function addSearch(q, list, conditions, params) {
+    const terms = String(q || '').trim().split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS);
+    for (const term of terms) {
+        params.push(`%${term.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(`(${list.search.map(column => `${column} ILIKE $${params.length}`).join(' OR ')})`);
+    }
+}
+
+/**
+ * @returns {Object} { key, columns: [{ column, desc }] } or an error
+ */
+function parseSort(sort, list) {
+    const key = String(sort || list.sort);
+    const columns = [];
+    for (const token of key.split(',').map(t => t.trim()).filter(Boolean)) {
+        const desc = token.startsWith('-');
+        const name = desc ? token.slice(1) : token;
+        const spec = list.fields[name];
+        if (!spec) {
+            return listError(`Can't sort by ${name}. Sort by ${Object.keys(list.fields).join(', ')}`);
+        }
+        if (!columns.some(c => c.column === spec.column)) {
+            columns.push({ column: spec.column, desc });
+        }
+    }
+    if (!columns.some(c => c.column === list.id)) {
+        columns.push({ column: list.id, desc: false });
+    }
+    return { key, columns };
+}
+
+function encodeCursor(sortKey, values) {
+    return Buffer.from(JSON.stringify({ s: sortKey, v: values })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (e) {
+        return listError('Invalid cursor');
+    }
+    if (!decoded || !Array.isArray(decoded.v)) {
+        return listError('Invalid cursor');
+    }
+    if (decoded.s !== sort.key) {
+        return listError('This cursor belongs to a different sort; start again without it');
+    }
+    if (decoded.v.length !== sort.columns.length) {
+        return listError('Invalid cursor');
+    }
+    return { values: decoded.v };
+}
+
+/**
+ * Rows after the cursor in ORDER BY order: for some column i, every earlier column ties and column i
+ * comes later. NULLs sort last in both directions, so nothing non-null comes after a NULL.
+ */
+function cursorCondition(values, columns, params) {
+    const placeholder = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const clauses = columns.map(({ column, desc }, i) => {
+        const ties = columns.slice(0, i).map((previous, j) => (
+            values[j] === null ? `${previous.column} IS NULL` : `${previous.column} = ${placeholder(values[j])}`
+        ));
+        const later = values[i] === null
+            ? 'FALSE'
+            : `(${column} ${desc ? '<' : '>'} ${placeholder(values[i])} OR ${column} IS NULL)`;
+        return `(${[...ties, later].join(' AND ')})`;
+    });
+    return `(${clauses.join(' OR ')})`;
+}
+
+/**
+ * Run a collection query with the request's filters, search, sort and cursor
+ * @param {Object} event
+ * @param {Object} list - definition from ./lists
+ * @param {Object} base - { select, from, where, params }: the unfiltered query, already scoped to the company and DCs
+ * @returns {Promise<Object>} { data, pagination: { total, limit, hasMore, nextCursor } } or { error, status }
+ * @example
+ * const page = await listQuery(event, LISTS.truck, { select: 't.*', from: 'trucks t', where: 't.company_id = $1', params: [companyId] });
+ * if (page.error) return error(page.error, page.status);
+ * return success(page);
+ */
+async function listQuery(event, list, { select, from, where, params }) {
+    const input = event.queryStringParameters || {};
+    const queryParams = [...params];
+    const conditions = [where];
+
+    let limit = DEFAULT_LIMIT;
+    if (input.limit !== undefined && input.limit !== '') {
+        limit = Number(input.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return listError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+        }
+    }
+
+    const filterError = addFilters(input, list, conditions, queryParams);
+    if (filterError) return filterError;
+    addSearch(input.q, list, conditions, queryParams);
+
+    const sort = parseSort(input.sort, list);
+    if (sort.error) return sort;
+
+    const countResult = await query(`SELECT COUNT(*) FROM ${from} WHERE ${conditions.join(' AND ')}`, queryParams);
+    const total = parseInt(countResult.rows[0].count);
+
+    if (input.cursor) {
+        const cursor = decodeCursor(input.cursor, sort);
+        if (cursor.error) return cursor;
+        conditions.push(cursorCondition(cursor.values, sort.columns, queryParams));
+    }
+
+    queryParams.push(limit + 1);
+    const result = await query(
+        `SELECT ${select}, ARRAY[${sort.columns.map(c => `${c.column}::text`).join(', ')}] AS list_cursor
+         FROM ${from}
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY ${sort.columns.map(c => `${c.column} ${c.desc ? 'DESC' : 'ASC'} NULLS LAST`).join(', ')}
+         LIMIT $${queryParams.length}`,
+        queryParams
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const nextCursor = hasMore ? encodeCursor(sort.key, rows[rows.length - 1].list_cursor) : null;
+    rows.forEach(row => delete row.list_cursor);
+
+    return { data: rows, pagination: { total, limit, hasMore, nextCursor } };
+}
+
+module.exports = {
+    listQuery
+};
@@ -0,0 +1,131 @@
+// Collections served through ./list-query: the fields a list can be filtered and sorted on,
+// the columns q searches and the default sort. Fields that are also request fields take their
+// type from ./schemas, so a filter value is checked the same way as a body value.
+
+const { SCHEMAS } = require('./schemas');
+
+// Filterable fields from an entity schema, on the table alias used in the list query.
+// Only the type (and enum values) carry over: a filter isn't held to create-time limits.
+function fields(alias, schema, names) {
+    return Object.fromEntries(names.map(name => {
+        const { type, values } = schema[name];
+        return [name, { column: `${alias}.${name}`, type, ...(values && { values }) }];
+    }));
+}
+
+const column = (column, type) => ({ column, type });
+
+const LISTS = {
+    distribution_center: {
+        id: 'dc.id',
+        fields: {
+            ...fields('dc', SCHEMAS.distribution_center, ['code', 'name', 'city', 'state', 'zip', 'capacity_gallons', 'status']),
+            created_at: column('dc.created_at', 'timestamp')
+        },
+        search: ['dc.name', 'dc.code', 'dc.address', 'dc.city'],
+        sort: 'name'
+    },
+    truck: {
+        id: 't.id',
+        fields: {
+            ...fields('t', SCHEMAS.truck, ['dc_id', 'code', 'name', 'make', 'model', 'year', 'license_plate', 'capacity_gallons', 'status']),
+            created_at: column('t.created_at', 'timestamp')
+        },
+        search: ['t.name', 't.code', 't.license_plate'],
+        sort: 'code'
+    },
+    driver: {
+        id: 'd.id',
+        fields: {
+            ...fields('d', SCHEMAS.driver, ['dc_id', 'code', 'name', 'email', 'cdl_class', 'hazmat_certified', 'license_expiry', 'hire_date', 'status']),
+            created_at: column('d.created_at', 'timestamp')
+        },
+        search: ['d.name', 'd.code', 'd.email', 'd.phone'],
+        sort: 'name'
+    },
+    customer: {
+        id: 'c.id',
+        fields: {
+            ...fields('c', SCHEMAS.customer, [
+                'preferred_dc_id', 'code', 'name', 'city', 'state', 'zip', 'customer_type', 'tank_size',
+                'current_level', 'payment_terms', 'auto_delivery', 'status'
+            ]),
+            // Kept by receivables from invoices and credits, never written directly
+            balance: column('c.balance', 'number'),
+            last_delivery_date: column('c.last_delivery_date', 'date'),
+            created_at: column('c.created_at', 'timestamp')
+        },
+        search: ['c.name', 'c.code', 'c.address', 'c.city'],
+        sort: 'name'
+    },
+    order: {
+        id: 'o.id',
+        fields: {
+            ...fields('o', SCHEMAS.order, [
+                'customer_id', 'dc_id', 'route_id', 'gallons_requested', 'total_amount', 'requested_date', 'scheduled_date',
+                'delivery_window', 'status', 'priority', 'payment_status'
+            ]),
+            order_number: column('o.order_number', 'string'),
+            created_at: column('o.created_at', 'timestamp')
+        },
+        search: ['o.order_number', 'c.name', 'c.address'],
+        sort: '-created_at'
+    },
+    route: {
+        id: 'r.id',
+        fields: {
+            ...fields('r', SCHEMAS.route, ['dc_id', 'truck_id', 'driver_id', 'name', 'scheduled_date', 'start_time', 'status', 'is_optimized']),
+            route_number: column('r.route_number', 'string'),
+            created_at: column('r.created_at', 'timestamp')
+        },
+        search: ['r.name', 'r.route_number'],
+        sort: '-scheduled_date,start_time'
+    },
+    user: {
+        id: 'u.id',
+        fields: {
+            ...fields('u', SCHEMAS.user, ['name', 'email', 'role', 'dc_id', 'driver_id', 'status']),
+            username: column('u.username', 'string'),
+            last_login: column('u.last_login', 'timestamp'),
+            created_at: column('u.created_at', 'timestamp')
+        },
+        search: ['u.name', 'u.username', 'u.email'],
+        sort: '-created_at'
+    },
+    route_template: {
+        id: 'rt.id',
+        fields: fields('rt', SCHEMAS.route_template, [
+            'dc_id', 'name', 'day_of_week', 'frequency', 'assigned_driver_id', 'assigned_truck_id', 'status'
+        ]),
+        search: ['rt.name', 'rt.description'],
+        sort: 'day_of_week,name'
+    },
+    route_run: {
+        id: 'rr.id',
+        fields: {
+            ...fields('rr', SCHEMAS.route_run, ['template_id', 'dc_id', 'driver_id', 'truck_id', 'name', 'scheduled_date', 'status']),
+            // ?date= predates the list query language
+            date: column('rr.scheduled_date', 'date'),
+            created_at: column('rr.created_at', 'timestamp')
+        },
+        search: ['rr.name'],
+        sort: '-scheduled_date,-created_at'
+    },
+    audit: {
+        id: 'a.id',
+        fields: {
+            entity_type: column('a.entity_type', 'string'),
+            entity_id: column('a.entity_id', 'uuid'),
+            user_id: column('a.user_id', 'uuid'),
+            actor_type: column('a.actor_type', 'string'),
+            action: column('a.action', 'string'),
+            created_at: column('a.created_at', 'timestamp')
+        },
+        search: ['a.actor_name', 'u.name', 'a.action', 'a.entity_type'],
+        sort: '-created_at'
+    }
+};
+
+module.exports = {
+    LISTS
+};
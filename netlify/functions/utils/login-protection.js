@@ -0,0 +1,298 @@
+// Brute-force protection for password sign-in (tenant login, portal login, super admin login)
+// Every attempt goes into login_attempts. Consecutive failures on an account first slow it down
+// (exponential backoff), then lock it; each lockout after that is twice as long. Failures from one IP
+// across all accounts are capped too. Lockouts email the account owner and, like other suspicious
+// sign-in activity, are written to audit_log. Tenants tune thresholds in companies.settings.login_protection.
+
+const { query } = require('./db');
+const { getClientIp } = require('./rate-limit');
+const { recordAudit } = require('./audit');
+const { sendAccountLockedEmail } = require('./email');
+
+const DEFAULT_LOGIN_PROTECTION = {
+    max_failed_attempts: 5,   // consecutive failures before the account locks
+    lockout_minutes: 15,      // first lockout; doubles with each failure after it
+    backoff_after: 3          // failures before each attempt has to wait
+};
+
+// Super admins can reach every tenant
+const SUPER_ADMIN_LOGIN_PROTECTION = {
+    max_failed_attempts: 5,
+    lockout_minutes: 30,
+    backoff_after: 2
+};
+
+const POLICY_LIMITS = {
+    max_failed_attempts: [3, 20],
+    lockout_minutes: [1, 1440],
+    backoff_after: [1, 20]
+};
+
+const BACKOFF_BASE_SECONDS = 5;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+const IP_FAILURE_LIMIT = 20;              // failed attempts per IP, any account...
+const IP_FAILURE_WINDOW_MINUTES = 15;     // ...per 15 minutes
+
+const TABLES = { user: 'users', super_admin: 'super_admins' };
+
+/**
+ * Company thresholds (companies.settings.login_protection) over the defaults
+ */
+function getLoginProtectionPolicy(companySettings = {}) {
+    const settings = (companySettings && companySettings.login_protection) || {};
+    const policy = { ...DEFAULT_LOGIN_PROTECTION };
+    for (const key of Object.keys(POLICY_LIMITS)) {
+        if (Number.isInteger(settings[key])) policy[key] = settings[key];
+    }
+    return policy;
+}
+
+/**
+ * @returns {string|null} error message for a login_protection settings body
+ */
+function loginProtectionPolicyError(input) {
+    if (!input || typeof input !== 'object') {
+        return 'login_protection must be an object';
+    }
+    for (const [key, [min, max]] of Object.entries(POLICY_LIMITS)) {
+        if (input[key] === undefined) continue;
+        if (!Number.isInteger(input[key]) || input[key] < min || input[key] > max) {
+            return `login_protection.${key} must be a whole number from ${min} to ${max}`;
+        }
+    }
+    const policy = { ...DEFAULT_LOGIN_PROTECTION, ...input };
+    if (policy.backoff_after > policy.max_failed_attempts) {
+        return 'login_protection.backoff_after cannot be more than max_failed_attempts';
+    }
+    return null;
+}
+
+function secondsUntil(date) {
+    return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+function backoffSeconds(failedCount, policy) {
+    if (failedCount < policy.backoff_after) return 0;
+    return BACKOFF_BASE_SECONDS * 2 ** (failedCount - policy.backoff_after);
+}
+
+function lockoutMinutes(failedCount, policy) {
+    const extra = failedCount - policy.max_failed_attempts;
+    return Math.min(policy.lockout_minutes * 2 ** Math.max(0, extra), MAX_LOCKOUT_MINUTES);
+}
+
+/**
+ * Refuse the attempt before the password is checked if this IP has failed too often
+ * @returns {Promise<Object|null>} { error, status, details } or null
+ */
+async function checkLoginIp(event) {
+    const result = await query(
+        `SELECT COUNT(*)::int as failures, MIN(created_at) as oldest
+         FROM login_attempts
+         WHERE ip_address = $1 AND succeeded = false
+           AND created_at > CURRENT_TIMESTAMP - INTERVAL '${IP_FAILURE_WINDOW_MINUTES} minutes'`,
+        [getClientIp(event)]
+    );
+
+    const { failures, oldest } = result.rows[0];
+    if (failures < IP_FAILURE_LIMIT) return null;
+
+    const retryAt = new Date(new Date(oldest).getTime() + IP_FAILURE_WINDOW_MINUTES * 60 * 1000);
+    return {
+        error: 'Too many failed sign-in attempts from this network. Please try again later.',
+        status: 429,
+        details: { retry_after: secondsUntil(retryAt) }
+    };
+}
+
+/**
+ * Refuse the attempt before the password is checked if the account is locked or backing off
+ * @param {Object} account - users or super_admins row
+ * @returns {Object|null} { error, status, details } or null
+ */
+function accountBlock(account, policy) {
+    if (account.locked_until && new Date(account.locked_until) > new Date()) {
+        return {
+            error: 'This account is temporarily locked after too many failed sign-in attempts.',
+            status: 423,
+            details: { locked_until: account.locked_until, retry_after: secondsUntil(account.locked_until) }
+        };
+    }
+
+    const wait = backoffSeconds(account.failed_login_count || 0, policy);
+    if (wait > 0 && account.last_failed_login_at) {
+        const retryAt = new Date(new Date(account.last_failed_login_at).getTime() + wait * 1000);
+        if (retryAt > new Date()) {
+            return {
+                error: 'Too many failed sign-in attempts. Please wait before trying again.',
+                status: 429,
+                details: { retry_after: secondsUntil(retryAt) }
+            };
+        }
+    }
+
+    return null;
+}
+
+async function logAttempt(event, { subjectType = null, subjectId = null, companyId = null, loginId, succeeded }) {
+    await query(
+        `INSERT INTO login_attempts (subject_type, subject_id, company_id, login_id, ip_address, succeeded)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [subjectType, subjectId, companyId, loginId ? String(loginId).slice(0, 255) : null, getClientIp(event), succeeded]
+    );
+
+    // Opportunistic cleanup, like auth_rate_limits
+    if (Math.random() < 0.01) {
+        query(`DELETE FROM login_attempts WHERE created_at < NOW() - INTERVAL '90 days'`).catch(() => {});
+    }
+
+    if (succeeded) return;
+
+    // Audit an IP once, as it reaches the limit
+    const ip = getClientIp(event);
+    const recent = await query(
+        `SELECT COUNT(*)::int as failures FROM login_attempts
+         WHERE ip_address = $1 AND succeeded = false
+           AND created_at > CURRENT_TIMESTAMP - INTERVAL '${IP_FAILURE_WINDOW_MINUTES} minutes'`,
+        [ip]
+    );
+    if (recent.rows[0].failures === IP_FAILURE_LIMIT) {
+        await recordAudit(event, null, {
+            companyId,
+            action: 'login_ip_blocked',
+            entityType: 'ip_address',
+            entityId: null,
+            after: { ip_address: ip, failures: IP_FAILURE_LIMIT, window_minutes: IP_FAILURE_WINDOW_MINUTES, last_login_id: loginId }
+        });
+    }
+}
+
+/**
+ * A username/email that matched no account still counts against the IP
+ */
+async function recordUnknownLogin(event, loginId) {
+    await logAttempt(event, { loginId, succeeded: false });
+}
+
+/**
+ * Count a wrong password; locks the account (and emails its owner) once the policy says so
+ * @param {Object} attempt - { subjectType, account, companyId, loginId, policy, loginPath }
+ * @returns {Promise<Object|null>} the block now in force, or null
+ */
+async function recordLoginFailure(event, { subjectType, account, companyId = null, loginId, policy, loginPath }) {
+    const table = TABLES[subjectType];
+    await logAttempt(event, { subjectType, subjectId: account.id, companyId, loginId, succeeded: false });
+
+    const result = await query(
+        `UPDATE ${table}
+         SET failed_login_count = failed_login_count + 1, last_failed_login_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING failed_login_count, last_failed_login_at, locked_until`,
+        [account.id]
+    );
+    const updated = result.rows[0];
+    if (!updated) return null;
+
+    if (updated.failed_login_count < policy.max_failed_attempts) {
+        return accountBlock(updated, policy);
+    }
+
+    const minutes = lockoutMinutes(updated.failed_login_count, policy);
+    const locked = await query(
+        `UPDATE ${table} SET locked_until = CURRENT_TIMESTAMP + ($2 || ' minutes')::interval
+         WHERE id = $1
+         RETURNING failed_login_count, last_failed_login_at, locked_until`,
+        [account.id, String(minutes)]
+    );
+    const lockedRow = locked.rows[0];
+
+    await recordAudit(event, null, {
+        companyId,
+        action: 'account_locked',
+        entityType: subjectType,
+        entityId: account.id,
+        after: { failed_attempts: lockedRow.failed_login_count, locked_until: lockedRow.locked_until, lockout_minutes: minutes }
+    });
+
+    if (account.email) {
+        try {
+            await sendAccountLockedEmail(account, {
+                until: lockedRow.locked_until,
+                attempts: lockedRow.failed_login_count,
+                ip: getClientIp(event),
+                loginPath
+            });
+        } catch (err) {
+            console.error('Failed to send account locked email:', err);
+        }
+    }
+
+    return accountBlock(lockedRow, policy);
+}
+
+/**
+ * Right password: clear the failure count. Signing in right after a run of failures is audited.
+ * @param {Object} attempt - { subjectType, account, companyId, loginId, policy }
+ */
+async function recordLoginSuccess(event, { subjectType, account, companyId = null, loginId, policy }) {
+    const table = TABLES[subjectType];
+    await logAttempt(event, { subjectType, subjectId: account.id, companyId, loginId, succeeded: true });
+
+    const failures = account.failed_login_count || 0;
+    if (failures === 0) return;
+
+    await query(
+        `UPDATE ${table} SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = $1`,
+        [account.id]
+    );
+
+    if (failures >= policy.backoff_after) {
+        const principal = subjectType === 'super_admin'
+            ? { adminId: account.id, username: account.username }
+            : { userId: account.id, username: account.username };
+        await recordAudit(event, principal, {
+            companyId,
+            action: 'login_after_failures',
+            entityType: subjectType,
+            entityId: account.id,
+            after: { failed_attempts: failures, ip_address: getClientIp(event) }
+        });
+    }
+}
+
+/**
+ * Clear a lockout early (admin unlock, password reset)
+ * @returns {Promise<Object|null>} the row's id and former lockout, or null if not found
+ */
+async function unlockAccount(subjectType, id, companyId = null) {
+    const table = TABLES[subjectType];
+    const params = [id];
+    let scope = '';
+    if (companyId) {
+        params.push(companyId);
+        scope = ' AND company_id = $2';
+    }
+
+    const result = await query(
+        `UPDATE ${table} t SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+         FROM (SELECT id, failed_login_count, locked_until FROM ${table} WHERE id = $1${scope}) previous
+         WHERE t.id = previous.id
+         RETURNING t.id, previous.failed_login_count, previous.locked_until`,
+        params
+    );
+    return result.rows[0] || null;
+}
+
+module.exports = {
+    DEFAULT_LOGIN_PROTECTION,
+    SUPER_ADMIN_LOGIN_PROTECTION,
+    getLoginProtectionPolicy,
+    loginProtectionPolicyError,
+    checkLoginIp,
+    accountBlock,
+    recordUnknownLogin,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockAccount
+};
@@ -0,0 +1,357 @@
+// OpenID Connect single sign-on for enterprise tenants
+// Authorization code flow with PKCE (S256). Each company brings its own identity provider, configured in
+// companies.sso_config. The browser keeps state and posts it back with the code; the server keeps the
+// nonce and code verifier (oidc_login_requests), so an intercepted redirect can't be replayed elsewhere.
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const jwt = require('jsonwebtoken');
+const { query } = require('./db');
+const { hashToken } = require('./auth-tokens');
+const { encryptSecret, decryptSecret } = require('./two-factor');
+
+const APP_URL = process.env.APP_URL || 'https://www.routecrmpro.com';
+const SSO_PLANS = ['enterprise'];
+const LOGIN_REQUEST_TTL_MINUTES = 10;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 5000;
+const DEFAULT_SCOPES = 'openid email profile';
+// A provider on http://localhost, for local testing only; never set in production
+const ALLOW_LOCAL_PROVIDER = process.env.SSO_ALLOW_LOCALHOST === 'true';
+// Asymmetric only: an HS256 token signed with the client secret would prove nothing about the provider
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Discovery documents and key sets, per function instance
+const metadataCache = new Map();
+
+// Provider URLs are tenant input: never fetch loopback, private, link-local (cloud metadata) or other
+// non-public addresses
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function redirectUri(company) {
+    return `${APP_URL}/app.html?tenant=${company.subdomain}`;
+}
+
+function isSsoPlan(plan) {
+    return SSO_PLANS.includes(plan);
+}
+
+/**
+ * The company's SSO settings, or null when SSO isn't available or switched on
+ */
+function getSsoConfig(company) {
+    const config = company && company.sso_config;
+    if (!config || !config.enabled || !isSsoPlan(company.plan)) return null;
+    return config;
+}
+
+/**
+ * Settings safe to show tenant admins (never the client secret)
+ */
+function serializeSsoConfig(company) {
+    const config = company.sso_config || {};
+    return {
+        available: isSsoPlan(company.plan),
+        enabled: !!config.enabled,
+        issuer: config.issuer || '',
+        client_id: config.client_id || '',
+        has_client_secret: !!config.client_secret_encrypted,
+        scopes: config.scopes || DEFAULT_SCOPES,
+        role_claim: config.role_claim || '',
+        role_mapping: config.role_mapping || [],
+        default_role: config.default_role || null,
+        allowed_domains: config.allowed_domains || [],
+        enforce: !!config.enforce,
+        redirect_uri: redirectUri(company)
+    };
+}
+
+function isLocalUrl(url) {
+    return ALLOW_LOCAL_PROVIDER && url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+}
+
+// Throws unless url is https on a public address (or a local provider in development)
+async function checkProviderUrl(url) {
+    if (isLocalUrl(url)) return;
+    if (url.protocol !== 'https:') {
+        throw new Error(`${url.origin} does not use https`);
+    }
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname, family: net.isIP(hostname) }]
+        : await dns.lookup(hostname, { all: true });
+    for (const { address, family } of addresses) {
+        if (BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')) {
+            throw new Error(`${url.hostname} resolves to a non-public address`);
+        }
+    }
+}
+
+/**
+ * Check and normalize an SSO settings body against what is stored now
+ * @param {Object} input - body from PUT /data/sso
+ * @param {Object} current - stored sso_config (keeps the secret when none is sent)
+ * @returns {Object} { config } or { error }
+ */
+function buildSsoConfig(input, current = {}) {
+    let issuer;
+    try {
+        issuer = new URL(String(input.issuer || ''));
+    } catch (err) {
+        return { error: 'issuer must be a URL' };
+    }
+    // Plain http only for a provider running on this machine, with SSO_ALLOW_LOCALHOST set
+    if (issuer.protocol !== 'https:' && !isLocalUrl(issuer)) {
+        return { error: 'issuer must use https' };
+    }
+
+    if (!input.client_id) {
+        return { error: 'client_id required' };
+    }
+
+    const secretEncrypted = input.client_secret
+        ? encryptSecret(String(input.client_secret))
+        : current.client_secret_encrypted;
+    if (!secretEncrypted) {
+        return { error: 'client_secret required' };
+    }
+
+    const domains = Array.isArray(input.allowed_domains)
+        ? [...new Set(input.allowed_domains.map(d => String(d).trim().toLowerCase().replace(/^@/, '')).filter(Boolean))]
+        : [];
+    if (domains.length === 0) {
+        return { error: 'allowed_domains needs at least one email domain' };
+    }
+
+    const mapping = Array.isArray(input.role_mapping) ? input.role_mapping : [];
+    for (const entry of mapping) {
+        if (!entry || !entry.value || !entry.role) {
+            return { error: 'role_mapping entries need a claim value and a role' };
+        }
+    }
+
+    return {
+        config: {
+            enabled: input.enabled !== false,
+            issuer: issuer.toString().replace(/\/$/, ''),
+            client_id: String(input.client_id),
+            client_secret_encrypted: secretEncrypted,
+            scopes: input.scopes ? String(input.scopes) : DEFAULT_SCOPES,
+            role_claim: input.role_claim ? String(input.role_claim) : '',
+            role_mapping: mapping.map(entry => ({ value: String(entry.value), role: String(entry.role) })),
+            default_role: input.default_role || null,
+            allowed_domains: domains,
+            enforce: !!input.enforce
+        }
+    };
+}
+
+// Errors are for the server log; callers show the user a generic message
+async function fetchJson(url, options = {}) {
+    await checkProviderUrl(new URL(url));
+    // Redirects could lead to an address checkProviderUrl would refuse
+    const res = await fetch(url, { ...options, redirect: 'error', signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    const body = await res.json().catch(() => null);
+    if (!res.ok) {
+        throw new Error(`${url} returned ${res.status}`);
+    }
+    return body;
+}
+
+async function cached(key, load) {
+    const hit = metadataCache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.value;
+    const value = await load();
+    metadataCache.set(key, { value, expires: Date.now() + METADATA_CACHE_MS });
+    return value;
+}
+
+/**
+ * The provider's discovery document (/.well-known/openid-configuration)
+ */
+async function discover(issuer) {
+    return await cached(`discovery:${issuer}`, async () => {
+        const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+        if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+            throw new Error(`Discovery document is for issuer ${metadata.issuer}`);
+        }
+        return metadata;
+    });
+}
+
+async function signingKey(metadata, kid) {
+    const load = () => fetchJson(metadata.jwks_uri);
+    let jwks = await cached(`jwks:${metadata.jwks_uri}`, load);
+    let jwk = jwks.keys.find(k => kid ? k.kid === kid : k.use !== 'enc');
+
+    // Providers rotate keys; refetch once for a kid we haven't seen
+    if (!jwk && kid) {
+        jwks = await load();
+        metadataCache.set(`jwks:${metadata.jwks_uri}`, { value: jwks, expires: Date.now() + METADATA_CACHE_MS });
+        jwk = jwks.keys.find(k => k.kid === kid);
+    }
+    if (!jwk) {
+        throw new Error('No matching signing key for the id token');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Begin a sign-in: remember the nonce and PKCE verifier, and build the provider's authorization URL
+ * @returns {Promise<Object>} { authorizationUrl, state }
+ */
+async function startAuthorization(company) {
+    const config = getSsoConfig(company);
+    const metadata = await discover(config.issuer);
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(48));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await query(
+        `INSERT INTO oidc_login_requests (company_id, state_hash, nonce, code_verifier, expires_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' minutes')::interval)`,
+        [company.id, hashToken(state), nonce, codeVerifier, String(LOGIN_REQUEST_TTL_MINUTES)]
+    );
+
+    // Opportunistic cleanup, like auth_rate_limits
+    if (Math.random() < 0.05) {
+        query(`DELETE FROM oidc_login_requests WHERE expires_at < NOW() - INTERVAL '1 day'`).catch(() => {});
+    }
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', config.client_id);
+    url.searchParams.set('redirect_uri', redirectUri(company));
+    url.searchParams.set('scope', config.scopes || DEFAULT_SCOPES);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { authorizationUrl: url.toString(), state };
+}
+
+/**
+ * Use up a pending sign-in
+ * @returns {Promise<Object|null>} { company_id, nonce, code_verifier }
+ */
+async function consumeLoginRequest(state) {
+    const result = await query(
+        `UPDATE oidc_login_requests SET used_at = CURRENT_TIMESTAMP
+         WHERE state_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING company_id, nonce, code_verifier`,
+        [hashToken(state)]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Trade the authorization code for tokens and verify the id token
+ * @returns {Promise<Object>} id token claims
+ */
+async function exchangeCode(company, request, code) {
+    const config = getSsoConfig(company);
+    const metadata = await discover(config.issuer);
+    const clientSecret = decryptSecret(config.client_secret_encrypted);
+
+    const tokens = await fetchJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json',
+            'Authorization': `Basic ${Buffer.from(`${encodeURIComponent(config.client_id)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`
+        },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri(company),
+            code_verifier: request.code_verifier
+        }).toString()
+    });
+
+    if (!tokens.id_token) {
+        throw new Error('Token response had no id_token');
+    }
+
+    const decoded = jwt.decode(tokens.id_token, { complete: true });
+    if (!decoded) {
+        throw new Error('id_token is not a JWT');
+    }
+
+    const key = await signingKey(metadata, decoded.header.kid);
+    const claims = jwt.verify(tokens.id_token, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: config.client_id,
+        clockTolerance: 60
+    });
+
+    if (claims.nonce !== request.nonce) {
+        throw new Error('id_token nonce does not match');
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== config.client_id) {
+        throw new Error('id_token was issued to another client');
+    }
+
+    return claims;
+}
+
+/**
+ * @returns {string|null} why these claims can't sign in to the company
+ */
+function claimsError(config, claims) {
+    const email = typeof claims.email === 'string' ? claims.email.toLowerCase() : '';
+    if (!claims.sub || !email) {
+        return 'Your identity provider did not share an email address';
+    }
+    if (claims.email_verified === false || claims.email_verified === 'false') {
+        return 'Your email address is not verified with your identity provider';
+    }
+    const domain = email.split('@')[1];
+    if (!config.allowed_domains.includes(domain)) {
+        return `Email addresses at ${domain} cannot sign in to this company`;
+    }
+    return null;
+}
+
+/**
+ * Role from the configured claim, first mapping entry wins
+ * @returns {Object} { role, mapped } - mapped is false when default_role (or nothing) applied
+ */
+function mapRole(config, claims) {
+    const raw = config.role_claim ? claims[config.role_claim] : undefined;
+    const values = (Array.isArray(raw) ? raw : raw === undefined || raw === null ? [] : [raw]).map(String);
+
+    const match = (config.role_mapping || []).find(entry => values.includes(entry.value));
+    if (match) {
+        return { role: match.role, mapped: true };
+    }
+    return { role: config.default_role || null, mapped: false };
+}
+
+module.exports = {
+    isSsoPlan,
+    getSsoConfig,
+    serializeSsoConfig,
+    buildSsoConfig,
+    discover,
+    startAuthorization,
+    consumeLoginRequest,
+    exchangeCode,
+    claimsError,
+    mapRole
+};
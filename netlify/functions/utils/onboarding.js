@@ -0,0 +1,74 @@
+// Onboarding checklist for new companies
+// Steps are detected from the company's own data and recorded in onboarding_steps the first
+// time they're seen, so deleting the first truck later doesn't reopen the step.
+
+const { query } = require('./db');
+
+// view is the tenant app screen that completes the step
+const ONBOARDING_STEPS = [
+    { key: 'first_dc', label: 'Add your first distribution center', hint: 'Use Find on Map so routes start from the right place', view: 'dcs' },
+    { key: 'first_truck', label: 'Add a truck', hint: 'Capacity is used to plan route loads', view: 'trucks' },
+    { key: 'first_driver', label: 'Add a driver', hint: 'Drivers are assigned to routes and trucks', view: 'drivers' },
+    { key: 'import_customers', label: 'Import your customers', hint: 'Upload a CSV or add them one at a time', view: 'customers' }
+];
+
+// One boolean per step; a DC only counts once its address has been geocoded
+async function detectSteps(companyId) {
+    const result = await query(
+        `SELECT
+            EXISTS(SELECT 1 FROM distribution_centers WHERE company_id = $1 AND lat IS NOT NULL AND lng IS NOT NULL) as first_dc,
+            EXISTS(SELECT 1 FROM trucks WHERE company_id = $1) as first_truck,
+            EXISTS(SELECT 1 FROM drivers WHERE company_id = $1) as first_driver,
+            EXISTS(SELECT 1 FROM customers WHERE company_id = $1) as import_customers`,
+        [companyId]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Checklist state for a company, recording any step reached since the last look
+ * @returns {Promise<Object>} { steps, completed_count, total_steps, complete, dismissed_at }
+ */
+async function getOnboarding(companyId) {
+    const recorded = await query(
+        'SELECT step, completed_at FROM onboarding_steps WHERE company_id = $1',
+        [companyId]
+    );
+    const completedAt = new Map(recorded.rows.map(row => [row.step, row.completed_at]));
+
+    if (completedAt.size < ONBOARDING_STEPS.length) {
+        const reached = await detectSteps(companyId);
+        for (const step of ONBOARDING_STEPS) {
+            if (!reached[step.key] || completedAt.has(step.key)) continue;
+            const result = await query(
+                `INSERT INTO onboarding_steps (company_id, step) VALUES ($1, $2)
+                 ON CONFLICT (company_id, step) DO UPDATE SET step = EXCLUDED.step
+                 RETURNING completed_at`,
+                [companyId, step.key]
+            );
+            completedAt.set(step.key, result.rows[0].completed_at);
+        }
+    }
+
+    const company = await query('SELECT onboarding_dismissed_at FROM companies WHERE id = $1', [companyId]);
+
+    const steps = ONBOARDING_STEPS.map(step => ({
+        ...step,
+        completed: completedAt.has(step.key),
+        completed_at: completedAt.get(step.key) || null
+    }));
+    const completedCount = steps.filter(step => step.completed).length;
+
+    return {
+        steps,
+        completed_count: completedCount,
+        total_steps: steps.length,
+        complete: completedCount === steps.length,
+        dismissed_at: company.rows[0]?.onboarding_dismissed_at || null
+    };
+}
+
+module.exports = {
+    ONBOARDING_STEPS,
+    getOnboarding
+};
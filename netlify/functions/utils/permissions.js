@@ -0,0 +1,238 @@
+// Permission registry and role bundles
+// Every tenant endpoint checks a named permission; roles are bundles of permissions.
+// Built-in roles use DEFAULT_ROLES unless the company has edited them (company_roles);
+// companies can also add custom roles there. users.role holds the role key.
+
+const { query } = require('./db');
+
+const PERMISSIONS = {
+    'dcs.view': 'View distribution centers',
+    'dcs.create': 'Create distribution centers',
+    'dcs.update': 'Edit distribution centers',
+    'dcs.delete': 'Delete distribution centers',
+    'dcs.temperatures': 'Record DC temperatures',
+
+    'trucks.view': 'View trucks',
+    'trucks.create': 'Create trucks',
+    'trucks.update': 'Edit trucks',
+    'trucks.delete': 'Delete trucks',
+    'trucks.gps': 'Report truck GPS positions',
+
+    'drivers.view': 'View drivers',
+    'drivers.create': 'Create drivers',
+    'drivers.update': 'Edit drivers',
+    'drivers.delete': 'Delete drivers',
+
+    'customers.view': 'View customers',
+    'customers.create': 'Create customers',
+    'customers.update': 'Edit customers',
+    'customers.delete': 'Delete customers',
+
+    'orders.view': 'View orders',
+    'orders.create': 'Create orders',
+    'orders.update': 'Edit orders',
+    'orders.delete': 'Delete orders',
+
+    'routes.view': 'View routes',
+    'routes.create': 'Create routes',
+    'routes.update': 'Edit routes',
+    'routes.delete': 'Delete routes',
+    'routes.stops': 'Add stops to routes',
+    'routes.optimize': 'Run route optimization',
+
+    'templates.view': 'View route templates',
+    'templates.create': 'Create route templates',
+    'templates.update': 'Edit route templates and their stops',
+    'templates.delete': 'Delete route templates',
+
+    'runs.view': 'View route runs',
+    'runs.create': 'Start route runs',
+    'runs.update': 'Edit route runs',
+    'runs.complete': 'Complete route runs',
+    'runs.deliver': 'Record deliveries on route run stops',
+
+    'receivables.view': 'View invoices, payments and aging',
+    'receivables.manage': 'Generate and void invoices, record payments',
+
+    'billing.manage': 'Manage the RouteCRMPro subscription and payment method',
+    'settings.manage': 'Edit company settings',
+    'audit.view': 'View the audit log',
+    'users.manage': 'Manage users',
+    'roles.manage': 'Manage roles and permissions',
+    'api_keys.manage': 'Create, rotate and revoke API keys'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const VIEW_ALL = ['dcs.view', 'trucks.view', 'drivers.view', 'customers.view', 'orders.view', 'routes.view', 'templates.view', 'runs.view'];
+
+const DEFAULT_ROLES = {
+    admin: {
+        name: 'Admin',
+        description: 'Full access, including users, roles, billing and settings',
+        permissions: ALL_PERMISSIONS
+    },
+    dispatch: {
+        name: 'Dispatch',
+        description: 'Plans routes and manages the fleet, customers and orders',
+        permissions: [
+            ...VIEW_ALL,
+            'dcs.temperatures',
+            'trucks.create', 'trucks.update', 'trucks.gps',
+            'drivers.create', 'drivers.update',
+            'customers.create', 'customers.update',
+            'orders.create', 'orders.update',
+            'routes.create', 'routes.update', 'routes.stops', 'routes.optimize',
+            'templates.create', 'templates.update',
+            'runs.create', 'runs.update', 'runs.complete', 'runs.deliver'
+        ]
+    },
+    driver: {
+        name: 'Driver',
+        description: 'Runs routes and records deliveries',
+        permissions: [
+            ...VIEW_ALL,
+            'trucks.gps',
+            'routes.update', 'routes.optimize',
+            'runs.create', 'runs.update', 'runs.complete', 'runs.deliver'
+        ]
+    },
+    accounting: {
+        name: 'Accounting',
+        description: 'Manages customers, orders and receivables',
+        permissions: [
+            ...VIEW_ALL,
+            'customers.create', 'customers.update',
+            'orders.create', 'orders.update',
+            'receivables.view', 'receivables.manage'
+        ]
+    },
+    payroll: {
+        name: 'Payroll',
+        description: 'Reviews drivers, routes and completed runs for pay',
+        permissions: ['dcs.view', 'trucks.view', 'drivers.view', 'routes.view', 'runs.view']
+    }
+};
+
+// Admin is locked to every permission so a company can't lock itself out
+const LOCKED_ROLES = ['admin'];
+
+/**
+ * Keep only known permissions, de-duplicated and in registry order
+ */
+function normalizePermissions(permissions) {
+    const requested = new Set(Array.isArray(permissions) ? permissions : []);
+    return ALL_PERMISSIONS.filter(p => requested.has(p));
+}
+
+/**
+ * Unknown permission names in a request body
+ */
+function unknownPermissions(permissions) {
+    return (Array.isArray(permissions) ? permissions : []).filter(p => !PERMISSIONS[p]);
+}
+
+/**
+ * Permissions granted to a role key in a company
+ */
+async function getRolePermissions(companyId, roleKey) {
+    if (LOCKED_ROLES.includes(roleKey)) {
+        return DEFAULT_ROLES[roleKey].permissions;
+    }
+
+    const result = await query(
+        'SELECT permissions FROM company_roles WHERE company_id = $1 AND key = $2',
+        [companyId, roleKey]
+    );
+    if (result.rows.length > 0) {
+        return normalizePermissions(result.rows[0].permissions);
+    }
+
+    return DEFAULT_ROLES[roleKey] ? DEFAULT_ROLES[roleKey].permissions : [];
+}
+
+/**
+ * Attach the user's permissions for this request (user.permissions).
+ * Looked up per request so role edits apply without signing in again.
+ */
+async function loadPermissions(user) {
+    user.permissions = await getRolePermissions(user.companyId, user.role);
+    return user;
+}
+
+function hasPermission(user, permission) {
+    return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+/**
+ * Built-in roles (with any company edits) followed by custom roles
+ */
+async function listRoles(companyId) {
+    const [rolesResult, countsResult] = await Promise.all([
+        query('SELECT * FROM company_roles WHERE company_id = $1 ORDER BY name', [companyId]),
+        query('SELECT role, COUNT(*)::int as count FROM users WHERE company_id = $1 GROUP BY role', [companyId])
+    ]);
+
+    const userCounts = {};
+    for (const row of countsResult.rows) {
+        userCounts[row.role] = row.count;
+    }
+    const stored = {};
+    for (const row of rolesResult.rows) {
+        stored[row.key] = row;
+    }
+
+    const builtIn = Object.entries(DEFAULT_ROLES).map(([key, role]) => {
+        const override = LOCKED_ROLES.includes(key) ? null : stored[key];
+        return {
+            key,
+            name: role.name,
+            description: role.description,
+            permissions: override ? normalizePermissions(override.permissions) : role.permissions,
+            built_in: true,
+            locked: LOCKED_ROLES.includes(key),
+            customized: !!override,
+            user_count: userCounts[key] || 0
+        };
+    });
+
+    const custom = rolesResult.rows
+        .filter(row => !DEFAULT_ROLES[row.key])
+        .map(row => ({
+            key: row.key,
+            name: row.name,
+            description: row.description,
+            permissions: normalizePermissions(row.permissions),
+            built_in: false,
+            locked: false,
+            customized: false,
+            user_count: userCounts[row.key] || 0
+        }));
+
+    return [...builtIn, ...custom];
+}
+
+/**
+ * Whether a role key can be assigned to users in this company
+ */
+async function roleExists(companyId, roleKey) {
+    if (DEFAULT_ROLES[roleKey]) return true;
+    const result = await query(
+        'SELECT 1 FROM company_roles WHERE company_id = $1 AND key = $2',
+        [companyId, roleKey]
+    );
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    PERMISSIONS,
+    DEFAULT_ROLES,
+    LOCKED_ROLES,
+    normalizePermissions,
+    unknownPermissions,
+    getRolePermissions,
+    loadPermissions,
+    hasPermission,
+    listRoles,
+    roleExists
+};
@@ -0,0 +1,48 @@
+// Rate limiting backed by Postgres (function instances don't share memory)
+
+const { query } = require('./db');
+
+// Client IP as seen by Netlify's edge
+function getClientIp(event) {
+    const headers = event.headers || {};
+    const forwarded = headers['x-nf-client-connection-ip'] || headers['x-forwarded-for'] || '';
+    return forwarded.split(',')[0].trim() || 'unknown';
+}
+
+/**
+ * Count a hit against a fixed window and report whether it's within the limit
+ * @param {string} bucket - e.g. `forgot-password:ip:${ip}`
+ * @param {number} limit - Max hits per window
+ * @param {number} windowSeconds - Window length
+ * @returns {Promise<Object>} { allowed, count, limit, retryAfter }
+ */
+async function checkRateLimit(bucket, limit, windowSeconds) {
+    const windowMs = windowSeconds * 1000;
+    const windowStart = new Date(Math.floor(Date.now() / windowMs) * windowMs);
+
+    const result = await query(
+        `INSERT INTO auth_rate_limits (bucket, window_start, count)
+         VALUES ($1, $2, 1)
+         ON CONFLICT (bucket, window_start) DO UPDATE SET count = auth_rate_limits.count + 1
+         RETURNING count`,
+        [bucket, windowStart]
+    );
+
+    // Opportunistic cleanup of old windows
+    if (Math.random() < 0.01) {
+        query(`DELETE FROM auth_rate_limits WHERE window_start < NOW() - INTERVAL '1 day'`).catch(() => {});
+    }
+
+    const count = result.rows[0].count;
+    return {
+        allowed: count <= limit,
+        count,
+        limit,
+        retryAfter: Math.ceil((windowStart.getTime() + windowMs - Date.now()) / 1000)
+    };
+}
+
+module.exports = {
+    getClientIp,
+    checkRateLimit
+};
@@ -2,24 +2,7 @@
 // Algorithms: Nearest Neighbor + 2-Opt Improvement
 // Includes fuel costs, mileage, and time estimates
 
-/**
- * Calculate distance between two points using Haversine formula
- * Returns distance in miles
- */
-function haversineDistance(lat1, lng1, lat2, lng2) {
-    const R = 3959; // Earth's radius in miles
-    const dLat = toRad(lat2 - lat1);
-    const dLng = toRad(lng2 - lng1);
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-              Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-}
-
-function toRad(deg) {
-    return deg * (Math.PI / 180);
-}
+const { haversineDistance, getDistanceMatrix, getDistanceSettings } = require('./distance');
 
 /**
  * Calculate total route distance
@@ -47,9 +30,9 @@ function calculateRouteDistance(stops, depot) {
 }
 
 /**
- * Build distance matrix between all points
+ * Straight-line distance matrix between all points (sync, used by the object-based helpers)
  */
-function buildDistanceMatrix(points) {
+function haversineMatrix(points) {
     const n = points.length;
     const matrix = Array(n).fill(null).map(() => Array(n).fill(0));
     
@@ -64,6 +47,24 @@ function buildDistanceMatrix(points) {
     return matrix;
 }
 
+/**
+ * Road distance matrix (miles) between points using the company's distance provider
+ * @param {Array} points - [{lat, lng}], depot first by convention
+ * @param {Object} companySettings - companies.settings (reads settings.distance)
+ * @returns {Promise<Array>} n x n matrix in miles
+ */
+async function buildDistanceMatrix(points, companySettings = {}) {
+    const { matrix } = await getDistanceMatrix(points, getDistanceSettings(companySettings));
+    return matrix;
+}
+
+/**
+ * Rows/columns of a matrix for the given indexes, in that order
+ */
+function subMatrix(matrix, indexes) {
+    return indexes.map(i => indexes.map(j => matrix[i][j]));
+}
+
 /**
  * Nearest Neighbor Algorithm
  * Greedy algorithm that always visits the nearest unvisited stop
@@ -76,7 +77,7 @@ function nearestNeighbor(stops, depot) {
     
     // Add depot as first point (index 0)
     const allPoints = [depot, ...stops];
-    const distMatrix = buildDistanceMatrix(allPoints);
+    const distMatrix = haversineMatrix(allPoints);
     
     const n = stops.length;
     const visited = new Set([0]); // Start at depot (index 0)
@@ -372,11 +373,580 @@ function clusterStops(stops, numClusters) {
     return clusters.filter(c => c.length > 0);
 }
 
+/**
+ * Max safe product load for a truck, limited by both tank size and weight
+ * GVWR - empty weight - fuel weight = payload available for product
+ * @param {Object} truck - Row from trucks table
+ * @returns {Object} Load breakdown including max_safe_load_gallons
+ */
+function truckLoadCapacity(truck) {
+    const emptyWeight = parseFloat(truck.empty_weight) || 0;
+    const gvwr = parseFloat(truck.gvwr) || 26000;
+    const fuelGallons = parseFloat(truck.current_fuel_gallons) || parseFloat(truck.fuel_tank_capacity) || 100;
+    const dieselWeight = fuelGallons * (parseFloat(truck.diesel_weight_per_gallon) || 7.1);
+    const productWeightPerGal = parseFloat(truck.product_weight_per_gallon) || 4.2;
+    const tankCapacity = parseInt(truck.capacity_gallons) || 3000;
+
+    const availablePayload = gvwr - emptyWeight - dieselWeight;
+    const maxProductGallons = Math.max(0, Math.floor(availablePayload / productWeightPerGal));
+    const safeLoadGallons = Math.min(maxProductGallons, tankCapacity);
+
+    return {
+        empty_weight: emptyWeight,
+        gvwr: gvwr,
+        fuel_weight: Math.round(dieselWeight),
+        available_payload: Math.round(availablePayload),
+        product_weight_per_gallon: productWeightPerGal,
+        tank_capacity: tankCapacity,
+        max_safe_load_gallons: safeLoadGallons,
+        max_product_weight: Math.round(safeLoadGallons * productWeightPerGal),
+        total_loaded_weight: Math.round(emptyWeight + dieselWeight + (safeLoadGallons * productWeightPerGal))
+    };
+}
+
+/**
+ * Clarke-Wright savings algorithm with a single capacity limit
+ * @param {Array} stops - Stops with lat, lng, demand (gallons)
+ * @param {Object} depot - {lat, lng}
+ * @param {number} capacity - Max gallons per route
+ * @param {Array} distanceMatrix - Optional matrix over [depot, ...stops]; straight line if omitted
+ * @returns {Array} Routes, each an ordered array of stops
+ */
+function savingsRoutes(stops, depot, capacity, distanceMatrix = null) {
+    const dist = distanceMatrix || haversineMatrix([depot, ...stops]);
+    const n = stops.length;
+
+    // Every stop starts on its own out-and-back route
+    const routeOf = new Array(n + 1);
+    const routes = new Map();
+    for (let i = 1; i <= n; i++) {
+        routes.set(i, { id: i, nodes: [i], load: stops[i - 1].demand || 0 });
+        routeOf[i] = i;
+    }
+
+    const savings = [];
+    for (let i = 1; i <= n; i++) {
+        for (let j = i + 1; j <= n; j++) {
+            savings.push({ i, j, value: dist[0][i] + dist[0][j] - dist[i][j] });
+        }
+    }
+    savings.sort((a, b) => b.value - a.value);
+
+    for (const { i, j, value } of savings) {
+        if (value <= 0) break;
+
+        const a = routes.get(routeOf[i]);
+        const b = routes.get(routeOf[j]);
+        if (a === b || a.load + b.load > capacity) continue;
+
+        // i and j must both be route ends to link them
+        const aEnd = a.nodes[a.nodes.length - 1] === i ? 'tail' : (a.nodes[0] === i ? 'head' : null);
+        const bEnd = b.nodes[b.nodes.length - 1] === j ? 'tail' : (b.nodes[0] === j ? 'head' : null);
+        if (!aEnd || !bEnd) continue;
+
+        // Orient so the merge is a.tail -> b.head
+        const left = aEnd === 'tail' ? a.nodes : [...a.nodes].reverse();
+        const right = bEnd === 'head' ? b.nodes : [...b.nodes].reverse();
+
+        a.nodes = [...left, ...right];
+        a.load += b.load;
+        for (const node of b.nodes) routeOf[node] = a.id;
+        routes.delete(b.id);
+    }
+
+    return [...routes.values()].map(r => r.nodes.map(idx => stops[idx - 1]));
+}
+
+/**
+ * Capacitated vehicle routing across a fleet
+ * Builds savings routes against the largest free truck, gives the heaviest one to the
+ * smallest truck that can carry it, and repeats for whatever is left over.
+ * Stop order within each route is left to planRoute().
+ * @param {Array} stops - Stops with lat, lng, demand (gallons)
+ * @param {Object} depot - Distribution center {lat, lng}
+ * @param {Array} vehicles - [{ id, capacity, ... }]
+ * @param {Array} distanceMatrix - Optional matrix over [depot, ...stops]; straight line if omitted
+ * @returns {Object} { routes: [{ vehicle, stops, load, distance }], unassigned: [{ stop, reason }] }
+ */
+function solveFleetRoutes(stops, depot, vehicles, distanceMatrix = null) {
+    const matrix = distanceMatrix || haversineMatrix([depot, ...stops]);
+    const matrixIndex = new Map(stops.map((stop, i) => [stop, i + 1]));
+    const unassigned = [];
+    const available = [...vehicles].filter(v => v.capacity > 0).sort((a, b) => b.capacity - a.capacity);
+    const maxCapacity = available.length > 0 ? available[0].capacity : 0;
+
+    let remaining = [];
+    for (const stop of stops) {
+        if (!stop.lat || !stop.lng) {
+            unassigned.push({ stop, reason: 'missing_coordinates' });
+        } else if ((stop.demand || 0) > maxCapacity) {
+            unassigned.push({ stop, reason: 'exceeds_truck_capacity' });
+        } else {
+            remaining.push(stop);
+        }
+    }
+
+    const routes = [];
+
+    while (remaining.length > 0 && available.length > 0) {
+        // Heaviest savings route for the largest free truck; the rest is re-planned next pass
+        const remainingMatrix = subMatrix(matrix, [0, ...remaining.map(s => matrixIndex.get(s))]);
+        const candidate = savingsRoutes(remaining, depot, available[0].capacity, remainingMatrix)
+            .map(routeStops => ({ stops: routeStops, load: routeStops.reduce((sum, s) => sum + (s.demand || 0), 0) }))
+            .sort((a, b) => b.load - a.load)[0];
+
+        // Best fit: smallest free truck that can carry the whole route
+        let best = 0;
+        for (let k = 0; k < available.length; k++) {
+            if (available[k].capacity >= candidate.load) best = k;
+        }
+
+        const vehicle = available.splice(best, 1)[0];
+        const path = [0, ...candidate.stops.map(s => matrixIndex.get(s)), 0];
+        let distance = 0;
+        for (let k = 0; k < path.length - 1; k++) {
+            distance += matrix[path[k]][path[k + 1]];
+        }
+
+        routes.push({
+            vehicle,
+            stops: candidate.stops,
+            load: candidate.load,
+            distance
+        });
+
+        const used = new Set(candidate.stops);
+        remaining = remaining.filter(s => !used.has(s));
+    }
+
+    for (const stop of remaining) {
+        unassigned.push({ stop, reason: 'no_truck_available' });
+    }
+
+    return { routes, unassigned };
+}
+
+// =====================================================
+// TIME WINDOWS & SCHEDULING
+// Matrix-based: index 0 is the depot, routes are [0, ...stops, 0]
+// =====================================================
+
+const DEFAULT_TIME_WINDOWS = {
+    mode: 'soft',                 // soft: lateness is penalized, hard: lateness is not allowed
+    soft_penalty: 3,              // cost of one minute late, in minutes of driving
+    default_start_time: '08:00',
+    morning: { start: '08:00', end: '12:00' },
+    afternoon: { start: '12:00', end: '17:00' }
+};
+
+/**
+ * Parse 'HH:MM' or 'HH:MM:SS' into minutes after midnight
+ */
+function parseTimeOfDay(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const match = String(value).match(/^(\d{1,2}):(\d{2})/);
+    if (!match) return null;
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Format minutes after midnight as 'HH:MM' (wraps past midnight)
+ */
+function formatTimeOfDay(minutes) {
+    const total = ((Math.round(minutes) % 1440) + 1440) % 1440;
+    const h = Math.floor(total / 60);
+    const m = total % 60;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * Merge companies.settings.time_windows over the defaults
+ */
+function getTimeWindowSettings(companySettings = {}) {
+    const custom = (companySettings && companySettings.time_windows) || {};
+    return {
+        ...DEFAULT_TIME_WINDOWS,
+        ...custom,
+        mode: custom.mode === 'hard' ? 'hard' : 'soft',
+        morning: { ...DEFAULT_TIME_WINDOWS.morning, ...(custom.morning || {}) },
+        afternoon: { ...DEFAULT_TIME_WINDOWS.afternoon, ...(custom.afternoon || {}) }
+    };
+}
+
+/**
+ * Resolve a location's delivery window to { name, start, end } in minutes, or null for anytime
+ */
+function resolveWindow(location, timeWindows) {
+    const name = location.delivery_window;
+    if (!name || name === 'anytime' || !timeWindows[name]) return null;
+    const start = parseTimeOfDay(timeWindows[name].start);
+    const end = parseTimeOfDay(timeWindows[name].end);
+    if (start === null || end === null) return null;
+    return { name, start, end };
+}
+
+// Normalize caller options ({ startTime, avgSpeed, serviceMinutes, timeWindows }) for the scheduler
+function buildScheduleOptions(options = {}) {
+    const timeWindows = options.timeWindows || getTimeWindowSettings();
+    return {
+        startMinutes: parseTimeOfDay(options.startTime) ?? parseTimeOfDay(timeWindows.default_start_time) ?? 480,
+        avgSpeed: options.avgSpeed || 35,
+        serviceMinutes: options.serviceMinutes ?? 20,
+        timeWindows
+    };
+}
+
+function walkSchedule(route, distanceMatrix, locations, options) {
+    const { startMinutes, avgSpeed, serviceMinutes, timeWindows } = options;
+
+    let clock = startMinutes;
+    let miles = 0;
+    let driveMinutes = 0;
+    let waitMinutes = 0;
+    let totalService = 0;
+    let lateMinutes = 0;
+    const stops = [];
+    const violations = [];
+
+    for (let k = 1; k < route.length; k++) {
+        const from = route[k - 1];
+        const to = route[k];
+        const legMiles = distanceMatrix[from][to];
+        const legMinutes = (legMiles / avgSpeed) * 60;
+        miles += legMiles;
+        driveMinutes += legMinutes;
+        clock += legMinutes;
+
+        if (to === 0) break; // Back at the depot
+
+        const location = locations[to];
+        const window = resolveWindow(location, timeWindows);
+        const arrival = clock;
+        let wait = 0;
+        let late = 0;
+
+        if (window) {
+            if (arrival < window.start) wait = window.start - arrival;
+            if (arrival > window.end) late = arrival - window.end;
+        }
+
+        const service = parseInt(location.service_minutes) || serviceMinutes;
+        clock = arrival + wait + service;
+        waitMinutes += wait;
+        totalService += service;
+        lateMinutes += late;
+
+        const stop = {
+            index: to,
+            stop_number: stops.length + 1,
+            arrival_minutes: Math.round(arrival),
+            estimated_arrival: formatTimeOfDay(arrival + wait),
+            wait_minutes: Math.round(wait),
+            service_minutes: service,
+            departure: formatTimeOfDay(clock),
+            window: window ? { name: window.name, start: formatTimeOfDay(window.start), end: formatTimeOfDay(window.end) } : null,
+            late_minutes: Math.round(late)
+        };
+        stops.push(stop);
+
+        if (late > 0.5) {
+            violations.push({
+                index: to,
+                stop_number: stop.stop_number,
+                id: location.id,
+                order_id: location.order_id,
+                name: location.name,
+                window: stop.window,
+                estimated_arrival: formatTimeOfDay(arrival),
+                late_minutes: Math.round(late)
+            });
+        }
+    }
+
+    return {
+        stops,
+        violations,
+        start_time: formatTimeOfDay(startMinutes),
+        end_time: formatTimeOfDay(clock),
+        miles,
+        drive_minutes: Math.round(driveMinutes),
+        wait_minutes: Math.round(waitMinutes),
+        service_minutes: totalService,
+        late_minutes: Math.round(lateMinutes),
+        total_minutes: Math.round(clock - startMinutes)
+    };
+}
+
+/**
+ * Walk a route and compute arrival times, waiting and lateness at every stop
+ * @param {Array} route - Location indexes, [0, ...stops, 0]
+ * @param {Array} distanceMatrix - Miles between locations
+ * @param {Array} locations - Depot first; stops may carry delivery_window and service_minutes
+ * @param {Object} options - { startTime ('HH:MM'), avgSpeed, serviceMinutes, timeWindows }
+ */
+function scheduleRoute(route, distanceMatrix, locations, options = {}) {
+    return walkSchedule(route, distanceMatrix, locations, buildScheduleOptions(options));
+}
+
+// Single number to minimize. Hard mode ranks any lateness above all driving time.
+function scheduleCost(schedule, timeWindows) {
+    const timeCost = schedule.drive_minutes + schedule.wait_minutes;
+    if (timeWindows.mode === 'hard') {
+        return schedule.violations.length * 1e9 + schedule.late_minutes * 1e5 + timeCost;
+    }
+    return timeCost + schedule.late_minutes * timeWindows.soft_penalty;
+}
+
+/**
+ * Time-aware nearest neighbor: next stop is the one we can start serving soonest,
+ * with lateness penalized
+ */
+function timeAwareNearestNeighbor(distanceMatrix, locations, options) {
+    const { startMinutes, avgSpeed, serviceMinutes, timeWindows } = options;
+    const latePenalty = timeWindows.mode === 'hard' ? 1e5 : timeWindows.soft_penalty;
+    const unvisited = new Set(locations.map((_, i) => i).filter(i => i !== 0));
+    const route = [0];
+    let current = 0;
+    let clock = startMinutes;
+
+    while (unvisited.size > 0) {
+        let best = -1;
+        let bestScore = Infinity;
+        let bestClock = clock;
+
+        for (const j of unvisited) {
+            const arrival = clock + (distanceMatrix[current][j] / avgSpeed) * 60;
+            const window = resolveWindow(locations[j], timeWindows);
+            const start = window ? Math.max(arrival, window.start) : arrival;
+            const late = window ? Math.max(0, arrival - window.end) : 0;
+            // Slight preference for windows that close soon
+            const urgency = window ? Math.max(0, window.end - arrival) * 0.05 : 0;
+            const score = (start - clock) + late * latePenalty + urgency;
+            if (score < bestScore) {
+                bestScore = score;
+                best = j;
+                bestClock = start + (parseInt(locations[j].service_minutes) || serviceMinutes);
+            }
+        }
+
+        route.push(best);
+        unvisited.delete(best);
+        current = best;
+        clock = bestClock;
+    }
+
+    route.push(0);
+    return route;
+}
+
+/**
+ * Plain distance nearest neighbor over a matrix, returning [0, ...stops, 0]
+ */
+function matrixNearestNeighbor(distanceMatrix) {
+    const n = distanceMatrix.length;
+    const visited = new Set([0]);
+    const route = [0];
+    let current = 0;
+
+    while (visited.size < n) {
+        let nearest = -1;
+        let nearestDist = Infinity;
+        for (let i = 1; i < n; i++) {
+            if (!visited.has(i) && distanceMatrix[current][i] < nearestDist) {
+                nearest = i;
+                nearestDist = distanceMatrix[current][i];
+            }
+        }
+        visited.add(nearest);
+        route.push(nearest);
+        current = nearest;
+    }
+
+    route.push(0);
+    return route;
+}
+
+// Nearest stops considered when looking for improving moves; the rest are too far away to help
+const NEIGHBOUR_COUNT = 15;
+
+// Per-location windows and service times, resolved once for the improvement pass
+function scheduleContext(distanceMatrix, locations, options) {
+    const { serviceMinutes, timeWindows } = options;
+    const n = locations.length;
+    return {
+        windows: locations.map(location => resolveWindow(location, timeWindows)),
+        service: locations.map(location => parseInt(location.service_minutes) || serviceMinutes),
+        neighbours: locations.map((_, a) => locations
+            .map((__, b) => b)
+            .filter(b => b !== a && b !== 0)
+            .sort((x, y) => distanceMatrix[a][x] - distanceMatrix[a][y])
+            .slice(0, Math.min(NEIGHBOUR_COUNT, n - 1)))
+    };
+}
+
+// Running totals after serving each position of the route, so a move only re-walks from where it changes
+function schedulePrefix(route, distanceMatrix, options, context) {
+    const states = [{ clock: options.startMinutes, drive: 0, wait: 0, late: 0, violations: 0 }];
+    for (let k = 1; k < route.length; k++) {
+        states.push(advanceSchedule(states[k - 1], route[k - 1], route[k], distanceMatrix, options, context));
+    }
+    return states;
+}
+
+function advanceSchedule(state, from, to, distanceMatrix, options, context) {
+    const legMinutes = (distanceMatrix[from][to] / options.avgSpeed) * 60;
+    const arrival = state.clock + legMinutes;
+    if (to === 0) {
+        return { ...state, clock: arrival, drive: state.drive + legMinutes };
+    }
+    const window = context.windows[to];
+    const wait = window && arrival < window.start ? window.start - arrival : 0;
+    const late = window && arrival > window.end ? arrival - window.end : 0;
+    return {
+        clock: arrival + wait + context.service[to],
+        drive: state.drive + legMinutes,
+        wait: state.wait + wait,
+        late: state.late + late,
+        violations: state.violations + (late > 0.5 ? 1 : 0)
+    };
+}
+
+// scheduleCost() of a candidate route that matches the current one before position `from`
+function candidateCost(candidate, from, prefix, distanceMatrix, options, context) {
+    let state = prefix[from - 1];
+    for (let k = from; k < candidate.length; k++) {
+        state = advanceSchedule(state, candidate[k - 1], candidate[k], distanceMatrix, options, context);
+    }
+    return scheduleCost({
+        drive_minutes: Math.round(state.drive),
+        wait_minutes: Math.round(state.wait),
+        late_minutes: Math.round(state.late),
+        violations: { length: state.violations }
+    }, options.timeWindows);
+}
+
+/**
+ * Improve a route with 2-opt and single-stop relocation, judged on the full schedule
+ * (so moves that break a window are rejected or penalized).
+ * Only moves that bring a stop next to one of its nearest neighbours are tried, and each is
+ * costed from the first changed position, which keeps large routes well under a second.
+ */
+function improveSchedule(route, distanceMatrix, locations, options, maxIterations = 50) {
+    const context = scheduleContext(distanceMatrix, locations, options);
+
+    let best = [...route];
+    let prefix = schedulePrefix(best, distanceMatrix, options, context);
+    let bestCost = candidateCost(best, best.length - 1, prefix, distanceMatrix, options, context);
+    let position = [];
+    let improved = true;
+    let iterations = 0;
+
+    const indexRoute = () => {
+        position = [];
+        for (let k = 1; k < best.length - 1; k++) position[best[k]] = k;
+    };
+    const tryMove = (candidate, from) => {
+        const cost = candidateCost(candidate, from, prefix, distanceMatrix, options, context);
+        if (cost < bestCost - 0.001) {
+            best = candidate;
+            bestCost = cost;
+            prefix = schedulePrefix(best, distanceMatrix, options, context);
+            indexRoute();
+            improved = true;
+        }
+    };
+
+    indexRoute();
+    while (improved && iterations < maxIterations) {
+        improved = false;
+        iterations++;
+
+        // 2-opt: reverse best[i..j] so best[i - 1] is followed by a neighbour, or best[i] is
+        for (let i = 1; i < best.length - 2; i++) {
+            const ends = new Set();
+            for (const c of context.neighbours[best[i - 1]]) ends.add(position[c]);
+            for (const c of context.neighbours[best[i]]) ends.add(position[c] - 1);
+            for (const j of ends) {
+                if (!(j > i && j < best.length - 1)) continue;
+                tryMove([...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)], i);
+            }
+        }
+
+        // Relocate: move one stop next to one of its neighbours
+        for (let i = 1; i < best.length - 1; i++) {
+            const node = best[i];
+            for (const c of context.neighbours[node]) {
+                const at = position[c] > i ? position[c] - 1 : position[c];
+                for (const j of [at, at + 1]) {
+                    if (j === i || j < 1 || j > best.length - 2) continue;
+                    const candidate = [...best];
+                    candidate.splice(i, 1);
+                    candidate.splice(j, 0, node);
+                    tryMove(candidate, Math.min(i, j));
+                    if (best[i] !== node) break;
+                }
+                if (best[i] !== node) break;
+            }
+        }
+    }
+
+    return { route: best, iterations };
+}
+
+/**
+ * Order stops honoring delivery windows and service times
+ * @param {Array} distanceMatrix - Miles, index 0 is the depot
+ * @param {Array} locations - Depot first; stops may carry delivery_window and service_minutes
+ * @param {Object} options - { startTime ('HH:MM'), avgSpeed, serviceMinutes, timeWindows }
+ * @returns {Object} { route, schedule, iterations, feasible }
+ */
+function planRoute(distanceMatrix, locations, options = {}) {
+    const opts = buildScheduleOptions(options);
+
+    if (locations.length <= 1) {
+        const route = [0, 0];
+        return { route, schedule: walkSchedule(route, distanceMatrix, locations, opts), iterations: 0, feasible: true };
+    }
+
+    // Try a distance-first and a time-first start, keep whichever improves to the lower cost
+    const seeds = [
+        matrixNearestNeighbor(distanceMatrix),
+        timeAwareNearestNeighbor(distanceMatrix, locations, opts)
+    ];
+
+    let best = null;
+    for (const seed of seeds) {
+        const { route, iterations } = improveSchedule(seed, distanceMatrix, locations, opts);
+        const schedule = walkSchedule(route, distanceMatrix, locations, opts);
+        const cost = scheduleCost(schedule, opts.timeWindows);
+        if (!best || cost < best.cost) {
+            best = { route, schedule, iterations, cost };
+        }
+    }
+
+    return {
+        route: best.route,
+        schedule: best.schedule,
+        iterations: best.iterations,
+        feasible: best.schedule.violations.length === 0
+    };
+}
+
 module.exports = {
     haversineDistance,
     calculateRouteDistance,
     nearestNeighbor,
     twoOptImprove,
     optimizeRoute,
-    clusterStops
+    clusterStops,
+    buildDistanceMatrix,
+    subMatrix,
+    truckLoadCapacity,
+    savingsRoutes,
+    solveFleetRoutes,
+    getTimeWindowSettings,
+    parseTimeOfDay,
+    formatTimeOfDay,
+    scheduleRoute,
+    planRoute
 };
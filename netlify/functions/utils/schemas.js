@@ -0,0 +1,356 @@
+// Request schemas for the tenant entities (see ./validation for the field spec)
+// Lengths follow the column sizes in sql/schema.sql, sql/enhanced-profiles.sql and sql/truck-fields-migration.sql.
+// Defaults are what a create gets when the field is left out.
+
+const text = (max, extra = {}) => ({ type: 'string', max, ...extra });
+const required = (max) => text(max, { required: true });
+const integer = (extra = {}) => ({ type: 'integer', min: 0, ...extra });
+const number = (extra = {}) => ({ type: 'number', ...extra });
+const money = (extra = {}) => number({ min: 0, ...extra });
+const flag = (defaultValue) => ({ type: 'boolean', ...(defaultValue !== undefined && { default: defaultValue }) });
+const date = { type: 'date' };
+const timestamp = { type: 'timestamp' };
+const id = { type: 'uuid' };
+const oneOf = (values, defaultValue) => ({ type: 'enum', values, ...(defaultValue !== undefined && { default: defaultValue }) });
+
+const lat = number({ min: -90, max: 90 });
+const lng = number({ min: -180, max: 180 });
+const percent = number({ min: 0, max: 100 });
+
+const ADDRESS = {
+    address: text(),
+    city: text(100),
+    state: text(50),
+    zip: text(20)
+};
+
+const DISTRIBUTION_CENTER = {
+    code: required(20),
+    name: required(255),
+    ...ADDRESS,
+    phone: text(20),
+    lat,
+    lng,
+    manager_name: text(255),
+    capacity_gallons: integer({ default: 50000 }),
+    status: oneOf(['active', 'inactive'], 'active')
+};
+
+// Columns every trucks table has; the rest come from the enhanced-profile migrations
+const TRUCK_BASE = {
+    dc_id: id,
+    code: required(20),
+    name: text(100),
+    make: text(50),
+    model: text(50),
+    year: integer({ min: 1900, max: 2100 }),
+    vin: text(50),
+    license_plate: text(20),
+    capacity_gallons: integer({ default: 3000 }),
+    mpg: money({ default: 8 }),
+    current_lat: lat,
+    current_lng: lng,
+    status: oneOf(['active', 'maintenance', 'inactive'], 'active')
+};
+
+const TRUCK_ENHANCED = {
+    assigned_driver_id: id,
+    // Weights (lbs)
+    empty_weight: integer(),
+    gvwr: integer(),
+    gcwr: integer(),
+    max_payload: integer(),
+    front_axle_weight: integer(),
+    rear_axle_weight: integer(),
+    axle_configuration: text(20),
+    // Tank
+    tank_capacity_gallons: integer(),
+    tank_material: text(50),
+    tank_last_inspection: date,
+    tank_next_inspection: date,
+    tank_certification: text(50),
+    tank_manufacturer: text(255),
+    tank_serial_number: text(100),
+    tank_manufacture_date: date,
+    working_pressure_psi: integer(),
+    // Product and fuel
+    product_type: text(50, { default: 'propane' }),
+    product_weight_per_gallon: money({ default: 4.2 }),
+    fuel_tank_capacity: integer(),
+    fuel_type: text(20, { default: 'diesel' }),
+    diesel_weight_per_gallon: money({ default: 7.1 }),
+    avg_mpg: money(),
+    cost_per_mile: money(),
+    def_tank_capacity: integer(),
+    // Pump and meter
+    has_pump: flag(true),
+    pump_type: text(50),
+    meter_type: text(50),
+    meter_serial_number: text(100),
+    meter_last_calibration: date,
+    meter_next_calibration: date,
+    // DOT and registration
+    dot_number: text(20),
+    mc_number: text(20),
+    registration_number: text(100),
+    registration_state: text(2),
+    registration_expiration: { ...date, alias: 'registration_expiry' },
+    last_dot_inspection: date,
+    next_dot_inspection: date,
+    dot_inspection_status: text(20),
+    inspection_decal_number: text(100),
+    ifta_account: text(100),
+    irp_account: text(100),
+    // Insurance
+    insurance_policy_number: text(100),
+    insurance_provider: text(255),
+    insurance_expiration: date,
+    liability_coverage: money(),
+    cargo_coverage: money(),
+    // Maintenance
+    last_oil_change: date,
+    last_oil_change_miles: integer(),
+    next_oil_change_miles: integer(),
+    oil_change_interval_miles: integer({ default: 15000 }),
+    last_service_date: date,
+    last_service_mileage: integer(),
+    next_service_date: date,
+    next_service_mileage: integer(),
+    current_odometer: integer({ alias: 'odometer' }),
+    total_hours: money(),
+    tire_size: text(50),
+    tire_type: text(50),
+    tire_last_replaced: date,
+    // Telematics and equipment
+    telematics_device_id: text(100),
+    telematics_provider: text(100),
+    has_lift_gate: flag(false),
+    has_pto_pump: flag(false),
+    has_gps_tracker: flag(true),
+    has_dash_cam: flag(false),
+    has_eld: flag(true),
+    eld_provider: text(100),
+    eld_serial_number: text(100),
+    // Financials
+    purchase_date: date,
+    purchase_price: money(),
+    current_value: money(),
+    monthly_payment: money(),
+    monthly_insurance: money(),
+    notes: text()
+};
+
+// PUT /trucks/:id/gps position pings
+const TRUCK_GPS = {
+    lat: { ...lat, required: true },
+    lng: { ...lng, required: true },
+    speed: money({ default: 0 }),
+    heading: integer({ max: 360, default: 0 })
+};
+
+const DRIVER = {
+    dc_id: id,
+    code: required(20),
+    name: required(255),
+    email: { type: 'email', max: 255 },
+    phone: text(20),
+    // License and endorsements
+    license_number: text(50),
+    license_state: text(50),
+    license_expiry: date,
+    cdl_class: text(10),
+    cdl_number: text(50),
+    cdl_state: text(2),
+    cdl_endorsements: text(50),
+    hazmat_certified: flag(false),
+    hazmat_endorsed: flag(false),
+    hazmat_expiration: date,
+    tanker_endorsed: flag(false),
+    twic_card: flag(false),
+    twic_expiration: date,
+    // Employment and pay
+    hire_date: date,
+    hourly_rate: money({ default: 25 }),
+    overtime_rate: money(),
+    per_diem: money(),
+    pay_type: oneOf(['hourly', 'salary', 'per_mile', 'per_delivery'], 'hourly'),
+    years_experience: integer(),
+    date_of_birth: date,
+    // Medical and screening
+    medical_card_expiration: date,
+    medical_examiner_name: text(255),
+    medical_exam_date: date,
+    background_check_date: date,
+    background_check_status: text(20, { default: 'pending' }),
+    drug_test_date: date,
+    drug_test_status: text(20, { default: 'pending' }),
+    drug_test_type: text(20),
+    mvr_check_date: date,
+    mvr_status: text(20, { default: 'pending' }),
+    // Training
+    propane_certified: flag(false),
+    propane_cert_expiration: date,
+    defensive_driving_cert: flag(false),
+    smith_system_trained: flag(false),
+    last_training_date: date,
+    // Emergency contact and address
+    emergency_contact_name: text(255),
+    emergency_contact_phone: text(20),
+    emergency_contact_relation: text(50),
+    ...ADDRESS,
+    notes: text(),
+    status: oneOf(['active', 'available', 'on_route', 'off_duty', 'inactive'], 'active')
+};
+
+const CUSTOMER = {
+    preferred_dc_id: id,
+    code: required(20),
+    name: required(255),
+    contact_name: text(255),
+    email: { type: 'email', max: 255 },
+    phone: text(20),
+    ...ADDRESS,
+    lat,
+    lng,
+    customer_type: oneOf(['residential', 'commercial', 'industrial'], 'residential'),
+    tank_size: integer({ default: 500 }),
+    current_level: percent,
+    price_per_gallon: money({ default: 2.5 }),
+    payment_terms: text(50, { default: 'net30' }),
+    delivery_instructions: text(),
+    auto_delivery: flag(false),
+    minimum_level: integer({ max: 100, default: 20 }),
+    status: oneOf(['active', 'inactive'], 'active')
+};
+
+const ORDER = {
+    customer_id: { ...id, required: true },
+    dc_id: id,
+    route_id: id,
+    gallons_requested: integer({ min: 1, required: true }),
+    gallons_delivered: integer(),
+    price_per_gallon: money({ default: 2.5 }),
+    total_amount: money(),
+    requested_date: date,
+    scheduled_date: date,
+    delivery_window: oneOf(['morning', 'afternoon', 'anytime'], 'anytime'),
+    delivered_at: timestamp,
+    delivery_notes: text(),
+    status: oneOf(['pending', 'scheduled', 'in_progress', 'delivered', 'cancelled'], 'pending'),
+    priority: oneOf(['low', 'normal', 'high', 'urgent'], 'normal'),
+    payment_status: oneOf(['unpaid', 'partial', 'paid']),
+    paid_amount: money()
+};
+
+const ROUTE = {
+    dc_id: id,
+    truck_id: id,
+    driver_id: id,
+    name: text(255),
+    scheduled_date: { ...date, required: true },
+    start_time: { type: 'time', default: '08:00' },
+    status: oneOf(['planned', 'in_progress', 'completed', 'cancelled'], 'planned'),
+    total_stops: integer(),
+    total_gallons: integer(),
+    total_miles: money(),
+    estimated_duration: integer(),
+    is_optimized: flag(),
+    started_at: timestamp,
+    completed_at: timestamp
+};
+
+// Each entry of POST /routes/:id/stops { orders: [...] }
+const ROUTE_STOP = {
+    order_id: { ...id, required: true },
+    stop_number: integer({ min: 1, required: true })
+};
+
+const ROUTE_TEMPLATE = {
+    dc_id: id,
+    name: required(255),
+    description: text(),
+    day_of_week: integer({ max: 6 }),
+    frequency: text(20, { default: 'weekly' }),
+    assigned_driver_id: id,
+    assigned_truck_id: id,
+    estimated_miles: money(),
+    estimated_duration_minutes: integer(),
+    status: oneOf(['active', 'inactive'], 'active')
+};
+
+// POST /runs takes a template or a list of customers; PUT /runs/:id the status and assignment fields
+const ROUTE_RUN = {
+    template_id: id,
+    customer_ids: { type: 'uuid[]' },
+    name: text(255),
+    dc_id: id,
+    driver_id: id,
+    truck_id: id,
+    scheduled_date: date,
+    start_time: { type: 'time', default: '08:00' },
+    status: oneOf(['scheduled', 'in_progress', 'completed', 'cancelled']),
+    notes: text()
+};
+
+const ROUTE_RUN_STOP = {
+    status: oneOf(['pending', 'arrived', 'completed', 'skipped'], 'completed'),
+    arrived_at: timestamp,
+    departed_at: timestamp,
+    tank_level_after: percent,
+    gallons_delivered: money({ default: 0 }),
+    delivery_total: money({ default: 0 }),
+    skip_reason: text(),
+    notes: text(),
+    arrival_lat: lat,
+    arrival_lng: lng
+};
+
+// PUT/PATCH /users/:id; the DC list goes to user_distribution_centers, a password is hashed
+const USER = {
+    name: required(255),
+    email: { type: 'email', max: 255, required: true },
+    role: required(50),
+    avatar: text(10, { default: '👤' }),
+    dc_id: id,
+    dc_ids: { type: 'uuid[]' },
+    driver_id: id,
+    status: oneOf(['active', 'inactive', 'suspended'], 'active'),
+    password: text(255, { min: 8 })
+};
+
+const SCHEMAS = {
+    distribution_center: DISTRIBUTION_CENTER,
+    truck: { ...TRUCK_BASE, ...TRUCK_ENHANCED },
+    truck_gps: TRUCK_GPS,
+    driver: DRIVER,
+    customer: CUSTOMER,
+    order: ORDER,
+    route: ROUTE,
+    route_stop: ROUTE_STOP,
+    route_template: ROUTE_TEMPLATE,
+    route_run: ROUTE_RUN,
+    route_run_stop: ROUTE_RUN_STOP,
+    user: USER
+};
+
+const except = (schema, ...fixed) => Object.keys(schema).filter(field => !fixed.includes(field));
+
+// Columns PUT/PATCH may change (see ./updates). Codes, customers on orders and a route's DC are set at create.
+const UPDATABLE_FIELDS = {
+    distribution_center: except(DISTRIBUTION_CENTER, 'code'),
+    truck: except(SCHEMAS.truck, 'code'),
+    driver: except(DRIVER, 'code'),
+    customer: except(CUSTOMER, 'code'),
+    order: except(ORDER, 'customer_id', 'requested_date'),
+    route: except(ROUTE, 'dc_id'),
+    route_template: Object.keys(ROUTE_TEMPLATE),
+    route_run: ['status', 'driver_id', 'truck_id', 'notes'],
+    user: ['name', 'email', 'role', 'avatar', 'driver_id', 'status']
+};
+
+module.exports = {
+    SCHEMAS,
+    UPDATABLE_FIELDS,
+    TRUCK_BASE_FIELDS: Object.keys(TRUCK_BASE),
+    TRUCK_ENHANCED_FIELDS: Object.keys(TRUCK_ENHANCED)
+};
@@ -0,0 +1,144 @@
+// Tenant user sessions
+// Sign-in creates a user_sessions row holding the SHA-256 of a refresh token. The refresh token
+// is rotated on every use; the short-lived access token (JWT) carries the session id (sid) and
+// the user's token_version (tv), which requireAuth checks on each request.
+
+const crypto = require('crypto');
+const { query } = require('./db');
+const { generateToken, ACCESS_TOKEN_TTL_SECONDS } = require('./auth');
+const { hashToken } = require('./auth-tokens');
+const { getClientIp } = require('./rate-limit');
+
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+function userAgent(event) {
+    const headers = (event && event.headers) || {};
+    return headers['user-agent'] || headers['User-Agent'] || null;
+}
+
+/**
+ * Start a session and issue its first access/refresh token pair
+ * @param {Object} user - users row (id, role, username, token_version)
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, sessionId }
+ */
+async function createSession(user, companyId, dcIds, event) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+
+    const result = await query(
+        `INSERT INTO user_sessions (company_id, user_id, refresh_token_hash, expires_at, ip_address, user_agent)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' days')::interval, $5, $6)
+         RETURNING id`,
+        [companyId, user.id, hashToken(refreshToken), String(REFRESH_TOKEN_TTL_DAYS), getClientIp(event), userAgent(event)]
+    );
+    const sessionId = result.rows[0].id;
+
+    return {
+        token: generateToken(user, companyId, dcIds, sessionId),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        sessionId
+    };
+}
+
+/**
+ * Swap a refresh token for a new one. Presenting an already-rotated token means it
+ * leaked, so the whole session is revoked.
+ * @returns {Promise<Object>} { session, refreshToken } or { error }
+ */
+async function rotateSession(refreshToken, event) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return { error: 'Refresh token required' };
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = crypto.randomBytes(32).toString('hex');
+
+    const result = await query(
+        `UPDATE user_sessions
+         SET previous_token_hash = refresh_token_hash, refresh_token_hash = $2,
+             last_used_at = CURRENT_TIMESTAMP, ip_address = $3, user_agent = COALESCE($4, user_agent)
+         WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING *`,
+        [tokenHash, hashToken(nextToken), getClientIp(event), userAgent(event)]
+    );
+
+    if (result.rows.length === 0) {
+        await query(
+            `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reused'
+             WHERE previous_token_hash = $1 AND revoked_at IS NULL`,
+            [tokenHash]
+        );
+        return { error: 'Invalid or expired refresh token' };
+    }
+
+    return { session: result.rows[0], refreshToken: nextToken };
+}
+
+async function revokeSession(sessionId, reason) {
+    const result = await query(
+        `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+         WHERE id = $1 AND revoked_at IS NULL
+         RETURNING id`,
+        [sessionId, reason]
+    );
+    return result.rows.length > 0;
+}
+
+async function revokeSessionByRefreshToken(refreshToken, reason) {
+    if (!refreshToken || typeof refreshToken !== 'string') return false;
+    const result = await query(
+        `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+         WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+         RETURNING id`,
+        [hashToken(refreshToken), reason]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * Sign a user out everywhere: bumping token_version kills outstanding access tokens
+ * (including impersonation tokens) and every session is revoked so it can't be refreshed.
+ */
+async function revokeUserSessions(userId, reason) {
+    await expireAccessTokens(userId);
+    const result = await query(
+        `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+         WHERE user_id = $1 AND revoked_at IS NULL
+         RETURNING id`,
+        [userId, reason]
+    );
+    return result.rows.length;
+}
+
+/**
+ * Force outstanding access tokens to be renewed without ending sessions,
+ * so role or DC changes reach the user at their next refresh
+ */
+async function expireAccessTokens(userId) {
+    await query('UPDATE users SET token_version = COALESCE(token_version, 0) + 1 WHERE id = $1', [userId]);
+}
+
+/**
+ * Sessions that can still be refreshed, most recent first
+ */
+async function listUserSessions(userId) {
+    const result = await query(
+        `SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+         FROM user_sessions
+         WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         ORDER BY COALESCE(last_used_at, created_at) DESC`,
+        [userId]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    REFRESH_TOKEN_TTL_DAYS,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeUserSessions,
+    expireAccessTokens,
+    listUserSessions
+};
@@ -0,0 +1,78 @@
+// Unified authentication for tenant endpoints
+// Accepts a signed-in user's access token or an API key and returns the same principal shape
+// either way: { userId, companyId, role, dcIds, permissions, impersonatedBy, apiKeyId }.
+// Handlers check permissions and DC scope on it without caring which one it was.
+
+const { requireAuth } = require('./auth');
+const { checkImpersonation } = require('./impersonation');
+const { loadPermissions, normalizePermissions } = require('./permissions');
+const { extractApiKey, findActiveApiKey, API_KEY_EXCLUDED_PERMISSIONS } = require('./api-keys');
+const { checkRateLimit } = require('./rate-limit');
+const { recordAudit } = require('./audit');
+
+const API_KEY_RATE_LIMIT = 120;          // requests per key...
+const API_KEY_RATE_WINDOW_SECONDS = 60;  // ...per minute
+
+/**
+ * Authenticate a tenant request
+ * @returns {Promise<Object>} { user } or { error, status, details }
+ */
+async function authenticateTenant(event) {
+    const apiKey = extractApiKey(event.headers || {});
+    if (apiKey) {
+        return await authenticateApiKey(apiKey, event);
+    }
+
+    const authResult = await requireAuth(event);
+    if (authResult.error) {
+        return authResult;
+    }
+
+    const impersonation = await checkImpersonation(event, authResult.user);
+    if (impersonation.error) {
+        return impersonation;
+    }
+
+    await loadPermissions(authResult.user);
+    authResult.user.apiKeyId = null;
+    return authResult;
+}
+
+async function authenticateApiKey(apiKey, event) {
+    const key = await findActiveApiKey(apiKey, event);
+    if (!key) {
+        return { error: 'Invalid, expired or revoked API key', status: 401 };
+    }
+
+    const limit = await checkRateLimit(`api-key:${key.id}`, API_KEY_RATE_LIMIT, API_KEY_RATE_WINDOW_SECONDS);
+    if (!limit.allowed) {
+        return { error: 'API key rate limit exceeded', status: 429, details: { retry_after: limit.retryAfter } };
+    }
+
+    const principal = {
+        userId: null,
+        companyId: key.company_id,
+        role: null,
+        username: `api-key:${key.key_prefix}`,
+        dcIds: key.dc_id ? [key.dc_id] : [],
+        permissions: normalizePermissions(key.permissions)
+            .filter(p => !API_KEY_EXCLUDED_PERMISSIONS.includes(p)),
+        impersonatedBy: null,
+        apiKeyId: key.id,
+        type: 'api_key'
+    };
+
+    await recordAudit(event, principal, {
+        companyId: key.company_id,
+        action: 'api_key_request',
+        entityType: 'api_key',
+        entityId: key.id,
+        after: { method: event.httpMethod, path: event.path, key_prefix: key.key_prefix }
+    });
+
+    return { user: principal };
+}
+
+module.exports = {
+    authenticateTenant
+};
@@ -1,7 +1,26 @@
 // Tenant resolution utility
-// Supports both subdomain-based and query param-based tenant identification
+// Supports query param, subdomain and verified custom domain tenant identification
 
-const { getCompanyBySubdomain, getCompanyById } = require('./db');
+const { query, getCompanyBySubdomain, getCompanyById } = require('./db');
+const { verifyToken, extractToken } = require('./auth');
+const { extractApiKey, findApiKeyCompanyId } = require('./api-keys');
+const { normalizeHost, isPlatformHost, lookupCustomDomain } = require('./domains');
+
+/**
+ * Company named by the request's own credentials (tenant user token or API key), if any
+ * @returns {Promise<string|null>}
+ */
+async function credentialCompanyId(event) {
+    const headers = event.headers || {};
+    const apiKey = extractApiKey(headers);
+    if (apiKey) {
+        return await findApiKeyCompanyId(apiKey);
+    }
+
+    const token = extractToken(headers);
+    const decoded = token ? verifyToken(token) : null;
+    return decoded && decoded.type === 'user' ? decoded.companyId : null;
+}
 
 // Extract tenant identifier from request
 async function resolveTenant(event) {
@@ -15,38 +34,52 @@ async function resolveTenant(event) {
     }
     
     // Method 2: Check for company_id in query params
+    // It may repeat the caller's company but never point a signed-in caller at another one
     if (params.company_id) {
+        const credentialCompany = await credentialCompanyId(event);
+        if (credentialCompany && credentialCompany !== params.company_id) {
+            return {
+                subdomain,
+                companyId: null,
+                company: null,
+                resolved: false,
+                error: 'company_id does not match your credentials',
+                status: 403
+            };
+        }
         companyId = params.company_id;
     }
     
-    // Method 3: Extract from subdomain (Pro tier)
+    // Method 3: Extract from the host
     if (!subdomain && !companyId) {
-        const host = event.headers.host || event.headers.Host || '';
+        const host = normalizeHost((event.headers || {}).host || (event.headers || {}).Host);
         
-        // Parse subdomain from host
-        // Expected formats:
-        // - acme.routecrmpro.com (production)
-        // - acme.localhost:8888 (local development)
-        // - acme.routecrmpro.netlify.app (Netlify preview)
-        
-        const hostParts = host.split('.');
-        
-        // Check if it looks like a subdomain setup
-        if (hostParts.length >= 2) {
-            const potentialSubdomain = hostParts[0];
+        if (host && !isPlatformHost(host)) {
+            // A customer's own domain (dispatch.theirpropane.com), once verified
+            companyId = await lookupCustomDomain(host);
+        } else {
+            // Parse subdomain from host
+            // Expected formats:
+            // - acme.routecrmpro.com (production)
+            // - acme.localhost:8888 (local development)
+            // - acme.routecrmpro.netlify.app (Netlify preview)
             
-            // Exclude common non-tenant subdomains
-            const excludedSubdomains = ['www', 'app', 'api', 'admin', 'localhost'];
+            const hostParts = host.split('.');
             
-            if (!excludedSubdomains.includes(potentialSubdomain.toLowerCase())) {
-                subdomain = potentialSubdomain;
+            // Check if it looks like a subdomain setup
+            if (hostParts.length >= 2) {
+                const potentialSubdomain = hostParts[0];
+                
+                // Exclude common non-tenant subdomains
+                const excludedSubdomains = ['www', 'app', 'api', 'admin', 'localhost'];
+                
+                if (!excludedSubdomains.includes(potentialSubdomain)) {
+                    subdomain = potentialSubdomain;
+                }
             }
         }
     }
     
-    // Method 4: Check Authorization token for company_id
-    // This is used after login when the token contains company info
-    
     // Look up the company
     let company = null;
     
@@ -70,8 +103,8 @@ async function requireTenant(event) {
     
     if (!tenant.resolved) {
         return {
-            error: 'Company not found or inactive',
-            status: 404,
+            error: tenant.error || 'Company not found or inactive',
+            status: tenant.status || 404,
             tenant: null
         };
     }
@@ -82,45 +115,125 @@ async function requireTenant(event) {
     };
 }
 
+// Subdomain rules shared by super-admin company creation and self-service signup
+const SUBDOMAIN_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const RESERVED_SUBDOMAINS = ['www', 'app', 'api', 'admin', 'mail', 'ftp', 'localhost', 'test', 'demo', 'staging'];
+const TRIAL_DAYS = 30;
+
+/**
+ * Check a requested subdomain's format and that it isn't reserved or taken
+ * @returns {Promise<string|null>} error message, or null if it can be used
+ */
+async function subdomainError(subdomain) {
+    if (!subdomain || typeof subdomain !== 'string') {
+        return 'Subdomain is required';
+    }
+
+    const normalized = subdomain.toLowerCase();
+    if (!SUBDOMAIN_PATTERN.test(normalized)) {
+        return 'Invalid subdomain format. Use lowercase letters, numbers, and hyphens only.';
+    }
+
+    if (RESERVED_SUBDOMAINS.includes(normalized)) {
+        return 'This subdomain is reserved';
+    }
+
+    const existing = await query('SELECT id FROM companies WHERE subdomain = $1', [normalized]);
+    if (existing.rows.length > 0) {
+        return 'Subdomain already taken';
+    }
+
+    return null;
+}
+
+// Billing restrictions set by dunning: suspended companies are locked out,
+// read-only companies can still sign in and look but not change anything
+function checkBillingAccess(company, method) {
+    if (!company) {
+        return { error: null };
+    }
+
+    if (company.status === 'suspended') {
+        return { error: 'Account suspended', status: 402 };
+    }
+
+    if (company.billing_read_only && !['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+        return { error: 'Account is read-only until the overdue invoice is paid', status: 402 };
+    }
+
+    return { error: null };
+}
+
+// Per-plan caps; -1 means unlimited
+const PLAN_LIMITS = {
+    trial: {
+        users: 5,
+        distribution_centers: 1,
+        trucks: 5,
+        customers: 50,
+        orders_per_month: 100
+    },
+    starter: {
+        users: 10,
+        distribution_centers: 2,
+        trucks: 15,
+        customers: 200,
+        orders_per_month: 500
+    },
+    professional: {
+        users: 50,
+        distribution_centers: 10,
+        trucks: 50,
+        customers: 1000,
+        orders_per_month: 5000
+    },
+    enterprise: {
+        users: -1, // unlimited
+        distribution_centers: -1,
+        trucks: -1,
+        customers: -1,
+        orders_per_month: -1
+    }
+};
+
+// companies columns that override the plan cap for one company (NULL = use the plan)
+const LIMIT_OVERRIDE_COLUMNS = {
+    users: 'max_users',
+    distribution_centers: 'max_distribution_centers',
+    trucks: 'max_trucks',
+    customers: 'max_customers',
+    orders_per_month: 'max_orders_per_month'
+};
+
+const LIMIT_LABELS = {
+    users: 'users',
+    distribution_centers: 'distribution centers',
+    trucks: 'trucks',
+    customers: 'customers',
+    orders_per_month: 'orders per month'
+};
+
+// Effective limits for a company: plan caps with per-company overrides on top
+function getTenantLimits(company) {
+    const plan = company.plan || 'trial';
+    const limits = { ...(PLAN_LIMITS[plan] || PLAN_LIMITS.trial) };
+
+    for (const [resource, column] of Object.entries(LIMIT_OVERRIDE_COLUMNS)) {
+        if (company[column] !== null && company[column] !== undefined) {
+            limits[resource] = parseInt(company[column]);
+        }
+    }
+
+    return limits;
+}
+
 // Check if tenant is within plan limits
 async function checkTenantLimits(company, resource, currentCount) {
-    const limits = {
-        trial: {
-            users: 5,
-            distribution_centers: 1,
-            trucks: 5,
-            customers: 50,
-            orders_per_month: 100
-        },
-        starter: {
-            users: 10,
-            distribution_centers: 2,
-            trucks: 15,
-            customers: 200,
-            orders_per_month: 500
-        },
-        professional: {
-            users: 50,
-            distribution_centers: 10,
-            trucks: 50,
-            customers: 1000,
-            orders_per_month: 5000
-        },
-        enterprise: {
-            users: -1, // unlimited
-            distribution_centers: -1,
-            trucks: -1,
-            customers: -1,
-            orders_per_month: -1
-        }
-    };
-    
     const plan = company.plan || 'trial';
-    const planLimits = limits[plan] || limits.trial;
-    const limit = planLimits[resource];
+    const limit = getTenantLimits(company)[resource];
     
     // -1 means unlimited
-    if (limit === -1) return { allowed: true };
+    if (limit === -1) return { allowed: true, limit, current: currentCount, plan };
     
     return {
         allowed: currentCount < limit,
@@ -130,8 +243,93 @@ async function checkTenantLimits(company, resource, currentCount) {
     };
 }
 
+// Current consumption of every limited resource
+async function countTenantUsage(companyId) {
+    const result = await query(
+        `SELECT
+            (SELECT COUNT(*) FROM users WHERE company_id = $1) as users,
+            (SELECT COUNT(*) FROM distribution_centers WHERE company_id = $1) as distribution_centers,
+            (SELECT COUNT(*) FROM trucks WHERE company_id = $1) as trucks,
+            (SELECT COUNT(*) FROM customers WHERE company_id = $1) as customers,
+            (SELECT COUNT(*) FROM orders WHERE company_id = $1
+                AND created_at >= date_trunc('month', CURRENT_DATE)) as orders_per_month`,
+        [companyId]
+    );
+
+    const row = result.rows[0];
+    const usage = {};
+    for (const resource of Object.keys(LIMIT_OVERRIDE_COLUMNS)) {
+        usage[resource] = parseInt(row[resource]) || 0;
+    }
+    return usage;
+}
+
+/**
+ * Guard for resource-creating endpoints
+ * @param {number} adding - how many records the request creates (bulk imports)
+ * @returns {Object} { error: null } or { error, status: 402, details }
+ */
+async function enforceTenantLimit(companyId, resource, adding = 1) {
+    const company = await getCompanyById(companyId);
+    if (!company) {
+        return { error: 'Company not found', status: 404 };
+    }
+
+    const usage = await countTenantUsage(companyId);
+    const check = await checkTenantLimits(company, resource, usage[resource] + adding - 1);
+    if (check.allowed) {
+        return { error: null };
+    }
+
+    return {
+        error: `Plan limit reached: the ${check.plan} plan allows ${check.limit} ${LIMIT_LABELS[resource]}`,
+        status: 402,
+        details: {
+            code: 'plan_limit_reached',
+            resource,
+            limit: check.limit,
+            current: usage[resource],
+            plan: check.plan
+        }
+    };
+}
+
+// Usage against limits for every resource, for warnings before the wall is hit
+async function getTenantUsage(company) {
+    const limits = getTenantLimits(company);
+    const usage = await countTenantUsage(company.id);
+
+    const resources = {};
+    for (const resource of Object.keys(LIMIT_OVERRIDE_COLUMNS)) {
+        const limit = limits[resource];
+        const used = usage[resource];
+        const unlimited = limit === -1;
+        resources[resource] = {
+            used,
+            limit: unlimited ? null : limit,
+            unlimited,
+            remaining: unlimited ? null : Math.max(0, limit - used),
+            percent_used: unlimited || limit === 0 ? null : Math.round(used / limit * 100),
+            near_limit: !unlimited && used >= limit * 0.8,
+            at_limit: !unlimited && used >= limit
+        };
+    }
+
+    return {
+        plan: company.plan || 'trial',
+        plan_expires_at: company.plan_expires_at || null,
+        resources
+    };
+}
+
 module.exports = {
+    TRIAL_DAYS,
     resolveTenant,
     requireTenant,
-    checkTenantLimits
+    checkBillingAccess,
+    subdomainError,
+    getTenantLimits,
+    checkTenantLimits,
+    enforceTenantLimit,
+    getTenantUsage
 };
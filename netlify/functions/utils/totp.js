@@ -0,0 +1,95 @@
+// TOTP (RFC 6238) - 30 second steps, 6 digits, HMAC-SHA1, as used by authenticator apps
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function codeForStep(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Time step the code matches, allowing one step of clock drift either way
+ * @returns {number|null} matched step, or null
+ */
+function verifyTotp(secret, code, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const step = currentStep(now);
+    for (const candidate of [step, step - 1, step + 1]) {
+        const expected = codeForStep(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (rendered as a QR code by the client)
+ */
+function provisioningUri(secret, accountName, issuer = 'RouteCRMPro') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    generateSecret,
+    currentStep,
+    codeForStep,
+    verifyTotp,
+    provisioningUri
+};
@@ -0,0 +1,194 @@
+// Two-factor authentication (TOTP + backup codes) for tenant users and super admins
+// Secrets are stored AES-256-GCM encrypted; backup codes only as SHA-256 hashes.
+// Policy: super admins always need 2FA; tenants can require it per role in
+// companies.settings.two_factor.required_roles.
+
+const crypto = require('crypto');
+const { query, transaction } = require('./db');
+const { hashToken } = require('./auth-tokens');
+const { generateSecret, verifyTotp, provisioningUri } = require('./totp');
+
+const BACKUP_CODE_COUNT = 10;
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key-change-in-production')
+    .digest();
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Roles a company requires 2FA for (companies.settings.two_factor.required_roles)
+ */
+function getTwoFactorPolicy(companySettings = {}) {
+    const settings = (companySettings && companySettings.two_factor) || {};
+    return {
+        required_roles: Array.isArray(settings.required_roles) ? settings.required_roles : []
+    };
+}
+
+function isTwoFactorRequired(companySettings, role) {
+    return getTwoFactorPolicy(companySettings).required_roles.includes(role);
+}
+
+async function getTwoFactor(subjectType, subjectId) {
+    const result = await query(
+        'SELECT * FROM two_factor_auth WHERE subject_type = $1 AND subject_id = $2',
+        [subjectType, subjectId]
+    );
+    return result.rows[0] || null;
+}
+
+async function isTwoFactorEnabled(subjectType, subjectId) {
+    const row = await getTwoFactor(subjectType, subjectId);
+    return !!(row && row.enabled_at);
+}
+
+/**
+ * Status for settings screens
+ */
+async function getTwoFactorStatus(subjectType, subjectId) {
+    const row = await getTwoFactor(subjectType, subjectId);
+    if (!row || !row.enabled_at) {
+        return { enabled: false, enabled_at: null, backup_codes_remaining: 0 };
+    }
+    const codes = await query(
+        'SELECT COUNT(*)::int as count FROM two_factor_backup_codes WHERE two_factor_id = $1 AND used_at IS NULL',
+        [row.id]
+    );
+    return { enabled: true, enabled_at: row.enabled_at, backup_codes_remaining: codes.rows[0].count };
+}
+
+/**
+ * Start (or restart) enrollment with a new secret. Not active until confirmEnrollment.
+ * @returns {Promise<Object>} { secret, otpauth_uri }
+ */
+async function startEnrollment(subjectType, subjectId, accountName) {
+    const existing = await getTwoFactor(subjectType, subjectId);
+    if (existing && existing.enabled_at) {
+        return { error: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = generateSecret();
+    await query(
+        `INSERT INTO two_factor_auth (subject_type, subject_id, secret_encrypted)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (subject_type, subject_id)
+         DO UPDATE SET secret_encrypted = EXCLUDED.secret_encrypted, enabled_at = NULL, last_used_step = NULL, updated_at = CURRENT_TIMESTAMP`,
+        [subjectType, subjectId, encryptSecret(secret)]
+    );
+
+    return { secret, otpauth_uri: provisioningUri(secret, accountName) };
+}
+
+/**
+ * Turn 2FA on once the user proves their app produces valid codes
+ * @returns {Promise<Object>} { backup_codes } or { error }
+ */
+async function confirmEnrollment(subjectType, subjectId, code) {
+    const row = await getTwoFactor(subjectType, subjectId);
+    if (!row) {
+        return { error: 'Start two-factor setup first' };
+    }
+    if (row.enabled_at) {
+        return { error: 'Two-factor authentication is already enabled' };
+    }
+
+    const step = verifyTotp(decryptSecret(row.secret_encrypted), code);
+    if (step === null) {
+        return { error: 'Invalid code' };
+    }
+
+    await query(
+        `UPDATE two_factor_auth SET enabled_at = CURRENT_TIMESTAMP, last_used_step = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [row.id, step]
+    );
+
+    return { backup_codes: await regenerateBackupCodes(row.id) };
+}
+
+/**
+ * Replace all backup codes; the raw codes are only returned here
+ */
+async function regenerateBackupCodes(twoFactorId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await transaction(async (client) => {
+        await client.query('DELETE FROM two_factor_backup_codes WHERE two_factor_id = $1', [twoFactorId]);
+        for (const code of codes) {
+            await client.query(
+                'INSERT INTO two_factor_backup_codes (two_factor_id, code_hash) VALUES ($1, $2)',
+                [twoFactorId, hashToken(code)]
+            );
+        }
+    });
+
+    return codes;
+}
+
+/**
+ * Check a login code: a TOTP code (each time step usable once) or an unused backup code
+ * @returns {Promise<Object>} { valid, method: 'totp' | 'backup_code' }
+ */
+async function verifyTwoFactorCode(subjectType, subjectId, code) {
+    const row = await getTwoFactor(subjectType, subjectId);
+    if (!row || !row.enabled_at || !code) {
+        return { valid: false };
+    }
+
+    const step = verifyTotp(decryptSecret(row.secret_encrypted), code);
+    if (step !== null) {
+        // Conditional update so the same code can't be replayed, even concurrently
+        const used = await query(
+            `UPDATE two_factor_auth SET last_used_step = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+             RETURNING id`,
+            [row.id, step]
+        );
+        return { valid: used.rows.length > 0, method: 'totp' };
+    }
+
+    const backup = await query(
+        `UPDATE two_factor_backup_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE two_factor_id = $1 AND code_hash = $2 AND used_at IS NULL
+         RETURNING id`,
+        [row.id, hashToken(String(code).trim().toLowerCase())]
+    );
+    return { valid: backup.rows.length > 0, method: 'backup_code' };
+}
+
+async function disableTwoFactor(subjectType, subjectId) {
+    await query(
+        'DELETE FROM two_factor_auth WHERE subject_type = $1 AND subject_id = $2',
+        [subjectType, subjectId]
+    );
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    getTwoFactorPolicy,
+    isTwoFactorRequired,
+    getTwoFactor,
+    isTwoFactorEnabled,
+    getTwoFactorStatus,
+    startEnrollment,
+    confirmEnrollment,
+    regenerateBackupCodes,
+    verifyTwoFactorCode,
+    disableTwoFactor
+};
@@ -0,0 +1,31 @@
+// Partial updates: PUT and PATCH write only the fields a request sends
+// Each entity has an allow-list of mutable columns (UPDATABLE_FIELDS in ./schemas); anything else
+// in the body is ignored, so a client can change one field without resending the record.
+
+const UPDATE_METHODS = ['PUT', 'PATCH'];
+
+function isUpdateMethod(method) {
+    return UPDATE_METHODS.includes(method);
+}
+
+/**
+ * SET assignments for the allowed fields present in values; their values are appended to params
+ * @example
+ * const params = [];
+ * const sets = buildSetClauses({ status: 'delivered' }, UPDATABLE_FIELDS.order, params);
+ * // sets: ['status = $1'], params: ['delivered']
+ * @returns {string[]}
+ */
+function buildSetClauses(values, allowed, params) {
+    return allowed
+        .filter(field => values[field] !== undefined)
+        .map(field => {
+            params.push(values[field]);
+            return `${field} = $${params.length}`;
+        });
+}
+
+module.exports = {
+    isUpdateMethod,
+    buildSetClauses
+};
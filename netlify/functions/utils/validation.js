@@ -0,0 +1,195 @@
+// Request body validation against declarative schemas (entity schemas live in ./schemas)
+// A schema maps field names to specs: { type, required, default, min, max, values, alias }.
+// Values are coerced to their type here - numeric strings from forms and CSV imports become numbers,
+// '' becomes null - so handlers get clean values and bad input is a 422 naming the field, not a 500.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TRUE_VALUES = [true, 'true', '1', 1, 'yes'];
+const FALSE_VALUES = [false, 'false', '0', 0, 'no'];
+
+function isUuid(value) {
+    return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+/**
+ * A path segment that sits where a record id goes ([a-f0-9-]+ in the route patterns) but isn't a UUID.
+ * Route names never consist of only those characters, so any such segment is meant as an id.
+ * Paths that carry free-form keys (role keys) must not be checked with this.
+ * @returns {string|null}
+ */
+function invalidPathId(path) {
+    return path.split('/').find(segment => /^[a-f0-9-]+$/.test(segment) && !isUuid(segment)) || null;
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value.trim());
+    return NaN;
+}
+
+function checkRange(number, spec, field) {
+    if (spec.min !== undefined && number < spec.min) return { error: `${field} must be at least ${spec.min}` };
+    if (spec.max !== undefined && number > spec.max) return { error: `${field} must be at most ${spec.max}` };
+    return { value: number };
+}
+
+// Each coercer returns { value } or { error }
+const TYPES = {
+    string(value, spec, field) {
+        if (typeof value !== 'string' && typeof value !== 'number') return { error: `${field} must be text` };
+        const text = String(value);
+        if (spec.min !== undefined && text.length < spec.min) return { error: `${field} must be at least ${spec.min} characters` };
+        if (spec.max !== undefined && text.length > spec.max) return { error: `${field} must be at most ${spec.max} characters` };
+        return { value: text };
+    },
+    email(value, spec, field) {
+        const text = TYPES.string(value, spec, field);
+        if (text.error) return text;
+        const email = text.value.trim();
+        return EMAIL_PATTERN.test(email) ? { value: email } : { error: `${field} must be an email address` };
+    },
+    enum(value, spec, field) {
+        return spec.values.includes(value) ? { value } : { error: `${field} must be one of: ${spec.values.join(', ')}` };
+    },
+    integer(value, spec, field) {
+        const number = toNumber(value);
+        if (!Number.isInteger(number)) return { error: `${field} must be a whole number` };
+        return checkRange(number, spec, field);
+    },
+    number(value, spec, field) {
+        const number = toNumber(value);
+        if (!Number.isFinite(number)) return { error: `${field} must be a number` };
+        return checkRange(number, spec, field);
+    },
+    boolean(value, spec, field) {
+        if (TRUE_VALUES.includes(value)) return { value: true };
+        if (FALSE_VALUES.includes(value)) return { value: false };
+        return { error: `${field} must be true or false` };
+    },
+    uuid(value, spec, field) {
+        return isUuid(value) ? { value: value.toLowerCase() } : { error: `${field} must be a valid id` };
+    },
+    'uuid[]'(value, spec, field) {
+        if (!Array.isArray(value) || !value.every(isUuid)) return { error: `${field} must be a list of ids` };
+        return { value: value.map(id => id.toLowerCase()) };
+    },
+    // Calendar dates are stored as YYYY-MM-DD; a full timestamp is accepted and cut to its date
+    date(value, spec, field) {
+        if (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(Date.parse(value.slice(0, 10)))) {
+            return { error: `${field} must be a date (YYYY-MM-DD)` };
+        }
+        return { value: value.slice(0, 10) };
+    },
+    timestamp(value, spec, field) {
+        const time = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+        if (!time || isNaN(time.getTime())) return { error: `${field} must be a date and time` };
+        return { value: time.toISOString() };
+    },
+    time(value, spec, field) {
+        return typeof value === 'string' && TIME_PATTERN.test(value) ? { value } : { error: `${field} must be a time (HH:MM)` };
+    }
+};
+
+/**
+ * Coerce a single value to a field spec's type (list filters use this; bodies go through validate)
+ * @returns {Object} { value } or { error }
+ */
+function checkValue(spec, value, field) {
+    return TYPES[spec.type](value, spec, field);
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Check and coerce a request body against a schema
+ * Fields not in the schema are dropped. On create, missing fields take their default and required
+ * fields must be present; with { partial: true } only the fields sent are checked. Clearing a field
+ * resets it to its default, and a required field can't be cleared.
+ * @returns {Object} { values } or { error, status: 422, details: { fields: [{ field, message }] } }
+ */
+function validate(schema, input, { partial = false } = {}) {
+    const values = {};
+    const fields = [];
+
+    for (const [field, spec] of Object.entries(schema)) {
+        let raw = input[field];
+        if (raw === undefined && spec.alias) raw = input[spec.alias];
+
+        if (isEmpty(raw)) {
+            if (partial && raw === undefined) continue;
+            if (spec.default !== undefined) {
+                values[field] = spec.default;
+            } else if (spec.required) {
+                fields.push({ field, message: `${field} is required` });
+            } else {
+                values[field] = null;
+            }
+            continue;
+        }
+
+        const coerced = checkValue(spec, raw, field);
+        if (coerced.error) {
+            fields.push({ field, message: coerced.error });
+        } else {
+            values[field] = coerced.value;
+        }
+    }
+
+    if (fields.length > 0) {
+        return validationError(fields);
+    }
+    return { values };
+}
+
+function validationError(fields) {
+    return {
+        error: fields.map(f => f.message).join('; '),
+        status: 422,
+        details: { fields }
+    };
+}
+
+/**
+ * Parse the JSON body strictly: a malformed body is an error rather than {}
+ * @returns {Object} { body } or { error, status: 400 }
+ */
+function parseJsonBody(event) {
+    if (!event.body) return { body: {} };
+    let body;
+    try {
+        body = JSON.parse(event.body);
+    } catch (err) {
+        return { error: 'Request body must be valid JSON', status: 400 };
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Request body must be a JSON object', status: 400 };
+    }
+    return { body };
+}
+
+/**
+ * parseJsonBody + validate
+ * @example
+ * const input = validateBody(event, SCHEMAS.truck);
+ * if (input.error) return error(input.error, input.status, input.details);
+ */
+function validateBody(event, schema, options) {
+    const parsed = parseJsonBody(event);
+    if (parsed.error) return parsed;
+    return validate(schema, parsed.body, options);
+}
+
+module.exports = {
+    isUuid,
+    invalidPathId,
+    checkValue,
+    validate,
+    validationError,
+    parseJsonBody,
+    validateBody
+};
@@ -0,0 +1,201 @@
+// Mock OpenID Connect Provider for testing single sign-on locally
+// Run: node scripts/mock-oidc.js   (or npm run oidc:mock)
+//
+// Then, as an admin of an enterprise-plan company, open Security → Single Sign-On and enter:
+//   Issuer:        http://localhost:9400
+//   Client ID:     routecrmpro
+//   Client secret: mock-secret
+//   Allowed domains: example.com     Role claim: groups
+// The mock accepts any redirect URI. Run netlify dev with APP_URL=http://localhost:8888 so the provider
+// sends the browser back to the local app, and SSO_ALLOW_LOCALHOST=true so it accepts an http://localhost issuer.
+//
+// The sign-in page lists the test accounts below; pick one to be redirected back with a code.
+// Env: MOCK_OIDC_PORT, MOCK_OIDC_CLIENT_ID, MOCK_OIDC_CLIENT_SECRET, MOCK_OIDC_USERS (JSON array like USERS)
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '9400', 10);
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'routecrmpro';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+const USERS = process.env.MOCK_OIDC_USERS ? JSON.parse(process.env.MOCK_OIDC_USERS) : [
+    { sub: 'mock-admin', email: 'admin@example.com', email_verified: true, name: 'Alex Admin', groups: ['RouteCRM Admins'] },
+    { sub: 'mock-dispatch', email: 'dispatch@example.com', email_verified: true, name: 'Dana Dispatcher', groups: ['Dispatch'] },
+    { sub: 'mock-driver', email: 'driver@example.com', email_verified: true, name: 'Drew Driver', groups: [] },
+    { sub: 'mock-unverified', email: 'unverified@example.com', email_verified: false, name: 'Una Unverified', groups: ['Dispatch'] },
+    { sub: 'mock-outsider', email: 'someone@other.org', email_verified: true, name: 'Olly Outsider', groups: ['Dispatch'] }
+];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+const JWKS = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] };
+
+// Issued authorization codes: code -> { user, clientId, redirectUri, nonce, codeChallenge, expires }
+const codes = new Map();
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function send(res, status, body, headers = {}) {
+    const json = typeof body !== 'string';
+    res.writeHead(status, {
+        'Content-Type': json ? 'application/json' : 'text/html; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        ...headers
+    });
+    res.end(json ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(new URLSearchParams(data)));
+        req.on('error', reject);
+    });
+}
+
+function discovery() {
+    return {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        scopes_supported: ['openid', 'email', 'profile']
+    };
+}
+
+// GET /authorize - pick a test account (or ?login_hint=email to skip the page)
+function authorize(url, res) {
+    const params = url.searchParams;
+    if (params.get('client_id') !== CLIENT_ID) {
+        return send(res, 400, `<p>Unknown client_id ${escapeHtml(params.get('client_id'))}</p>`);
+    }
+    if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+        return send(res, 400, '<p>Only response_type=code with a S256 code_challenge is supported</p>');
+    }
+
+    const redirect = new URL(params.get('redirect_uri'));
+    const chosen = params.get('user') || params.get('login_hint');
+
+    if (chosen === 'deny') {
+        redirect.searchParams.set('error', 'access_denied');
+        redirect.searchParams.set('error_description', 'The user cancelled sign-in');
+        redirect.searchParams.set('state', params.get('state'));
+        return send(res, 302, '', { Location: redirect.toString() });
+    }
+
+    const user = USERS.find(u => u.sub === chosen || u.email === chosen);
+    if (!user) {
+        const choices = USERS.map(u => {
+            const link = new URL(url);
+            link.searchParams.set('user', u.sub);
+            return `<li><a href="${escapeHtml(link.pathname + link.search)}">${escapeHtml(u.name)}</a> - ${escapeHtml(u.email)}` +
+                `${u.email_verified === false ? ' (unverified)' : ''} - groups: ${escapeHtml((u.groups || []).join(', ') || 'none')}</li>`;
+        }).join('');
+        const deny = new URL(url);
+        deny.searchParams.set('user', 'deny');
+        return send(res, 200, `<!DOCTYPE html><html><body style="font-family: sans-serif; max-width: 640px; margin: 40px auto;">
+            <h2>Mock identity provider</h2><p>Sign in as:</p><ul>${choices}</ul>
+            <p><a href="${escapeHtml(deny.pathname + deny.search)}">Cancel sign-in</a></p></body></html>`);
+    }
+
+    const code = base64url(crypto.randomBytes(24));
+    codes.set(code, {
+        user,
+        clientId: CLIENT_ID,
+        redirectUri: params.get('redirect_uri'),
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        scope: params.get('scope') || 'openid',
+        expires: Date.now() + CODE_TTL_MS
+    });
+
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', params.get('state'));
+    return send(res, 302, '', { Location: redirect.toString() });
+}
+
+// POST /token - authorization_code grant with PKCE
+async function token(req, res) {
+    const body = await readBody(req);
+
+    let clientId = body.get('client_id');
+    let clientSecret = body.get('client_secret');
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Basic ')) {
+        const [id, secret] = Buffer.from(authHeader.slice(6), 'base64').toString().split(':');
+        clientId = decodeURIComponent(id);
+        clientSecret = decodeURIComponent(secret || '');
+    }
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+        return send(res, 401, { error: 'invalid_client' });
+    }
+
+    if (body.get('grant_type') !== 'authorization_code') {
+        return send(res, 400, { error: 'unsupported_grant_type' });
+    }
+
+    const grant = codes.get(body.get('code'));
+    codes.delete(body.get('code'));
+    if (!grant || grant.expires < Date.now() || grant.redirectUri !== body.get('redirect_uri')) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'Unknown, used or expired code' });
+    }
+
+    const challenge = base64url(crypto.createHash('sha256').update(body.get('code_verifier') || '').digest());
+    if (challenge !== grant.codeChallenge) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'code_verifier does not match code_challenge' });
+    }
+
+    const { sub, ...profile } = grant.user;
+    const idToken = jwt.sign({ ...profile, nonce: grant.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: KID,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        subject: sub,
+        expiresIn: 300
+    });
+
+    return send(res, 200, {
+        access_token: base64url(crypto.randomBytes(24)),
+        token_type: 'Bearer',
+        expires_in: 300,
+        scope: grant.scope,
+        id_token: idToken
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, ISSUER);
+    try {
+        if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') return send(res, 200, discovery());
+        if (req.method === 'GET' && url.pathname === '/jwks') return send(res, 200, JWKS);
+        if (req.method === 'GET' && url.pathname === '/authorize') return authorize(url, res);
+        if (req.method === 'POST' && url.pathname === '/token') return await token(req, res);
+        send(res, 404, { error: 'not_found' });
+    } catch (err) {
+        console.error('Mock OIDC error:', err);
+        send(res, 500, { error: 'server_error' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🔐 Mock OIDC provider at ${ISSUER}`);
+    console.log(`   Client ID: ${CLIENT_ID}   Client secret: ${CLIENT_SECRET}`);
+    console.log(`   Test accounts: ${USERS.map(u => u.email).join(', ')}`);
+});
@@ -0,0 +1,130 @@
+// Replay recorded Stripe webhook events against the stripe-webhook function
+// Usage: DATABASE_URL=your_connection_string node scripts/replay-stripe-events.js --company <uuid> --invoice <uuid> [options] [event types...]
+//   (or npm run stripe:replay -- --company ... --invoice ...)
+//
+// Each fixture in scripts/fixtures/stripe is signed with a test webhook secret and passed to the handler
+// exactly as Netlify would, so signature checks, idempotency and the database writes all run for real.
+// Use a test database: the events update that company's invoices, payments and billing ledger.
+//
+// Options:
+//   --company <uuid>    company the events belong to (metadata.company_id)
+//   --invoice <uuid>    pending invoice of that company to pay, refund and dispute (metadata.invoice_id)
+//   --customer <id>     Stripe customer id on the events (default: cus_fixture)
+//   --new-ids           suffix event ids so a second run is processed again instead of reported as duplicate
+//   --url <url>         POST to a running function instead (e.g. http://localhost:8888/.netlify/functions/stripe-webhook);
+//                       the server's STRIPE_WEBHOOK_SECRET must match
+// Env: STRIPE_WEBHOOK_SECRET (default: whsec_replay_test)
+//
+// Expected on a fresh invoice: setup and the payment events are processed and the repeat of
+// payment_intent.succeeded is a duplicate.
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stripe');
+// A card is saved, one charge fails, the next succeeds (delivered twice), then part is refunded and the rest disputed
+const REPLAY_ORDER = [
+    'setup_intent.succeeded',
+    'payment_intent.payment_failed',
+    'payment_intent.succeeded',
+    'payment_intent.succeeded',
+    'charge.refunded',
+    'charge.dispute.created'
+];
+
+function parseArgs(argv) {
+    const args = { types: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--new-ids') {
+            args.newIds = true;
+        } else if (['--company', '--invoice', '--customer', '--url'].includes(arg)) {
+            args[arg.slice(2)] = argv[++i];
+        } else {
+            args.types.push(arg);
+        }
+    }
+    return args;
+}
+
+function loadFixture(type, values, runId) {
+    const file = path.join(FIXTURES_DIR, `${type}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No fixture for ${type} (looked for ${file})`);
+    }
+    const raw = fs.readFileSync(file, 'utf8').replace(/\{\{(\w+)\}\}/g, (match, key) => values[key]);
+    const stripeEvent = JSON.parse(raw);
+    if (runId) {
+        stripeEvent.id = `${stripeEvent.id}_${runId}`;
+    }
+    return JSON.stringify(stripeEvent, null, 2);
+}
+
+async function replay() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.company || !args.invoice) {
+        console.error('❌ --company and --invoice are required');
+        process.exit(1);
+    }
+    if (!args.url && !process.env.DATABASE_URL) {
+        console.error('❌ DATABASE_URL environment variable is required (or --url to post to a running function)');
+        process.exit(1);
+    }
+
+    // The handler reads the secret when it loads
+    process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_replay_test';
+    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_replay');
+    const { handler } = args.url ? {} : require('../netlify/functions/stripe-webhook');
+
+    const values = {
+        company_id: args.company,
+        invoice_id: args.invoice,
+        stripe_customer_id: args.customer || 'cus_fixture'
+    };
+    const runId = args.newIds ? Date.now().toString(36) : null;
+    const types = args.types.length > 0 ? args.types : REPLAY_ORDER;
+
+    let failures = 0;
+    for (const type of types) {
+        const payload = loadFixture(type, values, runId);
+        const signature = stripe.webhooks.generateTestHeaderString({
+            payload,
+            secret: process.env.STRIPE_WEBHOOK_SECRET
+        });
+
+        let statusCode;
+        let body;
+        if (args.url) {
+            const res = await fetch(args.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+                body: payload
+            });
+            statusCode = res.status;
+            body = await res.text();
+        } else {
+            ({ statusCode, body } = await handler({
+                httpMethod: 'POST',
+                headers: { 'stripe-signature': signature },
+                body: payload,
+                isBase64Encoded: false
+            }));
+        }
+
+        const result = JSON.parse(body || '{}');
+        if (statusCode !== 200) failures++;
+        console.log(`${statusCode === 200 ? '✅' : '❌'} ${type.padEnd(32)} ${statusCode} ${result.status || result.error || ''}`);
+    }
+
+    if (!args.url) {
+        const { getPool } = require('../netlify/functions/utils/db');
+        await getPool().end();
+    }
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+replay().catch(err => {
+    console.error('❌ Replay failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,25 @@
+-- Tenant API Keys
+-- Run this in Neon SQL Editor
+
+-- Keys for integrations (tank monitors, accounting sync, scripts). Sent as X-API-Key or
+-- Authorization: Bearer rcp_... Only the SHA-256 of the key is stored; key_prefix is for display.
+-- permissions uses the names in netlify/functions/utils/permissions.js; dc_id pins the key to one DC.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    permissions JSONB NOT NULL DEFAULT '[]',
+    dc_id UUID REFERENCES distribution_centers(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    rotated_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    expires_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_company ON api_keys(company_id, revoked_at);
@@ -0,0 +1,14 @@
+-- Audit Trail
+-- Run this in Neon SQL Editor
+
+-- Who acted on each entry. user_id holds the actor's id: a user, an API key or a super admin
+-- depending on actor_type ('user', 'api_key', 'super_admin', 'system'). impersonator_id is the
+-- super admin behind an impersonated user's changes. For create/update/delete entries,
+-- old_values/new_values hold only the fields that changed (see netlify/functions/utils/audit.js).
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS actor_type VARCHAR(20);
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS actor_name VARCHAR(255);
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS impersonator_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_audit_company_created ON audit_log(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_user ON audit_log(user_id);
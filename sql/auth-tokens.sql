@@ -0,0 +1,35 @@
+-- Password Reset, Email Verification & Auth Rate Limiting
+-- Run this in Neon SQL Editor
+
+-- Single-use tokens; only the SHA-256 of the token is stored, the raw value goes out by email
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subject_type VARCHAR(20) NOT NULL,      -- user, super_admin
+    subject_id UUID NOT NULL,
+    purpose VARCHAR(30) NOT NULL,           -- password_reset, email_verification
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_subject ON auth_tokens(subject_type, subject_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_expires ON auth_tokens(expires_at);
+
+-- Email verification tokens carry the address they were sent to and only verify that address
+ALTER TABLE auth_tokens ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Fixed-window request counters shared across function instances
+CREATE TABLE IF NOT EXISTS auth_rate_limits (
+    bucket VARCHAR(255) NOT NULL,           -- e.g. forgot-password:ip:1.2.3.4
+    window_start TIMESTAMP NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (bucket, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_rate_limits_window ON auth_rate_limits(window_start);
+
+-- Netlify env: APP_URL (default https://www.routecrmpro.com) for links in emails
@@ -0,0 +1,24 @@
+-- Automatic Order Generation
+-- Run this in Neon SQL Editor
+
+-- Where an order came from: manual (entered by staff) or auto (auto-orders scheduled function)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'manual';
+
+-- At most one open auto order per customer, so overlapping runs can't double-book
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_open_auto_customer
+    ON orders(customer_id)
+    WHERE source = 'auto' AND status IN ('pending', 'scheduled');
+
+CREATE INDEX IF NOT EXISTS idx_customers_auto_delivery ON customers(company_id) WHERE auto_delivery = true;
+
+-- Company settings (companies.settings JSONB), all optional:
+-- {
+--   "auto_order": {
+--     "enabled": true,
+--     "target_percent": 80,    -- fill up to this % of tank size
+--     "lead_days": 3,          -- order when projected to reach minimum_level within this many days
+--     "urgent_days": 2,        -- days-to-empty thresholds for priority
+--     "high_days": 5,
+--     "low_days": 21
+--   }
+-- }
@@ -0,0 +1,23 @@
+-- Custom Domains per Tenant
+-- Run this in Neon SQL Editor
+
+-- Hostnames that open a company's app, e.g. dispatch.theirpropane.com (Professional and Enterprise plans).
+-- A domain only resolves once verified: the customer publishes a DNS TXT record
+-- _routecrmpro-verification.<domain> = routecrmpro-verification=<verification_token>
+-- and a super admin runs the check (POST /companies/:id/domains/:domainId/verify).
+CREATE TABLE IF NOT EXISTS company_domains (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    domain VARCHAR(253) UNIQUE NOT NULL,        -- lowercase, no port or trailing dot
+    verification_token VARCHAR(64) NOT NULL,
+    verified_at TIMESTAMP,
+    last_checked_at TIMESTAMP,
+    last_check_error TEXT,
+    created_by UUID REFERENCES super_admins(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_domains_company ON company_domains(company_id);
+
+-- Netlify env: PLATFORM_DOMAINS (default routecrmpro.com,localhost,netlify.app) are the hosts whose first
+-- label is a company subdomain; any other host is looked up here. DOMAIN_VERIFIER: dns (default) or none.
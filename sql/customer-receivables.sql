@@ -0,0 +1,98 @@
+-- Customer Invoicing & Accounts Receivable
+-- Tenants billing their own customers for deliveries (separate from platform invoices/payments)
+-- Run this in Neon SQL Editor
+
+-- Invoices to a tenant's customers
+CREATE TABLE IF NOT EXISTS customer_invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    invoice_number VARCHAR(50) NOT NULL,
+    invoice_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    due_date DATE NOT NULL,
+    payment_terms VARCHAR(50),              -- copied from customers.payment_terms at invoice time
+    total DECIMAL(12, 2) NOT NULL,
+    amount_paid DECIMAL(12, 2) DEFAULT 0,
+    balance_due DECIMAL(12, 2) NOT NULL,
+    status VARCHAR(20) DEFAULT 'open',      -- open, partial, paid, void
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(company_id, invoice_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_invoices_company ON customer_invoices(company_id);
+CREATE INDEX IF NOT EXISTS idx_customer_invoices_customer ON customer_invoices(customer_id);
+CREATE INDEX IF NOT EXISTS idx_customer_invoices_open ON customer_invoices(company_id, due_date) WHERE status IN ('open', 'partial');
+
+-- One line per delivery; an order or run stop can only ever be billed once
+CREATE TABLE IF NOT EXISTS customer_invoice_lines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES customer_invoices(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    run_stop_id UUID REFERENCES route_run_stops(id) ON DELETE SET NULL,
+    delivery_date DATE,
+    description TEXT NOT NULL,
+    gallons DECIMAL(10, 2),
+    unit_price DECIMAL(10, 4),
+    amount DECIMAL(12, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_invoice_lines_invoice ON customer_invoice_lines(invoice_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_invoice_lines_order ON customer_invoice_lines(order_id) WHERE order_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_invoice_lines_run_stop ON customer_invoice_lines(run_stop_id) WHERE run_stop_id IS NOT NULL;
+
+-- Money received from a customer
+CREATE TABLE IF NOT EXISTS customer_payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    amount DECIMAL(12, 2) NOT NULL,
+    unapplied_amount DECIMAL(12, 2) DEFAULT 0,  -- credit left over after paying every open invoice
+    payment_method VARCHAR(50),             -- check, cash, card, ach, other
+    reference VARCHAR(255),                 -- check number, card transaction id, ...
+    received_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_payments_company ON customer_payments(company_id);
+CREATE INDEX IF NOT EXISTS idx_customer_payments_customer ON customer_payments(customer_id);
+
+-- How each payment was split across invoices
+CREATE TABLE IF NOT EXISTS customer_payment_applications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id UUID NOT NULL REFERENCES customer_payments(id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL REFERENCES customer_invoices(id) ON DELETE CASCADE,
+    amount DECIMAL(12, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_payment_applications_payment ON customer_payment_applications(payment_id);
+CREATE INDEX IF NOT EXISTS idx_customer_payment_applications_invoice ON customer_payment_applications(invoice_id);
+
+-- Balances entered before invoicing existed become an opening-balance invoice (amount owed) or an
+-- unapplied payment (credit), so recomputing customers.balance keeps them. Only customers with no
+-- invoices or payments yet are carried over, so running this again changes nothing.
+INSERT INTO customer_invoices (company_id, customer_id, invoice_number, invoice_date, due_date, payment_terms, total, balance_due, status, notes)
+SELECT c.company_id, c.id, 'OPENING-' || c.id, CURRENT_DATE, CURRENT_DATE, c.payment_terms, c.balance, c.balance, 'open',
+       'Opening balance carried over from before invoicing'
+FROM customers c
+WHERE c.balance > 0
+AND NOT EXISTS (SELECT 1 FROM customer_invoices i WHERE i.customer_id = c.id)
+AND NOT EXISTS (SELECT 1 FROM customer_payments p WHERE p.customer_id = c.id);
+
+INSERT INTO customer_payments (company_id, customer_id, amount, unapplied_amount, payment_method, reference, notes)
+SELECT c.company_id, c.id, -c.balance, -c.balance, 'other', 'opening-balance',
+       'Opening credit carried over from before invoicing'
+FROM customers c
+WHERE c.balance < 0
+AND NOT EXISTS (SELECT 1 FROM customer_invoices i WHERE i.customer_id = c.id)
+AND NOT EXISTS (SELECT 1 FROM customer_payments p WHERE p.customer_id = c.id);
+
+-- customers.balance = open invoice balances - unapplied payment credit
+-- customers.payment_terms: net30, net15, net10, due_on_receipt / cod
@@ -0,0 +1,26 @@
+-- Distribution Center Scoped Users
+-- Run this in Neon SQL Editor
+
+-- Users limited to one or more DCs; a user never given a DC sees the whole company. Admins are never limited.
+-- users.dc_id stays as the user's home DC (first assignment).
+CREATE TABLE IF NOT EXISTS user_distribution_centers (
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    dc_id UUID NOT NULL REFERENCES distribution_centers(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, dc_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_dcs_dc ON user_distribution_centers(dc_id);
+
+-- Carry over existing single-DC assignments
+INSERT INTO user_distribution_centers (company_id, user_id, dc_id)
+SELECT company_id, id, dc_id FROM users WHERE dc_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- Whether the user was given DCs: stays set when those DCs are deleted, so the user sees nothing
+-- rather than the whole company. Cleared when an admin removes every assignment.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS dc_scoped BOOLEAN DEFAULT FALSE;
+
+UPDATE users SET dc_scoped = TRUE
+WHERE id IN (SELECT user_id FROM user_distribution_centers) AND dc_scoped IS NOT TRUE;
@@ -0,0 +1,24 @@
+-- Road Distance Cache
+-- Run this in Neon SQL Editor
+
+-- Pairwise distances from the routing provider, keyed by coordinates rounded to 4 decimals
+CREATE TABLE IF NOT EXISTS distance_cache (
+    provider VARCHAR(50) NOT NULL,   -- e.g. osrm:driving:<hash of the server URL>
+    from_key VARCHAR(40) NOT NULL,   -- 'lat,lng'
+    to_key VARCHAR(40) NOT NULL,
+    miles DECIMAL(10, 3) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (provider, from_key, to_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_distance_cache_created ON distance_cache(created_at);
+
+-- Company settings (companies.settings JSONB), all optional:
+-- {
+--   "distance": {
+--     "provider": "haversine",        -- haversine or osrm
+--     "circuity_factor": 1.3,         -- multiplier on straight-line miles (haversine)
+--     "osrm_profile": "driving",      -- the server is the OSRM_URL env var
+--     "cache_days": 30
+--   }
+-- }
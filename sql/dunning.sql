@@ -0,0 +1,40 @@
+-- Dunning (overdue platform invoices)
+-- Run this in Neon SQL Editor
+
+-- One dunning case per overdue invoice
+CREATE TABLE IF NOT EXISTS dunning_cases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL UNIQUE REFERENCES invoices(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'active',    -- active, read_only, suspended, resolved
+    started_at DATE NOT NULL DEFAULT CURRENT_DATE,  -- day 0 of the retry schedule
+    retry_step INTEGER DEFAULT 0,           -- retry_days entries already used
+    attempts INTEGER DEFAULT 0,             -- charge attempts made by dunning
+    last_attempt_at TIMESTAMP,
+    last_error TEXT,
+    last_notice VARCHAR(30),                -- last email sent: reminder, warning, final_notice, read_only, suspended
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_cases_company ON dunning_cases(company_id);
+CREATE INDEX IF NOT EXISTS idx_dunning_cases_open ON dunning_cases(status) WHERE status <> 'resolved';
+
+-- Grace period: tenant can sign in and read, but not change anything
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS billing_read_only BOOLEAN DEFAULT false;
+
+-- Super admin pause - no retries, emails or escalation while set
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS dunning_paused BOOLEAN DEFAULT false;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS dunning_paused_at TIMESTAMP;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS dunning_pause_reason TEXT;
+
+-- Schedule defaults (env DUNNING_RETRY_DAYS, DUNNING_READ_ONLY_DAYS, DUNNING_SUSPEND_DAYS),
+-- overridable per company in companies.settings JSONB:
+-- {
+--   "dunning": {
+--     "retry_days": [3, 7, 14],      -- days after the failed charge / due date to retry
+--     "read_only_after_days": 14,
+--     "suspend_after_days": 21
+--   }
+-- }
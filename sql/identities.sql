@@ -0,0 +1,17 @@
+-- Multi-Company Identities
+-- Run this in Neon SQL Editor
+
+-- One person who holds user accounts in several companies. Each users row stays that person's
+-- membership in one company (role, DCs, two-factor); identity_id links the rows that are the same person.
+-- Rows are only linked once the person proves they own them: the same email and password at portal
+-- sign-in, or POST /auth/link-company. An admin setting a user's password or email unlinks that row.
+CREATE TABLE IF NOT EXISTS identities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS identity_id UUID REFERENCES identities(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_identity ON users(identity_id);
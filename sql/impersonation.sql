@@ -0,0 +1,16 @@
+-- Super Admin Impersonation
+-- Run this in Neon SQL Editor
+
+-- Impersonation is recorded in audit_log:
+--   impersonation_started           - token issued (new_values: admin_id, admin_username, reason)
+--   impersonated_write              - every non-GET request made with the token (new_values: method, path, impersonated_by)
+--   impersonation_settings_updated  - tenant admin changed the opt-out
+CREATE INDEX IF NOT EXISTS idx_audit_company_action ON audit_log(company_id, action, created_at);
+
+-- Tenant admins opt out in companies.settings JSONB (PUT /data/impersonation);
+-- turning it off also ends any impersonation session already in progress:
+-- {
+--   "impersonation": {
+--     "allowed": true
+--   }
+-- }
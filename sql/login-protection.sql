@@ -0,0 +1,30 @@
+-- Login Brute-Force Protection
+-- Run this in Neon SQL Editor
+
+-- Every password attempt at /auth/login, /auth/portal-login and /super-auth/login.
+-- subject_id is NULL when the username/email matched no account; failures per IP are counted from here.
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subject_type VARCHAR(20),               -- user, super_admin
+    subject_id UUID,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    login_id VARCHAR(255),                  -- username or email as typed
+    ip_address VARCHAR(45),
+    succeeded BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_subject ON login_attempts(subject_type, subject_id, created_at);
+
+-- Consecutive failures since the last successful sign-in, and the lockout they caused
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+ALTER TABLE super_admins ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE super_admins ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE super_admins ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+-- Company thresholds live in companies.settings (edited via PUT /data/security):
+-- "login_protection": { "max_failed_attempts": 5, "lockout_minutes": 15, "backoff_after": 3 }
@@ -0,0 +1,36 @@
+-- OpenID Connect Single Sign-On
+-- Run this in Neon SQL Editor
+
+-- Per-company identity provider settings (edited via PUT /data/sso, enterprise plan only):
+-- { "enabled": true, "issuer": "https://login.example.com", "client_id": "...", "client_secret_encrypted": "...",
+--   "role_claim": "groups", "role_mapping": [{ "value": "Dispatch", "role": "dispatch" }], "default_role": "driver",
+--   "allowed_domains": ["acme.com"], "enforce": false }
+-- The client secret is AES-256-GCM encrypted like TOTP secrets (TWO_FACTOR_ENCRYPTION_KEY).
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS sso_config JSONB;
+
+-- The identity provider account a user signs in with (the id token's iss + sub)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sso_issuer VARCHAR(500);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sso_subject VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_sso_subject ON users(company_id, sso_issuer, sso_subject)
+    WHERE sso_subject IS NOT NULL;
+
+-- Sign-ins waiting for the identity provider to redirect back. Single use, 10 minutes.
+-- Only the SHA-256 of state is stored; code_verifier is the PKCE secret sent with the code exchange.
+CREATE TABLE IF NOT EXISTS oidc_login_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    state_hash VARCHAR(64) UNIQUE NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_oidc_login_requests_expires ON oidc_login_requests(expires_at);
+
+-- Netlify env: APP_URL is also the base of the redirect URI registered with the identity provider
+-- (APP_URL/app.html?tenant=<subdomain>)
+-- Issuers must be https on a public address. SSO_ALLOW_LOCALHOST=true admits an http://localhost
+-- provider for local testing; never set it in production.
@@ -0,0 +1,15 @@
+-- Onboarding Checklist
+-- Run this in Neon SQL Editor
+
+-- Setup steps each company has reached (step keys are listed in netlify/functions/utils/onboarding.js).
+-- A step stays complete once reached, even if the record that completed it is deleted later.
+CREATE TABLE IF NOT EXISTS onboarding_steps (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    step VARCHAR(50) NOT NULL,
+    completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(company_id, step)
+);
+
+-- Set when an admin hides the checklist before finishing it
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS onboarding_dismissed_at TIMESTAMP;
@@ -0,0 +1,35 @@
+-- Plan Limit Overrides
+-- Run this in Neon SQL Editor
+
+-- Limits come from the plan (PLAN_LIMITS in utils/tenant.js); these columns override them
+-- for a single company. NULL = use the plan limit, -1 = unlimited.
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS max_customers INTEGER;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS max_orders_per_month INTEGER;
+
+ALTER TABLE companies ALTER COLUMN max_users DROP DEFAULT;
+ALTER TABLE companies ALTER COLUMN max_distribution_centers DROP DEFAULT;
+ALTER TABLE companies ALTER COLUMN max_trucks DROP DEFAULT;
+
+-- Existing rows only carry the old createCompany/schema defaults, not real overrides.
+-- Clear them so plan upgrades take effect.
+UPDATE companies SET max_users = NULL
+WHERE max_users = 5
+   OR (plan = 'starter' AND max_users = 10)
+   OR (plan = 'professional' AND max_users = 50)
+   OR (plan = 'enterprise' AND max_users = 999);
+
+UPDATE companies SET max_distribution_centers = NULL
+WHERE max_distribution_centers = 2
+   OR (plan = 'trial' AND max_distribution_centers = 1)
+   OR (plan = 'professional' AND max_distribution_centers = 10)
+   OR (plan = 'enterprise' AND max_distribution_centers = 999);
+
+UPDATE companies SET max_trucks = NULL
+WHERE max_trucks = 10
+   OR (plan = 'trial' AND max_trucks = 5)
+   OR (plan = 'starter' AND max_trucks = 15)
+   OR (plan = 'professional' AND max_trucks = 50)
+   OR (plan = 'enterprise' AND max_trucks = 999);
+
+-- Monthly order counts for usage checks
+CREATE INDEX IF NOT EXISTS idx_orders_company_created ON orders(company_id, created_at);
@@ -0,0 +1,19 @@
+-- Roles & Permissions
+-- Run this in Neon SQL Editor
+
+-- Permission names and the built-in role bundles (admin, dispatch, driver, accounting, payroll)
+-- live in netlify/functions/utils/permissions.js. This table holds a company's custom roles
+-- and its edits to built-in roles (same key). users.role stores the role key.
+CREATE TABLE IF NOT EXISTS company_roles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    key VARCHAR(50) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    permissions JSONB NOT NULL DEFAULT '[]',  -- ["orders.view", "orders.update", ...]
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(company_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_company_role ON users(company_id, role);
@@ -0,0 +1,30 @@
+-- Stripe Webhooks
+-- Run this in Neon SQL Editor
+
+-- Every Stripe event we've processed, keyed by Stripe's event id so retries are no-ops
+CREATE TABLE IF NOT EXISTS stripe_events (
+    id VARCHAR(255) PRIMARY KEY,            -- evt_...
+    type VARCHAR(100) NOT NULL,
+    company_id UUID REFERENCES companies(id) ON DELETE SET NULL,
+    status VARCHAR(20) DEFAULT 'processed', -- processed, ignored
+    payload JSONB NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_company ON stripe_events(company_id);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_type ON stripe_events(type);
+
+-- Refunds and disputes against a payment
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) DEFAULT 0;
+
+-- One settled payment per PaymentIntent, whether the sync call or the webhook records it
+-- (failed attempts for the same PaymentIntent are kept as separate rows)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_transaction_settled
+    ON payments(transaction_id)
+    WHERE status IN ('completed', 'refunded', 'disputed');
+
+-- payments.status: pending, completed, failed, refunded, disputed
+-- invoices.status: pending, paid, overdue, cancelled, disputed
+
+-- Netlify env: STRIPE_WEBHOOK_SECRET (whsec_...) from the Stripe dashboard endpoint
+-- Endpoint URL: https://<site>/.netlify/functions/stripe-webhook
@@ -0,0 +1,42 @@
+-- Tank Forecasting (degree-day model)
+-- Run this in Neon SQL Editor
+
+-- =====================================================
+-- DAILY TEMPERATURES PER DISTRIBUTION CENTER
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS dc_daily_temperatures (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    dc_id UUID NOT NULL REFERENCES distribution_centers(id) ON DELETE CASCADE,
+
+    temp_date DATE NOT NULL,
+    avg_temp DECIMAL(5, 1),   -- °F
+    high_temp DECIMAL(5, 1),  -- °F
+    low_temp DECIMAL(5, 1),   -- °F
+    heating_degree_days DECIMAL(5, 1) NOT NULL DEFAULT 0,  -- max(0, base - avg_temp)
+
+    source VARCHAR(30) DEFAULT 'manual',  -- manual, import, weather_api
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(dc_id, temp_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dc_temperatures_company ON dc_daily_temperatures(company_id);
+CREATE INDEX IF NOT EXISTS idx_dc_temperatures_dc_date ON dc_daily_temperatures(dc_id, temp_date);
+
+-- =====================================================
+-- LEARNED USAGE MODEL ON CUSTOMERS
+-- =====================================================
+
+-- Gallons burned per heating degree day
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS k_factor DECIMAL(10, 4);
+
+-- Gallons per day that don't depend on weather (water heater, cooking, etc.)
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS base_daily_usage DECIMAL(10, 3);
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS forecast_updated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_route_run_stops_customer ON route_run_stops(customer_id);
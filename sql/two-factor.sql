@@ -0,0 +1,32 @@
+-- Two-Factor Authentication (TOTP)
+-- Run this in Neon SQL Editor
+
+-- One row per enrolled tenant user (subject_type 'user') or super admin ('super_admin').
+-- The TOTP secret is AES-256-GCM encrypted with TWO_FACTOR_ENCRYPTION_KEY (falls back to JWT_SECRET).
+-- enabled_at stays NULL until the first code is confirmed; last_used_step blocks code replay.
+CREATE TABLE IF NOT EXISTS two_factor_auth (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subject_type VARCHAR(20) NOT NULL,
+    subject_id UUID NOT NULL,
+    secret_encrypted TEXT NOT NULL,
+    enabled_at TIMESTAMP,
+    last_used_step BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(subject_type, subject_id)
+);
+
+-- Single-use recovery codes, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    two_factor_id UUID NOT NULL REFERENCES two_factor_auth(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_backup_codes_parent ON two_factor_backup_codes(two_factor_id);
+
+-- Company policy lives in companies.settings (edited via PUT /data/security):
+-- "two_factor": { "required_roles": ["admin", "accounting"] }
+-- Super admins always sign in with 2FA.